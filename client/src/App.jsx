@@ -5,18 +5,36 @@ import { DecisionPanel } from './components/DecisionPanel';
 import { TickerBar } from './components/TickerBar';
 import { TradingRules } from './components/TradingRules';
 import { MarketOverview } from './components/MarketOverview';
+import { PaperTradingPanel } from './components/PaperTradingPanel';
+import { ConfluencePanel } from './components/ConfluencePanel';
+import { AlertsPanel } from './components/AlertsPanel';
+import { SpreadPanel } from './components/SpreadPanel';
+import { StrategyPanel } from './components/StrategyPanel';
+import { formatPrice } from './utils/formatPrice';
 
 function App() {
   const [selectedInstrument, setSelectedInstrument] = useState('BTC_USDT');
   const [selectedTimeframe, setSelectedTimeframe] = useState('1h');
   const [hoveredCandle, setHoveredCandle] = useState(null);
+  // Strategy shown per chart (instrument_timeframe); unset charts show the live strategy
+  const [chartStrategies, setChartStrategies] = useState({});
 
   const {
     isConnected,
+    instruments,
     tickers,
     candles,
+    candleSources,
     patterns,
     decisions,
+    strategies,
+    strategyDecisions,
+    signals,
+    paperTrading,
+    confluence,
+    alerts,
+    spreads,
+    orderBooks,
     lastUpdate,
     subscribe
   } = useWebSocket();
@@ -28,11 +46,38 @@ function App() {
     }
   }, [isConnected, selectedInstrument, selectedTimeframe, subscribe]);
 
+  // Fall back to the first configured instrument if the selected one is removed
+  useEffect(() => {
+    const names = Object.keys(instruments);
+    if (names.length > 0 && !instruments[selectedInstrument]) {
+      setSelectedInstrument(names[0]);
+    }
+  }, [instruments, selectedInstrument]);
+
   const currentKey = `${selectedInstrument}_${selectedTimeframe}`;
   const currentCandles = candles[currentKey] || [];
   const currentPatterns = patterns[currentKey] || [];
-  const currentDecision = decisions[currentKey];
+  const currentSignals = signals[currentKey];
+
+  // Only the live strategy's decision drives paper trading, alerts, signal history and walls
+  const selectedStrategy = strategies.strategies.some(s => s.name === chartStrategies[currentKey])
+    ? chartStrategies[currentKey]
+    : strategies.primary;
+  const isLiveStrategy = selectedStrategy === strategies.primary;
+  const currentDecision = isLiveStrategy
+    ? decisions[currentKey]
+    : strategyDecisions[currentKey]?.[selectedStrategy];
+  const currentProvisional = currentSignals?.provisional && {
+    ...currentSignals.provisional,
+    decision: currentSignals.provisional.strategyDecisions?.[selectedStrategy] || currentSignals.provisional.decision
+  };
+  // Divergences from recent confirmed signals; the chart draws those still in view
+  const currentDivergences = (currentSignals?.history || []).flatMap(signal =>
+    signal.patterns.filter(p => p.divergence).map(p => ({ ...p.divergence, name: p.name, type: p.type }))
+  );
+  const selectStrategy = (name) => setChartStrategies(prev => ({ ...prev, [currentKey]: name }));
   const currentTicker = tickers[selectedInstrument] || {};
+  const currentMeta = instruments[selectedInstrument];
 
   const timeframes = [
     { value: '1m', label: '1m' },
@@ -87,6 +132,7 @@ function App() {
         <div className="mb-6">
           <TickerBar
             tickers={tickers}
+            registry={instruments}
             selectedInstrument={selectedInstrument}
             onSelect={setSelectedInstrument}
           />
@@ -106,14 +152,7 @@ function App() {
                   <span className={`text-lg font-bold ${
                     (currentTicker.change || 0) >= 0 ? 'text-emerald-400' : 'text-red-400'
                   }`}>
-                    {currentTicker.price 
-                      ? (selectedInstrument.includes('BTC') 
-                          ? `$${(currentTicker.price / 1000).toFixed(2)}K`
-                          : selectedInstrument.includes('SUI')
-                            ? `$${currentTicker.price.toFixed(4)}`
-                            : `$${currentTicker.price.toFixed(2)}`)
-                      : '-'
-                    }
+                    {formatPrice(currentTicker.price, currentMeta)}
                   </span>
                   {currentTicker.change !== undefined && (
                     <span className={`text-sm px-2 py-0.5 rounded ${
@@ -124,23 +163,49 @@ function App() {
                       {currentTicker.change >= 0 ? '+' : ''}{currentTicker.change?.toFixed(2)}%
                     </span>
                   )}
+                  {candleSources[currentKey] === 'composite' && (
+                    <span
+                      className="text-xs px-2 py-0.5 rounded bg-yellow-500/20 text-yellow-400"
+                      title="Binance klines unavailable - candles built from Coinbase/Kraken trades"
+                    >
+                      Fallback candles
+                    </span>
+                  )}
                 </div>
 
-                {/* Timeframe Selector */}
-                <div className="flex gap-1">
-                  {timeframes.map(tf => (
-                    <button
-                      key={tf.value}
-                      onClick={() => setSelectedTimeframe(tf.value)}
-                      className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-all ${
-                        selectedTimeframe === tf.value
-                          ? 'bg-blue-500/20 text-blue-400 border border-blue-500/50'
-                          : 'text-gray-500 hover:text-gray-300 hover:bg-gray-800'
-                      }`}
+                <div className="flex items-center gap-3">
+                  {/* Strategy Selector */}
+                  {strategies.strategies.length > 1 && (
+                    <select
+                      value={selectedStrategy}
+                      onChange={(e) => selectStrategy(e.target.value)}
+                      className="bg-dark-700 border border-gray-700 rounded-lg px-2 py-1.5 text-xs text-gray-300"
+                      title="Strategy shown on this chart"
                     >
-                      {tf.label}
-                    </button>
-                  ))}
+                      {strategies.strategies.map(s => (
+                        <option key={s.name} value={s.name}>
+                          {s.label}{s.name === strategies.primary ? ' (live)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+
+                  {/* Timeframe Selector */}
+                  <div className="flex gap-1">
+                    {timeframes.map(tf => (
+                      <button
+                        key={tf.value}
+                        onClick={() => setSelectedTimeframe(tf.value)}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-all ${
+                          selectedTimeframe === tf.value
+                            ? 'bg-blue-500/20 text-blue-400 border border-blue-500/50'
+                            : 'text-gray-500 hover:text-gray-300 hover:bg-gray-800'
+                        }`}
+                      >
+                        {tf.label}
+                      </button>
+                    ))}
+                  </div>
                 </div>
               </div>
 
@@ -149,8 +214,13 @@ function App() {
                 <CandlestickChart
                   candles={currentCandles}
                   patterns={currentPatterns}
+                  patternTime={currentSignals?.confirmedAt}
+                  divergences={currentDivergences}
+                  provisional={currentProvisional}
                   decision={currentDecision}
                   instrument={selectedInstrument}
+                  timeframe={selectedTimeframe}
+                  instrumentMeta={currentMeta}
                   onCandleHover={setHoveredCandle}
                 />
               </div>
@@ -171,6 +241,10 @@ function App() {
                     <div className="w-3 h-3 rounded-full bg-yellow-500" />
                     <span className="text-gray-400">Neutral</span>
                   </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-3 h-3 rounded-full border border-dashed border-gray-400" />
+                    <span className="text-gray-400">Forming (provisional)</span>
+                  </div>
                   <div className="flex items-center gap-2 ml-4">
                     <div className="w-8 h-0.5 bg-emerald-500" style={{ borderStyle: 'dashed' }} />
                     <span className="text-gray-400">Entry</span>
@@ -190,7 +264,7 @@ function App() {
             {/* Active Patterns Display */}
             {currentPatterns && currentPatterns.length > 0 && (
               <div className="mt-4 bg-dark-800 rounded-xl border border-gray-800 p-4">
-                <h3 className="text-sm font-semibold text-gray-400 mb-3">DETECTED PATTERNS</h3>
+                <h3 className="text-sm font-semibold text-gray-400 mb-3">CONFIRMED PATTERNS</h3>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                   {currentPatterns.map((pattern, i) => (
                     <div 
@@ -210,13 +284,24 @@ function App() {
                         }`}>
                           {pattern.name}
                         </span>
-                        <span className={`text-xs px-2 py-0.5 rounded ${
-                          pattern.strength === 'strong' 
-                            ? 'bg-white/10 text-white' 
-                            : 'bg-gray-700 text-gray-400'
-                        }`}>
-                          {pattern.strength}
-                        </span>
+                        <div className="flex items-center gap-2">
+                          {/* Empirical hit rate on this instrument/timeframe */}
+                          {pattern.calibration?.hitRate != null && (
+                            <span
+                              className={`text-xs ${pattern.calibration.hitRate > 50 ? 'text-emerald-400' : 'text-gray-500'}`}
+                              title={`Price moved the predicted way before moving as far against it in ${pattern.calibration.hitRate}% of ${pattern.calibration.samples} past signals`}
+                            >
+                              {pattern.calibration.hitRate}% hit · {pattern.calibration.samples}
+                            </span>
+                          )}
+                          <span className={`text-xs px-2 py-0.5 rounded ${
+                            pattern.strength === 'strong'
+                              ? 'bg-white/10 text-white'
+                              : 'bg-gray-700 text-gray-400'
+                          }`}>
+                            {pattern.strength}
+                          </span>
+                        </div>
                       </div>
                       <p className="text-xs text-gray-400">{pattern.description}</p>
                     </div>
@@ -227,24 +312,75 @@ function App() {
           </div>
 
           {/* Decision Panel */}
-          <div className="lg:col-span-1">
+          <div className="lg:col-span-1 space-y-4">
+            <ConfluencePanel
+              confluence={confluence[selectedInstrument]}
+              selectedTimeframe={selectedTimeframe}
+              onSelectTimeframe={setSelectedTimeframe}
+            />
+            <StrategyPanel
+              strategies={strategies.strategies}
+              primary={strategies.primary}
+              errors={strategies.errors}
+              decisions={strategyDecisions[currentKey]}
+              provisional={currentSignals?.provisional?.strategyDecisions}
+              selected={selectedStrategy}
+              onSelect={selectStrategy}
+              instrumentMeta={currentMeta}
+            />
             <DecisionPanel
               decision={currentDecision}
               patterns={currentPatterns}
+              provisional={currentProvisional}
+              confirmedAt={currentSignals?.confirmedAt}
+              signalHistory={isLiveStrategy ? currentSignals?.history : []}
               instrument={selectedInstrument}
+              instrumentMeta={currentMeta}
+              liquidity={isLiveStrategy ? orderBooks[selectedInstrument] : orderBooks[selectedInstrument] && { ...orderBooks[selectedInstrument], walls: {} }}
+              timeframe={selectedTimeframe}
+              strategyLabel={strategies.strategies.length > 1
+                ? strategies.strategies.find(s => s.name === selectedStrategy)?.label
+                : null}
             />
           </div>
         </div>
 
-        {/* Market Overview Table */}
+        {/* Paper Trading */}
         <div className="mt-6">
-          <MarketOverview
-            tickers={tickers}
-            selectedInstrument={selectedInstrument}
-            onSelect={setSelectedInstrument}
+          <PaperTradingPanel
+            account={paperTrading}
+            registry={instruments}
+            onSelect={(instrument, timeframe) => {
+              setSelectedInstrument(instrument);
+              setSelectedTimeframe(timeframe);
+            }}
           />
         </div>
 
+        {/* Alerts */}
+        <div className="mt-6">
+          <AlertsPanel
+            alerts={alerts}
+            instrument={selectedInstrument}
+            timeframe={selectedTimeframe}
+          />
+        </div>
+
+        {/* Market Overview Table + Spread Monitor */}
+        <div className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <MarketOverview
+              tickers={tickers}
+              registry={instruments}
+              selectedInstrument={selectedInstrument}
+              onSelect={setSelectedInstrument}
+            />
+          </div>
+          <div className="lg:col-span-1">
+            <SpreadPanel spreads={spreads} instrument={selectedInstrument} />
+          </div>
+        </div>
+
         {/* Trading Rules */}
         <div className="mt-6">
           <TradingRules />
@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const CONDITION_TYPES = [
+  { value: 'decision', label: 'Decision' },
+  { value: 'pattern', label: 'Pattern' },
+  { value: 'rsi', label: 'RSI' },
+  { value: 'price_cross', label: 'Price cross' }
+];
+
+const SINKS = ['browser', 'webhook', 'email'];
+
+export function AlertsPanel({ alerts, instrument, timeframe }) {
+  const [rules, setRules] = useState([]);
+  const [error, setError] = useState(null);
+  const [permission, setPermission] = useState(
+    typeof Notification !== 'undefined' ? Notification.permission : 'unsupported'
+  );
+  const [form, setForm] = useState({
+    type: 'decision',
+    action: 'ANY',
+    minConfidence: 'medium',
+    name: '',
+    operator: 'below',
+    value: '30',
+    level: '',
+    direction: 'either',
+    scope: 'instrument',
+    sinks: ['browser']
+  });
+
+  const loadRules = useCallback(async () => {
+    try {
+      const res = await fetch('/api/alerts/rules');
+      setRules(await res.json());
+    } catch (err) {
+      setError('Could not load alert rules');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const requestPermission = async () => {
+    if (typeof Notification === 'undefined') return;
+    setPermission(await Notification.requestPermission());
+  };
+
+  const buildCondition = () => {
+    switch (form.type) {
+      case 'decision':
+        return { type: 'decision', action: form.action, minConfidence: form.minConfidence };
+      case 'pattern':
+        return { type: 'pattern', name: form.name };
+      case 'rsi':
+        return { type: 'rsi', operator: form.operator, value: parseFloat(form.value) };
+      case 'price_cross':
+        return { type: 'price_cross', level: parseFloat(form.level), direction: form.direction };
+      default:
+        return null;
+    }
+  };
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const res = await fetch('/api/alerts/rules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        instrument: form.scope === 'any' ? null : instrument,
+        timeframe: form.scope === 'timeframe' ? timeframe : null,
+        condition: buildCondition(),
+        sinks: form.sinks
+      })
+    });
+    const body = await res.json();
+
+    if (!res.ok) {
+      setError((body.errors || [body.error]).join(', '));
+      return;
+    }
+    setRules(prev => [...prev, body]);
+  };
+
+  const toggleRule = async (rule) => {
+    const res = await fetch(`/api/alerts/rules/${rule.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled: !rule.enabled })
+    });
+    if (res.ok) {
+      const updated = await res.json();
+      setRules(prev => prev.map(r => r.id === updated.id ? updated : r));
+    }
+  };
+
+  const deleteRule = async (id) => {
+    const res = await fetch(`/api/alerts/rules/${id}`, { method: 'DELETE' });
+    if (res.ok) setRules(prev => prev.filter(r => r.id !== id));
+  };
+
+  const toggleSink = (sink) => {
+    setForm(prev => ({
+      ...prev,
+      sinks: prev.sinks.includes(sink) ? prev.sinks.filter(s => s !== sink) : [...prev.sinks, sink]
+    }));
+  };
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const inputClass = 'bg-dark-700 border border-gray-700 rounded px-2 py-1 text-xs text-gray-300';
+
+  const formatTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  };
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-gray-800 overflow-hidden">
+      <div className="p-4 border-b border-gray-800 flex items-center justify-between">
+        <h3 className="font-semibold text-gray-300 flex items-center gap-2">
+          <span>🔔</span> Alerts
+        </h3>
+        {permission === 'granted' ? (
+          <span className="text-xs text-emerald-400">Desktop notifications on</span>
+        ) : permission === 'unsupported' ? (
+          <span className="text-xs text-gray-500">Desktop notifications unsupported</span>
+        ) : (
+          <button
+            onClick={requestPermission}
+            className="text-xs px-2 py-1 rounded bg-blue-500/20 text-blue-400 hover:bg-blue-500/30"
+          >
+            Enable desktop notifications
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 p-4">
+        {/* Rules */}
+        <div>
+          <form onSubmit={addRule} className="flex flex-wrap items-center gap-2 mb-3">
+            <select value={form.type} onChange={update('type')} className={inputClass}>
+              {CONDITION_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+
+            {form.type === 'decision' && (
+              <>
+                <select value={form.action} onChange={update('action')} className={inputClass}>
+                  <option value="ANY">LONG or SHORT</option>
+                  <option value="LONG">LONG</option>
+                  <option value="SHORT">SHORT</option>
+                </select>
+                <select value={form.minConfidence} onChange={update('minConfidence')} className={inputClass}>
+                  <option value="low">low+</option>
+                  <option value="medium">medium+</option>
+                  <option value="high">high</option>
+                </select>
+              </>
+            )}
+            {form.type === 'pattern' && (
+              <input value={form.name} onChange={update('name')} placeholder="Bullish Engulfing" className={inputClass} />
+            )}
+            {form.type === 'rsi' && (
+              <>
+                <select value={form.operator} onChange={update('operator')} className={inputClass}>
+                  <option value="below">below</option>
+                  <option value="above">above</option>
+                </select>
+                <input type="number" value={form.value} onChange={update('value')} className={`${inputClass} w-16`} />
+              </>
+            )}
+            {form.type === 'price_cross' && (
+              <>
+                <select value={form.direction} onChange={update('direction')} className={inputClass}>
+                  <option value="either">crosses</option>
+                  <option value="above">crosses above</option>
+                  <option value="below">crosses below</option>
+                </select>
+                <input type="number" step="any" value={form.level} onChange={update('level')} placeholder="Level" className={`${inputClass} w-24`} />
+              </>
+            )}
+
+            <select value={form.scope} onChange={update('scope')} className={inputClass}>
+              <option value="instrument">{instrument.replace('_', '/')}</option>
+              <option value="timeframe">{instrument.replace('_', '/')} {timeframe}</option>
+              <option value="any">Any pair</option>
+            </select>
+
+            {SINKS.map(sink => (
+              <label key={sink} className="flex items-center gap-1 text-xs text-gray-400">
+                <input type="checkbox" checked={form.sinks.includes(sink)} onChange={() => toggleSink(sink)} />
+                {sink}
+              </label>
+            ))}
+
+            <button type="submit" className="text-xs px-3 py-1 rounded bg-emerald-500/20 text-emerald-400 hover:bg-emerald-500/30">
+              Add
+            </button>
+          </form>
+
+          {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+
+          {rules.length === 0 ? (
+            <p className="text-gray-500 text-sm">No alert rules</p>
+          ) : (
+            <ul className="space-y-1">
+              {rules.map(rule => (
+                <li key={rule.id} className="flex items-center justify-between p-2 rounded-lg bg-dark-700/50">
+                  <div className={`text-xs ${rule.enabled ? 'text-gray-300' : 'text-gray-600 line-through'}`}>
+                    {rule.name}
+                    <span className="text-gray-500 ml-2">{rule.sinks.join(', ')}</span>
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={() => toggleRule(rule)} className="text-xs text-gray-500 hover:text-gray-300">
+                      {rule.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                    <button onClick={() => deleteRule(rule.id)} className="text-xs text-red-500 hover:text-red-400">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Recent alerts */}
+        <div>
+          <h4 className="text-xs font-semibold text-gray-500 mb-2">RECENT ALERTS</h4>
+          {alerts.length === 0 ? (
+            <p className="text-gray-500 text-sm">Nothing fired yet</p>
+          ) : (
+            <ul className="space-y-1 max-h-64 overflow-y-auto">
+              {alerts.map(alert => (
+                <li key={alert.id} className="text-xs flex gap-2">
+                  <span className="text-gray-500">{formatTime(alert.time)}</span>
+                  <span className={
+                    alert.action === 'LONG' ? 'text-emerald-400' : alert.action === 'SHORT' ? 'text-red-400' : 'text-gray-300'
+                  }>
+                    {alert.message}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
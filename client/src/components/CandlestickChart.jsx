@@ -1,13 +1,120 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { formatPrice } from '../utils/formatPrice';
+
+// Lines drawn over the candles (values from /api/indicators?series=true)
+const OVERLAYS = [
+  { key: 'ema20', label: 'EMA20', lines: [{ get: s => s.ema20, color: '#f59e0b' }] },
+  { key: 'ema50', label: 'EMA50', lines: [{ get: s => s.ema50, color: '#a855f7' }] },
+  { key: 'sma20', label: 'SMA20', lines: [{ get: s => s.sma20, color: '#06b6d4' }] },
+  {
+    key: 'bollingerBands',
+    label: 'BB',
+    lines: [
+      { get: s => s.bollingerBands.upper, color: '#64748b' },
+      { get: s => s.bollingerBands.middle, color: '#64748b', dashed: true },
+      { get: s => s.bollingerBands.lower, color: '#64748b' }
+    ]
+  }
+];
+
+// Sub-panes under the price chart; range fixes the scale, levels are reference lines
+const PANES = [
+  { key: 'rsi', label: 'RSI', range: [0, 100], levels: [30, 70], lines: [{ get: s => s.rsi, color: '#f59e0b' }] },
+  {
+    key: 'macd',
+    label: 'MACD',
+    levels: [0],
+    histogram: s => s.macd.histogram,
+    lines: [
+      { get: s => s.macd.macd, color: '#3b82f6' },
+      { get: s => s.macd.signal, color: '#f97316' }
+    ]
+  },
+  {
+    key: 'stochastic',
+    label: 'Stoch',
+    range: [0, 100],
+    levels: [20, 80],
+    lines: [
+      { get: s => s.stochastic.k, color: '#3b82f6' },
+      { get: s => s.stochastic.d, color: '#f97316' }
+    ]
+  },
+  {
+    key: 'adx',
+    label: 'ADX',
+    levels: [20, 25],
+    lines: [
+      { get: s => s.adx.adx, color: '#e5e7eb' },
+      { get: s => s.adx.plusDI, color: '#22c55e' },
+      { get: s => s.adx.minusDI, color: '#ef4444' }
+    ]
+  },
+  { key: 'atr', label: 'ATR', lines: [{ get: s => s.atr, color: '#06b6d4' }] },
+  { key: 'obv', label: 'OBV', lines: [{ get: s => s.obv, color: '#a855f7' }] }
+];
+
+const PANE_HEIGHT = 90;
+
+const DIVERGENCE_LABELS = { rsi: 'RSI', macd: 'MACD', obv: 'OBV' };
+
+// Compact pane value: thousands for OBV, 4 significant digits otherwise
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return Math.abs(value) >= 1000
+    ? Math.round(value).toLocaleString('en-US')
+    : parseFloat(value.toPrecision(4)).toString();
+};
 
 export function CandlestickChart({ 
   candles = [], 
   patterns = [], 
+  patternTime,
+  divergences = [],
+  provisional,
   decision,
   instrument,
+  timeframe,
+  instrumentMeta,
   onCandleHover
 }) {
   const [hoveredIndex, setHoveredIndex] = useState(null);
+  const [overlays, setOverlays] = useState({ ema20: true, ema50: true });
+  const [panes, setPanes] = useState({ rsi: true });
+  const [series, setSeries] = useState(null);
+  const [showLevels, setShowLevels] = useState(true);
+  const [showStructures, setShowStructures] = useState(true);
+  const [levels, setLevels] = useState([]);
+
+  const activePanes = PANES.filter(p => panes[p.key]);
+  const wantsSeries = activePanes.length > 0 || OVERLAYS.some(o => overlays[o.key]);
+  const lastTime = candles.length > 0 ? candles[candles.length - 1].t : null;
+
+  // Refetch when the chart changes or a new bar opens
+  useEffect(() => {
+    if (!wantsSeries || !instrument || !timeframe || lastTime === null) return;
+    let cancelled = false;
+
+    fetch(`/api/indicators/${instrument}/${timeframe}?series=true`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => { if (!cancelled) setSeries(data?.series || null); })
+      .catch(() => { if (!cancelled) setSeries(null); });
+
+    return () => { cancelled = true; };
+  }, [instrument, timeframe, lastTime, wantsSeries]);
+
+  // Support/resistance zones, refreshed with each new bar
+  useEffect(() => {
+    if (!showLevels || !instrument || !timeframe || lastTime === null) return;
+    let cancelled = false;
+
+    fetch(`/api/levels/${instrument}/${timeframe}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => { if (!cancelled) setLevels(data?.levels || []); })
+      .catch(() => { if (!cancelled) setLevels([]); });
+
+    return () => { cancelled = true; };
+  }, [instrument, timeframe, lastTime, showLevels]);
 
   // Chart dimensions
   const width = 800;
@@ -15,6 +122,7 @@ export function CandlestickChart({
   const padding = { top: 40, right: 100, bottom: 50, left: 70 };
   const innerWidth = width - padding.left - padding.right;
   const innerHeight = height - padding.top - padding.bottom;
+  const totalHeight = height + activePanes.length * PANE_HEIGHT;
 
   // Process candle data
   const processedCandles = useMemo(() => {
@@ -30,14 +138,67 @@ export function CandlestickChart({
     }));
   }, [candles]);
 
+  // Series values lined up with the drawn candles by open time (null where missing)
+  const align = useMemo(() => {
+    if (!series) return null;
+    const indexByTime = new Map(series.t.map((t, i) => [t, i]));
+    return (values) => processedCandles.map(c => {
+      const i = indexByTime.get(c.time);
+      return i === undefined ? null : values[i];
+    });
+  }, [series, processedCandles]);
+
+  const indexByTime = useMemo(
+    () => new Map(processedCandles.map((c, i) => [c.time, i])),
+    [processedCandles]
+  );
+
+  // Divergences whose swings are both on screen, with their candle indexes
+  const visibleDivergences = useMemo(() => {
+    return divergences.flatMap(d => {
+      const priceIndex = [indexByTime.get(d.price.from.t), indexByTime.get(d.price.to.t)];
+      const oscillatorIndex = [indexByTime.get(d.oscillator.from.t), indexByTime.get(d.oscillator.to.t)];
+      return [...priceIndex, ...oscillatorIndex].includes(undefined) ? [] : [{ ...d, priceIndex, oscillatorIndex }];
+    });
+  }, [divergences, indexByTime]);
+
+  // Geometry of the confirmed chart patterns: anchor points, necklines / trendlines,
+  // breakout and measured-move target. Anything anchored off screen is dropped.
+  const structures = useMemo(() => {
+    const onScreen = (point) => indexByTime.has(point.t);
+    return patterns.filter(p => p.geometry).map(p => ({
+      name: p.name,
+      type: p.type,
+      ...p.geometry,
+      points: p.geometry.points.filter(onScreen),
+      lines: p.geometry.lines.filter(line => onScreen(line.from) && onScreen(line.to))
+    }));
+  }, [patterns, indexByTime]);
+
+  const typeColor = (type) => (type === 'bullish' ? '#22c55e' : type === 'bearish' ? '#ef4444' : '#fbbf24');
+
+  const divergenceStyle = (d) => ({
+    stroke: d.type === 'bullish' ? '#22c55e' : '#ef4444',
+    strokeWidth: 1.5,
+    strokeDasharray: d.kind === 'hidden' ? '5,3' : undefined
+  });
+
+  const overlayLines = useMemo(() => {
+    if (!align) return [];
+    return OVERLAYS.filter(o => overlays[o.key]).flatMap(o =>
+      o.lines.map(line => ({ ...line, key: o.key, values: align(line.get(series)) }))
+    );
+  }, [align, series, overlays]);
+
   // Calculate price range
   const { minPrice, maxPrice, priceRange } = useMemo(() => {
     if (processedCandles.length === 0) {
       return { minPrice: 0, maxPrice: 100, priceRange: 100 };
     }
     
-    const highs = processedCandles.map(c => c.high);
-    const lows = processedCandles.map(c => c.low);
+    const overlayValues = overlayLines.flatMap(l => l.values).filter(v => v !== null);
+    const highs = [...processedCandles.map(c => c.high), ...overlayValues];
+    const lows = [...processedCandles.map(c => c.low), ...overlayValues];
     const min = Math.min(...lows) * 0.999;
     const max = Math.max(...highs) * 1.001;
     
@@ -46,7 +207,7 @@ export function CandlestickChart({
       maxPrice: max, 
       priceRange: max - min 
     };
-  }, [processedCandles]);
+  }, [processedCandles, overlayLines]);
 
   // Calculate candle dimensions
   const candleWidth = Math.min(20, (innerWidth / Math.max(processedCandles.length, 1)) * 0.7);
@@ -59,13 +220,28 @@ export function CandlestickChart({
     return padding.top + innerHeight - ((price - minPrice) / priceRange) * innerHeight;
   };
 
-  // Format price based on instrument
-  const formatPrice = (price) => {
-    if (instrument?.includes('BTC')) return `$${(price / 1000).toFixed(2)}K`;
-    if (instrument?.includes('SUI')) return `$${price.toFixed(4)}`;
-    return `$${price.toFixed(2)}`;
+  const candleCenter = (i) => padding.left + gap + i * (candleWidth + gap) + candleWidth / 2;
+
+  // SVG path through the non-null values, broken where a value is missing
+  const linePath = (values, toY) => {
+    let path = '';
+    let drawing = false;
+    values.forEach((value, i) => {
+      if (value === null || value === undefined) {
+        drawing = false;
+        return;
+      }
+      path += `${drawing ? 'L' : 'M'}${candleCenter(i).toFixed(1)},${toY(value).toFixed(1)}`;
+      drawing = true;
+    });
+    return path;
   };
 
+  const toggle = (setter, key) => setter(prev => ({ ...prev, [key]: !prev[key] }));
+
+  // Format price using the instrument's configured precision
+  const formatLevel = (price) => formatPrice(price, instrumentMeta);
+
   // Format time
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
@@ -83,267 +259,541 @@ export function CandlestickChart({
     );
   }
 
-  return (
-    <svg width={width} height={height} className="overflow-visible">
-      {/* Background grid */}
-      {[0, 0.25, 0.5, 0.75, 1].map((pct, i) => {
-        const y = padding.top + innerHeight * pct;
-        const price = maxPrice - pct * priceRange;
-        return (
-          <g key={i}>
+  const renderPane = (pane, k) => {
+    const top = height + k * PANE_HEIGHT;
+    const paneTop = top + 18;
+    const paneHeight = PANE_HEIGHT - 26;
+    const lines = align ? pane.lines.map(line => ({ ...line, values: align(line.get(series)) })) : [];
+    const histogram = align && pane.histogram ? align(pane.histogram(series)) : null;
+
+    const values = [...lines.flatMap(l => l.values), ...(histogram || [])].filter(v => v !== null);
+    const levels = pane.levels || [];
+    let [min, max] = pane.range || [Math.min(...values, ...levels), Math.max(...values, ...levels)];
+    if (!Number.isFinite(min) || !Number.isFinite(max)) [min, max] = [0, 1];
+    if (max === min) max = min + 1;
+    const toY = (value) => paneTop + paneHeight - ((value - min) / (max - min)) * paneHeight;
+
+    // Values at the hovered candle, or the latest
+    const at = hoveredIndex ?? processedCandles.length - 1;
+
+    return (
+      <g key={pane.key}>
+        <line x1={padding.left} x2={width - padding.right} y1={top + 6} y2={top + 6} stroke="#1f1f2e" strokeWidth={1} />
+        <text x={padding.left} y={top + 18} fill="#6b7280" fontSize="10" fontFamily="JetBrains Mono">
+          {pane.label}
+          {lines.map((line, i) => (
+            <tspan key={i} fill={line.color} dx={8}>{formatValue(line.values[at])}</tspan>
+          ))}
+        </text>
+
+        {levels.filter(level => level >= min && level <= max).map(level => (
+          <g key={level}>
             <line
               x1={padding.left}
               x2={width - padding.right}
-              y1={y}
-              y2={y}
-              stroke="#1f1f2e"
+              y1={toY(level)}
+              y2={toY(level)}
+              stroke="#2a2a3e"
               strokeWidth={1}
+              strokeDasharray="3,3"
             />
-            <text
-              x={padding.left - 10}
-              y={y + 4}
-              textAnchor="end"
-              fill="#4a4a5a"
-              fontSize="11"
-              fontFamily="JetBrains Mono"
-            >
-              {formatPrice(price)}
+            <text x={padding.left - 10} y={toY(level) + 3} textAnchor="end" fill="#4a4a5a" fontSize="9" fontFamily="JetBrains Mono">
+              {formatValue(level)}
             </text>
           </g>
-        );
-      })}
-
-      {/* Decision lines */}
-      {decision && decision.action !== 'WAIT' && (
-        <>
-          {/* Entry line */}
-          <line
-            x1={padding.left}
-            x2={width - padding.right}
-            y1={priceToY(decision.entry)}
-            y2={priceToY(decision.entry)}
-            stroke="#22c55e"
-            strokeWidth={1.5}
-            strokeDasharray="6,4"
-          />
-          <text
-            x={width - padding.right + 5}
-            y={priceToY(decision.entry) + 4}
-            fill="#22c55e"
-            fontSize="10"
-            fontFamily="JetBrains Mono"
-          >
-            Entry {formatPrice(decision.entry)}
-          </text>
+        ))}
 
-          {/* Stop loss line */}
-          <line
-            x1={padding.left}
-            x2={width - padding.right}
-            y1={priceToY(decision.stopLoss)}
-            y2={priceToY(decision.stopLoss)}
-            stroke="#ef4444"
-            strokeWidth={1.5}
-            strokeDasharray="6,4"
+        {histogram && histogram.map((value, i) => value !== null && (
+          <rect
+            key={i}
+            x={candleCenter(i) - candleWidth / 2}
+            y={Math.min(toY(value), toY(0))}
+            width={candleWidth}
+            height={Math.max(1, Math.abs(toY(value) - toY(0)))}
+            fill={value >= 0 ? '#22c55e' : '#ef4444'}
+            opacity={0.4}
           />
-          <text
-            x={width - padding.right + 5}
-            y={priceToY(decision.stopLoss) + 4}
-            fill="#ef4444"
-            fontSize="10"
-            fontFamily="JetBrains Mono"
-          >
-            Stop {formatPrice(decision.stopLoss)}
-          </text>
+        ))}
 
-          {/* Target 1 line */}
-          <line
-            x1={padding.left}
-            x2={width - padding.right}
-            y1={priceToY(decision.target1)}
-            y2={priceToY(decision.target1)}
-            stroke="#3b82f6"
-            strokeWidth={1}
-            strokeDasharray="4,4"
-          />
-          <text
-            x={width - padding.right + 5}
-            y={priceToY(decision.target1) + 4}
-            fill="#3b82f6"
-            fontSize="10"
-            fontFamily="JetBrains Mono"
-          >
-            TP1 {formatPrice(decision.target1)}
-          </text>
+        {lines.map((line, i) => (
+          <path key={i} d={linePath(line.values, toY)} fill="none" stroke={line.color} strokeWidth={1.2} />
+        ))}
 
-          {/* Target 2 line */}
-          <line
-            x1={padding.left}
-            x2={width - padding.right}
-            y1={priceToY(decision.target2)}
-            y2={priceToY(decision.target2)}
-            stroke="#8b5cf6"
-            strokeWidth={1}
-            strokeDasharray="4,4"
-          />
-          <text
-            x={width - padding.right + 5}
-            y={priceToY(decision.target2) + 4}
-            fill="#8b5cf6"
-            fontSize="10"
-            fontFamily="JetBrains Mono"
-          >
-            TP2 {formatPrice(decision.target2)}
+        {/* Oscillator side of divergences, on this pane's first line */}
+        {lines.length > 0 && visibleDivergences.filter(d => d.indicator === pane.key).map((d, i) => {
+          const [from, to] = d.oscillatorIndex;
+          const values = lines[0].values;
+          if (values[from] === null || values[to] === null) return null;
+          return (
+            <line
+              key={i}
+              x1={candleCenter(from)}
+              y1={toY(values[from])}
+              x2={candleCenter(to)}
+              y2={toY(values[to])}
+              {...divergenceStyle(d)}
+            />
+          );
+        })}
+
+        {!align && (
+          <text x={width / 2} y={paneTop + paneHeight / 2} textAnchor="middle" fill="#4a4a5a" fontSize="10">
+            Loading…
           </text>
-        </>
+        )}
+      </g>
+    );
+  };
+
+  const toggleButton = (active, onClick, label) => (
+    <button
+      key={label}
+      onClick={onClick}
+      className={`px-2 py-0.5 rounded text-xs transition-all ${
+        active ? 'bg-blue-500/20 text-blue-400' : 'text-gray-500 hover:text-gray-300 hover:bg-gray-800'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      {/* Indicator toggles */}
+      <div className="flex flex-wrap items-center gap-1 mb-2">
+        <span className="text-xs text-gray-600 mr-1">Overlays</span>
+        {OVERLAYS.map(o => toggleButton(overlays[o.key], () => toggle(setOverlays, o.key), o.label))}
+        {toggleButton(showLevels, () => setShowLevels(v => !v), 'S/R')}
+        {toggleButton(showStructures, () => setShowStructures(v => !v), 'Shapes')}
+        <span className="text-xs text-gray-600 ml-3 mr-1">Panes</span>
+        {PANES.map(p => toggleButton(panes[p.key], () => toggle(setPanes, p.key), p.label))}
+      </div>
+
+      {/* Breakout and measured-move target of each drawn chart pattern */}
+      {showStructures && structures.length > 0 && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2 text-xs">
+          {structures.map((structure, i) => (
+            <span key={i} style={{ color: typeColor(structure.type) }}>
+              {structure.name}
+              {structure.breakout !== null && (
+                <span className="text-gray-400"> · breakout {formatLevel(structure.breakout)}</span>
+              )}
+              <span className="text-gray-400"> · target {formatLevel(structure.target)}</span>
+            </span>
+          ))}
+        </div>
       )}
 
-      {/* Candles */}
-      {processedCandles.map((candle, i) => {
-        const x = padding.left + gap + i * (candleWidth + gap);
-        const isBullish = candle.close >= candle.open;
-        const bodyTop = priceToY(Math.max(candle.open, candle.close));
-        const bodyBottom = priceToY(Math.min(candle.open, candle.close));
-        const bodyHeight = Math.max(1, bodyBottom - bodyTop);
-        const isLatest = i === processedCandles.length - 1;
-        const hasPattern = isLatest && patterns && patterns.length > 0;
-
-        return (
-          <g
-            key={i}
-            onMouseEnter={() => {
-              setHoveredIndex(i);
-              onCandleHover?.(candle, i);
-            }}
-            onMouseLeave={() => {
-              setHoveredIndex(null);
-              onCandleHover?.(null, null);
-            }}
-            className="cursor-pointer"
-          >
-            {/* Upper wick */}
+      <svg width={width} height={totalHeight} className="overflow-visible">
+        {/* Background grid */}
+        {[0, 0.25, 0.5, 0.75, 1].map((pct, i) => {
+          const y = padding.top + innerHeight * pct;
+          const price = maxPrice - pct * priceRange;
+          return (
+            <g key={i}>
+              <line
+                x1={padding.left}
+                x2={width - padding.right}
+                y1={y}
+                y2={y}
+                stroke="#1f1f2e"
+                strokeWidth={1}
+              />
+              <text
+                x={padding.left - 10}
+                y={y + 4}
+                textAnchor="end"
+                fill="#4a4a5a"
+                fontSize="11"
+                fontFamily="JetBrains Mono"
+              >
+                {formatLevel(price)}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Indicator overlays */}
+        {overlayLines.map((line, i) => (
+          <path
+            key={`${line.key}-${i}`}
+            d={linePath(line.values, priceToY)}
+            fill="none"
+            stroke={line.color}
+            strokeWidth={1.2}
+            strokeDasharray={line.dashed ? '4,3' : undefined}
+            opacity={0.9}
+          />
+        ))}
+
+        {/* Support/resistance zones on screen (they do not stretch the price scale) */}
+        {showLevels && levels.filter(z => z.high >= minPrice && z.low <= maxPrice).map((zone, i) => {
+          const color = zone.kind === 'support' ? '#22c55e' : '#ef4444';
+          const major = zone.strength === 'major';
+          const top = priceToY(Math.min(zone.high, maxPrice));
+          const bottom = priceToY(Math.max(zone.low, minPrice));
+          return (
+            <g key={i}>
+              <title>{`${zone.kind} ${formatLevel(zone.price)} · score ${zone.score} · ${zone.sources.join(', ')}`}</title>
+              <rect
+                x={padding.left}
+                y={top}
+                width={innerWidth}
+                height={Math.max(1, bottom - top)}
+                fill={color}
+                opacity={major ? 0.15 : 0.06}
+              />
+              {major && (
+                <text x={padding.left + 4} y={top - 3} fill={color} fontSize="9" fontFamily="JetBrains Mono" opacity={0.8}>
+                  {zone.sources.join(' · ')}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {/* Chart pattern structure */}
+        {showStructures && structures.map((structure, i) => {
+          const color = typeColor(structure.type);
+          const lastX = candleCenter(processedCandles.length - 1);
+          const inRange = (price) => price !== null && price >= minPrice && price <= maxPrice;
+          return (
+            <g key={i}>
+              <title>{structure.name}</title>
+              {structure.lines.map((line, j) => (
+                <line
+                  key={j}
+                  x1={candleCenter(indexByTime.get(line.from.t))}
+                  y1={priceToY(line.from.price)}
+                  x2={candleCenter(indexByTime.get(line.to.t))}
+                  y2={priceToY(line.to.price)}
+                  stroke={color}
+                  strokeWidth={1.5}
+                  opacity={0.8}
+                />
+              ))}
+              {structure.points.map((point, j) => (
+                <g key={j}>
+                  <circle cx={candleCenter(indexByTime.get(point.t))} cy={priceToY(point.price)} r={3} fill={color} />
+                  <text
+                    x={candleCenter(indexByTime.get(point.t))}
+                    y={priceToY(point.price) - 6}
+                    textAnchor="middle"
+                    fill={color}
+                    fontSize="9"
+                    fontFamily="JetBrains Mono"
+                  >
+                    {point.label}
+                  </text>
+                </g>
+              ))}
+              {inRange(structure.breakout) && (
+                <line
+                  x1={lastX}
+                  x2={width - padding.right}
+                  y1={priceToY(structure.breakout)}
+                  y2={priceToY(structure.breakout)}
+                  stroke={color}
+                  strokeWidth={1.5}
+                />
+              )}
+              {inRange(structure.target) && (
+                <line
+                  x1={lastX}
+                  x2={width - padding.right}
+                  y1={priceToY(structure.target)}
+                  y2={priceToY(structure.target)}
+                  stroke={color}
+                  strokeWidth={1}
+                  strokeDasharray="2,3"
+                />
+              )}
+            </g>
+          );
+        })}
+
+        {/* Divergences: price swings, labelled with the oscillator */}
+        {visibleDivergences.map((d, i) => {
+          const [from, to] = d.priceIndex;
+          const above = d.type === 'bearish';
+          return (
+            <g key={i}>
+              <title>{d.name}</title>
+              <line
+                x1={candleCenter(from)}
+                y1={priceToY(d.price.from.value)}
+                x2={candleCenter(to)}
+                y2={priceToY(d.price.to.value)}
+                {...divergenceStyle(d)}
+              />
+              <text
+                x={candleCenter(to)}
+                y={priceToY(d.price.to.value) + (above ? -8 : 14)}
+                textAnchor="middle"
+                fill={divergenceStyle(d).stroke}
+                fontSize="9"
+                fontFamily="JetBrains Mono"
+              >
+                {DIVERGENCE_LABELS[d.indicator]}{d.kind === 'hidden' ? ' (h)' : ''}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Decision lines */}
+        {decision && decision.action !== 'WAIT' && (
+          <>
+            {/* Entry line */}
             <line
-              x1={x + candleWidth / 2}
-              x2={x + candleWidth / 2}
-              y1={priceToY(candle.high)}
-              y2={bodyTop}
-              stroke={isBullish ? '#22c55e' : '#ef4444'}
+              x1={padding.left}
+              x2={width - padding.right}
+              y1={priceToY(decision.entry)}
+              y2={priceToY(decision.entry)}
+              stroke="#22c55e"
               strokeWidth={1.5}
+              strokeDasharray="6,4"
             />
-            
-            {/* Lower wick */}
+            <text
+              x={width - padding.right + 5}
+              y={priceToY(decision.entry) + 4}
+              fill="#22c55e"
+              fontSize="10"
+              fontFamily="JetBrains Mono"
+            >
+              Entry {formatLevel(decision.entry)}
+            </text>
+
+            {/* Stop loss line */}
             <line
-              x1={x + candleWidth / 2}
-              x2={x + candleWidth / 2}
-              y1={bodyBottom}
-              y2={priceToY(candle.low)}
-              stroke={isBullish ? '#22c55e' : '#ef4444'}
+              x1={padding.left}
+              x2={width - padding.right}
+              y1={priceToY(decision.stopLoss)}
+              y2={priceToY(decision.stopLoss)}
+              stroke="#ef4444"
               strokeWidth={1.5}
+              strokeDasharray="6,4"
             />
-            
-            {/* Body */}
-            <rect
-              x={x}
-              y={bodyTop}
-              width={candleWidth}
-              height={bodyHeight}
-              fill={isBullish ? '#22c55e' : '#ef4444'}
-              stroke={isBullish ? '#16a34a' : '#dc2626'}
+            <text
+              x={width - padding.right + 5}
+              y={priceToY(decision.stopLoss) + 4}
+              fill="#ef4444"
+              fontSize="10"
+              fontFamily="JetBrains Mono"
+            >
+              Stop {formatLevel(decision.stopLoss)}
+            </text>
+
+            {/* Target 1 line */}
+            <line
+              x1={padding.left}
+              x2={width - padding.right}
+              y1={priceToY(decision.target1)}
+              y2={priceToY(decision.target1)}
+              stroke="#3b82f6"
+              strokeWidth={1}
+              strokeDasharray="4,4"
+            />
+            <text
+              x={width - padding.right + 5}
+              y={priceToY(decision.target1) + 4}
+              fill="#3b82f6"
+              fontSize="10"
+              fontFamily="JetBrains Mono"
+            >
+              TP1 {formatLevel(decision.target1)}
+            </text>
+
+            {/* Target 2 line */}
+            <line
+              x1={padding.left}
+              x2={width - padding.right}
+              y1={priceToY(decision.target2)}
+              y2={priceToY(decision.target2)}
+              stroke="#8b5cf6"
               strokeWidth={1}
-              rx={2}
-              opacity={hoveredIndex === i ? 1 : 0.85}
+              strokeDasharray="4,4"
             />
+            <text
+              x={width - padding.right + 5}
+              y={priceToY(decision.target2) + 4}
+              fill="#8b5cf6"
+              fontSize="10"
+              fontFamily="JetBrains Mono"
+            >
+              TP2 {formatLevel(decision.target2)}
+            </text>
+          </>
+        )}
 
-            {/* Pattern indicator on latest candle */}
-            {hasPattern && (
-              <g>
+        {/* Candles */}
+        {processedCandles.map((candle, i) => {
+          const x = padding.left + gap + i * (candleWidth + gap);
+          const isBullish = candle.close >= candle.open;
+          const bodyTop = priceToY(Math.max(candle.open, candle.close));
+          const bodyBottom = priceToY(Math.min(candle.open, candle.close));
+          const bodyHeight = Math.max(1, bodyBottom - bodyTop);
+          const isLatest = i === processedCandles.length - 1;
+          // Confirmed patterns sit on the closed candle they were found on
+          const hasPattern = candle.time === patternTime && patterns && patterns.length > 0;
+          const hasProvisional = isLatest && provisional?.candleTime === candle.time &&
+            provisional.patterns?.length > 0;
+
+          return (
+            <g
+              key={i}
+              onMouseEnter={() => {
+                setHoveredIndex(i);
+                onCandleHover?.(candle, i);
+              }}
+              onMouseLeave={() => {
+                setHoveredIndex(null);
+                onCandleHover?.(null, null);
+              }}
+              className="cursor-pointer"
+            >
+              {/* Upper wick */}
+              <line
+                x1={x + candleWidth / 2}
+                x2={x + candleWidth / 2}
+                y1={priceToY(candle.high)}
+                y2={bodyTop}
+                stroke={isBullish ? '#22c55e' : '#ef4444'}
+                strokeWidth={1.5}
+              />
+              
+              {/* Lower wick */}
+              <line
+                x1={x + candleWidth / 2}
+                x2={x + candleWidth / 2}
+                y1={bodyBottom}
+                y2={priceToY(candle.low)}
+                stroke={isBullish ? '#22c55e' : '#ef4444'}
+                strokeWidth={1.5}
+              />
+              
+              {/* Body */}
+              <rect
+                x={x}
+                y={bodyTop}
+                width={candleWidth}
+                height={bodyHeight}
+                fill={isBullish ? '#22c55e' : '#ef4444'}
+                stroke={isBullish ? '#16a34a' : '#dc2626'}
+                strokeWidth={1}
+                rx={2}
+                opacity={hoveredIndex === i ? 1 : 0.85}
+              />
+
+              {/* Intrabar preview: hollow marker, may vanish before the candle closes */}
+              {hasProvisional && (
                 <circle
                   cx={x + candleWidth / 2}
                   cy={priceToY(candle.high) - 15}
                   r={6}
-                  fill={
-                    patterns[0].type === 'bullish' ? '#22c55e' :
-                    patterns[0].type === 'bearish' ? '#ef4444' : '#fbbf24'
+                  fill="none"
+                  stroke={
+                    provisional.patterns[0].type === 'bullish' ? '#22c55e' :
+                    provisional.patterns[0].type === 'bearish' ? '#ef4444' : '#fbbf24'
                   }
-                  stroke="#0a0a0f"
-                  strokeWidth={2}
-                  className={patterns[0].strength === 'strong' ? 'animate-pulse' : ''}
+                  strokeWidth={1.5}
+                  strokeDasharray="2 2"
                 />
-                
-                {/* Signal badge */}
-                {decision && decision.action !== 'WAIT' && (
-                  <g>
-                    <rect
-                      x={x - 15}
-                      y={decision.action === 'LONG' ? priceToY(candle.high) - 40 : priceToY(candle.low) + 20}
-                      width={candleWidth + 30}
-                      height={18}
-                      fill={decision.action === 'LONG' ? '#22c55e' : '#ef4444'}
-                      rx={4}
-                    />
-                    <text
-                      x={x + candleWidth / 2}
-                      y={decision.action === 'LONG' ? priceToY(candle.high) - 27 : priceToY(candle.low) + 33}
-                      textAnchor="middle"
-                      fill="white"
-                      fontSize="10"
-                      fontWeight="bold"
-                      fontFamily="JetBrains Mono"
-                    >
-                      {decision.action}
-                    </text>
-                  </g>
-                )}
-              </g>
-            )}
-
-            {/* Time labels (every 5 candles) */}
-            {i % 5 === 0 && (
-              <text
-                x={x + candleWidth / 2}
-                y={height - 15}
-                textAnchor="middle"
-                fill="#4a4a5a"
-                fontSize="9"
-                fontFamily="JetBrains Mono"
-              >
-                {formatTime(candle.time)}
-              </text>
-            )}
+              )}
+
+              {/* Confirmed pattern indicator */}
+              {hasPattern && (
+                <g>
+                  <circle
+                    cx={x + candleWidth / 2}
+                    cy={priceToY(candle.high) - 15}
+                    r={6}
+                    fill={
+                      patterns[0].type === 'bullish' ? '#22c55e' :
+                      patterns[0].type === 'bearish' ? '#ef4444' : '#fbbf24'
+                    }
+                    stroke="#0a0a0f"
+                    strokeWidth={2}
+                    className={patterns[0].strength === 'strong' ? 'animate-pulse' : ''}
+                  />
+                  
+                  {/* Signal badge */}
+                  {decision && decision.action !== 'WAIT' && (
+                    <g>
+                      <rect
+                        x={x - 15}
+                        y={decision.action === 'LONG' ? priceToY(candle.high) - 40 : priceToY(candle.low) + 20}
+                        width={candleWidth + 30}
+                        height={18}
+                        fill={decision.action === 'LONG' ? '#22c55e' : '#ef4444'}
+                        rx={4}
+                      />
+                      <text
+                        x={x + candleWidth / 2}
+                        y={decision.action === 'LONG' ? priceToY(candle.high) - 27 : priceToY(candle.low) + 33}
+                        textAnchor="middle"
+                        fill="white"
+                        fontSize="10"
+                        fontWeight="bold"
+                        fontFamily="JetBrains Mono"
+                      >
+                        {decision.action}
+                      </text>
+                    </g>
+                  )}
+                </g>
+              )}
+
+              {/* Time labels (every 5 candles) */}
+              {i % 5 === 0 && (
+                <text
+                  x={x + candleWidth / 2}
+                  y={height - 15}
+                  textAnchor="middle"
+                  fill="#4a4a5a"
+                  fontSize="9"
+                  fontFamily="JetBrains Mono"
+                >
+                  {formatTime(candle.time)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {/* Hover tooltip */}
+        {hoveredIndex !== null && (
+          <g>
+            <rect
+              x={padding.left + 10}
+              y={padding.top + 10}
+              width={200}
+              height={100}
+              fill="#14141f"
+              stroke="#2a2a3e"
+              strokeWidth={1}
+              rx={8}
+            />
+            <text x={padding.left + 20} y={padding.top + 32} fill="#9ca3af" fontSize="11" fontFamily="JetBrains Mono">
+              O: <tspan fill="white">{formatLevel(processedCandles[hoveredIndex].open)}</tspan>
+            </text>
+            <text x={padding.left + 20} y={padding.top + 50} fill="#22c55e" fontSize="11" fontFamily="JetBrains Mono">
+              H: <tspan fill="white">{formatLevel(processedCandles[hoveredIndex].high)}</tspan>
+            </text>
+            <text x={padding.left + 20} y={padding.top + 68} fill="#ef4444" fontSize="11" fontFamily="JetBrains Mono">
+              L: <tspan fill="white">{formatLevel(processedCandles[hoveredIndex].low)}</tspan>
+            </text>
+            <text x={padding.left + 20} y={padding.top + 86} fill="#9ca3af" fontSize="11" fontFamily="JetBrains Mono">
+              C: <tspan fill="white">{formatLevel(processedCandles[hoveredIndex].close)}</tspan>
+            </text>
+            <text x={padding.left + 110} y={padding.top + 50} fill="#9ca3af" fontSize="11" fontFamily="JetBrains Mono">
+              Vol: <tspan fill="white">{processedCandles[hoveredIndex].volume.toFixed(2)}</tspan>
+            </text>
           </g>
-        );
-      })}
+        )}
 
-      {/* Hover tooltip */}
-      {hoveredIndex !== null && (
-        <g>
-          <rect
-            x={padding.left + 10}
-            y={padding.top + 10}
-            width={200}
-            height={100}
-            fill="#14141f"
-            stroke="#2a2a3e"
-            strokeWidth={1}
-            rx={8}
-          />
-          <text x={padding.left + 20} y={padding.top + 32} fill="#9ca3af" fontSize="11" fontFamily="JetBrains Mono">
-            O: <tspan fill="white">{formatPrice(processedCandles[hoveredIndex].open)}</tspan>
-          </text>
-          <text x={padding.left + 20} y={padding.top + 50} fill="#22c55e" fontSize="11" fontFamily="JetBrains Mono">
-            H: <tspan fill="white">{formatPrice(processedCandles[hoveredIndex].high)}</tspan>
-          </text>
-          <text x={padding.left + 20} y={padding.top + 68} fill="#ef4444" fontSize="11" fontFamily="JetBrains Mono">
-            L: <tspan fill="white">{formatPrice(processedCandles[hoveredIndex].low)}</tspan>
-          </text>
-          <text x={padding.left + 20} y={padding.top + 86} fill="#9ca3af" fontSize="11" fontFamily="JetBrains Mono">
-            C: <tspan fill="white">{formatPrice(processedCandles[hoveredIndex].close)}</tspan>
-          </text>
-          <text x={padding.left + 110} y={padding.top + 50} fill="#9ca3af" fontSize="11" fontFamily="JetBrains Mono">
-            Vol: <tspan fill="white">{processedCandles[hoveredIndex].volume.toFixed(2)}</tspan>
-          </text>
-        </g>
-      )}
-    </svg>
+        {/* Indicator sub-panes */}
+        {activePanes.map(renderPane)}
+      </svg>
+    </div>
   );
 }
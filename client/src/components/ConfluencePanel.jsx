@@ -0,0 +1,77 @@
+import React from 'react';
+
+export function ConfluencePanel({ confluence, selectedTimeframe, onSelectTimeframe }) {
+  if (!confluence) return null;
+
+  const trendColor = (trend) => {
+    if (trend === 'BULLISH') return 'text-emerald-400';
+    if (trend === 'BEARISH') return 'text-red-400';
+    if (trend === 'MIXED') return 'text-yellow-400';
+    return 'text-gray-500';
+  };
+
+  const statusStyle = {
+    confirmed: 'bg-emerald-900/50 text-emerald-400',
+    downgraded: 'bg-yellow-900/50 text-yellow-400',
+    vetoed: 'bg-red-900/50 text-red-400 line-through'
+  };
+
+  const signalByTimeframe = Object.fromEntries(confluence.signals.map(s => [s.timeframe, s]));
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-400">MULTI-TIMEFRAME</h3>
+        <div className="flex items-center gap-2">
+          <span className={`text-xs font-medium ${trendColor(confluence.bias)}`}>{confluence.bias}</span>
+          <span className={`text-xs px-2 py-0.5 rounded font-bold ${
+            confluence.verdict === 'LONG'
+              ? 'bg-emerald-500/20 text-emerald-400'
+              : confluence.verdict === 'SHORT'
+                ? 'bg-red-500/20 text-red-400'
+                : 'bg-gray-700/50 text-gray-400'
+          }`}>
+            {confluence.verdict}
+            {confluence.primaryTimeframe && ` ${confluence.primaryTimeframe}`}
+          </span>
+        </div>
+      </div>
+
+      {/* Per-timeframe trend and signal */}
+      <div className="grid grid-cols-5 gap-1 mb-3">
+        {Object.entries(confluence.timeframes).map(([tf, frame]) => {
+          const signal = signalByTimeframe[tf];
+          return (
+            <button
+              key={tf}
+              onClick={() => onSelectTimeframe?.(tf)}
+              className={`p-2 rounded-lg text-center transition-all ${
+                selectedTimeframe === tf ? 'bg-blue-500/20 border border-blue-500/50' : 'bg-dark-700/50 hover:bg-dark-700'
+              }`}
+            >
+              <div className="text-xs text-gray-500">{tf}</div>
+              <div className={`text-xs font-medium ${trendColor(frame.trend)}`}>
+                {frame.trend === 'BULLISH' ? '▲' : frame.trend === 'BEARISH' ? '▼' : '•'}
+              </div>
+              {signal && (
+                <div className={`text-[10px] mt-1 px-1 rounded ${statusStyle[signal.status]}`}>
+                  {signal.action}
+                </div>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <ul className="space-y-1">
+        {confluence.reasoning.map((r, i) => (
+          <li key={i} className={`text-xs ${
+            r.startsWith('✓') ? 'text-emerald-400' : r.startsWith('⚠') ? 'text-yellow-400' : 'text-gray-400'
+          }`}>
+            {r}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
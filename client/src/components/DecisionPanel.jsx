@@ -1,6 +1,18 @@
 import React from 'react';
+import { formatPrice } from '../utils/formatPrice';
 
-export function DecisionPanel({ decision, patterns, instrument }) {
+export function DecisionPanel({
+  decision,
+  patterns,
+  provisional,
+  confirmedAt,
+  signalHistory = [],
+  instrument,
+  instrumentMeta,
+  liquidity,
+  timeframe,
+  strategyLabel
+}) {
   if (!decision) {
     return (
       <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
@@ -17,12 +29,12 @@ export function DecisionPanel({ decision, patterns, instrument }) {
   const isShort = decision.action === 'SHORT';
   const isWait = decision.action === 'WAIT';
 
-  const formatPrice = (price) => {
-    if (!price) return '-';
-    if (instrument?.includes('BTC')) return `$${(price / 1000).toFixed(2)}K`;
-    if (instrument?.includes('SUI')) return `$${price.toFixed(4)}`;
-    return `$${price.toFixed(2)}`;
-  };
+  const formatLevel = (price) => formatPrice(price, instrumentMeta);
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+  // Intrabar preview is only worth showing when it differs from "nothing"
+  const showProvisional = provisional &&
+    (provisional.patterns?.length > 0 || provisional.decision?.action !== 'WAIT');
 
   // Calculate risk metrics
   const riskPercent = decision.entry && decision.stopLoss
@@ -33,11 +45,47 @@ export function DecisionPanel({ decision, patterns, instrument }) {
     : 0;
   const rrRatio = riskPercent > 0 ? rewardPercent / riskPercent : 0;
 
+  // Order book walls near this timeframe's entry and stop
+  const walls = liquidity?.walls?.[timeframe];
+  const outsideBook = (price) => liquidity && price && (price < liquidity.coverage.low || price > liquidity.coverage.high);
+  const formatNotional = (value) => value >= 1e6 ? `$${(value / 1e6).toFixed(2)}M` : `$${(value / 1e3).toFixed(0)}K`;
+
+  const renderWalls = (label, price, levelWalls) => (
+    <div>
+      <span className="text-gray-500 text-xs">WALLS NEAR {label}</span>
+      {outsideBook(price) ? (
+        <p className="text-xs text-gray-600 mt-1">Level is outside the visible book</p>
+      ) : levelWalls?.length > 0 ? (
+        <ul className="mt-1 space-y-1">
+          {levelWalls.map((w, i) => (
+            <li key={i} className="flex justify-between text-xs">
+              <span className={w.side === 'bid' ? 'text-emerald-400' : 'text-red-400'}>
+                {w.side.toUpperCase()} {formatLevel(w.price)}
+                <span className="text-gray-500"> ({w.distancePct > 0 ? '+' : ''}{w.distancePct}%)</span>
+              </span>
+              <span className="text-gray-300">{formatNotional(w.notional)} <span className="text-gray-500">{w.multiple}x</span></span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-600 mt-1">No walls near this level</p>
+      )}
+    </div>
+  );
+
   return (
     <div className="space-y-4">
       {/* Main Signal */}
       <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
-        <h3 className="text-sm font-semibold text-gray-400 mb-3">LATEST SIGNAL</h3>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-400">
+            CONFIRMED SIGNAL
+            {strategyLabel && <span className="ml-2 text-xs font-normal text-gray-500">{strategyLabel}</span>}
+          </h3>
+          {confirmedAt && (
+            <span className="text-xs text-gray-500">candle {formatTime(confirmedAt)} closed</span>
+          )}
+        </div>
         
         {isWait ? (
           <div className="text-center py-6">
@@ -101,23 +149,23 @@ export function DecisionPanel({ decision, patterns, instrument }) {
             <div className="space-y-2 text-sm">
               <div className="flex justify-between items-center py-1 border-b border-gray-800">
                 <span className="text-gray-500">Entry</span>
-                <span className="text-emerald-400 font-medium">{formatPrice(decision.entry)}</span>
+                <span className="text-emerald-400 font-medium">{formatLevel(decision.entry)}</span>
               </div>
               <div className="flex justify-between items-center py-1 border-b border-gray-800">
                 <span className="text-gray-500">Stop Loss</span>
-                <span className="text-red-400 font-medium">{formatPrice(decision.stopLoss)}</span>
+                <span className="text-red-400 font-medium">{formatLevel(decision.stopLoss)}</span>
               </div>
               <div className="flex justify-between items-center py-1 border-b border-gray-800">
                 <span className="text-gray-500">Target 1</span>
-                <span className="text-blue-400 font-medium">{formatPrice(decision.target1)}</span>
+                <span className="text-blue-400 font-medium">{formatLevel(decision.target1)}</span>
               </div>
               <div className="flex justify-between items-center py-1 border-b border-gray-800">
                 <span className="text-gray-500">Target 2</span>
-                <span className="text-purple-400 font-medium">{formatPrice(decision.target2)}</span>
+                <span className="text-purple-400 font-medium">{formatLevel(decision.target2)}</span>
               </div>
               <div className="flex justify-between items-center py-1">
                 <span className="text-gray-500">Target 3</span>
-                <span className="text-pink-400 font-medium">{formatPrice(decision.target3)}</span>
+                <span className="text-pink-400 font-medium">{formatLevel(decision.target3)}</span>
               </div>
             </div>
 
@@ -142,6 +190,33 @@ export function DecisionPanel({ decision, patterns, instrument }) {
         )}
       </div>
 
+      {/* Intrabar preview - recomputed on every tick of the forming candle */}
+      {showProvisional && (
+        <div className="bg-dark-800 rounded-xl border border-dashed border-gray-700 p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-500">INTRABAR PREVIEW</h3>
+            <span className="text-xs text-gray-600">candle {formatTime(provisional.candleTime)} forming</span>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 opacity-70">
+            {provisional.decision?.action !== 'WAIT' && (
+              <span className={`text-xs font-bold px-2 py-0.5 rounded border ${
+                provisional.decision.action === 'LONG'
+                  ? 'border-emerald-700 text-emerald-400'
+                  : 'border-red-700 text-red-400'
+              }`}>
+                {provisional.decision.action} {provisional.decision.confidence?.toUpperCase()}
+              </span>
+            )}
+            {provisional.patterns.map((p, i) => (
+              <span key={i} className="text-xs px-2 py-0.5 rounded border border-dashed border-gray-600 text-gray-400">
+                {p.name}
+              </span>
+            ))}
+          </div>
+          <p className="text-xs text-gray-600 mt-2">Not actionable until the candle closes — may still change or vanish.</p>
+        </div>
+      )}
+
       {/* Risk Calculator */}
       {!isWait && (
         <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
@@ -213,6 +288,82 @@ export function DecisionPanel({ decision, patterns, instrument }) {
           </div>
         </div>
       )}
+
+      {/* Confirmed signal history */}
+      {signalHistory.length > 0 && (
+        <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
+          <h3 className="text-sm font-semibold text-gray-400 mb-3">CONFIRMED HISTORY</h3>
+          <ul className="space-y-1">
+            {signalHistory.slice(0, 5).map(s => (
+              <li key={s.candleTime} className="flex items-center justify-between text-xs">
+                <span className="text-gray-500">{formatTime(s.candleTime)}</span>
+                <span className="text-gray-400 truncate mx-2">{s.patterns.map(p => p.name).join(', ') || '—'}</span>
+                <span className={
+                  s.action === 'LONG' ? 'text-emerald-400' : s.action === 'SHORT' ? 'text-red-400' : 'text-gray-500'
+                }>
+                  {s.action}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Order Book Liquidity */}
+      {liquidity && (
+        <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
+          <h3 className="text-sm font-semibold text-gray-400 mb-3">LIQUIDITY</h3>
+
+          <div className="flex justify-between text-sm mb-3">
+            <span className="text-gray-500">Spread</span>
+            <span className="text-white">{liquidity.spreadBps.toFixed(2)}bps</span>
+          </div>
+
+          {/* Imbalance: +1 all bids, -1 all asks */}
+          <div className="space-y-2 mb-4">
+            {liquidity.imbalance.map(band => (
+              <div key={band.bandPct}>
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="text-gray-500">Imbalance ±{band.bandPct}%</span>
+                  <span className={band.imbalance > 0.1 ? 'text-emerald-400' : band.imbalance < -0.1 ? 'text-red-400' : 'text-gray-400'}>
+                    {band.imbalance > 0 ? '+' : ''}{(band.imbalance * 100).toFixed(0)}%
+                  </span>
+                </div>
+                <div className="h-1.5 bg-red-500/60 rounded-full overflow-hidden">
+                  <div className="h-full bg-emerald-500" style={{ width: `${(band.imbalance + 1) * 50}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {!isWait && walls && (
+            <div className="space-y-3 mb-4">
+              {renderWalls('ENTRY', decision.entry, walls.entry)}
+              {renderWalls('STOP', decision.stopLoss, walls.stopLoss)}
+            </div>
+          )}
+
+          {/* Estimated market order slippage */}
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left font-medium py-1">Slippage</th>
+                <th className="text-right font-medium py-1">Buy</th>
+                <th className="text-right font-medium py-1">Sell</th>
+              </tr>
+            </thead>
+            <tbody>
+              {liquidity.slippage.map(s => (
+                <tr key={s.size} className="border-t border-gray-800">
+                  <td className="py-1 text-gray-400">{formatNotional(s.size)}</td>
+                  <td className="py-1 text-right text-gray-300">{s.buy ? `${s.buy.slippageBps.toFixed(1)}bps` : '—'}</td>
+                  <td className="py-1 text-right text-gray-300">{s.sell ? `${s.sell.slippageBps.toFixed(1)}bps` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,15 +1,10 @@
 import React from 'react';
+import { formatPrice } from '../utils/formatPrice';
 
-export function MarketOverview({ tickers, selectedInstrument, onSelect }) {
+export function MarketOverview({ tickers, registry = {}, selectedInstrument, onSelect }) {
   // Get all instruments sorted by market cap/volume
   const instruments = Object.keys(tickers).sort();
 
-  const formatPrice = (price, instrument) => {
-    if (!price) return '-';
-    if (instrument.includes('BTC')) return `$${(price / 1000).toFixed(2)}K`;
-    return `$${price.toFixed(2)}`;
-  };
-
   const formatVolume = (volume) => {
     if (!volume) return '-';
     if (volume >= 1_000_000_000) return `$${(volume / 1_000_000_000).toFixed(2)}B`;
@@ -18,6 +13,29 @@ export function MarketOverview({ tickers, selectedInstrument, onSelect }) {
     return `$${volume.toFixed(2)}`;
   };
 
+  const venueStyle = (info) => {
+    if (info.outlier) return 'bg-red-500/20 text-red-400';
+    if (info.stale) return 'bg-yellow-500/20 text-yellow-400';
+    return 'bg-emerald-500/10 text-emerald-400';
+  };
+
+  const venueTitle = (venue, info) => {
+    const status = info.outlier
+      ? `rejected (${info.deviationPct > 0 ? '+' : ''}${info.deviationPct}% from median)`
+      : info.stale
+        ? 'stale'
+        : `weight ${(info.weight * 100).toFixed(0)}%`;
+    return `${venue}: ${info.rawPrice} ${info.quote}, ${(info.ageMs / 1000).toFixed(1)}s old, ${status}`;
+  };
+
+  const basisTitle = (ticker) => {
+    const lines = [`Aggregate rests on ${ticker.sources?.length || 0} venue(s), spread ${ticker.spreadPct}%`];
+    if (ticker.basis?.observedBps !== null && ticker.basis?.observedBps !== undefined) {
+      lines.push(`USD/USDT basis ${ticker.basis.observedBps} bps`);
+    }
+    return lines.join('\n');
+  };
+
   const getCoinColor = (symbol) => {
     const colors = {
       'BTC': 'text-orange-400',
@@ -91,7 +109,7 @@ export function MarketOverview({ tickers, selectedInstrument, onSelect }) {
                   {/* Price */}
                   <td className="py-3 px-4 text-right">
                     <span className="font-medium text-white">
-                      {formatPrice(ticker.price, instrument)}
+                      {formatPrice(ticker.price, registry[instrument])}
                     </span>
                   </td>
 
@@ -111,12 +129,12 @@ export function MarketOverview({ tickers, selectedInstrument, onSelect }) {
 
                   {/* 24h High */}
                   <td className="py-3 px-4 text-right text-sm text-gray-400">
-                    {ticker.high24h ? formatPrice(ticker.high24h, instrument) : '-'}
+                    {ticker.high24h ? formatPrice(ticker.high24h, registry[instrument]) : '-'}
                   </td>
 
                   {/* 24h Low */}
                   <td className="py-3 px-4 text-right text-sm text-gray-400">
-                    {ticker.low24h ? formatPrice(ticker.low24h, instrument) : '-'}
+                    {ticker.low24h ? formatPrice(ticker.low24h, registry[instrument]) : '-'}
                   </td>
 
                   {/* Volume */}
@@ -124,19 +142,24 @@ export function MarketOverview({ tickers, selectedInstrument, onSelect }) {
                     {formatVolume(ticker.volume)}
                   </td>
 
-                  {/* Sources */}
+                  {/* Sources - green: in the aggregate, yellow: stale, red: rejected outlier */}
                   <td className="py-3 px-4">
                     <div className="flex items-center justify-center gap-1">
-                      {ticker.sources && ticker.sources.length > 0 ? (
-                        ticker.sources.map((source) => (
-                          <span
-                            key={source}
-                            className="text-xs px-1.5 py-0.5 rounded bg-gray-800 text-gray-400"
-                            title={source}
-                          >
-                            {source.charAt(0)}
-                          </span>
-                        ))
+                      {ticker.venues && Object.keys(ticker.venues).length > 0 ? (
+                        <>
+                          {Object.entries(ticker.venues).map(([venue, info]) => (
+                            <span
+                              key={venue}
+                              className={`text-xs px-1.5 py-0.5 rounded ${venueStyle(info)}`}
+                              title={venueTitle(venue, info)}
+                            >
+                              {venue.charAt(0).toUpperCase()}
+                            </span>
+                          ))}
+                          {!ticker.reliable && (
+                            <span className="text-xs text-yellow-400" title={basisTitle(ticker)}>⚠</span>
+                          )}
+                        </>
                       ) : (
                         <span className="text-xs text-gray-600">-</span>
                       )}
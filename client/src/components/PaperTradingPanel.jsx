@@ -0,0 +1,200 @@
+import React from 'react';
+import { formatPrice } from '../utils/formatPrice';
+
+export function PaperTradingPanel({ account, registry = {}, onSelect }) {
+  if (!account) {
+    return (
+      <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
+        <h3 className="text-sm font-semibold text-gray-400 mb-3">PAPER TRADING</h3>
+        <p className="text-gray-500 text-sm">Waiting for account data...</p>
+      </div>
+    );
+  }
+
+  const formatInstrumentPrice = (price, instrument) => formatPrice(price, registry[instrument]);
+
+  const formatPnl = (pnl) => {
+    if (pnl === null || pnl === undefined) return '-';
+    const prefix = pnl >= 0 ? '+' : '-';
+    return `${prefix}$${Math.abs(pnl).toFixed(2)}`;
+  };
+
+  const pnlColor = (pnl) => pnl > 0 ? 'text-emerald-400' : pnl < 0 ? 'text-red-400' : 'text-gray-400';
+
+  const formatTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  };
+
+  const fillLabel = (fill) => {
+    if (fill.type === 'entry') return 'Entry filled';
+    if (fill.type === 'cancel') return fill.reason === 'expired' ? 'Order expired' : 'Order cancelled';
+    return {
+      target1: 'TP1 hit',
+      target2: 'TP2 hit',
+      target3: 'TP3 hit',
+      stop_loss: 'Stopped out',
+      breakeven: 'Breakeven stop'
+    }[fill.reason] || fill.reason;
+  };
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-gray-800 overflow-hidden">
+      <div className="p-4 border-b border-gray-800 flex items-center justify-between">
+        <h3 className="font-semibold text-gray-300 flex items-center gap-2">
+          <span>🧪</span> Paper Trading — Auto-Executed Signals
+        </h3>
+        <span className="text-xs text-gray-500">
+          Partial exits at TP1/TP2/TP3 • Stop to breakeven after TP1
+        </span>
+      </div>
+
+      {/* Account Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 p-4 border-b border-gray-800 bg-dark-900/50 text-center">
+        <div>
+          <div className="text-xs text-gray-500 mb-1">Balance</div>
+          <div className="text-lg font-semibold text-white">${account.balance.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500 mb-1">Equity</div>
+          <div className="text-lg font-semibold text-white">${account.equity.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500 mb-1">Realized P&L</div>
+          <div className={`text-lg font-semibold ${pnlColor(account.realizedPnl)}`}>
+            {formatPnl(account.realizedPnl)}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500 mb-1">Unrealized P&L</div>
+          <div className={`text-lg font-semibold ${pnlColor(account.unrealizedPnl)}`}>
+            {formatPnl(account.unrealizedPnl)}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500 mb-1">Win Rate</div>
+          <div className="text-lg font-semibold text-blue-400">
+            {account.stats.closedTrades > 0 ? `${account.stats.winRate}%` : '-'}
+            <span className="text-xs text-gray-500 ml-1">({account.stats.closedTrades})</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 p-4">
+        {/* Open Positions & Working Orders */}
+        <div className="lg:col-span-2 space-y-4">
+          <div>
+            <span className="text-gray-500 text-xs">OPEN POSITIONS</span>
+            {account.positions.length === 0 ? (
+              <p className="text-xs text-gray-600 mt-2">No open positions</p>
+            ) : (
+              <table className="w-full mt-2 text-xs">
+                <thead>
+                  <tr className="text-gray-500 border-b border-gray-800">
+                    <th className="text-left py-2">Pair</th>
+                    <th className="text-left py-2">Side</th>
+                    <th className="text-right py-2">Entry</th>
+                    <th className="text-right py-2">Stop</th>
+                    <th className="text-right py-2">Mark</th>
+                    <th className="text-center py-2">Targets</th>
+                    <th className="text-right py-2">Size</th>
+                    <th className="text-right py-2">P&L</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {account.positions.map(p => (
+                    <tr
+                      key={p.id}
+                      onClick={() => onSelect?.(p.instrument, p.timeframe)}
+                      className="border-b border-gray-800 cursor-pointer hover:bg-dark-700/50"
+                    >
+                      <td className="py-2 text-white">
+                        {p.instrument.replace('_', '/')}
+                        <span className="text-gray-500 ml-1">{p.timeframe}</span>
+                      </td>
+                      <td className={`py-2 font-medium ${p.direction === 'LONG' ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {p.direction}
+                      </td>
+                      <td className="py-2 text-right text-gray-300">{formatInstrumentPrice(p.entry, p.instrument)}</td>
+                      <td className="py-2 text-right text-red-400">
+                        {formatInstrumentPrice(p.stopLoss, p.instrument)}
+                        {p.stopLoss === p.entry && <span className="text-gray-500 ml-1">BE</span>}
+                      </td>
+                      <td className="py-2 text-right text-gray-300">{formatInstrumentPrice(p.markPrice, p.instrument)}</td>
+                      <td className="py-2">
+                        <div className="flex justify-center gap-1">
+                          {p.targets.map((_, i) => (
+                            <span
+                              key={i}
+                              className={`px-1.5 py-0.5 rounded ${
+                                i < p.targetsHit ? 'bg-blue-500/30 text-blue-300' : 'bg-gray-800 text-gray-500'
+                              }`}
+                            >
+                              TP{i + 1}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="py-2 text-right text-gray-400">{(p.remaining * 100).toFixed(0)}%</td>
+                      <td className={`py-2 text-right font-medium ${pnlColor(p.unrealizedPnl + p.realizedPnl)}`}>
+                        {formatPnl(p.unrealizedPnl + p.realizedPnl)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div>
+            <span className="text-gray-500 text-xs">WORKING ORDERS</span>
+            {account.orders.length === 0 ? (
+              <p className="text-xs text-gray-600 mt-2">No working orders</p>
+            ) : (
+              <div className="mt-2 space-y-1">
+                {account.orders.map(o => (
+                  <div
+                    key={o.id}
+                    onClick={() => onSelect?.(o.instrument, o.timeframe)}
+                    className="flex items-center justify-between text-xs py-1.5 px-2 rounded bg-dark-700/50 cursor-pointer hover:bg-dark-700"
+                  >
+                    <span className="text-white">
+                      {o.instrument.replace('_', '/')}
+                      <span className="text-gray-500 ml-1">{o.timeframe}</span>
+                    </span>
+                    <span className={o.direction === 'LONG' ? 'text-emerald-400' : 'text-red-400'}>
+                      {o.direction} stop @ {formatInstrumentPrice(o.entry, o.instrument)}
+                    </span>
+                    <span className="text-gray-500">SL {formatInstrumentPrice(o.stopLoss, o.instrument)}</span>
+                    <span className="text-gray-500">expires {formatTime(o.expiresAt)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Fill History */}
+        <div>
+          <span className="text-gray-500 text-xs">RECENT FILLS</span>
+          {account.fills.length === 0 ? (
+            <p className="text-xs text-gray-600 mt-2">No fills yet</p>
+          ) : (
+            <ul className="mt-2 space-y-1 max-h-64 overflow-y-auto">
+              {account.fills.map((f, i) => (
+                <li key={i} className="flex items-center justify-between text-xs py-1 border-b border-gray-800">
+                  <span className="text-gray-500">{formatTime(f.time)}</span>
+                  <span className="text-gray-300">
+                    {f.instrument.replace('_USDT', '')} {f.timeframe} {fillLabel(f)}
+                  </span>
+                  <span className={f.pnl !== null ? pnlColor(f.pnl) : 'text-gray-500'}>
+                    {f.pnl !== null ? formatPnl(f.pnl) : formatInstrumentPrice(f.price, f.instrument)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
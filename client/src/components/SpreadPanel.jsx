@@ -0,0 +1,153 @@
+import React, { useMemo } from 'react';
+
+const PAIR_COLORS = {
+  'binance/coinbase': '#3b82f6',
+  'binance/kraken': '#a855f7',
+  'coinbase/kraken': '#f59e0b'
+};
+
+export function SpreadPanel({ spreads, instrument }) {
+  const pairs = spreads?.history?.[instrument] || {};
+  const pairNames = Object.keys(pairs).sort();
+
+  // Chart dimensions
+  const width = 400;
+  const height = 180;
+  const padding = { top: 10, right: 10, bottom: 20, left: 45 };
+  const innerWidth = width - padding.left - padding.right;
+  const innerHeight = height - padding.top - padding.bottom;
+
+  const { minT, maxT, minBps, maxBps } = useMemo(() => {
+    const samples = Object.values(pairs).flat();
+    if (samples.length === 0) return { minT: 0, maxT: 1, minBps: -10, maxBps: 10 };
+
+    const bps = samples.map(s => s.bps);
+    const bound = Math.max(10, ...bps.map(Math.abs)) * 1.1;
+    return {
+      minT: Math.min(...samples.map(s => s.t)),
+      maxT: Math.max(...samples.map(s => s.t)),
+      minBps: -bound,
+      maxBps: bound
+    };
+  }, [pairs]);
+
+  const x = (t) => padding.left + ((t - minT) / Math.max(maxT - minT, 1)) * innerWidth;
+  const y = (bps) => padding.top + innerHeight - ((bps - minBps) / (maxBps - minBps)) * innerHeight;
+
+  const thresholdFor = (pair) => {
+    const [a, b] = pair.split('/');
+    return (spreads.feesBps[a] || 0) + (spreads.feesBps[b] || 0) + spreads.minEdgeBps;
+  };
+
+  const formatTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  };
+
+  const instrumentAlerts = (spreads?.alerts || []).filter(a => a.instrument === instrument).slice(0, 5);
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-gray-800 overflow-hidden h-full">
+      <div className="p-4 border-b border-gray-800">
+        <h3 className="font-semibold text-gray-300 flex items-center gap-2">
+          <span>💱</span> Cross-Exchange Spreads — {instrument.replace('_', '/')}
+        </h3>
+      </div>
+
+      {pairNames.length === 0 ? (
+        <p className="p-4 text-gray-500 text-sm">Waiting for quotes from two or more venues...</p>
+      ) : (
+        <div className="p-4">
+          <svg width="100%" viewBox={`0 0 ${width} ${height}`}>
+            {/* Zero line and axis labels */}
+            <line x1={padding.left} x2={width - padding.right} y1={y(0)} y2={y(0)} stroke="#374151" />
+            <text x={padding.left - 5} y={y(maxBps) + 4} textAnchor="end" fill="#6b7280" fontSize="10">
+              {maxBps.toFixed(0)}bps
+            </text>
+            <text x={padding.left - 5} y={y(0) + 4} textAnchor="end" fill="#6b7280" fontSize="10">0</text>
+            <text x={padding.left - 5} y={y(minBps) + 4} textAnchor="end" fill="#6b7280" fontSize="10">
+              {minBps.toFixed(0)}bps
+            </text>
+
+            {/* Fee-adjusted thresholds, drawn when they fit the current range */}
+            {pairNames.map(pair => {
+              const threshold = thresholdFor(pair);
+              if (threshold > maxBps) return null;
+              return [threshold, -threshold].map(level => (
+                <line
+                  key={`${pair}${level}`}
+                  x1={padding.left}
+                  x2={width - padding.right}
+                  y1={y(level)}
+                  y2={y(level)}
+                  stroke={PAIR_COLORS[pair] || '#06b6d4'}
+                  strokeDasharray="4 4"
+                  strokeOpacity="0.5"
+                />
+              ));
+            })}
+
+            {pairNames.map(pair => (
+              <polyline
+                key={pair}
+                fill="none"
+                stroke={PAIR_COLORS[pair] || '#06b6d4'}
+                strokeWidth="1.5"
+                points={pairs[pair].map(s => `${x(s.t)},${y(s.bps)}`).join(' ')}
+              />
+            ))}
+
+            <text x={padding.left} y={height - 4} fill="#6b7280" fontSize="10">{formatTime(minT)}</text>
+            <text x={width - padding.right} y={height - 4} textAnchor="end" fill="#6b7280" fontSize="10">
+              {formatTime(maxT)}
+            </text>
+          </svg>
+
+          {/* Latest spread, rolling mean and z-score per venue pair */}
+          <table className="w-full mt-3 text-xs">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left font-medium py-1">Pair</th>
+                <th className="text-right font-medium py-1">Spread</th>
+                <th className="text-right font-medium py-1">Mean</th>
+                <th className="text-right font-medium py-1">Z</th>
+                <th className="text-right font-medium py-1">Alert at</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pairNames.map(pair => {
+                const latest = pairs[pair][pairs[pair].length - 1];
+                return (
+                  <tr key={pair} className="border-t border-gray-800">
+                    <td className="py-1" style={{ color: PAIR_COLORS[pair] }}>{pair}</td>
+                    <td className="py-1 text-right text-gray-300">{latest.bps.toFixed(1)}bps</td>
+                    <td className="py-1 text-right text-gray-400">{latest.mean.toFixed(1)}</td>
+                    <td className={`py-1 text-right ${Math.abs(latest.z) >= 2 ? 'text-yellow-400' : 'text-gray-400'}`}>
+                      {latest.z.toFixed(2)}
+                    </td>
+                    <td className="py-1 text-right text-gray-500">±{thresholdFor(pair)}bps</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {instrumentAlerts.length > 0 && (
+        <div className="px-4 pb-4">
+          <h4 className="text-xs font-semibold text-gray-500 mb-2">ARBITRAGE ALERTS</h4>
+          <ul className="space-y-1">
+            {instrumentAlerts.map((a, i) => (
+              <li key={i} className="text-xs text-gray-300">
+                <span className="text-gray-500">{formatTime(a.time)}</span>{' '}
+                Buy {a.buyVenue}, sell {a.sellVenue}:{' '}
+                <span className="text-emerald-400">{a.spreadBps.toFixed(1)}bps</span>
+                <span className="text-gray-500"> (net {a.netBps.toFixed(1)}, z {a.zScore.toFixed(1)})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React from 'react';
+import { formatPrice } from '../utils/formatPrice';
+
+// Every loaded strategy's confirmed decision for the current chart, side by side
+export function StrategyPanel({ strategies, primary, errors = [], decisions = {}, provisional, selected, onSelect, instrumentMeta }) {
+  if (!strategies || strategies.length === 0) return null;
+
+  const actionStyle = (action) =>
+    action === 'LONG' ? 'text-emerald-400' : action === 'SHORT' ? 'text-red-400' : 'text-gray-500';
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-gray-800 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-400">STRATEGIES</h3>
+        <span className="text-xs text-gray-600">click to chart</span>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-medium py-1">Strategy</th>
+            <th className="text-left font-medium py-1">Signal</th>
+            <th className="text-right font-medium py-1">Entry</th>
+            <th className="text-right font-medium py-1">Stop</th>
+            <th className="text-right font-medium py-1">TP1</th>
+          </tr>
+        </thead>
+        <tbody>
+          {strategies.map(strategy => {
+            const decision = decisions[strategy.name];
+            const preview = provisional?.[strategy.name];
+            const isTrade = decision && decision.action !== 'WAIT';
+
+            return (
+              <tr
+                key={strategy.name}
+                onClick={() => onSelect?.(strategy.name)}
+                title={strategy.description}
+                className={`border-t border-gray-800 cursor-pointer ${
+                  selected === strategy.name ? 'bg-blue-500/10' : 'hover:bg-dark-700/50'
+                }`}
+              >
+                <td className="py-1.5 text-gray-300">
+                  {strategy.label}
+                  {strategy.name === primary && (
+                    <span className="ml-1 text-[10px] px-1 rounded bg-emerald-900/50 text-emerald-400">LIVE</span>
+                  )}
+                </td>
+                <td className="py-1.5">
+                  {decision ? (
+                    <span className={`font-bold ${actionStyle(decision.action)}`}>
+                      {decision.action}
+                      {isTrade && <span className="font-normal text-gray-500"> {decision.confidence}</span>}
+                    </span>
+                  ) : (
+                    <span className="text-gray-600">—</span>
+                  )}
+                  {preview && preview.action !== decision?.action && (
+                    <span className={`ml-1 opacity-60 ${actionStyle(preview.action)}`} title="Intrabar preview">
+                      ({preview.action})
+                    </span>
+                  )}
+                </td>
+                <td className="py-1.5 text-right text-gray-300">{isTrade ? formatPrice(decision.entry, instrumentMeta) : '—'}</td>
+                <td className="py-1.5 text-right text-red-400">{isTrade ? formatPrice(decision.stopLoss, instrumentMeta) : '—'}</td>
+                <td className="py-1.5 text-right text-blue-400">{isTrade ? formatPrice(decision.target1, instrumentMeta) : '—'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {errors.length > 0 && (
+        <div className="mt-2 space-y-0.5">
+          {errors.map(({ file, line, error }, i) => (
+            <div key={i} className="text-xs text-amber-400 truncate" title={error}>
+              ⚠ {file}{line ? `:${line}` : ''} {error}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-600 mt-2">
+        Paper trading, alerts and the signal log follow the LIVE strategy.
+      </p>
+    </div>
+  );
+}
@@ -1,16 +1,10 @@
 import React from 'react';
+import { formatPrice } from '../utils/formatPrice';
 
-export function TickerBar({ tickers, selectedInstrument, onSelect }) {
+export function TickerBar({ tickers, registry = {}, selectedInstrument, onSelect }) {
   // Get all available instruments from the tickers object
   const instruments = Object.keys(tickers).filter(key => tickers[key]?.price > 0);
 
-  const formatPrice = (price, instrument) => {
-    if (!price) return '-';
-    if (instrument.includes('BTC')) return `$${(price / 1000).toFixed(2)}K`;
-    if (instrument.includes('SUI')) return `$${price.toFixed(4)}`;
-    return `$${price.toFixed(2)}`;
-  };
-
   const formatChange = (change) => {
     if (!change && change !== 0) return '-';
     const prefix = change >= 0 ? '+' : '';
@@ -63,7 +57,7 @@ export function TickerBar({ tickers, selectedInstrument, onSelect }) {
               </div>
               <div className="flex items-center gap-2 mt-0.5">
                 <span className="text-sm text-white font-medium">
-                  {formatPrice(ticker.price, instrument)}
+                  {formatPrice(ticker.price, registry[instrument])}
                 </span>
                 <span className={`text-xs px-1.5 py-0.5 rounded ${
                   isPositive ? 'bg-emerald-500/20 text-emerald-400' : 'bg-red-500/20 text-red-400'
@@ -6,10 +6,22 @@ const WS_URL = import.meta.env.PROD
 
 export function useWebSocket() {
   const [isConnected, setIsConnected] = useState(false);
+  const [instruments, setInstruments] = useState({});
   const [tickers, setTickers] = useState({});
   const [candles, setCandles] = useState({});
+  const [candleSources, setCandleSources] = useState({});
   const [patterns, setPatterns] = useState({});
   const [decisions, setDecisions] = useState({});
+  // { primary, strategies: [{ name, label, description }], errors } and per key { [strategy]: decision }
+  const [strategies, setStrategies] = useState({ primary: 'default', strategies: [], errors: [] });
+  const [strategyDecisions, setStrategyDecisions] = useState({});
+  // Per key: { confirmedAt, provisional, history } - patterns/decisions hold the confirmed state
+  const [signals, setSignals] = useState({});
+  const [paperTrading, setPaperTrading] = useState(null);
+  const [confluence, setConfluence] = useState({});
+  const [alerts, setAlerts] = useState([]);
+  const [spreads, setSpreads] = useState({ history: {}, alerts: [], feesBps: {}, minEdgeBps: 0 });
+  const [orderBooks, setOrderBooks] = useState({});
   const [lastUpdate, setLastUpdate] = useState(null);
   
   const wsRef = useRef(null);
@@ -53,10 +65,27 @@ export function useWebSocket() {
 
     switch (type) {
       case 'init':
+        setInstruments(Object.fromEntries((data.instruments || []).map(i => [i.name, i])));
         setTickers(data.tickers || {});
         setCandles(data.candles || {});
         setPatterns(data.patterns || {});
         setDecisions(data.decisions || {});
+        if (data.strategies) setStrategies(data.strategies);
+        setStrategyDecisions(data.strategyDecisions || {});
+        setSignals(data.signals || {});
+        setPaperTrading(data.paperTrading || null);
+        setConfluence(data.confluence || {});
+        setAlerts(data.alerts?.history || []);
+        if (data.spreads) setSpreads(data.spreads);
+        setOrderBooks(data.orderBooks || {});
+        break;
+
+      case 'instruments':
+        // Instrument added or removed on the server - drop tickers that are gone
+        setInstruments(Object.fromEntries(data.map(i => [i.name, i])));
+        setTickers(prev => Object.fromEntries(
+          Object.entries(prev).filter(([name]) => data.some(i => i.name === name))
+        ));
         break;
 
       case 'ticker':
@@ -69,6 +98,13 @@ export function useWebSocket() {
       case 'candle_update':
         const key = `${data.instrument}_${data.timeframe}`;
         
+        if (data.source) {
+          setCandleSources(prev => ({
+            ...prev,
+            [key]: data.source
+          }));
+        }
+
         if (data.allCandles) {
           setCandles(prev => ({
             ...prev,
@@ -89,6 +125,71 @@ export function useWebSocket() {
             [key]: data.decision
           }));
         }
+
+        if (data.strategyDecisions) {
+          setStrategyDecisions(prev => ({
+            ...prev,
+            [key]: data.strategyDecisions
+          }));
+        }
+
+        setSignals(prev => {
+          const history = prev[key]?.history || [];
+          return {
+            ...prev,
+            [key]: {
+              confirmedAt: data.confirmedAt ?? null,
+              provisional: data.provisional ?? null,
+              history: data.signal ? [data.signal, ...history].slice(0, 100) : history
+            }
+          };
+        });
+        break;
+
+      case 'strategies':
+        // Strategy modules reloaded on the server
+        setStrategies({ primary: data.primary, strategies: data.strategies, errors: data.errors });
+        setStrategyDecisions(data.strategyDecisions || {});
+        break;
+
+      case 'confluence':
+        setConfluence(prev => ({
+          ...prev,
+          [data.instrument]: data
+        }));
+        break;
+
+      case 'paper_trading':
+        setPaperTrading(data);
+        break;
+
+      case 'spread_update':
+        setSpreads(prev => {
+          const pairs = prev.history[data.instrument] || {};
+          const series = [...(pairs[data.pair] || []), data.sample].slice(-720);
+          return {
+            ...prev,
+            history: { ...prev.history, [data.instrument]: { ...pairs, [data.pair]: series } }
+          };
+        });
+        break;
+
+      case 'orderbook':
+        setOrderBooks(prev => ({
+          ...prev,
+          [data.instrument]: data
+        }));
+        break;
+
+      case 'spread_alert':
+        setSpreads(prev => ({ ...prev, alerts: [data, ...prev.alerts].slice(0, 20) }));
+        break;
+
+      case 'alert':
+        setAlerts(prev => [data, ...prev].slice(0, 50));
+        if ('Notification' in window && Notification.permission === 'granted') {
+          new Notification(data.ruleName, { body: data.message, tag: data.id });
+        }
         break;
 
       case 'history':
@@ -136,10 +237,20 @@ export function useWebSocket() {
 
   return {
     isConnected,
+    instruments,
     tickers,
     candles,
+    candleSources,
     patterns,
     decisions,
+    strategies,
+    strategyDecisions,
+    signals,
+    paperTrading,
+    confluence,
+    alerts,
+    spreads,
+    orderBooks,
     lastUpdate,
     subscribe,
     getHistory
@@ -0,0 +1,7 @@
+// Price formatting driven by the server's instrument registry
+// (meta = { pricePrecision, compactPrice } from /api/instruments)
+export function formatPrice(price, meta) {
+  if (!price) return '-';
+  if (meta?.compactPrice) return `$${(price / 1000).toFixed(2)}K`;
+  return `$${price.toFixed(meta?.pricePrecision ?? 2)}`;
+}
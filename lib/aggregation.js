@@ -0,0 +1,148 @@
+/**
+ * Price Aggregation
+ *
+ * Combines per-venue quotes into one price per instrument:
+ *   1. Quotes older than maxQuoteAgeMs are dropped as stale
+ *   2. USD quotes are converted to USDT with the live USDT/USD rate
+ *   3. Quotes deviating from the median by more than maxDeviationPct are rejected
+ *   4. The remaining quotes are averaged, weighted by 24h volume or fixed venue weights
+ *
+ * Per-venue status and the USD/USDT basis are returned alongside the price so
+ * clients can tell when the aggregate rests on a single venue.
+ */
+
+// Quote currency of each venue's symbol (Coinbase and Kraken list USD pairs)
+const VENUE_QUOTES = { binance: 'USDT', coinbase: 'USD', kraken: 'USD' };
+
+const VENUE_LABELS = { binance: 'Binance', coinbase: 'Coinbase', kraken: 'Kraken' };
+
+const DEFAULT_AGGREGATION_POLICY = {
+  weighting: 'volume',          // 'volume' | 'fixed' | 'equal'
+  venueWeights: { binance: 1, coinbase: 1, kraken: 1 },  // used by 'fixed'
+  maxQuoteAgeMs: 10000,
+  maxDeviationPct: 0.5,
+  convertUsd: true,
+  maxRateAgeMs: 60000           // older USDT/USD rates are not used for conversion
+};
+
+class PriceAggregator {
+  // ===========================================================================
+  // AGGREGATE ONE INSTRUMENT
+  // quotes: { [venue]: { price, volume, time } }
+  // usdtRate: { rate, time } - price of 1 USDT in USD, or null
+  // ===========================================================================
+  static aggregate(quotes, usdtRate, policy = {}, now = Date.now()) {
+    const opts = { ...DEFAULT_AGGREGATION_POLICY, ...policy };
+    const rate = this.getUsableRate(usdtRate, opts, now);
+    const venues = {};
+    const fresh = [];
+
+    for (const [venue, quote] of Object.entries(quotes)) {
+      if (!quote || !(quote.price > 0)) continue;
+
+      const ageMs = now - quote.time;
+      const converted = VENUE_QUOTES[venue] === 'USD' && opts.convertUsd && rate
+        ? quote.price / rate
+        : quote.price;
+
+      venues[venue] = {
+        price: parseFloat(converted.toFixed(8)),
+        rawPrice: quote.price,
+        quote: VENUE_QUOTES[venue] || 'USDT',
+        volume: quote.volume || null,
+        ageMs,
+        stale: ageMs > opts.maxQuoteAgeMs,
+        outlier: false,
+        deviationPct: null,
+        weight: 0,
+        included: false
+      };
+
+      if (!venues[venue].stale) fresh.push(venue);
+    }
+
+    // Outlier rejection against the median of fresh quotes. With only two
+    // quotes the median is their midpoint, so both or neither are rejected -
+    // keep both and let `reliable` flag the disagreement instead.
+    const median = this.median(fresh.map(v => venues[v].price));
+    const accepted = fresh.filter(venue => {
+      const info = venues[venue];
+      info.deviationPct = parseFloat(((info.price - median) / median * 100).toFixed(4));
+      info.outlier = fresh.length > 2 && Math.abs(info.deviationPct) > opts.maxDeviationPct;
+      return !info.outlier;
+    });
+
+    const weights = this.getWeights(accepted, venues, opts);
+    const totalWeight = accepted.reduce((sum, v) => sum + weights[v], 0);
+
+    let price = 0;
+    if (totalWeight > 0) {
+      price = accepted.reduce((sum, v) => sum + venues[v].price * weights[v], 0) / totalWeight;
+      accepted.forEach(v => {
+        venues[v].weight = parseFloat((weights[v] / totalWeight).toFixed(4));
+        venues[v].included = true;
+      });
+    }
+
+    const spreadPct = accepted.length > 1
+      ? (Math.max(...accepted.map(v => venues[v].price)) - Math.min(...accepted.map(v => venues[v].price))) / median * 100
+      : 0;
+
+    return {
+      price: parseFloat(price.toFixed(8)),
+      sources: accepted.map(v => VENUE_LABELS[v] || v),
+      venues,
+      basis: this.getBasis(venues, usdtRate, rate),
+      spreadPct: parseFloat(spreadPct.toFixed(4)),
+      reliable: accepted.length >= 2 && spreadPct <= opts.maxDeviationPct
+    };
+  }
+
+  static getUsableRate(usdtRate, opts, now) {
+    if (!usdtRate || !(usdtRate.rate > 0)) return null;
+    if (now - usdtRate.time > opts.maxRateAgeMs) return null;
+    return usdtRate.rate;
+  }
+
+  static getWeights(accepted, venues, opts) {
+    const weights = {};
+    const hasVolume = accepted.every(v => venues[v].volume > 0);
+
+    accepted.forEach(v => {
+      if (opts.weighting === 'volume' && hasVolume) weights[v] = venues[v].volume;
+      else if (opts.weighting === 'equal') weights[v] = 1;
+      else weights[v] = opts.venueWeights[v] ?? 1;
+    });
+
+    return weights;
+  }
+
+  // USD/USDT basis: the quoted USDT/USD rate and the premium actually observed
+  // between USD venues and the USDT venue, in basis points
+  static getBasis(venues, usdtRate, usedRate) {
+    const usdtVenue = venues.binance?.included ? venues.binance : null;
+    const usdPrices = Object.values(venues)
+      .filter(v => v.quote === 'USD' && v.included)
+      .map(v => v.rawPrice);
+
+    const observedBps = usdtVenue && usdPrices.length > 0
+      ? (this.median(usdPrices) / usdtVenue.rawPrice - 1) * 10000
+      : null;
+
+    return {
+      usdtUsdRate: usdtRate?.rate ?? null,
+      rateBps: usdtRate?.rate ? parseFloat(((usdtRate.rate - 1) * 10000).toFixed(2)) : null,
+      observedBps: observedBps !== null ? parseFloat(observedBps.toFixed(2)) : null,
+      converted: usedRate !== null
+    };
+  }
+
+  static median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+}
+
+module.exports = { PriceAggregator, DEFAULT_AGGREGATION_POLICY, VENUE_QUOTES };
@@ -0,0 +1,56 @@
+/**
+ * Alert Sinks
+ *
+ * Factories for the delivery channels an AlertEngine can dispatch to. Each sink
+ * is an async (alert, rule) => void function.
+ */
+
+const { httpPostJson } = require('./http');
+
+// Generic HTTP webhook - POSTs the alert as JSON
+function createWebhookSink(defaultUrl) {
+  return async (alert, rule) => {
+    const url = rule.webhookUrl || defaultUrl;
+    if (!url) return;
+
+    const res = await httpPostJson(url, alert);
+    if (res.status >= 400) {
+      throw new Error(`Webhook responded ${res.status}`);
+    }
+  };
+}
+
+// SMTP email via nodemailer (only loaded when an email sink is configured)
+function createEmailSink({ host, port = 587, secure = false, user, pass, from, to }) {
+  const nodemailer = require('nodemailer');
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return async (alert) => {
+    await transport.sendMail({
+      from,
+      to,
+      subject: `[Trading Alert] ${alert.ruleName}`,
+      text: [
+        alert.message,
+        '',
+        `Instrument: ${alert.instrument}${alert.timeframe ? ` (${alert.timeframe})` : ''}`,
+        alert.price ? `Price: ${alert.price}` : null,
+        `Time: ${new Date(alert.time).toISOString()}`
+      ].filter(line => line !== null).join('\n')
+    });
+  };
+}
+
+// Browser notifications - pushed to dashboard clients over the WebSocket
+function createBrowserSink(broadcast) {
+  return async (alert) => {
+    broadcast('alert', alert);
+  };
+}
+
+module.exports = { createWebhookSink, createEmailSink, createBrowserSink };
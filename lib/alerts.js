@@ -0,0 +1,314 @@
+/**
+ * Alert Rule Engine
+ *
+ * Rules are persisted to a JSON file. Candle conditions (decision, pattern,
+ * rsi) are evaluated when a candle closes, against its confirmed analysis -
+ * never against intrabar previews; price_cross rules on every ticker. Fired
+ * alerts are de-duplicated per candle, rate limited by a per-rule cooldown and
+ * dispatched to pluggable sinks (webhook, email, browser).
+ *
+ * Rule shape:
+ *   {
+ *     id, name, enabled,
+ *     instrument: 'BTC_USDT' | null,      // null = any instrument
+ *     timeframe: '1h' | null,             // null = any timeframe
+ *     condition: { type: 'decision', action: 'LONG' | 'SHORT' | 'ANY', minConfidence }
+ *              | { type: 'pattern', name, patternType? }
+ *              | { type: 'rsi', operator: 'below' | 'above', value }
+ *              | { type: 'price_cross', level, direction: 'above' | 'below' | 'either' },
+ *     sinks: ['browser', 'webhook', 'email'],
+ *     webhookUrl?,                        // overrides the default webhook sink URL
+ *     cooldownMinutes: 15
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const CONDITION_TYPES = ['decision', 'pattern', 'rsi', 'price_cross'];
+const SINK_NAMES = ['browser', 'webhook', 'email'];
+const CONFIDENCE_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+const MAX_HISTORY = 200;
+
+class AlertEngine extends EventEmitter {
+  constructor(rulesFile) {
+    super();
+    this.rulesFile = rulesFile;
+    this.rules = [];
+    this.sinks = new Map();      // name -> async (alert, rule) => void
+    this.history = [];
+    this.lastFired = new Map();  // `${ruleId}:${instrument}_${timeframe}` -> time
+    this.firedCandles = new Set(); // `${ruleId}:${instrument}_${timeframe}:${candleTime}`
+    this.lastPrices = {};
+    this.missingSinks = new Set(); // Sink names already reported as not registered
+    this.load();
+  }
+
+  // ===========================================================================
+  // RULE PERSISTENCE
+  // ===========================================================================
+  load() {
+    try {
+      if (fs.existsSync(this.rulesFile)) {
+        const rules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        if (!Array.isArray(rules)) throw new Error('expected an array of rules');
+
+        // A hand-edited file may hold rules the API would have rejected
+        this.rules = rules.filter(rule => {
+          const errors = AlertEngine.validateRule(rule);
+          if (errors.length > 0) console.warn(`⚠️ Skipping alert rule ${rule?.id || rule?.name || '(no id)'}: ${errors.join('; ')}`);
+          return errors.length === 0;
+        }).map(rule => ({ enabled: true, sinks: ['browser'], cooldownMinutes: 15, ...rule }));
+      }
+    } catch (err) {
+      console.error('Alert rules load error:', err.message);
+      this.rules = [];
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.rulesFile), { recursive: true });
+    fs.writeFileSync(this.rulesFile, JSON.stringify(this.rules, null, 2));
+  }
+
+  static validateRule(rule) {
+    const errors = [];
+    const condition = rule?.condition;
+
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+      errors.push(`condition.type must be one of: ${CONDITION_TYPES.join(', ')}`);
+      return errors;
+    }
+
+    switch (condition.type) {
+      case 'decision':
+        if (!['LONG', 'SHORT', 'ANY'].includes(condition.action)) {
+          errors.push('condition.action must be LONG, SHORT or ANY');
+        }
+        if (condition.minConfidence && CONFIDENCE_RANK[condition.minConfidence] === undefined) {
+          errors.push('condition.minConfidence must be low, medium or high');
+        }
+        break;
+      case 'pattern':
+        if (!condition.name) errors.push('condition.name is required');
+        break;
+      case 'rsi':
+        if (!['below', 'above'].includes(condition.operator)) {
+          errors.push('condition.operator must be below or above');
+        }
+        if (typeof condition.value !== 'number') errors.push('condition.value must be a number');
+        break;
+      case 'price_cross':
+        if (!rule.instrument) errors.push('instrument is required for price_cross rules');
+        if (typeof condition.level !== 'number') errors.push('condition.level must be a number');
+        if (condition.direction && !['above', 'below', 'either'].includes(condition.direction)) {
+          errors.push('condition.direction must be above, below or either');
+        }
+        break;
+    }
+
+    if (rule.sinks !== undefined && !Array.isArray(rule.sinks)) {
+      errors.push('sinks must be an array');
+    } else {
+      const unknown = (rule.sinks || []).filter(name => !SINK_NAMES.includes(name));
+      if (unknown.length > 0) errors.push(`unknown sinks: ${unknown.join(', ')} (expected ${SINK_NAMES.join(', ')})`);
+    }
+    if (rule.cooldownMinutes !== undefined && !(rule.cooldownMinutes >= 0)) {
+      errors.push('cooldownMinutes must be a non-negative number');
+    }
+
+    return errors;
+  }
+
+  addRule(input) {
+    const errors = AlertEngine.validateRule(input);
+    if (errors.length > 0) return { errors };
+
+    const rule = {
+      id: crypto.randomUUID(),
+      name: input.name || this.describeCondition(input),
+      enabled: input.enabled !== false,
+      instrument: input.instrument || null,
+      timeframe: input.timeframe || null,
+      condition: input.condition,
+      sinks: input.sinks || ['browser'],
+      webhookUrl: input.webhookUrl || null,
+      cooldownMinutes: input.cooldownMinutes ?? 15,
+      createdAt: Date.now()
+    };
+
+    this.rules.push(rule);
+    this.save();
+    return { rule };
+  }
+
+  updateRule(id, changes) {
+    const index = this.rules.findIndex(r => r.id === id);
+    if (index < 0) return { notFound: true };
+
+    const updated = { ...this.rules[index], ...changes, id };
+    const errors = AlertEngine.validateRule(updated);
+    if (errors.length > 0) return { errors };
+
+    this.rules[index] = updated;
+    this.save();
+    return { rule: updated };
+  }
+
+  removeRule(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(r => r.id !== id);
+    if (this.rules.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  registerSink(name, handler) {
+    this.sinks.set(name, handler);
+  }
+
+  // ===========================================================================
+  // EVALUATION
+  // ===========================================================================
+  evaluateCandleUpdate({ instrument, timeframe, candle, patterns, decision }) {
+    for (const rule of this.rules) {
+      if (!this.appliesTo(rule, instrument, timeframe)) continue;
+
+      const message = this.matchCandleCondition(rule.condition, patterns, decision, instrument, timeframe);
+      if (!message) continue;
+
+      // A closed candle can be confirmed again (a repeated or revised closed kline) - fire at most once per candle
+      const candleKey = `${rule.id}:${instrument}_${timeframe}:${candle?.t}`;
+      if (this.firedCandles.has(candleKey)) continue;
+
+      if (this.fire(rule, { instrument, timeframe, message, price: parseFloat(candle?.c) || null, decision })) {
+        this.firedCandles.add(candleKey);
+        if (this.firedCandles.size > 5000) {
+          this.firedCandles = new Set([...this.firedCandles].slice(-2500));
+        }
+      }
+    }
+  }
+
+  evaluateTicker({ instrument, price }) {
+    const previous = this.lastPrices[instrument];
+    this.lastPrices[instrument] = price;
+    if (!previous || !price) return;
+
+    for (const rule of this.rules) {
+      if (rule.condition.type !== 'price_cross' || !this.appliesTo(rule, instrument, null)) continue;
+
+      const { level, direction = 'either' } = rule.condition;
+      const crossedUp = previous < level && price >= level;
+      const crossedDown = previous > level && price <= level;
+
+      if ((crossedUp && direction !== 'below') || (crossedDown && direction !== 'above')) {
+        this.fire(rule, {
+          instrument,
+          timeframe: null,
+          message: `${instrument.replace('_', '/')} crossed ${crossedUp ? 'above' : 'below'} ${level}`,
+          price
+        });
+      }
+    }
+  }
+
+  appliesTo(rule, instrument, timeframe) {
+    if (!rule.enabled) return false;
+    if (rule.instrument && rule.instrument !== instrument) return false;
+    if (timeframe && rule.timeframe && rule.timeframe !== timeframe) return false;
+    return true;
+  }
+
+  matchCandleCondition(condition, patterns, decision, instrument, timeframe) {
+    const label = `${instrument.replace('_', '/')} ${timeframe}`;
+
+    switch (condition.type) {
+      case 'decision': {
+        if (!decision || (decision.action !== 'LONG' && decision.action !== 'SHORT')) return null;
+        if (condition.action !== 'ANY' && decision.action !== condition.action) return null;
+        if ((CONFIDENCE_RANK[decision.confidence] || 0) < (CONFIDENCE_RANK[condition.minConfidence] || 0)) return null;
+        return `${label}: ${decision.action} signal (${decision.confidence}) - entry ${decision.entry}, stop ${decision.stopLoss}`;
+      }
+      case 'pattern': {
+        const name = condition.name.toLowerCase();
+        const match = (patterns || []).find(p =>
+          p.name.toLowerCase() === name && (!condition.patternType || p.type === condition.patternType)
+        );
+        return match ? `${label}: ${match.name} detected - ${match.description}` : null;
+      }
+      case 'rsi': {
+        const rsi = decision?.indicatorSignals?.rsi?.value;
+        if (rsi === undefined || rsi === null) return null;
+        const hit = condition.operator === 'below' ? rsi < condition.value : rsi > condition.value;
+        return hit ? `${label}: RSI ${rsi} ${condition.operator} ${condition.value}` : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  fire(rule, { instrument, timeframe, message, price, decision = null }) {
+    const now = Date.now();
+    const cooldownKey = `${rule.id}:${instrument}_${timeframe}`;
+    const lastFired = this.lastFired.get(cooldownKey) || 0;
+
+    if (now - lastFired < rule.cooldownMinutes * 60 * 1000) return false;
+    this.lastFired.set(cooldownKey, now);
+
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      instrument,
+      timeframe,
+      message,
+      price,
+      action: decision?.action || null,
+      confidence: decision?.confidence || null,
+      time: now
+    };
+
+    this.history.unshift(alert);
+    if (this.history.length > MAX_HISTORY) this.history.length = MAX_HISTORY;
+
+    this.emit('alert', alert);
+    this.dispatch(alert, rule);
+    return true;
+  }
+
+  dispatch(alert, rule) {
+    for (const sinkName of rule.sinks) {
+      const sink = this.sinks.get(sinkName);
+      if (!sink) {
+        // e.g. email without SMTP configured - say so once rather than drop alerts silently
+        if (!this.missingSinks.has(sinkName)) {
+          this.missingSinks.add(sinkName);
+          console.warn(`⚠️ Alert sink "${sinkName}" is not configured - rule "${rule.name}" will not deliver to it`);
+        }
+        continue;
+      }
+
+      Promise.resolve()
+        .then(() => sink(alert, rule))
+        .catch(err => console.error(`Alert sink "${sinkName}" failed:`, err.message));
+    }
+  }
+
+  describeCondition(rule) {
+    const c = rule.condition;
+    const scope = [rule.instrument, rule.timeframe].filter(Boolean).join(' ') || 'Any instrument';
+
+    switch (c.type) {
+      case 'decision': return `${scope}: ${c.action} decision${c.minConfidence ? ` (${c.minConfidence}+)` : ''}`;
+      case 'pattern': return `${scope}: ${c.name}`;
+      case 'rsi': return `${scope}: RSI ${c.operator} ${c.value}`;
+      case 'price_cross': return `${scope}: price crosses ${c.direction || 'either'} ${c.level}`;
+      default: return scope;
+    }
+  }
+}
+
+module.exports = { AlertEngine };
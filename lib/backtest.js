@@ -0,0 +1,295 @@
+/**
+ * Backtesting Engine
+ *
+ * Replays PatternRecognizer decisions bar by bar over historical candles and
+ * simulates stop-entry fills, stop-loss and partial target exits
+ */
+
+const { PatternRecognizer } = require('./patterns');
+
+const CONFIDENCE_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+
+const DEFAULT_OPTIONS = {
+  lookback: 100,                      // Candles visible to the recognizer (matches the live rolling window)
+  warmup: 30,                         // Bars skipped before the first decision (indicators need 30+)
+  entryExpiry: 3,                     // Bars a stop-entry order stays working before it is cancelled
+  minConfidence: 'low',               // Ignore decisions below this confidence
+  exitFractions: [1 / 3, 1 / 3, 1 / 3], // Position fraction closed at target1/2/3
+  breakevenAfterTP1: true,            // Move stop to entry once TP1 fills
+  initialCapital: 10000,
+  riskPercent: 1,                     // Capital risked per trade
+  feeRate: 0,                         // Per-side fee as a fraction of notional
+  strategy: null,                     // Strategy module (see lib/strategies.js); null uses the default
+  params: {}                          // Pattern threshold and strategy parameter overrides (see lib/optimizer.js)
+};
+
+class Backtester {
+  // ===========================================================================
+  // RUN A BACKTEST OVER A CANDLE SERIES
+  // ===========================================================================
+  static run(candles, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const minRank = CONFIDENCE_RANK[opts.minConfidence] ?? CONFIDENCE_RANK.low;
+
+    const trades = [];
+    const equityCurve = [];
+    let equity = opts.initialCapital;
+    let pendingOrder = null;
+    let position = null;
+
+    if (candles.length > 0) {
+      equityCurve.push({ t: candles[0].t, equity });
+    }
+
+    for (let i = Math.max(opts.warmup, 3); i < candles.length; i++) {
+      const bar = this.parseBar(candles[i]);
+
+      // 1. Try to fill the working stop-entry order on this bar
+      if (pendingOrder && !position) {
+        const fillPrice = this.getStopEntryFill(pendingOrder, bar);
+
+        if (fillPrice !== null) {
+          position = this.openPosition(pendingOrder, fillPrice, candles[i].t, opts);
+          position.riskAmount = equity * (opts.riskPercent / 100);
+          pendingOrder = null;
+          // Price action after the fill is all we know about the rest of this bar
+          bar.o = fillPrice;
+        } else if (i - pendingOrder.barIndex >= opts.entryExpiry) {
+          pendingOrder = null;
+        }
+      }
+
+      // 2. Manage the open position against this bar
+      if (position) {
+        this.updatePosition(position, bar, candles[i].t, opts);
+
+        if (position.remaining <= 0) {
+          const trade = this.closeTrade(position, opts);
+          equity += trade.pnl;
+          trades.push(trade);
+          equityCurve.push({ t: trade.exitTime, equity: parseFloat(equity.toFixed(2)) });
+          position = null;
+        }
+      }
+
+      // 3. Generate a decision from closed bars only and queue a stop-entry order
+      if (!position && !pendingOrder) {
+        const window = candles.slice(Math.max(0, i + 1 - opts.lookback), i + 1);
+        const latest = window[window.length - 1];
+        const patterns = PatternRecognizer.analyzeCandle(latest, window.length - 1, window, opts.params);
+        const decision = PatternRecognizer.generateDecision(patterns, latest, window, { strategy: opts.strategy, params: opts.params });
+
+        if ((decision.action === 'LONG' || decision.action === 'SHORT') &&
+            (CONFIDENCE_RANK[decision.confidence] || 0) >= minRank) {
+          pendingOrder = {
+            direction: decision.action,
+            confidence: decision.confidence,
+            patterns: patterns.map(p => p.name),
+            entry: decision.entry,
+            stopLoss: decision.stopLoss,
+            targets: [decision.target1, decision.target2, decision.target3],
+            signalTime: latest.t,
+            barIndex: i
+          };
+        }
+      }
+    }
+
+    // Close anything still open at the last available price
+    if (position) {
+      const last = candles[candles.length - 1];
+      this.exitPosition(position, parseFloat(last.c), position.remaining, 'end_of_data', last.t);
+      const trade = this.closeTrade(position, opts);
+      equity += trade.pnl;
+      trades.push(trade);
+      equityCurve.push({ t: trade.exitTime, equity: parseFloat(equity.toFixed(2)) });
+    }
+
+    return {
+      options: opts,
+      candles: candles.length,
+      from: candles[0]?.t ?? null,
+      to: candles[candles.length - 1]?.t ?? null,
+      trades,
+      stats: this.calculateStats(trades, equityCurve, opts.initialCapital),
+      equityCurve
+    };
+  }
+
+  static parseBar(candle) {
+    return {
+      o: parseFloat(candle.o),
+      h: parseFloat(candle.h),
+      l: parseFloat(candle.l),
+      c: parseFloat(candle.c)
+    };
+  }
+
+  // Stop-entry orders fill at the trigger, or at the open if the bar gaps through it
+  static getStopEntryFill(order, bar) {
+    if (order.direction === 'LONG' && bar.h >= order.entry) {
+      return Math.max(order.entry, bar.o);
+    }
+    if (order.direction === 'SHORT' && bar.l <= order.entry) {
+      return Math.min(order.entry, bar.o);
+    }
+    return null;
+  }
+
+  // ===========================================================================
+  // POSITION MANAGEMENT
+  // Shared by the backtester and anything else that simulates fills
+  // ===========================================================================
+  static openPosition(order, fillPrice, time, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+
+    return {
+      direction: order.direction,
+      confidence: order.confidence,
+      patterns: order.patterns || [],
+      signalTime: order.signalTime,
+      entryTime: time,
+      entry: fillPrice,
+      plannedEntry: order.entry,
+      stopLoss: order.stopLoss,
+      initialStop: order.stopLoss,
+      targets: order.targets,
+      exitFractions: opts.exitFractions,
+      targetsHit: 0,
+      remaining: 1,
+      exits: []
+    };
+  }
+
+  // Apply one bar (or a tick expressed as o = h = l = c) to an open position.
+  // When a bar spans both the stop and a target we assume the stop filled first.
+  static updatePosition(position, bar, time, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const isLong = position.direction === 'LONG';
+
+    const stopHit = isLong ? bar.l <= position.stopLoss : bar.h >= position.stopLoss;
+    if (stopHit) {
+      const price = isLong ? Math.min(position.stopLoss, bar.o) : Math.max(position.stopLoss, bar.o);
+      const reason = position.stopLoss === position.entry ? 'breakeven' : 'stop_loss';
+      this.exitPosition(position, price, position.remaining, reason, time);
+      return position;
+    }
+
+    while (position.remaining > 0 && position.targetsHit < position.targets.length) {
+      const target = position.targets[position.targetsHit];
+      const targetHit = isLong ? bar.h >= target : bar.l <= target;
+      if (!targetHit) break;
+
+      const isLastTarget = position.targetsHit === position.targets.length - 1;
+      const fraction = isLastTarget
+        ? position.remaining
+        : Math.min(position.remaining, position.exitFractions[position.targetsHit]);
+
+      this.exitPosition(position, target, fraction, `target${position.targetsHit + 1}`, time);
+      position.targetsHit++;
+
+      if (position.targetsHit === 1 && opts.breakevenAfterTP1) {
+        position.stopLoss = position.entry;
+      }
+    }
+
+    return position;
+  }
+
+  static exitPosition(position, price, fraction, reason, time) {
+    position.exits.push({ reason, price, fraction, time });
+    position.remaining = Math.max(0, position.remaining - fraction);
+    if (position.remaining < 1e-9) position.remaining = 0;
+  }
+
+  // Price P&L per unit of size, net of fees
+  static positionPnlPerUnit(position, feeRate = 0) {
+    const direction = position.direction === 'LONG' ? 1 : -1;
+    let pnl = 0;
+    let fees = 0;
+
+    for (const exit of position.exits) {
+      pnl += (exit.price - position.entry) * direction * exit.fraction;
+      fees += (position.entry + exit.price) * exit.fraction * feeRate;
+    }
+    return pnl - fees;
+  }
+
+  static closeTrade(position, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const risk = Math.abs(position.entry - position.initialStop);
+    const pnlPerUnit = this.positionPnlPerUnit(position, opts.feeRate);
+    const rMultiple = risk > 0 ? pnlPerUnit / risk : 0;
+    const riskAmount = position.riskAmount ?? opts.initialCapital * (opts.riskPercent / 100);
+    const lastExit = position.exits[position.exits.length - 1];
+
+    return {
+      direction: position.direction,
+      confidence: position.confidence,
+      patterns: position.patterns,
+      signalTime: position.signalTime,
+      entryTime: position.entryTime,
+      exitTime: lastExit.time,
+      entry: position.entry,
+      stopLoss: position.initialStop,
+      targets: position.targets,
+      exits: position.exits,
+      exitReason: lastExit.reason,
+      targetsHit: position.targetsHit,
+      rMultiple: parseFloat(rMultiple.toFixed(3)),
+      pnlPercent: parseFloat(((pnlPerUnit / position.entry) * 100).toFixed(3)),
+      pnl: parseFloat((rMultiple * riskAmount).toFixed(2))
+    };
+  }
+
+  // ===========================================================================
+  // PERFORMANCE STATISTICS
+  // ===========================================================================
+  static calculateStats(trades, equityCurve, initialCapital) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl < 0);
+
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const totalR = trades.reduce((sum, t) => sum + t.rMultiple, 0);
+
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+
+    for (const point of equityCurve) {
+      if (point.equity > peak) peak = point.equity;
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPercent = (drawdown / peak) * 100;
+      }
+    }
+
+    const finalEquity = equityCurve.length > 0
+      ? equityCurve[equityCurve.length - 1].equity
+      : initialCapital;
+
+    return {
+      totalTrades: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: trades.length > 0 ? parseFloat(((wins.length / trades.length) * 100).toFixed(2)) : 0,
+      expectancy: trades.length > 0 ? parseFloat((totalR / trades.length).toFixed(3)) : 0,
+      averageWinR: wins.length > 0
+        ? parseFloat((wins.reduce((sum, t) => sum + t.rMultiple, 0) / wins.length).toFixed(3))
+        : 0,
+      averageLossR: losses.length > 0
+        ? parseFloat((losses.reduce((sum, t) => sum + t.rMultiple, 0) / losses.length).toFixed(3))
+        : 0,
+      profitFactor: grossLoss > 0 ? parseFloat((grossProfit / grossLoss).toFixed(3)) : null,
+      netProfit: parseFloat((finalEquity - initialCapital).toFixed(2)),
+      returnPercent: parseFloat((((finalEquity - initialCapital) / initialCapital) * 100).toFixed(2)),
+      maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
+      maxDrawdownPercent: parseFloat(maxDrawdownPercent.toFixed(2)),
+      finalEquity
+    };
+  }
+}
+
+module.exports = { Backtester, DEFAULT_BACKTEST_OPTIONS: DEFAULT_OPTIONS };
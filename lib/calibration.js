@@ -0,0 +1,232 @@
+/**
+ * Pattern Calibration
+ *
+ * Measures how often each pattern's call actually played out, per
+ * instrument/timeframe, by replaying the stored candle history through
+ * PatternRecognizer.analyzeCandle. Every bullish or bearish pattern opens an
+ * observation at its candle's close with two barriers `atrMultiple` ATRs away:
+ *
+ *   hit     the barrier in the predicted direction is reached first
+ *   miss    the opposite barrier is reached first (or both on the same bar)
+ *   expired neither within `maxBars` bars - left out of the hit rate
+ *
+ * With symmetric barriers a coin flip hits 50% of the time, so that is the
+ * prior: a pattern's probability is its hit rate shrunk towards 50% by
+ * `priorWeight` pseudo-observations, and rates above 50% are an edge.
+ *
+ * annotate() attaches { hitRate, samples, probability } to live patterns;
+ * scoreDecision() turns the probabilities of the patterns behind a trade into
+ * decision.probability and, by default, replaces the strategy's confidence
+ * label with one derived from it.
+ */
+
+const { TechnicalIndicators } = require('./indicators');
+
+const DEFAULT_OPTIONS = {
+  atrMultiple: 1,             // Barrier distance either side of the close, in ATRs
+  maxBars: 20,                // Bars an observation waits for a barrier
+  lookback: 100,              // Candles analyzeCandle sees for each replayed candle
+  historyCandles: 1000,       // Stored candles replayed when a series is first seen
+  replayChunk: 50,            // Candles replay() processes between yields to the event loop
+  minSamples: 10,             // Resolved observations before a pattern's rate is used
+  priorWeight: 10,            // Pseudo-observations at 50% blended into each rate
+  calibratedConfidence: true, // Replace the strategy's confidence label with the calibrated one
+  highProbability: 0.6,       // Probability for 'high' confidence...
+  mediumProbability: 0.53     // ...and 'medium' (anything lower is 'low')
+};
+
+const DIRECTIONS = { bullish: 1, bearish: -1 };
+
+class PatternCalibration {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.series = new Map();  // key -> { lastTime, open: [observations], stats: { [pattern]: counts }, replaying }
+  }
+
+  // ===========================================================================
+  // REPLAY
+  // Closed candles newer than the last one seen are replayed: each first
+  // resolves the open observations, then opens its own patterns' observations
+  // ===========================================================================
+  update(key, candles) {
+    const series = this.seriesFor(key);
+    if (series.replaying) return this.getStats(key);
+
+    const { replay, from } = this.pending(series, candles);
+    for (let i = from; i < replay.length; i++) this.step(series, replay, i);
+
+    return this.getStats(key);
+  }
+
+  // update() for long histories: yields to the event loop every `replayChunk`
+  // candles. update() leaves the series alone meanwhile and catches up from
+  // the last replayed candle afterwards
+  async replay(key, candles) {
+    const series = this.seriesFor(key);
+    if (series.replaying) return this.getStats(key);
+
+    series.replaying = true;
+    try {
+      const { replay, from } = this.pending(series, candles);
+      for (let i = from; i < replay.length; i++) {
+        this.step(series, replay, i);
+        if ((i - from + 1) % this.options.replayChunk === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+    } finally {
+      series.replaying = false;
+    }
+
+    return this.getStats(key);
+  }
+
+  seriesFor(key) {
+    if (!this.series.has(key)) this.series.set(key, { lastTime: -Infinity, open: [], stats: {}, replaying: false });
+    return this.series.get(key);
+  }
+
+  // The closed candles to replay, with up to `lookback` earlier ones for context
+  pending(series, candles) {
+    const closed = candles.filter(c => c.isClosed !== false && c.t > series.lastTime);
+    if (closed.length === 0) return { replay: [], from: 0 };
+
+    const startIndex = candles.indexOf(closed[0]);
+    const replay = candles.slice(Math.max(0, startIndex - this.options.lookback), startIndex + closed.length)
+      .filter(c => c.isClosed !== false);
+    return { replay, from: replay.length - closed.length };
+  }
+
+  step(series, candles, index) {
+    this.resolve(series, candles[index]);
+    if (index >= 15) this.observe(series, candles, index);
+    series.lastTime = candles[index].t;
+  }
+
+  resolve(series, candle) {
+    const high = parseFloat(candle.h);
+    const low = parseFloat(candle.l);
+
+    series.open = series.open.filter(obs => {
+      const favourable = obs.direction === 1 ? high >= obs.win : low <= obs.win;
+      const adverse = obs.direction === 1 ? low <= obs.lose : high >= obs.lose;
+      obs.bars++;
+
+      // Both barriers inside one bar count against the pattern (order unknown)
+      const outcome = adverse ? 'misses' : favourable ? 'hits' : obs.bars >= this.options.maxBars ? 'expired' : null;
+      if (!outcome) return true;
+      series.stats[obs.pattern][outcome]++;
+      return false;
+    });
+  }
+
+  observe(series, candles, index) {
+    // Required here: patterns.js requires this module for scoreDecision
+    const { PatternRecognizer } = require('./patterns');
+    const window = candles.slice(Math.max(0, index - this.options.lookback + 1), index + 1);
+    const patterns = PatternRecognizer.analyzeCandle(window[window.length - 1], window.length - 1, window)
+      .filter(p => DIRECTIONS[p.type]);
+    if (patterns.length === 0) return;
+
+    const recent = candles.slice(index - 15, index + 1);
+    const atr = TechnicalIndicators.ATR(
+      recent.map(c => parseFloat(c.h)),
+      recent.map(c => parseFloat(c.l)),
+      recent.map(c => parseFloat(c.c))
+    )?.atr;
+    if (!atr) return;
+
+    const close = parseFloat(candles[index].c);
+    const distance = atr * this.options.atrMultiple;
+
+    for (const { name, type } of patterns) {
+      const direction = DIRECTIONS[type];
+      if (!series.stats[name]) series.stats[name] = { type, hits: 0, misses: 0, expired: 0 };
+      series.open.push({
+        pattern: name,
+        direction,
+        win: close + distance * direction,
+        lose: close - distance * direction,
+        bars: 0
+      });
+    }
+  }
+
+  has(key) {
+    return this.series.has(key);
+  }
+
+  delete(key) {
+    this.series.delete(key);
+  }
+
+  // ===========================================================================
+  // RATES
+  // ===========================================================================
+  rate({ hits, misses }) {
+    const samples = hits + misses;
+    const { priorWeight } = this.options;
+    return {
+      hitRate: samples > 0 ? parseFloat((hits / samples * 100).toFixed(1)) : null,
+      samples,
+      probability: parseFloat(((hits + priorWeight * 0.5) / (samples + priorWeight)).toFixed(3))
+    };
+  }
+
+  // { [pattern]: { type, hits, misses, expired, hitRate, samples, probability } }
+  getStats(key) {
+    const series = this.series.get(key);
+    if (!series) return {};
+    return Object.fromEntries(Object.entries(series.stats).map(([name, counts]) =>
+      [name, { ...counts, ...this.rate(counts) }]
+    ));
+  }
+
+  // Copies of the patterns with their series' calibration (directional patterns only)
+  annotate(key, patterns) {
+    const stats = this.series.get(key)?.stats || {};
+    return patterns.map(p => (stats[p.name] && DIRECTIONS[p.type]
+      ? { ...p, calibration: this.rate(stats[p.name]) }
+      : p
+    ));
+  }
+
+  // ===========================================================================
+  // DECISIONS
+  // decision.probability is the mean probability of the calibrated patterns
+  // behind the trade (opposing patterns count as 1 - p). Returns the
+  // reasoning line; mutates the decision
+  // ===========================================================================
+  static scoreDecision(decision, patterns, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    if (decision.action === 'WAIT') return [];
+
+    const side = decision.action === 'LONG' ? 1 : -1;
+    const evidence = patterns.filter(p => p.calibration && DIRECTIONS[p.type] && p.calibration.samples >= opts.minSamples);
+    if (evidence.length === 0) return [];
+
+    const probabilities = evidence.map(p =>
+      DIRECTIONS[p.type] === side ? p.calibration.probability : 1 - p.calibration.probability
+    );
+    const probability = probabilities.reduce((a, b) => a + b, 0) / probabilities.length;
+
+    decision.probability = parseFloat(probability.toFixed(3));
+    decision.calibration = {
+      patterns: evidence.map(p => ({ name: p.name, type: p.type, ...p.calibration })),
+      labelConfidence: decision.confidence
+    };
+
+    const calibrated = probability >= opts.highProbability ? 'high'
+      : probability >= opts.mediumProbability ? 'medium'
+        : 'low';
+    if (opts.calibratedConfidence) decision.confidence = calibrated;
+
+    const detail = evidence.map(p =>
+      `${p.name} ${p.calibration.hitRate}% of ${p.calibration.samples}${DIRECTIONS[p.type] === side ? '' : ' against'}`
+    ).join(', ');
+    const verdict = opts.calibratedConfidence ? `${calibrated} confidence` : `calibrated confidence would be ${calibrated}`;
+    return [`Historical hit rate: ${(probability * 100).toFixed(0)}% (${detail}) - ${verdict}`];
+  }
+}
+
+module.exports = { PatternCalibration, DEFAULT_CALIBRATION_OPTIONS: DEFAULT_OPTIONS };
@@ -0,0 +1,126 @@
+/**
+ * Trade-Stream Candle Builder
+ *
+ * Builds OHLCV bars for every timeframe from individual trades (Coinbase
+ * `matches`, Kraken `trade`). Each venue gets its own bars, and every trade
+ * also feeds a `composite` series that merges all venues - used as the
+ * fallback candle source when Binance klines stop arriving.
+ *
+ * Emits 'candle' { source, instrument, timeframe, candle } when a bar closes.
+ * Candles use the same shape as Binance klines: { t, o, h, l, c, v, T, isClosed }.
+ */
+
+const EventEmitter = require('events');
+const { TIMEFRAME_MS } = require('./klines');
+
+const COMPOSITE = 'composite';
+
+class CandleBuilder extends EventEmitter {
+  constructor({ timeframes, maxBars = 200 }) {
+    super();
+    this.timeframes = timeframes.filter(tf => TIMEFRAME_MS[tf]);
+    this.maxBars = maxBars;
+    this.series = new Map();  // `${source}:${instrument}:${timeframe}` -> { closed: [], forming }
+  }
+
+  // trade: { price, size, time } - price already in the instrument's quote currency
+  addTrade(venue, instrument, trade) {
+    if (!(trade.price > 0) || !(trade.size >= 0) || !trade.time) return;
+
+    for (const tf of this.timeframes) {
+      this.applyTrade(venue, instrument, tf, trade);
+      this.applyTrade(COMPOSITE, instrument, tf, trade);
+    }
+  }
+
+  applyTrade(source, instrument, timeframe, { price, size, time }) {
+    const key = `${source}:${instrument}:${timeframe}`;
+    let series = this.series.get(key);
+    if (!series) {
+      series = { closed: [], forming: null };
+      this.series.set(key, series);
+    }
+
+    const interval = TIMEFRAME_MS[timeframe];
+    const openTime = Math.floor(time / interval) * interval;
+    let bar = series.forming;
+
+    if (bar && openTime < bar.t) return;  // Late trade for a bar that already closed
+
+    if (bar && openTime > bar.t) {
+      this.closeBar(source, instrument, timeframe, series);
+      bar = null;
+    }
+
+    if (!bar) {
+      series.forming = { t: openTime, o: price, h: price, l: price, c: price, v: size, T: openTime + interval - 1 };
+      return;
+    }
+
+    bar.h = Math.max(bar.h, price);
+    bar.l = Math.min(bar.l, price);
+    bar.c = price;
+    bar.v += size;
+  }
+
+  closeBar(source, instrument, timeframe, series) {
+    const candle = this.toCandle(series.forming, true);
+    series.closed.push(candle);
+    if (series.closed.length > this.maxBars) series.closed.shift();
+    series.forming = null;
+
+    this.emit('candle', { source, instrument, timeframe, candle });
+  }
+
+  // Close bars whose interval has ended even if no new trade arrived
+  flush(now = Date.now()) {
+    for (const [key, series] of this.series) {
+      if (series.forming && series.forming.T < now) {
+        const [source, instrument, timeframe] = key.split(':');
+        this.closeBar(source, instrument, timeframe, series);
+      }
+    }
+  }
+
+  toCandle(bar, isClosed) {
+    return {
+      t: bar.t,
+      o: formatNumber(bar.o),
+      h: formatNumber(bar.h),
+      l: formatNumber(bar.l),
+      c: formatNumber(bar.c),
+      v: formatNumber(bar.v),
+      T: bar.T,
+      isClosed
+    };
+  }
+
+  hasTrades(source, instrument) {
+    return this.timeframes.some(tf => this.series.has(`${source}:${instrument}:${tf}`));
+  }
+
+  getForming(source, instrument, timeframe) {
+    const forming = this.series.get(`${source}:${instrument}:${timeframe}`)?.forming;
+    return forming ? this.toCandle(forming, false) : null;
+  }
+
+  // Closed bars plus the forming bar, oldest first
+  getCandles(source, instrument, timeframe) {
+    const series = this.series.get(`${source}:${instrument}:${timeframe}`);
+    if (!series) return [];
+    return series.forming ? [...series.closed, this.toCandle(series.forming, false)] : [...series.closed];
+  }
+
+  removeInstrument(instrument) {
+    for (const key of [...this.series.keys()]) {
+      if (key.split(':')[1] === instrument) this.series.delete(key);
+    }
+  }
+}
+
+// Converted prices carry float noise - keep 8 decimals like exchange feeds
+function formatNumber(value) {
+  return String(parseFloat(value.toFixed(8)));
+}
+
+module.exports = { CandleBuilder, COMPOSITE };
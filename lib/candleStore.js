@@ -0,0 +1,158 @@
+/**
+ * Persistent Candle Store
+ *
+ * Append-only JSON-lines files on local disk, one per symbol/timeframe:
+ *   <baseDir>/<SYMBOL>/<timeframe>.jsonl   (each line: [t, o, h, l, c, v, T])
+ *
+ * Only closed candles are persisted. Files are loaded lazily, de-duplicated by
+ * open time and kept sorted in memory for range queries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchKlines, MAX_KLINES_PER_REQUEST, TIMEFRAME_MS } = require('./klines');
+
+class CandleStore {
+  constructor(baseDir, { backfillCandles = 1000 } = {}) {
+    this.baseDir = baseDir;
+    this.backfillCandles = backfillCandles; // Depth of the first backfill for an empty series
+    this.series = new Map();                // `${symbol}_${timeframe}` -> sorted candles
+  }
+
+  filePath(symbol, timeframe) {
+    return path.join(this.baseDir, symbol, `${timeframe}.jsonl`);
+  }
+
+  // ===========================================================================
+  // READ
+  // ===========================================================================
+  load(symbol, timeframe) {
+    const key = `${symbol}_${timeframe}`;
+    if (this.series.has(key)) return this.series.get(key);
+
+    const byTime = new Map();
+    const file = this.filePath(symbol, timeframe);
+
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          const [t, o, h, l, c, v, T] = JSON.parse(line);
+          byTime.set(t, { t, o, h, l, c, v, T, isClosed: true });
+        } catch (err) {
+          // A torn final line from an interrupted write - skip it
+        }
+      }
+    }
+
+    const candles = [...byTime.values()].sort((a, b) => a.t - b.t);
+    this.series.set(key, candles);
+    return candles;
+  }
+
+  query(symbol, timeframe, { from, to, limit } = {}) {
+    const candles = this.load(symbol, timeframe);
+
+    const start = from !== undefined ? this.lowerBound(candles, from) : 0;
+    const end = to !== undefined ? this.lowerBound(candles, to + 1) : candles.length;
+    let result = candles.slice(start, end);
+
+    // Without an explicit start, a limit keeps the most recent candles
+    if (limit !== undefined && result.length > limit) {
+      result = from !== undefined ? result.slice(0, limit) : result.slice(-limit);
+    }
+    return result;
+  }
+
+  getRange(symbol, timeframe) {
+    const candles = this.load(symbol, timeframe);
+    if (candles.length === 0) return null;
+    return { first: candles[0].t, last: candles[candles.length - 1].t, count: candles.length };
+  }
+
+  // Index of the first candle with t >= time
+  lowerBound(candles, time) {
+    let lo = 0;
+    let hi = candles.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candles[mid].t < time) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // ===========================================================================
+  // WRITE
+  // ===========================================================================
+  append(symbol, timeframe, newCandles) {
+    const candles = this.load(symbol, timeframe);
+    const known = new Set(candles.map(c => c.t));
+    const toWrite = newCandles.filter(c => c.isClosed !== false && !known.has(c.t));
+
+    if (toWrite.length === 0) return 0;
+
+    const file = this.filePath(symbol, timeframe);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, toWrite.map(c => JSON.stringify([c.t, c.o, c.h, c.l, c.c, c.v, c.T])).join('\n') + '\n');
+
+    const lastTime = candles.length > 0 ? candles[candles.length - 1].t : -Infinity;
+    toWrite.forEach(c => candles.push({ t: c.t, o: c.o, h: c.h, l: c.l, c: c.c, v: c.v, T: c.T, isClosed: true }));
+
+    // Backfilled ranges can land before the newest stored candle
+    if (toWrite.some(c => c.t < lastTime)) {
+      candles.sort((a, b) => a.t - b.t);
+    }
+
+    return toWrite.length;
+  }
+
+  // ===========================================================================
+  // BACKFILL FROM BINANCE
+  // Pages the klines endpoint with startTime/endTime and persists closed candles.
+  // Returns the still-forming candle if the last page reached it.
+  // ===========================================================================
+  async backfill(symbol, timeframe, { from, to } = {}) {
+    const interval = TIMEFRAME_MS[timeframe];
+    if (!interval) throw new Error(`Unsupported timeframe: ${timeframe}`);
+
+    const range = this.getRange(symbol, timeframe);
+    const endTime = to ?? Date.now();
+    let startTime = from ?? (range ? range.last + interval : endTime - this.backfillCandles * interval);
+
+    let added = 0;
+    let forming = null;
+
+    while (startTime <= endTime) {
+      const page = await fetchKlines(symbol, timeframe, {
+        limit: MAX_KLINES_PER_REQUEST,
+        startTime,
+        endTime
+      });
+      if (page.length === 0) break;
+
+      added += this.append(symbol, timeframe, page);
+
+      const last = page[page.length - 1];
+      if (!last.isClosed) forming = last;
+      if (page.length < MAX_KLINES_PER_REQUEST) break;
+      startTime = last.t + interval;
+    }
+
+    return { added, forming };
+  }
+
+  // Make sure [from, to] is on disk, fetching anything older than what is stored
+  async ensureRange(symbol, timeframe, from, to) {
+    const range = this.getRange(symbol, timeframe);
+
+    if (!range) {
+      await this.backfill(symbol, timeframe, { from, to });
+    } else if (from !== undefined && from < range.first) {
+      await this.backfill(symbol, timeframe, { from, to: range.first - 1 });
+    }
+  }
+}
+
+module.exports = { CandleStore };
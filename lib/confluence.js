@@ -0,0 +1,185 @@
+/**
+ * Multi-Timeframe Confluence
+ *
+ * Combines each timeframe's patterns, indicator summary and decision into one
+ * per-instrument verdict. Higher-timeframe trend can downgrade or veto
+ * signals that fire against it on lower timeframes.
+ */
+
+// Higher timeframes carry more weight in the overall score
+const TIMEFRAME_WEIGHTS = { '1m': 1, '5m': 1.5, '15m': 2, '1h': 3, '4h': 4 };
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const CONFIDENCE_FACTOR = { high: 1, medium: 0.75, low: 0.5 };
+const STRENGTH_FACTOR = { strong: 1, medium: 0.5, weak: 0.25 };
+
+const VERDICT_THRESHOLD = 0.3;  // |score| needed for a directional bias
+
+class ConfluenceAnalyzer {
+  // ===========================================================================
+  // ANALYZE ONE INSTRUMENT
+  // frames: { [timeframe]: { decision, patterns, summary } } in ascending order
+  // ===========================================================================
+  static analyze(instrument, frames, timeframes = Object.keys(frames)) {
+    const breakdown = {};
+    let weightedScore = 0;
+    let totalWeight = 0;
+
+    for (const tf of timeframes) {
+      const frame = frames[tf];
+      if (!frame || (!frame.decision && !frame.summary)) continue;
+
+      const trend = this.getTrendBias(frame.summary);
+      const signal = this.getSignalBias(frame.decision);
+      const pattern = this.getPatternBias(frame.patterns);
+      const score = (trend + signal + pattern) / 3;
+      const weight = TIMEFRAME_WEIGHTS[tf] || 1;
+
+      breakdown[tf] = {
+        trend: frame.summary?.sentiment || 'NEUTRAL',
+        action: frame.decision?.action || 'WAIT',
+        confidence: frame.decision?.confidence || 'none',
+        patterns: (frame.patterns || []).map(p => p.name),
+        score: parseFloat(score.toFixed(3))
+      };
+
+      weightedScore += score * weight;
+      totalWeight += weight;
+    }
+
+    const score = totalWeight > 0 ? weightedScore / totalWeight : 0;
+    const signals = this.filterSignals(breakdown, timeframes);
+
+    let bias = 'NEUTRAL';
+    if (score >= VERDICT_THRESHOLD) bias = 'BULLISH';
+    else if (score <= -VERDICT_THRESHOLD) bias = 'BEARISH';
+    else if (Object.values(breakdown).some(b => b.score !== 0)) bias = 'MIXED';
+
+    // The verdict follows the highest-timeframe signal that survives the filter
+    // and agrees with the overall bias
+    const biasAction = bias === 'BULLISH' ? 'LONG' : bias === 'BEARISH' ? 'SHORT' : null;
+    const primary = [...signals].reverse().find(s => s.status !== 'vetoed' && s.action === biasAction);
+
+    const reasoning = this.buildReasoning(bias, score, breakdown, signals, primary, timeframes);
+
+    return {
+      instrument,
+      verdict: primary ? primary.action : 'WAIT',
+      confidence: primary ? primary.adjustedConfidence : 'none',
+      primaryTimeframe: primary ? primary.timeframe : null,
+      bias,
+      score: parseFloat(score.toFixed(3)),
+      timeframes: breakdown,
+      signals,
+      reasoning,
+      updatedAt: Date.now()
+    };
+  }
+
+  static getTrendBias(summary) {
+    if (summary?.sentiment === 'BULLISH') return 1;
+    if (summary?.sentiment === 'BEARISH') return -1;
+    return 0;
+  }
+
+  static getSignalBias(decision) {
+    const factor = CONFIDENCE_FACTOR[decision?.confidence] || 0;
+    if (decision?.action === 'LONG') return factor;
+    if (decision?.action === 'SHORT') return -factor;
+    return 0;
+  }
+
+  static getPatternBias(patterns) {
+    if (!patterns || patterns.length === 0) return 0;
+
+    const net = patterns.reduce((sum, p) => {
+      const strength = STRENGTH_FACTOR[p.strength] || 0;
+      if (p.type === 'bullish') return sum + strength;
+      if (p.type === 'bearish') return sum - strength;
+      return sum;
+    }, 0);
+
+    return Math.max(-1, Math.min(1, net));
+  }
+
+  // ===========================================================================
+  // HIGHER-TIMEFRAME FILTER
+  // The highest timeframe trending against a signal vetoes it; any other
+  // higher timeframe against it downgrades its confidence by one level.
+  // ===========================================================================
+  static filterSignals(breakdown, timeframes) {
+    const available = timeframes.filter(tf => breakdown[tf]);
+    const highest = available[available.length - 1];
+    const signals = [];
+
+    available.forEach((tf, i) => {
+      const frame = breakdown[tf];
+      if (frame.action !== 'LONG' && frame.action !== 'SHORT') return;
+
+      const opposing = frame.action === 'LONG' ? 'BEARISH' : 'BULLISH';
+      const higher = available.slice(i + 1);
+      const against = higher.filter(h => breakdown[h].trend === opposing);
+
+      let status = 'confirmed';
+      let adjustedConfidence = frame.confidence;
+      let reason = higher.length === 0
+        ? 'Highest timeframe - no higher trend to check'
+        : 'Higher timeframes do not oppose the signal';
+
+      if (against.includes(highest)) {
+        status = 'vetoed';
+        adjustedConfidence = 'none';
+        reason = `${highest} trend is ${opposing}`;
+      } else if (against.length > 0) {
+        status = 'downgraded';
+        const level = CONFIDENCE_LEVELS.indexOf(frame.confidence);
+        adjustedConfidence = CONFIDENCE_LEVELS[Math.max(0, level - 1)];
+        reason = `${against.join(', ')} trend is ${opposing}`;
+      }
+
+      signals.push({
+        timeframe: tf,
+        action: frame.action,
+        originalConfidence: frame.confidence,
+        adjustedConfidence,
+        status,
+        reason
+      });
+    });
+
+    return signals;
+  }
+
+  static buildReasoning(bias, score, breakdown, signals, primary, timeframes) {
+    const reasoning = [];
+    const trends = timeframes
+      .filter(tf => breakdown[tf])
+      .map(tf => `${tf} ${breakdown[tf].trend}`)
+      .join(' • ');
+
+    reasoning.push(`Overall bias ${bias} (score ${score.toFixed(2)})`);
+    if (trends) reasoning.push(`Trend by timeframe: ${trends}`);
+
+    signals.forEach(s => {
+      if (s.status === 'vetoed') {
+        reasoning.push(`⚠ ${s.timeframe} ${s.action} vetoed - ${s.reason}`);
+      } else if (s.status === 'downgraded') {
+        reasoning.push(`⚠ ${s.timeframe} ${s.action} downgraded to ${s.adjustedConfidence} - ${s.reason}`);
+      } else {
+        reasoning.push(`✓ ${s.timeframe} ${s.action} (${s.adjustedConfidence}) aligned with higher timeframes`);
+      }
+    });
+
+    if (primary) {
+      reasoning.push(`Trade the ${primary.timeframe} ${primary.action} signal`);
+    } else if (signals.length > 0) {
+      reasoning.push('No signal agrees with the multi-timeframe bias - wait');
+    } else {
+      reasoning.push('No active signals on any timeframe');
+    }
+
+    return reasoning;
+  }
+}
+
+module.exports = { ConfluenceAnalyzer };
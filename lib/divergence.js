@@ -0,0 +1,148 @@
+/**
+ * Divergence Detection
+ *
+ * Relates price swing pivots to RSI, MACD and OBV. Each price pivot is paired
+ * with the oscillator's extreme within a couple of bars of it, and the last
+ * two pivots of the same kind are compared:
+ *
+ *   Regular bullish   price lower low,   oscillator higher low   (reversal up)
+ *   Regular bearish   price higher high, oscillator lower high   (reversal down)
+ *   Hidden bullish    price higher low,  oscillator lower low    (uptrend continues)
+ *   Hidden bearish    price lower high,  oscillator higher high  (downtrend continues)
+ *
+ * A pivot is only known `pivotStrength` bars after it prints, so a divergence
+ * is reported once, on the candle that confirms its second pivot. Patterns
+ * carry the two pivots (open time and value) for price and oscillator so the
+ * chart can draw them.
+ */
+
+const { TechnicalIndicators } = require('./indicators');
+const { RSIState, MACDState, OBVState } = require('./incrementalIndicators');
+
+const DEFAULT_OPTIONS = {
+  lookback: 100,         // Candles the oscillators are computed over
+  pivotStrength: 3,      // Bars either side a swing high/low must beat
+  minBars: 5,            // Minimum bars between the two pivots
+  maxBars: 40,           // Maximum bars between the two pivots
+  alignBars: 2           // Oscillator extreme is taken within this many bars of the price pivot
+};
+
+const OSCILLATORS = [
+  { key: 'rsi', label: 'RSI' },
+  { key: 'macd', label: 'MACD' },
+  { key: 'obv', label: 'OBV' }
+];
+
+class DivergenceDetector {
+  // Divergences confirmed by the last candle of `candles`, as analyzeCandle patterns
+  static detect(candles, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const window = candles.slice(-opts.lookback);
+    if (window.length < opts.pivotStrength * 2 + opts.minBars + 1) return [];
+
+    const highs = window.map(c => parseFloat(c.h));
+    const lows = window.map(c => parseFloat(c.l));
+    const closes = window.map(c => parseFloat(c.c));
+    const confirmedIndex = window.length - 1 - opts.pivotStrength;
+
+    const pivots = TechnicalIndicators.findPivots(highs, lows, closes, opts.pivotStrength);
+    const latest = pivots[pivots.length - 1];
+    if (!latest || latest.index !== confirmedIndex) return [];
+
+    // Nearest earlier pivot of the same kind, far enough back to be a separate swing
+    const previous = pivots.slice(0, -1).reverse().find(p =>
+      p.type === latest.type &&
+      latest.index - p.index >= opts.minBars &&
+      latest.index - p.index <= opts.maxBars
+    );
+    if (!previous) return [];
+
+    const series = this.oscillatorSeries(window);
+    const patterns = [];
+
+    for (const { key, label } of OSCILLATORS) {
+      const from = this.alignPivot(series[key], previous, opts.alignBars);
+      const to = this.alignPivot(series[key], latest, opts.alignBars);
+      if (!from || !to) continue;
+
+      const divergence = this.classify(latest.type, previous.value, latest.value, from.value, to.value);
+      if (!divergence) continue;
+
+      patterns.push(this.buildPattern(divergence, key, label, {
+        price: {
+          from: { t: window[previous.index].t, value: previous.value },
+          to: { t: window[latest.index].t, value: latest.value }
+        },
+        oscillator: {
+          from: { t: window[from.index].t, value: from.value },
+          to: { t: window[to.index].t, value: to.value }
+        }
+      }));
+    }
+
+    return patterns;
+  }
+
+  // RSI, MACD line and raw OBV for every candle (null while warming up)
+  static oscillatorSeries(candles) {
+    const rsi = new RSIState(14);
+    const macd = new MACDState();
+    const obv = new OBVState();
+    const series = { rsi: [], macd: [], obv: [] };
+
+    for (const candle of candles) {
+      const close = parseFloat(candle.c);
+      series.rsi.push(rsi.update(close));
+      series.macd.push(macd.update(close) !== null ? macd.macd : null);
+      series.obv.push(obv.update({ close, volume: parseFloat(candle.v) }) !== null ? obv.obv : null);
+    }
+
+    return series;
+  }
+
+  // The oscillator's highest (for a swing high) or lowest value near a price pivot
+  static alignPivot(values, pivot, alignBars) {
+    let best = null;
+    const last = Math.min(values.length - 1, pivot.index + alignBars);
+
+    for (let i = Math.max(0, pivot.index - alignBars); i <= last; i++) {
+      if (values[i] === null) return null;
+      const better = best === null ||
+        (pivot.type === 'high' ? values[i] > best.value : values[i] < best.value);
+      if (better) best = { index: i, value: values[i] };
+    }
+
+    return best;
+  }
+
+  static classify(type, priceFrom, priceTo, oscFrom, oscTo) {
+    if (type === 'low') {
+      if (priceTo < priceFrom && oscTo > oscFrom) return { kind: 'regular', type: 'bullish' };
+      if (priceTo > priceFrom && oscTo < oscFrom) return { kind: 'hidden', type: 'bullish' };
+    } else {
+      if (priceTo > priceFrom && oscTo < oscFrom) return { kind: 'regular', type: 'bearish' };
+      if (priceTo < priceFrom && oscTo > oscFrom) return { kind: 'hidden', type: 'bearish' };
+    }
+    return null;
+  }
+
+  static buildPattern({ kind, type }, indicator, label, points) {
+    const bullish = type === 'bullish';
+    const swing = bullish ? 'low' : 'high';
+    const priceMove = points.price.to.value > points.price.from.value ? `higher ${swing}` : `lower ${swing}`;
+    const oscMove = points.oscillator.to.value > points.oscillator.from.value ? `higher ${swing}` : `lower ${swing}`;
+    const meaning = kind === 'regular'
+      ? (bullish ? 'selling momentum fading' : 'buying momentum fading')
+      : (bullish ? 'uptrend pullback likely to hold' : 'downtrend bounce likely to fail');
+
+    return {
+      name: `${kind === 'hidden' ? 'Hidden ' : ''}${bullish ? 'Bullish' : 'Bearish'} ${label} Divergence`,
+      type,
+      strength: kind === 'regular' ? 'medium' : 'weak',
+      description: `Price made a ${priceMove} while ${label} made a ${oscMove} - ${meaning}`,
+      divergence: { indicator, kind, ...points }
+    };
+  }
+}
+
+module.exports = { DivergenceDetector, DEFAULT_DIVERGENCE_OPTIONS: DEFAULT_OPTIONS };
@@ -0,0 +1,53 @@
+/**
+ * HTTP helpers shared by the server, exchange connectors and CLI scripts
+ */
+
+const http = require('http');
+const https = require('https');
+
+// GET a JSON document. Plain http:// URLs are allowed so local mock servers work.
+function httpsGet(url) {
+  const client = url.startsWith('http://') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    client.get(url, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+// POST a JSON body and resolve with the response status and text
+function httpPostJson(url, body, { timeout = 10000 } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'http:' ? http : https;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.host} timed out`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = { httpsGet, httpPostJson };
@@ -0,0 +1,523 @@
+/**
+ * Incremental Indicator Engine
+ *
+ * Streaming state for the recursive indicators in TechnicalIndicators (EMA,
+ * MACD, Wilder-smoothed RSI / ATR / ADX, running OBV). Each closed candle
+ * updates the state in O(1); the forming candle is applied to a copy so the
+ * provisional values never leak into the committed state.
+ *
+ * The state is seeded once and then only advanced by bars newer than the
+ * last committed one, so it is independent of the live window dropping its
+ * oldest bar: values equal TechnicalIndicators.calculateAll over every candle
+ * since the seed (the same seeds, arithmetic and format* helpers). A revised
+ * or skipped committed bar reseeds from the window.
+ *
+ * The remaining indicators are still batch functions over the window, as in
+ * calculateAll. Those over the last 20 bars (SMA, Bollinger, Stochastic, CCI,
+ * Williams %R, MFI) run on every call; those over the whole window (VWAP,
+ * Ichimoku, Supertrend, Keltner, Parabolic SAR, volume profile, Elliott wave)
+ * run once per closed candle over the closed bars, and forming-candle ticks
+ * reuse them.
+ *
+ * calculateSeries steps the same state through a candle array to give every
+ * indicator at every bar, for chart overlays.
+ */
+
+const { TechnicalIndicators } = require('./indicators');
+
+// Exponential moving average seeded with the SMA of the first `period` values
+class EMAState {
+  constructor(period) {
+    this.period = period;
+    this.multiplier = 2 / (period + 1);
+    this.count = 0;
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    this.count++;
+    if (this.count <= this.period) {
+      this.sum += x;
+      if (this.count === this.period) this.value = this.sum / this.period;
+      return this.value;
+    }
+    this.value = (x - this.value) * this.multiplier + this.value;
+    return this.value;
+  }
+
+  clone() {
+    return Object.assign(new EMAState(this.period), this);
+  }
+}
+
+// Running sum smoothed with Wilder's method (TechnicalIndicators.wilderSmooth)
+class WilderSumState {
+  constructor(period) {
+    this.period = period;
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  update(x) {
+    this.count++;
+    if (this.count <= this.period) this.sum += x;
+    else this.sum = this.sum - (this.sum / this.period) + x;
+    return this.sum;
+  }
+
+  clone() {
+    return Object.assign(new WilderSumState(this.period), this);
+  }
+}
+
+class RSIState {
+  constructor(period = 14) {
+    this.period = period;
+    this.count = 0;       // Closes seen
+    this.prevClose = null;
+    this.gains = 0;
+    this.losses = 0;
+    this.avgGain = 0;
+    this.avgLoss = 0;
+  }
+
+  update(close) {
+    this.count++;
+    if (this.count === 1) {
+      this.prevClose = close;
+      return null;
+    }
+
+    const change = close - this.prevClose;
+    this.prevClose = close;
+    const period = this.period;
+
+    if (this.count <= period + 1) {
+      if (change >= 0) {
+        this.gains += change;
+      } else {
+        this.losses += Math.abs(change);
+      }
+      if (this.count === period + 1) {
+        this.avgGain = this.gains / period;
+        this.avgLoss = this.losses / period;
+      }
+    } else if (change >= 0) {
+      this.avgGain = (this.avgGain * (period - 1) + change) / period;
+      this.avgLoss = (this.avgLoss * (period - 1)) / period;
+    } else {
+      this.avgGain = (this.avgGain * (period - 1)) / period;
+      this.avgLoss = (this.avgLoss * (period - 1) + Math.abs(change)) / period;
+    }
+
+    return this.value;
+  }
+
+  get value() {
+    if (this.count < this.period + 1) return null;
+    if (this.avgLoss === 0) return 100;
+    const rs = this.avgGain / this.avgLoss;
+    return 100 - (100 / (1 + rs));
+  }
+
+  clone() {
+    return Object.assign(new RSIState(this.period), this);
+  }
+}
+
+class MACDState {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    this.slowPeriod = slowPeriod;
+    this.signalPeriod = signalPeriod;
+    this.count = 0;
+    this.fast = new EMAState(fastPeriod);
+    this.slow = new EMAState(slowPeriod);
+    this.signal = new EMAState(signalPeriod);
+    this.macd = null;
+  }
+
+  update(close) {
+    this.count++;
+    const fast = this.fast.update(close);
+    const slow = this.slow.update(close);
+    if (slow !== null) {
+      this.macd = fast - slow;
+      this.signal.update(this.macd);
+    }
+    return this.value;
+  }
+
+  get value() {
+    if (this.count < this.slowPeriod + this.signalPeriod) return null;
+    return TechnicalIndicators.formatMACD(this.macd, this.signal.value);
+  }
+
+  clone() {
+    const copy = Object.assign(Object.create(MACDState.prototype), this);
+    copy.fast = this.fast.clone();
+    copy.slow = this.slow.clone();
+    copy.signal = this.signal.clone();
+    return copy;
+  }
+}
+
+// True range against the previous close
+function trueRange(high, low, prevClose) {
+  return Math.max(
+    high - low,
+    Math.abs(high - prevClose),
+    Math.abs(low - prevClose)
+  );
+}
+
+class ATRState {
+  constructor(period = 14) {
+    this.period = period;
+    this.count = 0;       // Candles seen
+    this.prevClose = null;
+    this.sum = 0;
+    this.atr = null;
+    this.close = null;
+  }
+
+  update({ high, low, close }) {
+    this.count++;
+    if (this.count > 1) {
+      const tr = trueRange(high, low, this.prevClose);
+      const trCount = this.count - 1;
+      if (trCount <= this.period) {
+        this.sum += tr;
+        if (trCount === this.period) this.atr = this.sum / this.period;
+      } else {
+        this.atr = ((this.atr * (this.period - 1)) + tr) / this.period;
+      }
+    }
+    this.prevClose = close;
+    this.close = close;
+    return this.value;
+  }
+
+  get value() {
+    if (this.count < this.period + 1) return null;
+    return TechnicalIndicators.formatATR(this.atr, this.close);
+  }
+
+  clone() {
+    return Object.assign(new ATRState(this.period), this);
+  }
+}
+
+class ADXState {
+  constructor(period = 14) {
+    this.period = period;
+    this.count = 0;
+    this.prev = null;
+    this.tr = new WilderSumState(period);
+    this.plusDM = new WilderSumState(period);
+    this.minusDM = new WilderSumState(period);
+  }
+
+  update({ high, low, close }) {
+    this.count++;
+    if (this.prev) {
+      this.tr.update(trueRange(high, low, this.prev.close));
+
+      const upMove = high - this.prev.high;
+      const downMove = this.prev.low - low;
+      this.plusDM.update(upMove > downMove && upMove > 0 ? upMove : 0);
+      this.minusDM.update(downMove > upMove && downMove > 0 ? downMove : 0);
+    }
+    this.prev = { high, low, close };
+    return this.value;
+  }
+
+  get value() {
+    if (this.count < this.period * 2) return null;
+    return TechnicalIndicators.formatADX(this.tr.sum, this.plusDM.sum, this.minusDM.sum);
+  }
+
+  clone() {
+    const copy = Object.assign(Object.create(ADXState.prototype), this);
+    copy.tr = this.tr.clone();
+    copy.plusDM = this.plusDM.clone();
+    copy.minusDM = this.minusDM.clone();
+    return copy;
+  }
+}
+
+class OBVState {
+  constructor() {
+    this.count = 0;
+    this.prevClose = null;
+    this.obv = 0;
+    this.recent = [0];  // Last 10 OBV values for the trend slope
+  }
+
+  update({ close, volume }) {
+    this.count++;
+    if (this.count > 1) {
+      if (close > this.prevClose) {
+        this.obv += volume;
+      } else if (close < this.prevClose) {
+        this.obv -= volume;
+      }
+      this.recent = [...this.recent, this.obv].slice(-10);
+    }
+    this.prevClose = close;
+    return this.value;
+  }
+
+  get value() {
+    if (this.count < 2) return null;
+    return TechnicalIndicators.formatOBV(this.obv, this.recent);
+  }
+
+  clone() {
+    return Object.assign(new OBVState(), this);
+  }
+}
+
+// =============================================================================
+// PER-SERIES STATE
+// One instance per instrument/timeframe, kept in step with the live window
+// =============================================================================
+class IndicatorState {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.streams = {
+      ema20: new EMAState(20),
+      ema50: new EMAState(50),
+      rsi: new RSIState(14),
+      macd: new MACDState(),
+      adx: new ADXState(),
+      atr: new ATRState(),
+      obv: new OBVState()
+    };
+    this.last = null;      // Last committed candle
+    this.count = 0;
+    this.windowed = null;  // { t, values }: whole-window indicators as of the last committed candle
+  }
+
+  // Closed candles, oldest first
+  seed(candles) {
+    this.reset();
+    candles.forEach(candle => this.commit(candle));
+  }
+
+  commit(candle) {
+    IndicatorState.advance(this.streams, candle);
+    this.last = candle;
+    this.count++;
+  }
+
+  static advance(streams, candle) {
+    const bar = {
+      high: parseFloat(candle.h),
+      low: parseFloat(candle.l),
+      close: parseFloat(candle.c),
+      volume: parseFloat(candle.v)
+    };
+    streams.ema20.update(bar.close);
+    streams.ema50.update(bar.close);
+    streams.rsi.update(bar.close);
+    streams.macd.update(bar.close);
+    streams.adx.update(bar);
+    streams.atr.update(bar);
+    streams.obv.update(bar);
+  }
+
+  /**
+   * Bring the state up to date with the live window and return indicators in
+   * the calculateAll shape. Every candle but the last is treated as closed;
+   * the last is committed only if flagged isClosed, otherwise it is applied
+   * provisionally. A revised or missing committed bar reseeds from the window.
+   */
+  sync(candles) {
+    if (!candles || candles.length < 30) return null;
+
+    const formingIndex = candles[candles.length - 1].isClosed ? candles.length : candles.length - 1;
+
+    if (!this.last) {
+      this.seed(candles.slice(0, formingIndex));
+    } else {
+      // Walk back to the last committed bar - usually zero or one step
+      let i = formingIndex - 1;
+      while (i >= 0 && candles[i].t > this.last.t) i--;
+
+      if (i < 0 || candles[i].t !== this.last.t || !sameCandle(candles[i], this.last)) {
+        this.seed(candles.slice(0, formingIndex));
+      } else {
+        for (let j = i + 1; j < formingIndex; j++) this.commit(candles[j]);
+      }
+    }
+
+    let streams = this.streams;
+    if (formingIndex < candles.length) {
+      streams = Object.fromEntries(Object.entries(this.streams).map(([name, state]) => [name, state.clone()]));
+      IndicatorState.advance(streams, candles[formingIndex]);
+    }
+
+    if (this.windowed?.t !== this.last.t) {
+      this.windowed = { t: this.last.t, values: IndicatorState.windowIndicators(candles.slice(0, formingIndex)) };
+    }
+
+    return this.calculate(candles, streams, this.windowed.values);
+  }
+
+  // Indicators computed over the whole window, as calculateAll does
+  static windowIndicators(candles) {
+    const closes = candles.map(c => parseFloat(c.c));
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+
+    return {
+      ichimoku: TechnicalIndicators.Ichimoku(highs, lows, closes),
+      supertrend: TechnicalIndicators.Supertrend(highs, lows, closes),
+      parabolicSar: TechnicalIndicators.ParabolicSAR(highs, lows),
+      keltner: TechnicalIndicators.Keltner(highs, lows, closes),
+      vwap: TechnicalIndicators.VWAP(candles),
+      volumeProfile: TechnicalIndicators.VolumeProfile(candles),
+      elliottWave: TechnicalIndicators.detectElliottWave(candles)
+    };
+  }
+
+  calculate(candles, streams, windowed) {
+    // 20 bars cover every tail-bound indicator (MFI needs 15)
+    const tail = candles.slice(-20);
+    const closes = tail.map(c => parseFloat(c.c));
+    const highs = tail.map(c => parseFloat(c.h));
+    const lows = tail.map(c => parseFloat(c.l));
+    const volumes = tail.map(c => parseFloat(c.v));
+
+    const indicators = {
+      // Momentum
+      rsi: streams.rsi.value,
+      macd: streams.macd.value,
+      stochastic: TechnicalIndicators.Stochastic(highs, lows, closes),
+      cci: TechnicalIndicators.CCI(highs, lows, closes),
+      williamsR: TechnicalIndicators.WilliamsR(highs, lows, closes),
+
+      // Trend
+      ema20: streams.ema20.value,
+      ema50: streams.ema50.value,
+      sma20: TechnicalIndicators.SMA(closes, 20),
+      adx: streams.adx.value,
+      ichimoku: windowed.ichimoku,
+      supertrend: windowed.supertrend,
+      parabolicSar: windowed.parabolicSar,
+
+      // Volatility
+      bollingerBands: TechnicalIndicators.BollingerBands(closes),
+      keltner: windowed.keltner,
+      atr: streams.atr.value,
+
+      // Volume
+      obv: streams.obv.value,
+      mfi: TechnicalIndicators.MFI(highs, lows, closes, volumes),
+      vwap: windowed.vwap,
+      volumeProfile: windowed.volumeProfile,
+
+      // Elliott Wave
+      elliottWave: windowed.elliottWave
+    };
+
+    // Summary
+    indicators.summary = TechnicalIndicators.summarize(indicators);
+    return indicators;
+  }
+}
+
+// =============================================================================
+// FULL SERIES
+// Every indicator at every candle for chart overlays and sub-panes, aligned
+// with the candles (null while an indicator warms up). Each point is what
+// calculateAll returns for the candles up to that bar, except that
+// price-scaled values (averages, bands, MACD, ATR) are not rounded - the
+// snapshot's fixed decimals would draw steps on low-priced instruments.
+// =============================================================================
+function calculateSeries(candles) {
+  const { streams } = new IndicatorState();
+  const closes = candles.map(c => parseFloat(c.c));
+  const highs = candles.map(c => parseFloat(c.h));
+  const lows = candles.map(c => parseFloat(c.l));
+
+  const series = {
+    t: [],
+    ema20: [],
+    ema50: [],
+    sma20: [],
+    bollingerBands: { upper: [], middle: [], lower: [] },
+    rsi: [],
+    macd: { macd: [], signal: [], histogram: [] },
+    stochastic: { k: [], d: [] },
+    adx: { adx: [], plusDI: [], minusDI: [] },
+    atr: [],
+    obv: []
+  };
+
+  candles.forEach((candle, i) => {
+    IndicatorState.advance(streams, candle);
+    const from = Math.max(0, i - 19);
+    const window = closes.slice(from, i + 1);
+
+    series.t.push(candle.t);
+    series.ema20.push(streams.ema20.value);
+    series.ema50.push(streams.ema50.value);
+    series.rsi.push(streams.rsi.value);
+
+    const bands = bollinger(window);
+    series.sma20.push(bands?.middle ?? null);
+    series.bollingerBands.upper.push(bands?.upper ?? null);
+    series.bollingerBands.middle.push(bands?.middle ?? null);
+    series.bollingerBands.lower.push(bands?.lower ?? null);
+
+    const macdReady = streams.macd.value !== null;
+    const macd = macdReady ? streams.macd.macd : null;
+    const signal = macdReady ? streams.macd.signal.value : null;
+    series.macd.macd.push(macd);
+    series.macd.signal.push(signal);
+    series.macd.histogram.push(macdReady ? macd - signal : null);
+
+    const stochastic = TechnicalIndicators.Stochastic(highs.slice(from, i + 1), lows.slice(from, i + 1), window);
+    series.stochastic.k.push(stochastic?.k ?? null);
+    series.stochastic.d.push(stochastic?.d ?? null);
+
+    const adx = streams.adx.value;
+    series.adx.adx.push(adx?.adx ?? null);
+    series.adx.plusDI.push(adx?.plusDI ?? null);
+    series.adx.minusDI.push(adx?.minusDI ?? null);
+
+    series.atr.push(streams.atr.value !== null ? streams.atr.atr : null);
+    series.obv.push(streams.obv.value !== null ? streams.obv.obv : null);
+  });
+
+  return series;
+}
+
+// Unrounded 20-period, 2 standard deviation bands (TechnicalIndicators.BollingerBands math)
+function bollinger(closes, period = 20, stdDev = 2) {
+  if (closes.length < period) return null;
+  const middle = closes.reduce((a, b) => a + b, 0) / period;
+  const sd = Math.sqrt(closes.reduce((sum, c) => sum + Math.pow(c - middle, 2), 0) / period);
+  return { upper: middle + sd * stdDev, middle, lower: middle - sd * stdDev };
+}
+
+function sameCandle(a, b) {
+  return a.o === b.o && a.h === b.h && a.l === b.l && a.c === b.c && a.v === b.v;
+}
+
+module.exports = {
+  IndicatorState,
+  calculateSeries,
+  EMAState,
+  WilderSumState,
+  RSIState,
+  MACDState,
+  ATRState,
+  ADXState,
+  OBVState
+};
@@ -0,0 +1,1098 @@
+/**
+ * Technical Indicators Engine
+ *
+ * Momentum, trend, volatility and volume indicators computed from OHLCV candles
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TechnicalIndicators {
+  // ===========================================================================
+  // MOVING AVERAGES
+  // ===========================================================================
+
+  // Simple Moving Average
+  static SMA(data, period) {
+    if (data.length < period) return null;
+    const slice = data.slice(-period);
+    return slice.reduce((a, b) => a + b, 0) / period;
+  }
+
+  // Exponential Moving Average
+  static EMA(data, period) {
+    if (data.length < period) return null;
+
+    const multiplier = 2 / (period + 1);
+    let ema = this.SMA(data.slice(0, period), period);
+
+    for (let i = period; i < data.length; i++) {
+      ema = (data[i] - ema) * multiplier + ema;
+    }
+    return ema;
+  }
+
+  // Calculate EMA array for all data points
+  static EMAArray(data, period) {
+    if (data.length < period) return [];
+
+    const multiplier = 2 / (period + 1);
+    const emaArray = [];
+
+    // First EMA is SMA
+    let ema = data.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    emaArray.push(ema);
+
+    for (let i = period; i < data.length; i++) {
+      ema = (data[i] - ema) * multiplier + ema;
+      emaArray.push(ema);
+    }
+    return emaArray;
+  }
+
+  // ===========================================================================
+  // RSI - Relative Strength Index
+  // ===========================================================================
+  static RSI(closes, period = 14) {
+    if (closes.length < period + 1) return null;
+
+    let gains = 0;
+    let losses = 0;
+
+    // Calculate initial average gain/loss
+    for (let i = 1; i <= period; i++) {
+      const change = closes[i] - closes[i - 1];
+      if (change >= 0) {
+        gains += change;
+      } else {
+        losses += Math.abs(change);
+      }
+    }
+
+    let avgGain = gains / period;
+    let avgLoss = losses / period;
+
+    // Smooth using Wilder's method
+    for (let i = period + 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      if (change >= 0) {
+        avgGain = (avgGain * (period - 1) + change) / period;
+        avgLoss = (avgLoss * (period - 1)) / period;
+      } else {
+        avgGain = (avgGain * (period - 1)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.abs(change)) / period;
+      }
+    }
+
+    if (avgLoss === 0) return 100;
+    const rs = avgGain / avgLoss;
+    return 100 - (100 / (1 + rs));
+  }
+
+  // ===========================================================================
+  // MACD - Moving Average Convergence Divergence
+  // ===========================================================================
+  static MACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    if (closes.length < slowPeriod + signalPeriod) return null;
+
+    const fastEMA = this.EMAArray(closes, fastPeriod);
+    const slowEMA = this.EMAArray(closes, slowPeriod);
+
+    // MACD Line = Fast EMA - Slow EMA
+    const macdLine = [];
+    const startIndex = slowPeriod - fastPeriod;
+
+    for (let i = 0; i < slowEMA.length; i++) {
+      macdLine.push(fastEMA[i + startIndex] - slowEMA[i]);
+    }
+
+    // Signal Line = 9-period EMA of MACD Line
+    const signalLine = this.EMAArray(macdLine, signalPeriod);
+
+    return this.formatMACD(macdLine[macdLine.length - 1], signalLine[signalLine.length - 1]);
+  }
+
+  static formatMACD(macd, signal) {
+    const histogram = macd - signal;
+
+    // Determine signal
+    let trend = 'neutral';
+    if (macd > signal && macd > 0) trend = 'bullish';
+    else if (macd < signal && macd < 0) trend = 'bearish';
+    else if (macd > signal) trend = 'bullish_crossover';
+    else if (macd < signal) trend = 'bearish_crossover';
+
+    return {
+      macd: parseFloat(macd.toFixed(4)),
+      signal: parseFloat(signal.toFixed(4)),
+      histogram: parseFloat(histogram.toFixed(4)),
+      trend
+    };
+  }
+
+  // ===========================================================================
+  // STOCHASTIC OSCILLATOR
+  // ===========================================================================
+  static Stochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
+    if (closes.length < kPeriod + dPeriod) return null;
+
+    const kValues = [];
+
+    for (let i = kPeriod - 1; i < closes.length; i++) {
+      const highSlice = highs.slice(i - kPeriod + 1, i + 1);
+      const lowSlice = lows.slice(i - kPeriod + 1, i + 1);
+
+      const highestHigh = Math.max(...highSlice);
+      const lowestLow = Math.min(...lowSlice);
+
+      const k = highestHigh === lowestLow ? 50 :
+        ((closes[i] - lowestLow) / (highestHigh - lowestLow)) * 100;
+      kValues.push(k);
+    }
+
+    // %D is SMA of %K
+    const dValue = kValues.slice(-dPeriod).reduce((a, b) => a + b, 0) / dPeriod;
+    const kValue = kValues[kValues.length - 1];
+
+    let signal = 'neutral';
+    if (kValue > 80 && kValue < dValue) signal = 'overbought_reversal';
+    else if (kValue < 20 && kValue > dValue) signal = 'oversold_reversal';
+    else if (kValue > 80) signal = 'overbought';
+    else if (kValue < 20) signal = 'oversold';
+    else if (kValue > dValue) signal = 'bullish';
+    else signal = 'bearish';
+
+    return {
+      k: parseFloat(kValue.toFixed(2)),
+      d: parseFloat(dValue.toFixed(2)),
+      signal
+    };
+  }
+
+  // ===========================================================================
+  // ADX - Average Directional Index (Trend Strength)
+  // ===========================================================================
+  static ADX(highs, lows, closes, period = 14) {
+    if (closes.length < period * 2) return null;
+
+    const trueRanges = [];
+    const plusDM = [];
+    const minusDM = [];
+
+    for (let i = 1; i < closes.length; i++) {
+      // True Range
+      const tr = Math.max(
+        highs[i] - lows[i],
+        Math.abs(highs[i] - closes[i - 1]),
+        Math.abs(lows[i] - closes[i - 1])
+      );
+      trueRanges.push(tr);
+
+      // Directional Movement
+      const upMove = highs[i] - highs[i - 1];
+      const downMove = lows[i - 1] - lows[i];
+
+      plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+      minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+    }
+
+    // Smooth with Wilder's method
+    const smoothTR = this.wilderSmooth(trueRanges, period);
+    const smoothPlusDM = this.wilderSmooth(plusDM, period);
+    const smoothMinusDM = this.wilderSmooth(minusDM, period);
+
+    return this.formatADX(smoothTR, smoothPlusDM, smoothMinusDM);
+  }
+
+  // Wilder-smoothed TR / +DM / -DM sums -> DI lines, DX and trend labels
+  static formatADX(smoothTR, smoothPlusDM, smoothMinusDM) {
+    // Calculate +DI and -DI
+    const plusDI = (smoothPlusDM / smoothTR) * 100;
+    const minusDI = (smoothMinusDM / smoothTR) * 100;
+
+    // Calculate DX
+    const dx = Math.abs(plusDI - minusDI) / (plusDI + minusDI) * 100;
+
+    // ADX is smoothed DX (simplified - using recent DX)
+    const adx = dx;
+
+    let trend = 'weak';
+    if (adx > 50) trend = 'very_strong';
+    else if (adx > 25) trend = 'strong';
+    else if (adx > 20) trend = 'moderate';
+
+    let direction = 'neutral';
+    if (plusDI > minusDI) direction = 'bullish';
+    else if (minusDI > plusDI) direction = 'bearish';
+
+    return {
+      adx: parseFloat(adx.toFixed(2)),
+      plusDI: parseFloat(plusDI.toFixed(2)),
+      minusDI: parseFloat(minusDI.toFixed(2)),
+      trend,
+      direction
+    };
+  }
+
+  // Wilder's smoothing method
+  static wilderSmooth(data, period) {
+    if (data.length < period) return 0;
+
+    let sum = data.slice(0, period).reduce((a, b) => a + b, 0);
+
+    for (let i = period; i < data.length; i++) {
+      sum = sum - (sum / period) + data[i];
+    }
+    return sum;
+  }
+
+  // ===========================================================================
+  // BOLLINGER BANDS
+  // ===========================================================================
+  static BollingerBands(closes, period = 20, stdDev = 2) {
+    if (closes.length < period) return null;
+
+    const sma = this.SMA(closes, period);
+    const slice = closes.slice(-period);
+
+    // Calculate standard deviation
+    const squaredDiffs = slice.map(val => Math.pow(val - sma, 2));
+    const variance = squaredDiffs.reduce((a, b) => a + b, 0) / period;
+    const sd = Math.sqrt(variance);
+
+    const upper = sma + (sd * stdDev);
+    const lower = sma - (sd * stdDev);
+    const currentPrice = closes[closes.length - 1];
+
+    // Calculate %B (where price is relative to bands)
+    const percentB = (currentPrice - lower) / (upper - lower);
+
+    // Bandwidth (volatility measure)
+    const bandwidth = ((upper - lower) / sma) * 100;
+
+    let signal = 'neutral';
+    if (percentB > 1) signal = 'overbought';
+    else if (percentB < 0) signal = 'oversold';
+    else if (percentB > 0.8) signal = 'upper_zone';
+    else if (percentB < 0.2) signal = 'lower_zone';
+
+    return {
+      upper: parseFloat(upper.toFixed(2)),
+      middle: parseFloat(sma.toFixed(2)),
+      lower: parseFloat(lower.toFixed(2)),
+      percentB: parseFloat(percentB.toFixed(3)),
+      bandwidth: parseFloat(bandwidth.toFixed(2)),
+      signal
+    };
+  }
+
+  // ===========================================================================
+  // OBV - On-Balance Volume
+  // ===========================================================================
+  static OBV(closes, volumes) {
+    if (closes.length < 2) return null;
+
+    let obv = 0;
+    const obvArray = [0];
+
+    for (let i = 1; i < closes.length; i++) {
+      if (closes[i] > closes[i - 1]) {
+        obv += volumes[i];
+      } else if (closes[i] < closes[i - 1]) {
+        obv -= volumes[i];
+      }
+      obvArray.push(obv);
+    }
+
+    return this.formatOBV(obv, obvArray.slice(-10));
+  }
+
+  static formatOBV(obv, recentOBV) {
+    // Calculate OBV trend using simple linear regression
+    const slope = this.calculateOBVSlope(recentOBV);
+
+    let trend = 'neutral';
+    if (slope > 0.1) trend = 'accumulation';
+    else if (slope < -0.1) trend = 'distribution';
+
+    return {
+      obv: Math.round(obv),
+      trend,
+      slope: parseFloat(slope.toFixed(4))
+    };
+  }
+
+  static calculateOBVSlope(values) {
+    const n = values.length;
+    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+
+    // Normalize values to prevent huge numbers
+    const maxVal = Math.max(...values.map(Math.abs)) || 1;
+    const normalizedValues = values.map(v => v / maxVal);
+
+    for (let i = 0; i < n; i++) {
+      sumX += i;
+      sumY += normalizedValues[i];
+      sumXY += i * normalizedValues[i];
+      sumX2 += i * i;
+    }
+
+    return (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+  }
+
+  // ===========================================================================
+  // VOLUME PROFILE (Simplified - Volume by price zones)
+  // ===========================================================================
+  static VolumeProfile(candles, zones = 10) {
+    if (candles.length < 10) return null;
+
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+    const volumes = candles.map(c => parseFloat(c.v));
+    const closes = candles.map(c => parseFloat(c.c));
+
+    const maxHigh = Math.max(...highs);
+    const minLow = Math.min(...lows);
+    const range = maxHigh - minLow;
+    const zoneSize = range / zones;
+
+    // Initialize volume zones
+    const volumeZones = Array(zones).fill(0);
+
+    // Distribute volume across price zones
+    for (let i = 0; i < candles.length; i++) {
+      const avgPrice = (highs[i] + lows[i]) / 2;
+      const zoneIndex = Math.min(zones - 1, Math.floor((avgPrice - minLow) / zoneSize));
+      volumeZones[zoneIndex] += volumes[i];
+    }
+
+    // Find POC (Point of Control) - highest volume zone
+    const maxVolume = Math.max(...volumeZones);
+    const pocIndex = volumeZones.indexOf(maxVolume);
+    const pocPrice = minLow + (pocIndex + 0.5) * zoneSize;
+
+    // Value Area (70% of volume)
+    const totalVolume = volumeZones.reduce((a, b) => a + b, 0);
+    const targetVolume = totalVolume * 0.7;
+
+    let vaVolume = volumeZones[pocIndex];
+    let vaHigh = pocIndex;
+    let vaLow = pocIndex;
+
+    while (vaVolume < targetVolume && (vaHigh < zones - 1 || vaLow > 0)) {
+      const highVol = vaHigh < zones - 1 ? volumeZones[vaHigh + 1] : 0;
+      const lowVol = vaLow > 0 ? volumeZones[vaLow - 1] : 0;
+
+      if (highVol >= lowVol && vaHigh < zones - 1) {
+        vaHigh++;
+        vaVolume += highVol;
+      } else if (vaLow > 0) {
+        vaLow--;
+        vaVolume += lowVol;
+      }
+    }
+
+    const currentPrice = closes[closes.length - 1];
+    let position = 'neutral';
+    if (currentPrice > minLow + (vaHigh + 1) * zoneSize) position = 'above_value_area';
+    else if (currentPrice < minLow + vaLow * zoneSize) position = 'below_value_area';
+    else position = 'in_value_area';
+
+    return {
+      poc: parseFloat(pocPrice.toFixed(2)),
+      valueAreaHigh: parseFloat((minLow + (vaHigh + 1) * zoneSize).toFixed(2)),
+      valueAreaLow: parseFloat((minLow + vaLow * zoneSize).toFixed(2)),
+      position,
+      volumeZones: volumeZones.map(v => Math.round(v))
+    };
+  }
+
+  // ===========================================================================
+  // ATR - Average True Range (Volatility)
+  // ===========================================================================
+  static ATR(highs, lows, closes, period = 14) {
+    if (closes.length < period + 1) return null;
+
+    const trueRanges = [];
+
+    for (let i = 1; i < closes.length; i++) {
+      const tr = Math.max(
+        highs[i] - lows[i],
+        Math.abs(highs[i] - closes[i - 1]),
+        Math.abs(lows[i] - closes[i - 1])
+      );
+      trueRanges.push(tr);
+    }
+
+    // Use Wilder's smoothing
+    let atr = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+
+    for (let i = period; i < trueRanges.length; i++) {
+      atr = ((atr * (period - 1)) + trueRanges[i]) / period;
+    }
+
+    return this.formatATR(atr, closes[closes.length - 1]);
+  }
+
+  static formatATR(atr, currentPrice) {
+    const atrPercent = (atr / currentPrice) * 100;
+
+    let volatility = 'low';
+    if (atrPercent > 5) volatility = 'very_high';
+    else if (atrPercent > 3) volatility = 'high';
+    else if (atrPercent > 1.5) volatility = 'moderate';
+
+    return {
+      atr: parseFloat(atr.toFixed(4)),
+      atrPercent: parseFloat(atrPercent.toFixed(2)),
+      volatility
+    };
+  }
+
+  // ATR for every bar (null until `period` true ranges exist), same smoothing as ATR()
+  static ATRArray(highs, lows, closes, period = 14) {
+    const atrs = new Array(closes.length).fill(null);
+    if (closes.length < period + 1) return atrs;
+
+    let sum = 0;
+    let atr = null;
+    for (let i = 1; i < closes.length; i++) {
+      const tr = Math.max(
+        highs[i] - lows[i],
+        Math.abs(highs[i] - closes[i - 1]),
+        Math.abs(lows[i] - closes[i - 1])
+      );
+      if (i <= period) {
+        sum += tr;
+        if (i === period) atr = sum / period;
+      } else {
+        atr = ((atr * (period - 1)) + tr) / period;
+      }
+      atrs[i] = atr;
+    }
+    return atrs;
+  }
+
+  // ===========================================================================
+  // VWAP - Volume Weighted Average Price
+  // Session VWAP resets at 00:00 UTC; pass an anchor time (ms) for anchored
+  // VWAP. Bands are one volume-weighted standard deviation either side.
+  // ===========================================================================
+  static VWAP(candles, anchor = 'session') {
+    if (candles.length === 0) return null;
+
+    const last = candles[candles.length - 1];
+    const from = anchor === 'session' ? Math.floor(last.t / DAY_MS) * DAY_MS : anchor;
+
+    let priceVolume = 0;
+    let priceSquaredVolume = 0;
+    let volume = 0;
+    let bars = 0;
+
+    for (const candle of candles) {
+      if (candle.t < from) continue;
+      const typical = (parseFloat(candle.h) + parseFloat(candle.l) + parseFloat(candle.c)) / 3;
+      const v = parseFloat(candle.v);
+      priceVolume += typical * v;
+      priceSquaredVolume += typical * typical * v;
+      volume += v;
+      bars++;
+    }
+
+    if (volume === 0) return null;
+
+    const vwap = priceVolume / volume;
+    const sd = Math.sqrt(Math.max(0, priceSquaredVolume / volume - vwap * vwap));
+    const upper = vwap + sd;
+    const lower = vwap - sd;
+    const close = parseFloat(last.c);
+
+    let position = 'at';
+    if (close > upper) position = 'above_upper';
+    else if (close < lower) position = 'below_lower';
+    else if (close > vwap) position = 'above';
+    else if (close < vwap) position = 'below';
+
+    return {
+      vwap,
+      upper,
+      lower,
+      deviation: parseFloat(((close - vwap) / vwap * 100).toFixed(3)),
+      position,
+      anchor: from,
+      bars
+    };
+  }
+
+  // ===========================================================================
+  // ICHIMOKU CLOUD
+  // Tenkan/kijun are midpoints of the 9/26-bar range; the cloud under the
+  // current bar was projected 26 bars ago from the spans computed then
+  // ===========================================================================
+  static Ichimoku(highs, lows, closes, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+    if (closes.length < spanBPeriod + displacement) return null;
+
+    // Midpoint of the high/low range over `period` bars ending at `end`
+    const midpoint = (period, end) => {
+      const from = end - period + 1;
+      return (Math.max(...highs.slice(from, end + 1)) + Math.min(...lows.slice(from, end + 1))) / 2;
+    };
+
+    const last = closes.length - 1;
+    const past = last - displacement;
+
+    const tenkan = midpoint(conversionPeriod, last);
+    const kijun = midpoint(basePeriod, last);
+    const senkouA = (midpoint(conversionPeriod, past) + midpoint(basePeriod, past)) / 2;
+    const senkouB = midpoint(spanBPeriod, past);
+    const futureA = (tenkan + kijun) / 2;
+    const futureB = midpoint(spanBPeriod, last);
+
+    const close = closes[last];
+    const cloudTop = Math.max(senkouA, senkouB);
+    const cloudBottom = Math.min(senkouA, senkouB);
+
+    let position = 'in_cloud';
+    if (close > cloudTop) position = 'above_cloud';
+    else if (close < cloudBottom) position = 'below_cloud';
+
+    const tkCross = tenkan > kijun ? 'bullish' : tenkan < kijun ? 'bearish' : 'neutral';
+    const chikou = close > closes[past] ? 'bullish' : close < closes[past] ? 'bearish' : 'neutral';
+
+    let signal = 'neutral';
+    if (position === 'above_cloud' && tkCross === 'bullish' && chikou === 'bullish') signal = 'bullish';
+    else if (position === 'below_cloud' && tkCross === 'bearish' && chikou === 'bearish') signal = 'bearish';
+
+    return {
+      tenkan,
+      kijun,
+      senkouA,
+      senkouB,
+      cloudTop,
+      cloudBottom,
+      cloudColor: futureA >= futureB ? 'bullish' : 'bearish',
+      position,
+      tkCross,
+      chikou,
+      signal
+    };
+  }
+
+  // ===========================================================================
+  // SUPERTREND
+  // ATR bands around the bar midpoint that only ratchet in the trend's
+  // direction; the trend flips when price closes through the active band
+  // ===========================================================================
+  static Supertrend(highs, lows, closes, period = 10, multiplier = 3) {
+    if (closes.length < period + 2) return null;
+
+    const atrs = this.ATRArray(highs, lows, closes, period);
+    let upperBand = null;
+    let lowerBand = null;
+    let direction = 'up';
+    let previousDirection = 'up';
+
+    for (let i = period; i < closes.length; i++) {
+      const mid = (highs[i] + lows[i]) / 2;
+      const basicUpper = mid + multiplier * atrs[i];
+      const basicLower = mid - multiplier * atrs[i];
+      const prevClose = closes[i - 1];
+
+      upperBand = upperBand === null || basicUpper < upperBand || prevClose > upperBand ? basicUpper : upperBand;
+      lowerBand = lowerBand === null || basicLower > lowerBand || prevClose < lowerBand ? basicLower : lowerBand;
+
+      previousDirection = direction;
+      if (direction === 'up' && closes[i] < lowerBand) direction = 'down';
+      else if (direction === 'down' && closes[i] > upperBand) direction = 'up';
+    }
+
+    const value = direction === 'up' ? lowerBand : upperBand;
+    const close = closes[closes.length - 1];
+
+    return {
+      value,
+      direction,
+      flipped: direction !== previousDirection,
+      distance: parseFloat((Math.abs(close - value) / close * 100).toFixed(3))
+    };
+  }
+
+  // ===========================================================================
+  // KELTNER CHANNELS
+  // EMA20 middle line with bands at 2x ATR(10)
+  // ===========================================================================
+  static Keltner(highs, lows, closes, emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+    if (closes.length < Math.max(emaPeriod, atrPeriod + 1)) return null;
+
+    const middle = this.EMA(closes, emaPeriod);
+    const atr = this.ATRArray(highs, lows, closes, atrPeriod)[closes.length - 1];
+    const upper = middle + multiplier * atr;
+    const lower = middle - multiplier * atr;
+    const close = closes[closes.length - 1];
+
+    let position = 'inside';
+    if (close > upper) position = 'above_upper';
+    else if (close < lower) position = 'below_lower';
+
+    return {
+      upper,
+      middle,
+      lower,
+      width: parseFloat(((upper - lower) / middle * 100).toFixed(2)),
+      position
+    };
+  }
+
+  // ===========================================================================
+  // PARABOLIC SAR
+  // Wilder's stop-and-reverse: the stop accelerates toward price by `step`
+  // each new extreme (capped at maxStep) and flips when price crosses it
+  // ===========================================================================
+  static ParabolicSAR(highs, lows, step = 0.02, maxStep = 0.2) {
+    if (highs.length < 5) return null;
+
+    let trend = highs[1] >= highs[0] ? 'up' : 'down';
+    let sar = trend === 'up' ? lows[0] : highs[0];
+    let extreme = trend === 'up' ? highs[0] : lows[0];
+    let af = step;
+    let flipped = false;
+
+    for (let i = 1; i < highs.length; i++) {
+      sar = sar + af * (extreme - sar);
+      flipped = false;
+
+      if (trend === 'up') {
+        // The stop may not move inside the prior two bars' range
+        sar = Math.min(sar, lows[i - 1], lows[Math.max(0, i - 2)]);
+        if (lows[i] < sar) {
+          trend = 'down';
+          sar = extreme;
+          extreme = lows[i];
+          af = step;
+          flipped = true;
+        } else if (highs[i] > extreme) {
+          extreme = highs[i];
+          af = Math.min(af + step, maxStep);
+        }
+      } else {
+        sar = Math.max(sar, highs[i - 1], highs[Math.max(0, i - 2)]);
+        if (highs[i] > sar) {
+          trend = 'up';
+          sar = extreme;
+          extreme = highs[i];
+          af = step;
+          flipped = true;
+        } else if (lows[i] < extreme) {
+          extreme = lows[i];
+          af = Math.min(af + step, maxStep);
+        }
+      }
+    }
+
+    return { sar, trend, flipped, accelerationFactor: parseFloat(af.toFixed(2)) };
+  }
+
+  // ===========================================================================
+  // CCI - Commodity Channel Index
+  // ===========================================================================
+  static CCI(highs, lows, closes, period = 20) {
+    if (closes.length < period) return null;
+
+    const typical = closes.slice(-period).map((close, i) => {
+      const j = closes.length - period + i;
+      return (highs[j] + lows[j] + close) / 3;
+    });
+    const mean = typical.reduce((a, b) => a + b, 0) / period;
+    const meanDeviation = typical.reduce((sum, tp) => sum + Math.abs(tp - mean), 0) / period;
+    const value = meanDeviation === 0 ? 0 : (typical[period - 1] - mean) / (0.015 * meanDeviation);
+
+    let signal = 'neutral';
+    if (value > 100) signal = 'overbought';
+    else if (value < -100) signal = 'oversold';
+
+    return { value: parseFloat(value.toFixed(2)), signal };
+  }
+
+  // ===========================================================================
+  // MFI - Money Flow Index (volume-weighted RSI)
+  // ===========================================================================
+  static MFI(highs, lows, closes, volumes, period = 14) {
+    if (closes.length < period + 1) return null;
+
+    let positiveFlow = 0;
+    let negativeFlow = 0;
+
+    for (let i = closes.length - period; i < closes.length; i++) {
+      const typical = (highs[i] + lows[i] + closes[i]) / 3;
+      const prevTypical = (highs[i - 1] + lows[i - 1] + closes[i - 1]) / 3;
+      const flow = typical * volumes[i];
+      if (typical > prevTypical) positiveFlow += flow;
+      else if (typical < prevTypical) negativeFlow += flow;
+    }
+
+    let value = 50;
+    if (negativeFlow === 0) value = positiveFlow > 0 ? 100 : 50;
+    else value = 100 - 100 / (1 + positiveFlow / negativeFlow);
+
+    let signal = 'neutral';
+    if (value > 80) signal = 'overbought';
+    else if (value < 20) signal = 'oversold';
+
+    return { value: parseFloat(value.toFixed(2)), signal };
+  }
+
+  // ===========================================================================
+  // WILLIAMS %R
+  // ===========================================================================
+  static WilliamsR(highs, lows, closes, period = 14) {
+    if (closes.length < period) return null;
+
+    const highestHigh = Math.max(...highs.slice(-period));
+    const lowestLow = Math.min(...lows.slice(-period));
+    const value = highestHigh === lowestLow
+      ? -50
+      : (highestHigh - closes[closes.length - 1]) / (highestHigh - lowestLow) * -100;
+
+    let signal = 'neutral';
+    if (value > -20) signal = 'overbought';
+    else if (value < -80) signal = 'oversold';
+
+    return { value: parseFloat(value.toFixed(2)), signal };
+  }
+
+  // ===========================================================================
+  // ELLIOTT WAVE DETECTION (Simplified)
+  // Identifies potential wave patterns: Impulse (5-wave) and Corrective (3-wave)
+  // ===========================================================================
+  static detectElliottWave(candles) {
+    if (candles.length < 30) return null;
+
+    const closes = candles.map(c => parseFloat(c.c));
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+
+    // Find significant pivots (swing highs and lows)
+    const pivots = this.findPivots(highs, lows, closes, 5);
+
+    if (pivots.length < 5) return null;
+
+    // Try to identify impulse wave (5-wave pattern)
+    const impulseWave = this.identifyImpulseWave(pivots, closes);
+    if (impulseWave) return impulseWave;
+
+    // Try to identify corrective wave (ABC pattern)
+    const correctiveWave = this.identifyCorrectiveWave(pivots, closes);
+    if (correctiveWave) return correctiveWave;
+
+    return {
+      pattern: 'indeterminate',
+      description: 'No clear wave pattern detected',
+      confidence: 'low'
+    };
+  }
+
+  static findPivots(highs, lows, closes, strength = 5) {
+    const pivots = [];
+
+    for (let i = strength; i < closes.length - strength; i++) {
+      // Check for swing high
+      const isSwingHigh = highs.slice(i - strength, i).every(h => highs[i] > h) &&
+                          highs.slice(i + 1, i + strength + 1).every(h => highs[i] > h);
+
+      // Check for swing low
+      const isSwingLow = lows.slice(i - strength, i).every(l => lows[i] < l) &&
+                         lows.slice(i + 1, i + strength + 1).every(l => lows[i] < l);
+
+      if (isSwingHigh) {
+        pivots.push({ index: i, type: 'high', value: highs[i] });
+      } else if (isSwingLow) {
+        pivots.push({ index: i, type: 'low', value: lows[i] });
+      }
+    }
+
+    return pivots;
+  }
+
+  static identifyImpulseWave(pivots, closes) {
+    // Look for 5-wave impulse pattern in the last pivots
+    const recentPivots = pivots.slice(-6);
+    if (recentPivots.length < 5) return null;
+
+    // Bullish impulse: low-high-low-high-low-high (5 waves up)
+    // Wave 1: low to high, Wave 2: high to low (< Wave 1 start)
+    // Wave 3: low to high (> Wave 1 high), Wave 4: high to low (> Wave 1 low)
+    // Wave 5: low to high (may or may not exceed Wave 3)
+
+    for (let i = 0; i <= recentPivots.length - 5; i++) {
+      const p0 = recentPivots[i];
+      const p1 = recentPivots[i + 1];
+      const p2 = recentPivots[i + 2];
+      const p3 = recentPivots[i + 3];
+      const p4 = recentPivots[i + 4];
+
+      // Check for bullish impulse
+      if (p0.type === 'low' && p1.type === 'high' && p2.type === 'low' &&
+          p3.type === 'high' && p4.type === 'low') {
+
+        // Wave 2 cannot retrace more than 100% of Wave 1
+        if (p2.value > p0.value) {
+          // Wave 3 must exceed Wave 1 high
+          if (p3.value > p1.value) {
+            // Wave 4 cannot overlap Wave 1 territory
+            if (p4.value > p1.value) {
+              const currentPrice = closes[closes.length - 1];
+              const wave5Progress = (currentPrice - p4.value) / (p3.value - p4.value);
+
+              return {
+                pattern: 'bullish_impulse',
+                wave: wave5Progress > 0 ? 'Wave 5 in progress' : 'Wave 5 starting',
+                points: {
+                  wave1: { start: p0.value, end: p1.value },
+                  wave2: { start: p1.value, end: p2.value },
+                  wave3: { start: p2.value, end: p3.value },
+                  wave4: { start: p3.value, end: p4.value }
+                },
+                projection: p4.value + (p3.value - p2.value), // Wave 5 = Wave 3 (common)
+                confidence: 'medium',
+                description: 'Bullish 5-wave impulse detected - Wave 5 may target ' +
+                             (p4.value + (p3.value - p2.value)).toFixed(2)
+              };
+            }
+          }
+        }
+      }
+
+      // Check for bearish impulse
+      if (p0.type === 'high' && p1.type === 'low' && p2.type === 'high' &&
+          p3.type === 'low' && p4.type === 'high') {
+
+        if (p2.value < p0.value && p3.value < p1.value && p4.value < p1.value) {
+          const currentPrice = closes[closes.length - 1];
+          const wave5Progress = (p4.value - currentPrice) / (p4.value - p3.value);
+
+          return {
+            pattern: 'bearish_impulse',
+            wave: wave5Progress > 0 ? 'Wave 5 in progress' : 'Wave 5 starting',
+            points: {
+              wave1: { start: p0.value, end: p1.value },
+              wave2: { start: p1.value, end: p2.value },
+              wave3: { start: p2.value, end: p3.value },
+              wave4: { start: p3.value, end: p4.value }
+            },
+            projection: p4.value - (p2.value - p3.value),
+            confidence: 'medium',
+            description: 'Bearish 5-wave impulse detected - Wave 5 may target ' +
+                         (p4.value - (p2.value - p3.value)).toFixed(2)
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  static identifyCorrectiveWave(pivots, closes) {
+    // Look for ABC correction pattern
+    const recentPivots = pivots.slice(-4);
+    if (recentPivots.length < 3) return null;
+
+    for (let i = 0; i <= recentPivots.length - 3; i++) {
+      const a = recentPivots[i];
+      const b = recentPivots[i + 1];
+      const c = recentPivots[i + 2];
+
+      // Bullish ABC correction (downward correction in uptrend)
+      if (a.type === 'high' && b.type === 'low' && c.type === 'high') {
+        // B wave should not exceed A
+        if (c.value < a.value && c.value > b.value) {
+          const currentPrice = closes[closes.length - 1];
+
+          return {
+            pattern: 'bullish_abc_correction',
+            wave: currentPrice < c.value ? 'C wave in progress' : 'Correction complete',
+            points: {
+              waveA: { start: a.value, end: b.value },
+              waveB: { start: b.value, end: c.value }
+            },
+            projection: c.value - (a.value - b.value), // C often equals A
+            confidence: 'medium',
+            description: 'ABC correction in uptrend - May resume bullish after ' +
+                         (c.value - (a.value - b.value)).toFixed(2)
+          };
+        }
+      }
+
+      // Bearish ABC correction (upward correction in downtrend)
+      if (a.type === 'low' && b.type === 'high' && c.type === 'low') {
+        if (c.value > a.value && c.value < b.value) {
+          const currentPrice = closes[closes.length - 1];
+
+          return {
+            pattern: 'bearish_abc_correction',
+            wave: currentPrice > c.value ? 'C wave in progress' : 'Correction complete',
+            points: {
+              waveA: { start: a.value, end: b.value },
+              waveB: { start: b.value, end: c.value }
+            },
+            projection: c.value + (b.value - a.value),
+            confidence: 'medium',
+            description: 'ABC correction in downtrend - May resume bearish after ' +
+                         (c.value + (b.value - a.value)).toFixed(2)
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // ===========================================================================
+  // CALCULATE ALL INDICATORS FOR A CANDLE SET
+  // ===========================================================================
+  static calculateAll(candles) {
+    if (!candles || candles.length < 30) {
+      return null;
+    }
+
+    const closes = candles.map(c => parseFloat(c.c));
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+    const volumes = candles.map(c => parseFloat(c.v));
+
+    const indicators = {
+      // Momentum
+      rsi: this.RSI(closes, 14),
+      macd: this.MACD(closes),
+      stochastic: this.Stochastic(highs, lows, closes),
+      cci: this.CCI(highs, lows, closes),
+      williamsR: this.WilliamsR(highs, lows, closes),
+
+      // Trend
+      ema20: this.EMA(closes, 20),
+      ema50: this.EMA(closes, 50),
+      sma20: this.SMA(closes, 20),
+      adx: this.ADX(highs, lows, closes),
+      ichimoku: this.Ichimoku(highs, lows, closes),
+      supertrend: this.Supertrend(highs, lows, closes),
+      parabolicSar: this.ParabolicSAR(highs, lows),
+
+      // Volatility
+      bollingerBands: this.BollingerBands(closes),
+      keltner: this.Keltner(highs, lows, closes),
+      atr: this.ATR(highs, lows, closes),
+
+      // Volume
+      obv: this.OBV(closes, volumes),
+      mfi: this.MFI(highs, lows, closes, volumes),
+      vwap: this.VWAP(candles),
+      volumeProfile: this.VolumeProfile(candles),
+
+      // Elliott Wave
+      elliottWave: this.detectElliottWave(candles)
+    };
+
+    // Summary
+    indicators.summary = this.summarize(indicators);
+    return indicators;
+  }
+
+  // VWAP needs candle times, so it only votes through calculateAll; MFI needs volumes
+  static generateSummary(closes, highs, lows, volumes = null) {
+    return this.summarize({
+      rsi: this.RSI(closes, 14),
+      macd: this.MACD(closes),
+      stochastic: this.Stochastic(highs, lows, closes),
+      adx: this.ADX(highs, lows, closes),
+      bollingerBands: this.BollingerBands(closes),
+      ema20: this.EMA(closes, 20),
+      ema50: this.EMA(closes, 50),
+      ichimoku: this.Ichimoku(highs, lows, closes),
+      supertrend: this.Supertrend(highs, lows, closes),
+      keltner: this.Keltner(highs, lows, closes),
+      parabolicSar: this.ParabolicSAR(highs, lows),
+      cci: this.CCI(highs, lows, closes),
+      mfi: volumes ? this.MFI(highs, lows, closes, volumes) : null,
+      williamsR: this.WilliamsR(highs, lows, closes)
+    });
+  }
+
+  // Bullish/bearish vote across already-computed indicator values
+  static summarize({
+    rsi, macd, stochastic: stoch, adx, bollingerBands: bb, ema20, ema50,
+    vwap, ichimoku, supertrend, keltner, parabolicSar: psar, cci, mfi, williamsR
+  }) {
+    let bullishSignals = 0;
+    let bearishSignals = 0;
+
+    // RSI signals
+    if (rsi < 30) bullishSignals++;
+    else if (rsi > 70) bearishSignals++;
+
+    // MACD signals
+    if (macd?.trend === 'bullish' || macd?.trend === 'bullish_crossover') bullishSignals++;
+    else if (macd?.trend === 'bearish' || macd?.trend === 'bearish_crossover') bearishSignals++;
+
+    // Stochastic signals
+    if (stoch?.signal === 'oversold_reversal') bullishSignals++;
+    else if (stoch?.signal === 'overbought_reversal') bearishSignals++;
+
+    // ADX trend direction
+    if (adx?.direction === 'bullish' && adx?.trend !== 'weak') bullishSignals++;
+    else if (adx?.direction === 'bearish' && adx?.trend !== 'weak') bearishSignals++;
+
+    // Bollinger Bands
+    if (bb?.signal === 'oversold') bullishSignals++;
+    else if (bb?.signal === 'overbought') bearishSignals++;
+
+    // EMA crossover
+    if (ema20 > ema50) bullishSignals++;
+    else if (ema20 < ema50) bearishSignals++;
+
+    // Price vs session VWAP
+    if (vwap?.position === 'above' || vwap?.position === 'above_upper') bullishSignals++;
+    else if (vwap?.position === 'below' || vwap?.position === 'below_lower') bearishSignals++;
+
+    // Ichimoku: price, cloud and lines all agreeing
+    if (ichimoku?.signal === 'bullish') bullishSignals++;
+    else if (ichimoku?.signal === 'bearish') bearishSignals++;
+
+    // Supertrend and Parabolic SAR trend direction
+    if (supertrend?.direction === 'up') bullishSignals++;
+    else if (supertrend?.direction === 'down') bearishSignals++;
+    if (psar?.trend === 'up') bullishSignals++;
+    else if (psar?.trend === 'down') bearishSignals++;
+
+    // Keltner Channels (stretched beyond the channel, like Bollinger)
+    if (keltner?.position === 'below_lower') bullishSignals++;
+    else if (keltner?.position === 'above_upper') bearishSignals++;
+
+    // CCI, MFI and Williams %R extremes
+    if (cci?.signal === 'oversold') bullishSignals++;
+    else if (cci?.signal === 'overbought') bearishSignals++;
+    if (mfi?.signal === 'oversold') bullishSignals++;
+    else if (mfi?.signal === 'overbought') bearishSignals++;
+    if (williamsR?.signal === 'oversold') bullishSignals++;
+    else if (williamsR?.signal === 'overbought') bearishSignals++;
+
+    const total = bullishSignals + bearishSignals;
+    let sentiment = 'NEUTRAL';
+    let strength = 0;
+
+    if (total > 0) {
+      const ratio = bullishSignals / total;
+      if (ratio > 0.7) { sentiment = 'BULLISH'; strength = bullishSignals; }
+      else if (ratio < 0.3) { sentiment = 'BEARISH'; strength = bearishSignals; }
+      else { sentiment = 'MIXED'; strength = Math.max(bullishSignals, bearishSignals); }
+    }
+
+    return {
+      sentiment,
+      bullishSignals,
+      bearishSignals,
+      strength: `${strength}/${total || 1}`,
+      recommendation: sentiment === 'BULLISH' ? 'Consider LONG' :
+                      sentiment === 'BEARISH' ? 'Consider SHORT' : 'Wait for clarity'
+    };
+  }
+}
+
+module.exports = { TechnicalIndicators };
@@ -0,0 +1,141 @@
+/**
+ * Instrument Registry
+ *
+ * The tradable universe, loaded from a JSON config file instead of hard-coded
+ * maps. Each instrument carries its per-exchange symbols and price metadata:
+ *
+ *   {
+ *     name: 'BTC_USDT',          // display name used as the data key everywhere
+ *     binance: 'BTCUSDT',        // spot + USDⓈ-M futures symbol
+ *     coinbase: 'BTC-USD',       // null when not listed
+ *     kraken: 'XBT/USD',         // null when not listed
+ *     tickSize: 0.01,
+ *     pricePrecision: 2,
+ *     compactPrice: true         // dashboard shows prices in thousands ($95.12K)
+ *   }
+ *
+ * Adding or removing an instrument persists the file and emits 'added' /
+ * 'removed' so connections can resubscribe without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const NAME_PATTERN = /^[A-Z0-9]+_[A-Z0-9]+$/;
+const EXCHANGES = ['binance', 'coinbase', 'kraken'];
+
+class InstrumentRegistry extends EventEmitter {
+  constructor(configFile) {
+    super();
+    this.configFile = configFile;
+    this.instruments = new Map();  // name -> instrument
+    this.load();
+  }
+
+  load() {
+    const list = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+
+    this.instruments.clear();
+    for (const entry of list) {
+      const errors = InstrumentRegistry.validate(entry);
+      if (errors.length > 0) {
+        throw new Error(`Invalid instrument ${entry?.name || '(unnamed)'} in ${this.configFile}: ${errors.join(', ')}`);
+      }
+      const instrument = InstrumentRegistry.normalize(entry);
+      this.instruments.set(instrument.name, instrument);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.configFile), { recursive: true });
+    fs.writeFileSync(this.configFile, JSON.stringify(this.list(), null, 2) + '\n');
+  }
+
+  static validate(entry) {
+    const errors = [];
+
+    if (!entry || !NAME_PATTERN.test(entry.name || '')) {
+      errors.push('name must look like BASE_QUOTE (e.g. BTC_USDT)');
+      return errors;
+    }
+    for (const exchange of EXCHANGES) {
+      if (entry[exchange] !== undefined && entry[exchange] !== null && typeof entry[exchange] !== 'string') {
+        errors.push(`${exchange} must be a symbol string or null`);
+      }
+    }
+    if (entry.tickSize !== undefined && !(entry.tickSize > 0)) {
+      errors.push('tickSize must be a positive number');
+    }
+    if (entry.pricePrecision !== undefined &&
+        !(Number.isInteger(entry.pricePrecision) && entry.pricePrecision >= 0 && entry.pricePrecision <= 10)) {
+      errors.push('pricePrecision must be an integer between 0 and 10');
+    }
+
+    return errors;
+  }
+
+  // Fill in defaults: Binance symbol from the name, precision from the tick size
+  static normalize(entry) {
+    const tickSize = entry.tickSize || 0.01;
+    const pricePrecision = entry.pricePrecision ?? Math.max(0, Math.round(-Math.log10(tickSize)));
+
+    return {
+      name: entry.name,
+      binance: (entry.binance || entry.name.replace('_', '')).toUpperCase(),
+      coinbase: entry.coinbase || null,
+      kraken: entry.kraken || null,
+      tickSize,
+      pricePrecision,
+      compactPrice: entry.compactPrice === true
+    };
+  }
+
+  list() {
+    return [...this.instruments.values()];
+  }
+
+  names() {
+    return [...this.instruments.keys()];
+  }
+
+  get(name) {
+    return this.instruments.get(name) || null;
+  }
+
+  // Look up an instrument by its symbol on one exchange
+  findBySymbol(exchange, symbol) {
+    for (const instrument of this.instruments.values()) {
+      if (instrument[exchange] === symbol) return instrument;
+    }
+    return null;
+  }
+
+  add(entry) {
+    const errors = InstrumentRegistry.validate(entry);
+    if (errors.length > 0) return { errors };
+    if (this.instruments.has(entry.name)) return { errors: [`${entry.name} is already configured`] };
+
+    const instrument = InstrumentRegistry.normalize(entry);
+    if (this.findBySymbol('binance', instrument.binance)) {
+      return { errors: [`Binance symbol ${instrument.binance} is already configured`] };
+    }
+
+    this.instruments.set(instrument.name, instrument);
+    this.save();
+    this.emit('added', instrument);
+    return { instrument };
+  }
+
+  remove(name) {
+    const instrument = this.instruments.get(name);
+    if (!instrument) return null;
+
+    this.instruments.delete(name);
+    this.save();
+    this.emit('removed', instrument);
+    return instrument;
+  }
+}
+
+module.exports = { InstrumentRegistry };
@@ -0,0 +1,67 @@
+/**
+ * Binance Klines REST Client
+ *
+ * Fetches historical candles in the { t, o, h, l, c, v, T, isClosed } shape
+ * used throughout the server
+ */
+
+const { httpsGet } = require('./http');
+
+const BINANCE_KLINES_URL = 'https://api.binance.com/api/v3/klines';
+const MAX_KLINES_PER_REQUEST = 1000;
+
+// Candle duration per timeframe in milliseconds
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+function klineToCandle(k) {
+  return {
+    t: k[0],
+    o: k[1],
+    h: k[2],
+    l: k[3],
+    c: k[4],
+    v: k[5],
+    T: k[6],
+    isClosed: k[6] < Date.now()
+  };
+}
+
+async function fetchKlines(symbol, interval, { limit = 100, startTime, endTime } = {}) {
+  let url = `${BINANCE_KLINES_URL}?symbol=${symbol}&interval=${interval}` +
+            `&limit=${Math.min(limit, MAX_KLINES_PER_REQUEST)}`;
+  if (startTime !== undefined) url += `&startTime=${startTime}`;
+  if (endTime !== undefined) url += `&endTime=${endTime}`;
+
+  const data = await httpsGet(url);
+
+  if (!Array.isArray(data)) {
+    throw new Error(data?.msg || 'Unexpected klines response');
+  }
+  return data.map(klineToCandle);
+}
+
+// The most recent `limit` candles, paged backwards from `endTime` when there
+// are more than one request returns. Oldest first
+async function fetchKlineHistory(symbol, interval, { limit = 1000, endTime } = {}) {
+  const candles = [];
+  let end = endTime;
+
+  while (candles.length < limit) {
+    const wanted = Math.min(limit - candles.length, MAX_KLINES_PER_REQUEST);
+    const page = await fetchKlines(symbol, interval, { limit: wanted, endTime: end });
+
+    candles.unshift(...page);
+    if (page.length < wanted) break;  // Reached the start of the symbol's history
+    end = page[0].t - 1;
+  }
+  return candles;
+}
+
+module.exports = { fetchKlines, fetchKlineHistory, klineToCandle, MAX_KLINES_PER_REQUEST, TIMEFRAME_MS };
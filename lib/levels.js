@@ -0,0 +1,288 @@
+/**
+ * Support / Resistance Engine
+ *
+ * Builds scored price zones from:
+ *   - swing pivots in the candle window (TechnicalIndicators.findPivots)
+ *   - the previous UTC day's high / low and its classic, Fibonacci and
+ *     Camarilla pivot levels
+ *   - volume profile nodes (POC, value area high / low)
+ *
+ * Candidate levels closer together than half an ATR are clustered into one
+ * zone whose score is the sum of its sources' weights, so a swing high that
+ * lines up with R1 and the value area high outranks any of them alone.
+ * Zones scoring MAJOR_SCORE or more are 'major'.
+ *
+ * adjustDecision moves a trade's stop just beyond the nearest support
+ * (LONG) or resistance (SHORT), keeping the strategy's R multiples for the
+ * targets, and flags targets that sit just past a major level.
+ */
+
+const { TechnicalIndicators } = require('./indicators');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAJOR_SCORE = 3;
+
+const DEFAULT_OPTIONS = {
+  pivotStrength: 3,        // Bars either side of a swing high/low
+  clusterAtr: 0.5,         // Levels within this many ATRs merge into one zone
+  clusterPercent: 0.3,     // ...or this % of price when ATR is unavailable
+  snapStops: true,         // Move stops beyond the nearest level
+  stopBufferAtr: 0.2,      // Distance beyond the zone edge, in ATRs
+  minStopRatio: 0.5,       // A snapped stop may tighten risk to this fraction...
+  maxStopRatio: 1.5,       // ...or widen it to this multiple of the strategy's
+  targetProximityR: 0.3    // A target this close (in R) past a major level is flagged
+};
+
+// Weight each source adds to its zone's score
+const WEIGHTS = {
+  swing: 1,     // per touch
+  PDH: 1.5,
+  PDL: 1.5,
+  P: 1.5,
+  R1: 1, S1: 1, R2: 1, S2: 1, R3: 0.5, S3: 0.5,
+  'Fib R1': 0.5, 'Fib S1': 0.5, 'Fib R2': 0.5, 'Fib S2': 0.5, 'Fib R3': 0.5, 'Fib S3': 0.5,
+  H3: 1, L3: 1, H4: 1, L4: 1,
+  POC: 2,
+  VAH: 1,
+  VAL: 1
+};
+
+class SupportResistance {
+  // ===========================================================================
+  // LEVELS
+  // session: { high, low, close } of the previous day; derived from the
+  // candles when omitted (needs the whole previous UTC day in the window)
+  // ===========================================================================
+  static calculate(candles, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    if (!candles || candles.length < 30) return null;
+
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+    const closes = candles.map(c => parseFloat(c.c));
+    const close = closes[closes.length - 1];
+
+    const atr = TechnicalIndicators.ATR(highs, lows, closes)?.atr || null;
+    const tolerance = atr ? atr * opts.clusterAtr : close * opts.clusterPercent / 100;
+
+    const session = opts.session !== undefined ? opts.session : this.previousSession(candles);
+    const pivots = session ? this.dailyPivots(session) : null;
+
+    const candidates = [
+      ...TechnicalIndicators.findPivots(highs, lows, closes, opts.pivotStrength).map(p => ({
+        price: p.value,
+        source: 'swing',
+        t: candles[p.index].t
+      })),
+      ...(pivots ? this.pivotCandidates(session, pivots) : []),
+      ...this.volumeCandidates(candles)
+    ];
+
+    const levels = this.cluster(candidates, tolerance).map(zone => ({
+      ...zone,
+      kind: zone.price < close ? 'support' : 'resistance'
+    }));
+
+    return { close, atr, tolerance, session, pivots, levels };
+  }
+
+  // High / low / close of the last complete UTC day before the final candle
+  static previousSession(candles) {
+    if (!candles || candles.length === 0) return null;
+
+    const dayStart = Math.floor(candles[candles.length - 1].t / DAY_MS) * DAY_MS;
+    const from = dayStart - DAY_MS;
+    if (candles[0].t > from) return null;
+
+    const day = candles.filter(c => c.t >= from && c.t < dayStart);
+    if (day.length === 0) return null;
+
+    return {
+      t: from,
+      high: Math.max(...day.map(c => parseFloat(c.h))),
+      low: Math.min(...day.map(c => parseFloat(c.l))),
+      close: parseFloat(day[day.length - 1].c)
+    };
+  }
+
+  static dailyPivots({ high, low, close }) {
+    const range = high - low;
+    const p = (high + low + close) / 3;
+
+    return {
+      classic: {
+        P: p,
+        R1: 2 * p - low,
+        S1: 2 * p - high,
+        R2: p + range,
+        S2: p - range,
+        R3: high + 2 * (p - low),
+        S3: low - 2 * (high - p)
+      },
+      fibonacci: {
+        P: p,
+        R1: p + 0.382 * range,
+        S1: p - 0.382 * range,
+        R2: p + 0.618 * range,
+        S2: p - 0.618 * range,
+        R3: p + range,
+        S3: p - range
+      },
+      camarilla: {
+        H3: close + range * 1.1 / 4,
+        L3: close - range * 1.1 / 4,
+        H4: close + range * 1.1 / 2,
+        L4: close - range * 1.1 / 2
+      }
+    };
+  }
+
+  static pivotCandidates(session, { classic, fibonacci, camarilla }) {
+    return [
+      { price: session.high, source: 'PDH' },
+      { price: session.low, source: 'PDL' },
+      ...Object.entries(classic).map(([name, price]) => ({ price, source: name })),
+      // The Fibonacci pivot point is the classic one
+      ...Object.entries(fibonacci).filter(([name]) => name !== 'P').map(([name, price]) => ({ price, source: `Fib ${name}` })),
+      ...Object.entries(camarilla).map(([name, price]) => ({ price, source: name }))
+    ];
+  }
+
+  static volumeCandidates(candles) {
+    const profile = TechnicalIndicators.VolumeProfile(candles);
+    if (!profile) return [];
+    return [
+      { price: profile.poc, source: 'POC' },
+      { price: profile.valueAreaHigh, source: 'VAH' },
+      { price: profile.valueAreaLow, source: 'VAL' }
+    ];
+  }
+
+  // Sorted candidates are merged while they stay within `tolerance` of the zone's lowest member
+  static cluster(candidates, tolerance) {
+    const sorted = [...candidates].sort((a, b) => a.price - b.price);
+    const zones = [];
+
+    for (const candidate of sorted) {
+      const zone = zones[zones.length - 1];
+      if (zone && candidate.price - zone.members[0].price <= tolerance) {
+        zone.members.push(candidate);
+      } else {
+        zones.push({ members: [candidate] });
+      }
+    }
+
+    return zones.map(({ members }) => {
+      const weights = members.map(m => WEIGHTS[m.source] ?? 0.5);
+      const score = weights.reduce((a, b) => a + b, 0);
+      const touches = members.filter(m => m.source === 'swing').length;
+      const sources = [...new Set(members.map(m => m.source))]
+        .map(source => (source === 'swing' && touches > 1 ? `swing x${touches}` : source));
+
+      return {
+        price: members.reduce((sum, m, i) => sum + m.price * weights[i], 0) / score,
+        low: members[0].price,
+        high: members[members.length - 1].price,
+        score: parseFloat(score.toFixed(1)),
+        strength: score >= MAJOR_SCORE ? 'major' : 'minor',
+        touches,
+        sources
+      };
+    });
+  }
+
+  // Nearest zone strictly below (support) or above (resistance) a price
+  static nearest(levels, price, side, filter = () => true) {
+    const zones = levels.filter(filter);
+    return side === 'support'
+      ? zones.filter(z => z.high < price).sort((a, b) => b.high - a.high)[0] || null
+      : zones.filter(z => z.low > price).sort((a, b) => a.low - b.low)[0] || null;
+  }
+
+  // ===========================================================================
+  // DECISIONS
+  // Returns the reasoning lines for what changed; mutates the decision
+  // ===========================================================================
+  static adjustDecision(decision, result, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    if (!result || decision.action === 'WAIT' || decision.entry === null || decision.stopLoss === null) return [];
+
+    const isLong = decision.action === 'LONG';
+    const side = isLong ? 1 : -1;
+    const { entry } = decision;
+    const stopSide = isLong ? 'support' : 'resistance';
+    const targetSide = isLong ? 'resistance' : 'support';
+    const lines = [];
+
+    decision.levels = {
+      support: this.summarizeLevel(this.nearest(result.levels, entry, 'support')),
+      resistance: this.summarizeLevel(this.nearest(result.levels, entry, 'resistance'))
+    };
+
+    // Stop: just beyond the nearest level that keeps risk within bounds
+    const risk = (entry - decision.stopLoss) * side;
+    if (opts.snapStops && risk > 0) {
+      const buffer = (result.atr || result.tolerance) * opts.stopBufferAtr;
+      const zone = this.nearest(result.levels, entry, stopSide, z => {
+        const stop = isLong ? z.low - buffer : z.high + buffer;
+        const ratio = (entry - stop) * side / risk;
+        return ratio >= opts.minStopRatio && ratio <= opts.maxStopRatio;
+      });
+
+      if (zone) {
+        const stop = isLong ? zone.low - buffer : zone.high + buffer;
+        const scale = (entry - stop) * side / risk;
+        decision.stopSnap = { from: decision.stopLoss, to: round(stop), level: round(zone.price), sources: zone.sources };
+        decision.stopLoss = round(stop);
+        // Targets keep the strategy's R multiples of the new risk
+        ['target1', 'target2', 'target3'].forEach(key => {
+          if (decision[key] !== null) decision[key] = round(entry + (decision[key] - entry) * scale);
+        });
+        // The strategy's closing 'Risk: x% to stop loss' line describes the old stop
+        const riskIndex = decision.reasoning.findIndex(r => r.startsWith('Risk:'));
+        if (riskIndex >= 0) {
+          decision.reasoning[riskIndex] = `Risk: ${((entry - stop) * side / entry * 100).toFixed(2)}% to stop loss`;
+        }
+        lines.push(
+          `Stop moved from $${describe(decision.stopSnap.from)} to $${describe(stop)}, ` +
+          `beyond ${stopSide} at $${describe(zone.price)} (${zone.sources.join(', ')})`
+        );
+      }
+    }
+
+    // Targets just past a major level may never fill
+    const newRisk = (entry - decision.stopLoss) * side;
+    decision.targetWarnings = [];
+    ['target1', 'target2', 'target3'].forEach((key, i) => {
+      const target = decision[key];
+      if (target === null) return;
+      const blocker = result.levels.find(z => {
+        if (z.strength !== 'major' || z.kind !== targetSide) return false;
+        const edge = isLong ? z.high : z.low;
+        const past = (target - edge) * side;
+        return (edge - entry) * side > 0 && past >= 0 && past <= newRisk * opts.targetProximityR;
+      });
+      if (blocker) {
+        decision.targetWarnings.push({ target: key, price: target, level: round(blocker.price), sources: blocker.sources });
+        lines.push(`⚠ TP${i + 1} sits just past major ${targetSide} at $${describe(blocker.price)} (${blocker.sources.join(', ')})`);
+      }
+    });
+
+    return lines;
+  }
+
+  static summarizeLevel(zone) {
+    return zone ? { price: round(zone.price), score: zone.score, strength: zone.strength, sources: zone.sources } : null;
+  }
+}
+
+function round(value) {
+  return parseFloat(value.toPrecision(8));
+}
+
+// Prices in reasoning text
+function describe(value) {
+  return parseFloat(value.toPrecision(6)).toString();
+}
+
+module.exports = { SupportResistance, DEFAULT_LEVEL_OPTIONS: DEFAULT_OPTIONS, MAJOR_SCORE };
@@ -0,0 +1,332 @@
+/**
+ * Parameter Optimizer
+ *
+ * Grid or random search over the pattern thresholds (PATTERN_PARAMS) and the
+ * strategy's params, scored with walk-forward analysis. The candle history is
+ * cut into rolling in-sample / out-of-sample windows. Each window's best
+ * in-sample parameter set is traded on the window that follows it, and every
+ * candidate is ranked by how well it holds up out of sample, so a set that
+ * only fits one stretch of history does not come out on top.
+ */
+
+const { Backtester, DEFAULT_BACKTEST_OPTIONS } = require('./backtest');
+const { PATTERN_PARAMS } = require('./patterns');
+const defaultStrategy = require('../strategies/default');
+
+const METRICS = ['expectancy', 'totalR', 'profitFactor', 'winRate'];
+const PROFIT_FACTOR_CAP = 10; // Scores a window without losses instead of Infinity
+
+// Searched when no space is given: the thresholds that matter most for entries and stops
+const DEFAULT_SPACE = {
+  dojiBodyRatio: [0.05, 0.1, 0.15],
+  volumeSpike: [1.5, 2, 2.5],
+  vReversalMovePercent: [3, 5, 7],
+  atrStopMultiple: [1, 1.5, 2]
+};
+
+const DEFAULT_OPTIONS = {
+  method: 'grid',          // 'grid' (every combination) or 'random'
+  samples: 50,             // Parameter sets drawn by random search
+  seed: 1,                 // Random search is repeatable for the same seed
+  maxCombinations: 1000,   // Larger grids are refused - use random search
+  folds: 4,                // Walk-forward windows
+  inSampleRatio: 0.75,     // In-sample share of each in-sample + out-of-sample window
+  metric: 'expectancy',    // Score used to pick and rank parameter sets (see METRICS)
+  minTrades: 5,            // A window with fewer trades has no score
+  minPositiveFolds: 0.75,  // Robust: share of out-of-sample windows that made money
+  minEfficiency: 0.5,      // Robust: out-of-sample score as a share of the in-sample score
+  top: 10,                 // Parameter sets in the report
+  backtest: {},            // Backtester options (strategy, lookback, riskPercent ...)
+  onProgress: null         // (tested, total) after each candidate
+};
+
+class Optimizer {
+  // ===========================================================================
+  // RUN AN OPTIMIZATION
+  // space: { param: [values] | { min, max, step } }
+  // ===========================================================================
+  static run(candles, space = DEFAULT_SPACE, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const backtest = { ...DEFAULT_BACKTEST_OPTIONS, ...opts.backtest };
+    const strategy = backtest.strategy || defaultStrategy;
+
+    if (!METRICS.includes(opts.metric)) {
+      throw new Error(`Unknown metric: ${opts.metric} (expected ${METRICS.join(', ')})`);
+    }
+    this.validateSpace(space, strategy);
+
+    const windows = this.buildWindows(candles, backtest.warmup, opts);
+    const candidates = [{}, ...this.generateCandidates(space, opts)];
+
+    // Out-of-sample trades per window, kept beside each candidate for the walk-forward result
+    const windowTrades = [];
+    const evaluated = candidates.map((params, i) => {
+      const { candidate, outOfSampleTrades } = this.evaluate(candles, params, windows, backtest, opts);
+      windowTrades.push(outOfSampleTrades);
+      if (opts.onProgress) opts.onProgress(i + 1, candidates.length);
+      return candidate;
+    });
+    const [baseline, ...tested] = evaluated;
+
+    const ranked = [...tested].sort((a, b) =>
+      (b.robust - a.robust) ||
+      this.compareScores(a.outOfSample.score, b.outOfSample.score) ||
+      this.compareScores(a.inSample.score, b.inSample.score)
+    );
+
+    return {
+      strategy: strategy.name,
+      method: opts.method,
+      metric: opts.metric,
+      candles: candles.length,
+      from: candles[0]?.t ?? null,
+      to: candles[candles.length - 1]?.t ?? null,
+      space,
+      tested: tested.length,
+      windows: windows.map((w, i) => ({
+        fold: i + 1,
+        inSample: this.describeWindow(candles, w.inSample),
+        outOfSample: this.describeWindow(candles, w.outOfSample)
+      })),
+      baseline,
+      robustCount: ranked.filter(c => c.robust).length,
+      results: ranked.slice(0, opts.top),
+      walkForward: this.walkForward(evaluated, windowTrades, opts)
+    };
+  }
+
+  static validateSpace(space, strategy) {
+    const known = [...Object.keys(PATTERN_PARAMS), ...Object.keys(strategy.params || {})];
+    const names = Object.keys(space || {});
+    if (names.length === 0) throw new Error('Parameter space is empty');
+
+    for (const name of names) {
+      if (!known.includes(name)) {
+        throw new Error(`Unknown parameter: ${name} (${strategy.name} accepts ${known.join(', ')})`);
+      }
+      const spec = space[name];
+      const isRange = spec && typeof spec === 'object' && !Array.isArray(spec);
+      if (isRange ? !(Number.isFinite(spec.min) && Number.isFinite(spec.max) && spec.min <= spec.max)
+        : !Array.isArray(spec) || spec.length === 0) {
+        throw new Error(`${name} must be a list of values or { min, max, step }`);
+      }
+    }
+  }
+
+  // Only parameters the strategy understands (pattern thresholds always apply)
+  static defaultSpace(strategy = defaultStrategy) {
+    const known = [...Object.keys(PATTERN_PARAMS), ...Object.keys(strategy.params || {})];
+    return Object.fromEntries(Object.entries(DEFAULT_SPACE).filter(([name]) => known.includes(name)));
+  }
+
+  // ===========================================================================
+  // CANDIDATE PARAMETER SETS
+  // ===========================================================================
+  static generateCandidates(space, opts) {
+    const names = Object.keys(space);
+
+    if (opts.method === 'grid') {
+      const values = names.map(name => this.expandValues(space[name]));
+      const total = values.reduce((n, v) => n * v.length, 1);
+      if (total > opts.maxCombinations) {
+        throw new Error(`Grid has ${total} combinations (limit ${opts.maxCombinations}) - narrow it or use random search`);
+      }
+      return values.reduce(
+        (sets, list, i) => sets.flatMap(set => list.map(value => ({ ...set, [names[i]]: value }))),
+        [{}]
+      );
+    }
+
+    if (opts.method === 'random') {
+      const random = this.createRandom(opts.seed);
+      const seen = new Set();
+      const sets = [];
+      // Stop early when a small discrete space has no unseen combinations left
+      for (let attempt = 0; sets.length < opts.samples && attempt < opts.samples * 20; attempt++) {
+        const set = Object.fromEntries(names.map(name => [name, this.sampleValue(space[name], random)]));
+        const key = JSON.stringify(set);
+        if (!seen.has(key)) {
+          seen.add(key);
+          sets.push(set);
+        }
+      }
+      return sets;
+    }
+
+    throw new Error(`Unknown method: ${opts.method} (expected grid or random)`);
+  }
+
+  static expandValues(spec) {
+    if (Array.isArray(spec)) return spec;
+    if (!spec.step) throw new Error('Grid search needs a step for { min, max } ranges');
+
+    const values = [];
+    for (let v = spec.min; v <= spec.max + spec.step / 1e6; v += spec.step) {
+      values.push(parseFloat(v.toFixed(6)));
+    }
+    return values;
+  }
+
+  static sampleValue(spec, random) {
+    if (Array.isArray(spec)) return spec[Math.floor(random() * spec.length)];
+    if (spec.step) {
+      const steps = Math.floor((spec.max - spec.min) / spec.step + 1e-6);
+      return parseFloat((spec.min + Math.floor(random() * (steps + 1)) * spec.step).toFixed(6));
+    }
+    return parseFloat((spec.min + random() * (spec.max - spec.min)).toFixed(4));
+  }
+
+  // Seeded PRNG (mulberry32) so a random search can be repeated
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ===========================================================================
+  // WALK-FORWARD WINDOWS
+  // Rolling windows that step by one out-of-sample length, so the
+  // out-of-sample windows are back to back and cover the end of the history
+  // ===========================================================================
+  static buildWindows(candles, warmup, opts) {
+    const start = Math.max(warmup, 3);
+    const usable = candles.length - start;
+    const ratio = Math.min(Math.max(opts.inSampleRatio, 0.1), 0.9);
+    const outOfSample = Math.floor(usable / (ratio / (1 - ratio) + opts.folds));
+    const inSample = usable - opts.folds * outOfSample;
+
+    if (opts.folds < 1 || outOfSample < 20) {
+      throw new Error(`Not enough candles for ${opts.folds} walk-forward windows (${candles.length} candles)`);
+    }
+
+    return Array.from({ length: opts.folds }, (_, k) => {
+      const from = start + k * outOfSample;
+      return {
+        inSample: [from, from + inSample],
+        outOfSample: [from + inSample, from + inSample + outOfSample]
+      };
+    });
+  }
+
+  static describeWindow(candles, [from, to]) {
+    return { from: candles[from].t, to: candles[to - 1].t, bars: to - from };
+  }
+
+  // ===========================================================================
+  // CANDIDATE EVALUATION
+  // One backtest over the whole history; its trades are then split by window
+  // (a parameter set trades the same way whichever window it is scored on)
+  // ===========================================================================
+  static evaluate(candles, params, windows, backtest, opts) {
+    const { trades } = Backtester.run(candles, { ...backtest, params: { ...backtest.params, ...params } });
+    const tradesIn = ([from, to]) => {
+      const start = candles[from].t;
+      const end = to < candles.length ? candles[to].t : Infinity;
+      return trades.filter(t => t.entryTime >= start && t.entryTime < end);
+    };
+
+    const outOfSampleTrades = windows.map(w => tradesIn(w.outOfSample));
+    const folds = windows.map((w, k) => ({
+      inSample: this.summarize(tradesIn(w.inSample), opts),
+      outOfSample: this.summarize(outOfSampleTrades[k], opts)
+    }));
+
+    const outOfSample = this.summarize(outOfSampleTrades.flat(), opts);
+    const inSampleScores = folds.map(f => f.inSample.score).filter(s => s !== null);
+    const inSampleScore = inSampleScores.length > 0
+      ? parseFloat((inSampleScores.reduce((a, b) => a + b, 0) / inSampleScores.length).toFixed(3))
+      : null;
+
+    const positiveFolds = folds.filter(f => f.outOfSample.totalR > 0).length;
+    const efficiency = inSampleScore > 0 && outOfSample.score !== null
+      ? parseFloat((outOfSample.score / inSampleScore).toFixed(3))
+      : null;
+
+    const candidate = {
+      params,
+      inSample: { score: inSampleScore },
+      outOfSample,
+      positiveFolds,
+      efficiency,
+      robust: outOfSample.score !== null &&
+        outOfSample.expectancy > 0 &&
+        positiveFolds / windows.length >= opts.minPositiveFolds &&
+        efficiency !== null && efficiency >= opts.minEfficiency,
+      folds
+    };
+    return { candidate, outOfSampleTrades };
+  }
+
+  static summarize(trades, opts) {
+    const rs = trades.map(t => t.rMultiple);
+    const totalR = rs.reduce((a, b) => a + b, 0);
+    const grossWin = rs.filter(r => r > 0).reduce((a, b) => a + b, 0);
+    const grossLoss = Math.abs(rs.filter(r => r < 0).reduce((a, b) => a + b, 0));
+
+    const stats = {
+      trades: trades.length,
+      winRate: trades.length > 0 ? parseFloat((rs.filter(r => r > 0).length / trades.length * 100).toFixed(2)) : 0,
+      expectancy: trades.length > 0 ? parseFloat((totalR / trades.length).toFixed(3)) : 0,
+      totalR: parseFloat(totalR.toFixed(3)),
+      profitFactor: grossLoss > 0 ? parseFloat((grossWin / grossLoss).toFixed(3)) : null
+    };
+
+    let score = null;
+    if (trades.length >= opts.minTrades) {
+      score = opts.metric === 'profitFactor'
+        ? Math.min(stats.profitFactor ?? PROFIT_FACTOR_CAP, PROFIT_FACTOR_CAP)
+        : stats[opts.metric];
+    }
+    return { ...stats, score };
+  }
+
+  // Higher first; windows without a score sort last
+  static compareScores(a, b) {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return b - a;
+  }
+
+  // ===========================================================================
+  // WALK-FORWARD RESULT
+  // What trading the re-optimized parameters would have produced: each
+  // window's in-sample winner, scored on the out-of-sample window after it
+  // ===========================================================================
+  static walkForward(evaluated, windowTrades, opts) {
+    const winners = windowTrades[0].map((_, k) => evaluated.reduce((best, c, i) =>
+      this.compareScores(c.folds[k].inSample.score, evaluated[best].folds[k].inSample.score) < 0 ? i : best, 0
+    ));
+
+    const folds = winners.map((i, k) => ({
+      fold: k + 1,
+      params: evaluated[i].params,
+      inSample: evaluated[i].folds[k].inSample,
+      outOfSample: evaluated[i].folds[k].outOfSample
+    }));
+
+    // Pooled: a single window often has too few trades to score on its own
+    const outOfSample = this.summarize(winners.flatMap((i, k) => windowTrades[i][k]), opts);
+    const inSampleScores = folds.map(f => f.inSample.score).filter(s => s !== null);
+    const inSampleScore = inSampleScores.length > 0
+      ? inSampleScores.reduce((a, b) => a + b, 0) / inSampleScores.length
+      : null;
+
+    return {
+      folds,
+      outOfSample,
+      efficiency: inSampleScore > 0 && outOfSample.score !== null
+        ? parseFloat((outOfSample.score / inSampleScore).toFixed(3))
+        : null,
+      // The same winner in every window means the optimum is stable, not curve-fit
+      stableParams: new Set(folds.map(f => JSON.stringify(f.params))).size === 1
+    };
+  }
+}
+
+module.exports = { Optimizer, DEFAULT_SPACE, OPTIMIZER_METRICS: METRICS, DEFAULT_OPTIMIZER_OPTIONS: DEFAULT_OPTIONS };
@@ -0,0 +1,276 @@
+/**
+ * Order Book Depth
+ *
+ * Maintains a local Binance spot order book per instrument from the `@depth`
+ * diff stream, synchronised against a REST snapshot as Binance documents:
+ *   1. Buffer stream events while the snapshot is fetched
+ *   2. Drop buffered events with u <= snapshot lastUpdateId
+ *   3. The first applied event must straddle lastUpdateId + 1 (checked on the
+ *      first live event when no buffered one reached past the snapshot)
+ *   4. Each later event must start at the previous event's u + 1, else resync
+ *
+ * Liquidity indicators computed from the book: imbalance within price bands,
+ * walls near a price level (e.g. decision entry / stop) and estimated slippage
+ * for a market order of a given notional size.
+ */
+
+const { httpsGet } = require('./http');
+
+const BINANCE_DEPTH_URL = 'https://api.binance.com/api/v3/depth';
+
+const DEFAULT_LIQUIDITY_OPTIONS = {
+  imbalanceBandsPct: [0.1, 0.5, 1],  // Imbalance measured within ±band% of mid
+  wallRangePct: 0.5,                 // Look for walls within ±range% of a level
+  wallWindowPct: 2,                  // Typical level size measured within ±window% of mid
+  wallMultiple: 5,                   // A wall is this many times the median level notional
+  maxWalls: 3,
+  slippageSizes: [10000, 50000, 250000]  // Notional sizes (quote currency)
+};
+
+class OrderBook {
+  constructor() {
+    this.bids = new Map();  // price -> quantity
+    this.asks = new Map();
+    this.lastUpdateId = 0;
+    this.updatedAt = null;
+  }
+
+  applySnapshot(snapshot) {
+    this.bids.clear();
+    this.asks.clear();
+    snapshot.bids.forEach(([price, qty]) => this.setLevel(this.bids, price, qty));
+    snapshot.asks.forEach(([price, qty]) => this.setLevel(this.asks, price, qty));
+    this.lastUpdateId = snapshot.lastUpdateId;
+    this.updatedAt = Date.now();
+  }
+
+  applyDiff(event) {
+    event.b.forEach(([price, qty]) => this.setLevel(this.bids, price, qty));
+    event.a.forEach(([price, qty]) => this.setLevel(this.asks, price, qty));
+    this.lastUpdateId = event.u;
+    this.updatedAt = event.E || Date.now();
+  }
+
+  setLevel(side, price, qty) {
+    const p = parseFloat(price);
+    const q = parseFloat(qty);
+    if (q === 0) side.delete(p);
+    else side.set(p, q);
+  }
+
+  // Levels sorted best first: [[price, quantity], ...]
+  getLevels(side) {
+    const levels = [...(side === 'bids' ? this.bids : this.asks)];
+    return side === 'bids' ? levels.sort((a, b) => b[0] - a[0]) : levels.sort((a, b) => a[0] - b[0]);
+  }
+}
+
+class OrderBookManager {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_LIQUIDITY_OPTIONS, ...options };
+    this.snapshotLimit = options.snapshotLimit || 1000;
+    this.depthUrl = options.depthUrl || BINANCE_DEPTH_URL;
+    this.books = {};  // instrument -> { book, synced, needsFirstEvent, buffer, syncing }
+  }
+
+  // ===========================================================================
+  // SYNCHRONISATION
+  // ===========================================================================
+  onDepthEvent(instrument, symbol, event) {
+    let state = this.books[instrument];
+    if (!state) {
+      state = this.books[instrument] = { book: new OrderBook(), synced: false, needsFirstEvent: false, buffer: [], syncing: false };
+    }
+
+    if (!state.synced) {
+      state.buffer.push(event);
+      if (!state.syncing) this.sync(instrument, symbol, state);
+      return;
+    }
+
+    const next = state.book.lastUpdateId + 1;
+    if (state.needsFirstEvent && event.u < next) return;  // Older than the snapshot
+
+    const inSequence = state.needsFirstEvent ? event.U <= next : event.U === next;
+    if (!inSequence) {
+      console.log(`⚠️ ${instrument} order book gap (${state.book.lastUpdateId} -> ${event.U}), resyncing`);
+      this.resetBook(instrument);
+      this.onDepthEvent(instrument, symbol, event);
+      return;
+    }
+
+    state.needsFirstEvent = false;
+    state.book.applyDiff(event);
+  }
+
+  async sync(instrument, symbol, state) {
+    state.syncing = true;
+    try {
+      const snapshot = await httpsGet(`${this.depthUrl}?symbol=${symbol}&limit=${this.snapshotLimit}`);
+      if (!snapshot || !Array.isArray(snapshot.bids)) {
+        throw new Error(snapshot?.msg || 'Unexpected depth snapshot');
+      }
+      if (this.books[instrument] !== state) return;  // Reset or removed while fetching
+
+      state.book.applySnapshot(snapshot);
+      const pending = state.buffer.filter(e => e.u > snapshot.lastUpdateId);
+      state.buffer = [];
+
+      // The stream has moved past the snapshot - fetch a newer one on the next event
+      if (pending.length > 0 && pending[0].U > snapshot.lastUpdateId + 1) {
+        return;
+      }
+
+      pending.forEach(e => state.book.applyDiff(e));
+      state.needsFirstEvent = pending.length === 0;
+      state.synced = true;
+    } catch (err) {
+      console.error(`Order book snapshot error (${instrument}):`, err.message);
+      state.buffer = [];
+    } finally {
+      state.syncing = false;
+    }
+  }
+
+  resetBook(instrument) {
+    delete this.books[instrument];
+  }
+
+  // Stream reconnects break the update-id sequence - every book must resync
+  resetAll() {
+    this.books = {};
+  }
+
+  getBook(instrument) {
+    const state = this.books[instrument];
+    return state?.synced ? state.book : null;
+  }
+
+  // ===========================================================================
+  // LIQUIDITY INDICATORS
+  // levels: { [label]: { entry, stopLoss } } - e.g. the decision per timeframe
+  // ===========================================================================
+  getLiquidity(instrument, levels = {}) {
+    const book = this.getBook(instrument);
+    if (!book) return null;
+
+    const bids = book.getLevels('bids');
+    const asks = book.getLevels('asks');
+    if (bids.length === 0 || asks.length === 0) return null;
+
+    const bestBid = bids[0][0];
+    const bestAsk = asks[0][0];
+    const mid = (bestBid + bestAsk) / 2;
+
+    const walls = {};
+    for (const [label, { entry, stopLoss }] of Object.entries(levels)) {
+      walls[label] = {
+        entry: entry ? this.findWalls(bids, asks, mid, entry) : [],
+        stopLoss: stopLoss ? this.findWalls(bids, asks, mid, stopLoss) : []
+      };
+    }
+
+    return {
+      instrument,
+      bestBid,
+      bestAsk,
+      mid: round(mid, 8),
+      spreadBps: round((bestAsk - bestBid) / mid * 10000, 2),
+      // Price range the local book covers - walls beyond it cannot be seen
+      coverage: { low: bids[bids.length - 1][0], high: asks[asks.length - 1][0] },
+      imbalance: this.options.imbalanceBandsPct.map(bandPct => this.getImbalance(bids, asks, mid, bandPct)),
+      slippage: this.options.slippageSizes.map(size => ({
+        size,
+        buy: this.estimateSlippage(asks, mid, size),
+        sell: this.estimateSlippage(bids, mid, size)
+      })),
+      walls,
+      updatedAt: book.updatedAt
+    };
+  }
+
+  // (bid notional - ask notional) / total within ±bandPct of mid: +1 all bids, -1 all asks
+  getImbalance(bids, asks, mid, bandPct) {
+    const low = mid * (1 - bandPct / 100);
+    const high = mid * (1 + bandPct / 100);
+    const bidNotional = sumNotional(bids.filter(([p]) => p >= low));
+    const askNotional = sumNotional(asks.filter(([p]) => p <= high));
+    const total = bidNotional + askNotional;
+
+    return {
+      bandPct,
+      bidNotional: round(bidNotional, 2),
+      askNotional: round(askNotional, 2),
+      imbalance: total > 0 ? round((bidNotional - askNotional) / total, 3) : 0
+    };
+  }
+
+  // Unusually large resting levels within ±wallRangePct of a price
+  findWalls(bids, asks, mid, price) {
+    const { wallRangePct, wallWindowPct, wallMultiple, maxWalls } = this.options;
+    const windowLevels = [...bids, ...asks].filter(([p]) => Math.abs(p - mid) / mid * 100 <= wallWindowPct);
+    const typical = median(windowLevels.map(([p, q]) => p * q));
+    if (!typical) return [];
+
+    const near = ([p]) => Math.abs(p - price) / price * 100 <= wallRangePct;
+    const candidates = [
+      ...bids.filter(near).map(level => ['bid', ...level]),
+      ...asks.filter(near).map(level => ['ask', ...level])
+    ];
+
+    return candidates
+      .map(([side, p, q]) => ({
+        side,
+        price: p,
+        quantity: q,
+        notional: round(p * q, 2),
+        multiple: round(p * q / typical, 1),
+        distancePct: round((p - price) / price * 100, 3)
+      }))
+      .filter(w => w.multiple >= wallMultiple)
+      .sort((a, b) => b.notional - a.notional)
+      .slice(0, maxWalls);
+  }
+
+  // Walk the book for a market order of `size` notional; null if the book is too thin
+  estimateSlippage(levels, mid, size) {
+    let remaining = size;
+    let quantity = 0;
+
+    for (const [price, qty] of levels) {
+      const notional = price * qty;
+      if (notional >= remaining) {
+        quantity += remaining / price;
+        remaining = 0;
+        break;
+      }
+      quantity += qty;
+      remaining -= notional;
+    }
+
+    if (remaining > 0) return null;
+
+    const avgPrice = size / quantity;
+    return {
+      avgPrice: round(avgPrice, 8),
+      slippageBps: round(Math.abs(avgPrice - mid) / mid * 10000, 2)
+    };
+  }
+}
+
+function sumNotional(levels) {
+  return levels.reduce((sum, [p, q]) => sum + p * q, 0);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+module.exports = { OrderBook, OrderBookManager, DEFAULT_LIQUIDITY_OPTIONS };
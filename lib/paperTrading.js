@@ -0,0 +1,274 @@
+/**
+ * Paper Trading Account
+ *
+ * Turns live LONG/SHORT decisions into simulated stop-entry orders, fills them
+ * against aggregated ticks and manages exits with the same rules as the
+ * backtester: partial exits at TP1/TP2/TP3 and a breakeven stop after TP1.
+ *
+ * Emits 'update' with an account snapshot whenever orders, fills or P&L change.
+ */
+
+const EventEmitter = require('events');
+const { Backtester } = require('./backtest');
+const { TIMEFRAME_MS } = require('./klines');
+
+const CONFIDENCE_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+
+const DEFAULT_OPTIONS = {
+  initialCapital: 10000,
+  riskPercent: 1,                     // Balance risked per trade (TradingRules: 1-2%)
+  timeframes: ['1h', '4h'],           // Timeframes whose decisions are traded
+  minConfidence: 'medium',
+  entryExpiry: 3,                     // Candles of the signal timeframe an order stays working
+  exitFractions: [1 / 3, 1 / 3, 1 / 3],
+  breakevenAfterTP1: true,
+  feeRate: 0,
+  maxFills: 100,                      // Fill history kept in memory
+  maxClosedTrades: 500,               // Closed trades kept in memory (stats count every trade)
+  updateInterval: 1000                // Min ms between P&L-only updates
+};
+
+class PaperTradingAccount extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.nextId = 1;
+    this.reset();
+  }
+
+  reset() {
+    this.balance = this.options.initialCapital;
+    this.orders = new Map();      // key -> working stop-entry order
+    this.positions = new Map();   // key -> open position
+    this.fills = [];
+    this.closedTrades = [];       // Most recent maxClosedTrades, oldest first
+    this.tradeCount = 0;
+    this.winCount = 0;
+    this.lastPrices = {};
+    this.lastEmit = 0;
+    this.emitUpdate();
+  }
+
+  // ===========================================================================
+  // ORDERS FROM DECISIONS
+  // ===========================================================================
+  onDecision(key, instrument, timeframe, decision, time = Date.now()) {
+    if (!this.options.timeframes.includes(timeframe) || this.positions.has(key)) return;
+
+    const existing = this.orders.get(key);
+    const isSignal = decision && (decision.action === 'LONG' || decision.action === 'SHORT') &&
+      (CONFIDENCE_RANK[decision.confidence] || 0) >= (CONFIDENCE_RANK[this.options.minConfidence] || 0);
+
+    if (!isSignal) {
+      if (existing) this.cancelOrder(key, 'signal_withdrawn', time);
+      return;
+    }
+
+    // Same signal still forming - keep the order in sync with the latest levels
+    if (existing && existing.direction === decision.action &&
+        existing.entry === decision.entry && existing.stopLoss === decision.stopLoss) {
+      return;
+    }
+
+    const order = {
+      id: existing && existing.direction === decision.action ? existing.id : this.nextId++,
+      key,
+      instrument,
+      timeframe,
+      direction: decision.action,
+      confidence: decision.confidence,
+      entry: decision.entry,
+      stopLoss: decision.stopLoss,
+      targets: [decision.target1, decision.target2, decision.target3],
+      signalTime: existing?.signalTime ?? time,
+      placedAt: time,
+      expiresAt: (existing?.signalTime ?? time) + this.options.entryExpiry * (TIMEFRAME_MS[timeframe] || 0)
+    };
+
+    this.orders.set(key, order);
+    this.emitUpdate();
+  }
+
+  cancelOrder(key, reason, time = Date.now()) {
+    const order = this.orders.get(key);
+    if (!order) return;
+
+    this.orders.delete(key);
+    this.recordFill({ type: 'cancel', order, reason, time });
+    this.emitUpdate();
+  }
+
+  // ===========================================================================
+  // TICK HANDLING
+  // ===========================================================================
+  onTick(instrument, price, time = Date.now()) {
+    if (!price) return;
+    this.lastPrices[instrument] = price;
+    let changed = false;
+
+    for (const [key, order] of this.orders) {
+      if (order.instrument !== instrument) continue;
+
+      if (time >= order.expiresAt) {
+        this.orders.delete(key);
+        this.recordFill({ type: 'cancel', order, reason: 'expired', time });
+        changed = true;
+        continue;
+      }
+
+      const triggered = order.direction === 'LONG' ? price >= order.entry : price <= order.entry;
+      if (triggered) {
+        this.fillOrder(order, price, time);
+        changed = true;
+      }
+    }
+
+    let hasPosition = false;
+    for (const [key, position] of this.positions) {
+      if (position.instrument !== instrument) continue;
+      hasPosition = true;
+
+      const exitCount = position.exits.length;
+      Backtester.updatePosition(position, { o: price, h: price, l: price, c: price }, time, this.options);
+
+      if (position.exits.length > exitCount) {
+        position.exits.slice(exitCount).forEach(exit => this.realizeExit(position, exit));
+        changed = true;
+      }
+
+      if (position.remaining <= 0) {
+        this.positions.delete(key);
+        this.recordTrade(Backtester.closeTrade(position, this.options));
+      }
+    }
+
+    if (changed || (hasPosition && time - this.lastEmit >= this.options.updateInterval)) {
+      this.emitUpdate(time);
+    }
+  }
+
+  recordTrade(trade) {
+    this.tradeCount++;
+    if (trade.rMultiple > 0) this.winCount++;
+    this.closedTrades.push(trade);
+    if (this.closedTrades.length > this.options.maxClosedTrades) {
+      this.closedTrades.splice(0, this.closedTrades.length - this.options.maxClosedTrades);
+    }
+  }
+
+  fillOrder(order, price, time) {
+    this.orders.delete(order.key);
+
+    const position = Backtester.openPosition(order, price, time, this.options);
+    const riskPerUnit = Math.abs(price - order.stopLoss);
+
+    position.id = order.id;
+    position.key = order.key;
+    position.instrument = order.instrument;
+    position.timeframe = order.timeframe;
+    position.riskAmount = this.balance * (this.options.riskPercent / 100);
+    position.quantity = riskPerUnit > 0 ? position.riskAmount / riskPerUnit : 0;
+    position.realizedPnl = 0;
+
+    const fee = price * position.quantity * this.options.feeRate;
+    this.balance -= fee;
+    position.realizedPnl -= fee;
+
+    this.positions.set(order.key, position);
+    this.recordFill({ type: 'entry', order, price, quantity: position.quantity, fee, time });
+  }
+
+  realizeExit(position, exit) {
+    const direction = position.direction === 'LONG' ? 1 : -1;
+    const quantity = position.quantity * exit.fraction;
+    const fee = exit.price * quantity * this.options.feeRate;
+    const pnl = (exit.price - position.entry) * direction * quantity - fee;
+
+    this.balance += pnl;
+    position.realizedPnl += pnl;
+    this.recordFill({
+      type: 'exit',
+      order: position,
+      reason: exit.reason,
+      price: exit.price,
+      quantity,
+      fee,
+      pnl,
+      time: exit.time
+    });
+  }
+
+  recordFill({ type, order, reason = null, price = null, quantity = null, fee = 0, pnl = null, time }) {
+    this.fills.unshift({
+      id: order.id,
+      type,
+      reason,
+      instrument: order.instrument,
+      timeframe: order.timeframe,
+      direction: order.direction,
+      price,
+      quantity: quantity !== null ? parseFloat(quantity.toFixed(6)) : null,
+      fee: parseFloat(fee.toFixed(2)),
+      pnl: pnl !== null ? parseFloat(pnl.toFixed(2)) : null,
+      time
+    });
+    if (this.fills.length > this.options.maxFills) this.fills.length = this.options.maxFills;
+  }
+
+  // ===========================================================================
+  // SNAPSHOT
+  // ===========================================================================
+  getSnapshot() {
+    let unrealizedPnl = 0;
+
+    const positions = [...this.positions.values()].map(p => {
+      const markPrice = this.lastPrices[p.instrument] || p.entry;
+      const direction = p.direction === 'LONG' ? 1 : -1;
+      const unrealized = (markPrice - p.entry) * direction * p.quantity * p.remaining;
+      unrealizedPnl += unrealized;
+
+      return {
+        id: p.id,
+        instrument: p.instrument,
+        timeframe: p.timeframe,
+        direction: p.direction,
+        confidence: p.confidence,
+        entry: p.entry,
+        quantity: parseFloat(p.quantity.toFixed(6)),
+        remaining: parseFloat(p.remaining.toFixed(4)),
+        stopLoss: p.stopLoss,
+        targets: p.targets,
+        targetsHit: p.targetsHit,
+        markPrice,
+        unrealizedPnl: parseFloat(unrealized.toFixed(2)),
+        realizedPnl: parseFloat(p.realizedPnl.toFixed(2)),
+        openedAt: p.entryTime
+      };
+    });
+
+    return {
+      initialCapital: this.options.initialCapital,
+      balance: parseFloat(this.balance.toFixed(2)),
+      equity: parseFloat((this.balance + unrealizedPnl).toFixed(2)),
+      realizedPnl: parseFloat((this.balance - this.options.initialCapital).toFixed(2)),
+      unrealizedPnl: parseFloat(unrealizedPnl.toFixed(2)),
+      positions,
+      orders: [...this.orders.values()].map(({ key, ...order }) => order),
+      fills: this.fills.slice(0, 50),
+      stats: {
+        closedTrades: this.tradeCount,
+        wins: this.winCount,
+        winRate: this.tradeCount > 0
+          ? parseFloat(((this.winCount / this.tradeCount) * 100).toFixed(2))
+          : 0
+      }
+    };
+  }
+
+  emitUpdate(time = Date.now()) {
+    this.lastEmit = time;
+    this.emit('update', this.getSnapshot());
+  }
+}
+
+module.exports = { PaperTradingAccount };
@@ -0,0 +1,1688 @@
+/**
+ * Pattern Recognition Engine
+ *
+ * Candlestick and chart pattern detection plus LONG/SHORT decision generation.
+ * The decision rules themselves live in strategy modules (see strategies/).
+ */
+
+const { TechnicalIndicators } = require('./indicators');
+const { DivergenceDetector } = require('./divergence');
+const { SupportResistance } = require('./levels');
+const { PatternCalibration } = require('./calibration');
+const defaultStrategy = require('../strategies/default');
+
+const DECISION_ACTIONS = ['LONG', 'SHORT', 'WAIT'];
+
+// Fields every decision carries; strategies fill in what applies
+const EMPTY_DECISION = {
+  action: 'WAIT',
+  confidence: 'none',
+  entry: null,
+  stopLoss: null,
+  target1: null,
+  target2: null,
+  target3: null,
+  riskReward: null,
+  reasoning: []
+};
+
+// Detection thresholds. analyzeCandle accepts overrides so scripts/optimize.js
+// can search them; every caller that passes nothing gets these
+const PATTERN_PARAMS = {
+  dojiBodyRatio: 0.1,          // Body under this fraction of the range is a doji
+  dojiWickRatio: 2.5,          // One wick this many times the other: gravestone / dragonfly
+  hammerWickRatio: 2,          // Rejection wick vs body for hammers and shooting stars
+  engulfingBodyRatio: 1.3,     // Engulfing body vs the previous body
+  starBodyRatio: 0.3,          // Middle star body vs the first candle body
+  volumeSpike: 2,              // High Volume: volume vs the 5-candle average
+  doubleTopTolerance: 0.02,    // Double top/bottom: peak difference as a fraction of price
+  shoulderTolerance: 0.05,     // H&S: shoulder difference as a fraction of price
+  vReversalMovePercent: 5,     // V-reversal: minimum drop / rally into the pivot (%)
+  vReversalRecovery: 0.7,      // V-reversal: share of the move retraced after the pivot
+  vReversalVolumeSpike: 1.5,   // V-reversal: pivot volume vs the window average
+  wedgeConvergence: 0.7,       // Wedge: last bar's range under this fraction of the first bar's
+  wedgeTouchTolerance: 0.02,   // Wedge: current high / low distance from its trendline as a fraction of price
+  divergencePivotStrength: 3,  // Divergence: bars either side of a swing high/low
+  divergenceMaxBars: 40,       // Divergence: maximum bars between the two swings
+  haramiBodyRatio: 0.5,        // Harami: inside body vs the previous body
+  tweezerTolerance: 0.1,       // Tweezers: high / low difference as a fraction of the average range
+  flagPoleAtr: 4,              // Flag / pennant: minimum pole height in ATRs
+  cupRimTolerance: 0.15        // Cup and handle: rim difference as a fraction of the cup depth
+};
+
+// Chart pattern geometry: anchor points and straight lines between them, in
+// candle open time + price. A line's price at time t is
+// from.price + slope * (t - from.t), with the slope in price per millisecond.
+function anchor(label, candle, price) {
+  return { label, t: candle.t, price };
+}
+
+function trendline(label, from, to) {
+  return {
+    label,
+    from: { t: from.t, price: from.price },
+    to: { t: to.t, price: to.price },
+    slope: to.t === from.t ? 0 : (to.price - from.price) / (to.t - from.t)
+  };
+}
+
+// Horizontal level from an anchor to the latest candle
+function level(label, from, lastCandle, price) {
+  return trendline(label, { t: from.t, price }, { t: lastCandle.t, price });
+}
+
+// Parsed candle with the body measurements the formation checks use
+function ohlc(candle) {
+  const o = parseFloat(candle.o);
+  const h = parseFloat(candle.h);
+  const l = parseFloat(candle.l);
+  const c = parseFloat(candle.c);
+  return {
+    o, h, l, c,
+    body: Math.abs(c - o),
+    range: h - l,
+    bodyHigh: Math.max(o, c),
+    bodyLow: Math.min(o, c),
+    upperWick: h - Math.max(o, c),
+    lowerWick: Math.min(o, c) - l,
+    mid: (o + c) / 2,
+    bullish: c > o,
+    bearish: c < o
+  };
+}
+
+// Least-squares line through pivots ({ index, value }), in price per bar
+function fitLine(pivots) {
+  const n = pivots.length;
+  const meanX = pivots.reduce((sum, p) => sum + p.index, 0) / n;
+  const meanY = pivots.reduce((sum, p) => sum + p.value, 0) / n;
+  const sxx = pivots.reduce((sum, p) => sum + (p.index - meanX) ** 2, 0);
+  const slope = sxx === 0 ? 0 : pivots.reduce((sum, p) => sum + (p.index - meanX) * (p.value - meanY), 0) / sxx;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+function valueAt(line, index) {
+  return line.intercept + line.slope * index;
+}
+
+// Thresholds for futures positioning context
+const FUTURES_THRESHOLDS = {
+  FUNDING_EXTREME_POSITIVE: 0.0005,   // 0.05% per 8h - crowded longs
+  FUNDING_EXTREME_NEGATIVE: -0.0003,  // -0.03% per 8h - crowded shorts
+  OI_CHANGE_PERCENT: 3,               // 1h open interest change worth mentioning
+  LIQUIDATION_WINDOW_MS: 5 * 60 * 1000,
+  LIQUIDATION_NOTABLE_USD: 100000
+};
+
+class PatternRecognizer {
+  static analyzeCandle(candle, index, allCandles, params = {}) {
+    const patterns = [];
+    const p = { ...PATTERN_PARAMS, ...params };
+
+    const open = parseFloat(candle.o);
+    const high = parseFloat(candle.h);
+    const low = parseFloat(candle.l);
+    const close = parseFloat(candle.c);
+    const volume = parseFloat(candle.v);
+
+    const bodySize = Math.abs(close - open);
+    const upperWick = high - Math.max(open, close);
+    const lowerWick = Math.min(open, close) - low;
+    const totalRange = high - low;
+    const isBullish = close > open;
+
+    if (totalRange === 0) return patterns;
+
+    // Doji patterns
+    if (bodySize < totalRange * p.dojiBodyRatio) {
+      if (upperWick > lowerWick * p.dojiWickRatio) {
+        patterns.push({
+          name: 'Gravestone Doji',
+          type: 'bearish',
+          strength: 'medium',
+          description: 'Strong rejection from highs - bearish reversal signal'
+        });
+      } else if (lowerWick > upperWick * p.dojiWickRatio) {
+        patterns.push({
+          name: 'Dragonfly Doji',
+          type: 'bullish',
+          strength: 'medium',
+          description: 'Strong rejection from lows - bullish reversal signal'
+        });
+      } else {
+        patterns.push({
+          name: 'Doji',
+          type: 'neutral',
+          strength: 'weak',
+          description: 'Market indecision - wait for confirmation'
+        });
+      }
+    }
+
+    // Hammer / Hanging Man
+    if (lowerWick > bodySize * p.hammerWickRatio && upperWick < bodySize * 0.5 && bodySize > totalRange * p.dojiBodyRatio) {
+      if (index >= 3) {
+        const prevCandles = allCandles.slice(Math.max(0, index - 3), index);
+        const avgClose = prevCandles.reduce((sum, c) => sum + parseFloat(c.c), 0) / prevCandles.length;
+        const isDowntrend = close < avgClose;
+
+        if (isDowntrend) {
+          patterns.push({
+            name: 'Hammer',
+            type: 'bullish',
+            strength: 'strong',
+            description: 'Bullish reversal - buyers defended the low aggressively'
+          });
+        } else {
+          patterns.push({
+            name: 'Hanging Man',
+            type: 'bearish',
+            strength: 'medium',
+            description: 'Warning signal after uptrend - potential reversal'
+          });
+        }
+      }
+    }
+
+    // Shooting Star / Inverted Hammer
+    if (upperWick > bodySize * p.hammerWickRatio && lowerWick < bodySize * 0.5 && bodySize > totalRange * p.dojiBodyRatio) {
+      if (index >= 3) {
+        const prevCandles = allCandles.slice(Math.max(0, index - 3), index);
+        const avgClose = prevCandles.reduce((sum, c) => sum + parseFloat(c.c), 0) / prevCandles.length;
+        const isUptrend = close > avgClose;
+
+        if (isUptrend) {
+          patterns.push({
+            name: 'Shooting Star',
+            type: 'bearish',
+            strength: 'strong',
+            description: 'Bearish reversal - sellers rejected the high aggressively'
+          });
+        } else {
+          patterns.push({
+            name: 'Inverted Hammer',
+            type: 'bullish',
+            strength: 'medium',
+            description: 'Potential bullish reversal after downtrend'
+          });
+        }
+      }
+    }
+
+    // Marubozu (strong momentum)
+    if (upperWick < totalRange * 0.05 && lowerWick < totalRange * 0.05 && bodySize > totalRange * 0.9) {
+      patterns.push({
+        name: isBullish ? 'Bullish Marubozu' : 'Bearish Marubozu',
+        type: isBullish ? 'bullish' : 'bearish',
+        strength: 'strong',
+        description: isBullish
+          ? 'Strong buying pressure - bulls in full control'
+          : 'Strong selling pressure - bears in full control'
+      });
+    }
+
+    // Engulfing patterns
+    if (index > 0) {
+      const prev = allCandles[index - 1];
+      const prevOpen = parseFloat(prev.o);
+      const prevClose = parseFloat(prev.c);
+      const prevBody = Math.abs(prevClose - prevOpen);
+      const prevBullish = prevClose > prevOpen;
+
+      if (bodySize > prevBody * p.engulfingBodyRatio) {
+        if (isBullish && !prevBullish && open <= prevClose && close >= prevOpen) {
+          patterns.push({
+            name: 'Bullish Engulfing',
+            type: 'bullish',
+            strength: 'strong',
+            description: 'Strong reversal signal - buyers overwhelmed sellers'
+          });
+        }
+        if (!isBullish && prevBullish && open >= prevClose && close <= prevOpen) {
+          patterns.push({
+            name: 'Bearish Engulfing',
+            type: 'bearish',
+            strength: 'strong',
+            description: 'Strong reversal signal - sellers overwhelmed buyers'
+          });
+        }
+      }
+    }
+
+    // Morning Star (3-candle bullish reversal)
+    if (index >= 2) {
+      const candle1 = allCandles[index - 2];
+      const candle2 = allCandles[index - 1];
+
+      const c1Body = Math.abs(parseFloat(candle1.c) - parseFloat(candle1.o));
+      const c2Body = Math.abs(parseFloat(candle2.c) - parseFloat(candle2.o));
+      const c3Body = bodySize;
+
+      const c1Bearish = parseFloat(candle1.c) < parseFloat(candle1.o);
+      const c3Bullish = isBullish;
+
+      if (c1Bearish && c2Body < c1Body * p.starBodyRatio && c3Bullish && c3Body > c1Body * 0.5) {
+        patterns.push({
+          name: 'Morning Star',
+          type: 'bullish',
+          strength: 'strong',
+          description: '3-candle bullish reversal - high probability setup'
+        });
+      }
+    }
+
+    // Evening Star (3-candle bearish reversal)
+    if (index >= 2) {
+      const candle1 = allCandles[index - 2];
+      const candle2 = allCandles[index - 1];
+
+      const c1Body = Math.abs(parseFloat(candle1.c) - parseFloat(candle1.o));
+      const c2Body = Math.abs(parseFloat(candle2.c) - parseFloat(candle2.o));
+      const c3Body = bodySize;
+
+      const c1Bullish = parseFloat(candle1.c) > parseFloat(candle1.o);
+      const c3Bearish = !isBullish;
+
+      if (c1Bullish && c2Body < c1Body * p.starBodyRatio && c3Bearish && c3Body > c1Body * 0.5) {
+        patterns.push({
+          name: 'Evening Star',
+          type: 'bearish',
+          strength: 'strong',
+          description: '3-candle bearish reversal - high probability setup'
+        });
+      }
+    }
+
+    // Soldiers / crows, harami, piercing / dark cloud, tweezers, three inside /
+    // outside, kickers and abandoned babies
+    patterns.push(...this.detectCandleFormations(index, allCandles, p));
+
+    // Volume analysis
+    if (index >= 5) {
+      const recentVolumes = allCandles.slice(index - 5, index).map(c => parseFloat(c.v));
+      const avgVolume = recentVolumes.reduce((a, b) => a + b, 0) / 5;
+
+      if (volume > avgVolume * p.volumeSpike) {
+        patterns.push({
+          name: 'High Volume',
+          type: 'confirmation',
+          strength: 'strong',
+          description: `Volume ${(volume / avgVolume).toFixed(1)}x average - confirms the move`
+        });
+      }
+    }
+
+    // =========================================================================
+    // ADVANCED CHART PATTERNS (Multi-bar patterns)
+    // =========================================================================
+
+    // Double Top Detection (bearish reversal)
+    const doubleTop = this.detectDoubleTop(index, allCandles, p);
+    if (doubleTop) patterns.push(doubleTop);
+
+    // Double Bottom Detection (bullish reversal)
+    const doubleBottom = this.detectDoubleBottom(index, allCandles, p);
+    if (doubleBottom) patterns.push(doubleBottom);
+
+    // Head and Shoulders Detection (bearish reversal)
+    const headShoulders = this.detectHeadAndShoulders(index, allCandles, p);
+    if (headShoulders) patterns.push(headShoulders);
+
+    // Inverse Head and Shoulders Detection (bullish reversal)
+    const inverseHS = this.detectInverseHeadAndShoulders(index, allCandles, p);
+    if (inverseHS) patterns.push(inverseHS);
+
+    // Rising Wedge Detection (bearish reversal)
+    const risingWedge = this.detectRisingWedge(index, allCandles, p);
+    if (risingWedge) patterns.push(risingWedge);
+
+    // Falling Wedge Detection (bullish reversal)
+    const fallingWedge = this.detectFallingWedge(index, allCandles, p);
+    if (fallingWedge) patterns.push(fallingWedge);
+
+    // V-shaped Reversal Detection
+    const vReversal = this.detectVReversal(index, allCandles, p);
+    if (vReversal) patterns.push(vReversal);
+
+    // Triangles (converging trendlines)
+    const triangle = this.detectTriangle(index, allCandles);
+    if (triangle) patterns.push(triangle);
+
+    // Rectangles and channels (parallel trendlines)
+    const channel = this.detectChannel(index, allCandles);
+    if (channel) patterns.push(channel);
+
+    // Flags and pennants (continuation after a sharp pole)
+    const flag = this.detectFlag(index, allCandles, p);
+    if (flag) patterns.push(flag);
+
+    // Cup and Handle Detection (bullish continuation)
+    const cup = this.detectCupAndHandle(index, allCandles, p);
+    if (cup) patterns.push(cup);
+
+    // Price vs RSI / MACD / OBV divergences, on the candle that confirms the swing
+    patterns.push(...DivergenceDetector.detect(allCandles.slice(0, index + 1), {
+      pivotStrength: p.divergencePivotStrength,
+      maxBars: p.divergenceMaxBars
+    }));
+
+    return patterns;
+  }
+
+  // ===========================================================================
+  // MULTI-CANDLE FORMATIONS
+  // Two- and three-candle formations ending on the candle at `index`. Reversal
+  // formations only count against the trend leading into their first candle
+  // (a bullish harami after a rally is noise); kickers are judged on the gap
+  // alone. "Long" bodies are at least the average body of the 10 candles
+  // before the formation.
+  // ===========================================================================
+  static detectCandleFormations(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 8) return [];
+
+    const patterns = [];
+    const [c1, c2, c3] = allCandles.slice(index - 2, index + 1).map(ohlc);
+    const recent = allCandles.slice(Math.max(0, index - 12), index - 2).map(ohlc);
+    const avgBody = recent.reduce((sum, c) => sum + c.body, 0) / recent.length;
+    const avgRange = recent.reduce((sum, c) => sum + c.range, 0) / recent.length;
+    const isDoji = c => c.range > 0 && c.body < c.range * params.dojiBodyRatio;
+
+    // Trend into a formation starting 2 candles (prev, cur) or 3 candles back
+    const trendInto2 = this.trendBefore(allCandles, index - 1);
+    const trendInto3 = this.trendBefore(allCandles, index - 2);
+
+    // Three White Soldiers / Three Black Crows: three long candles, each opening
+    // inside the previous body and closing near its extreme
+    const soldier = (c, prev) => c.bullish && c.body >= avgBody && c.upperWick < c.body * 0.5 &&
+      c.o > prev.o && c.o <= prev.c && c.c > prev.c;
+    const crow = (c, prev) => c.bearish && c.body >= avgBody && c.lowerWick < c.body * 0.5 &&
+      c.o < prev.o && c.o >= prev.c && c.c < prev.c;
+
+    if (trendInto3 === 'down' && c1.bullish && c1.body >= avgBody && soldier(c2, c1) && soldier(c3, c2)) {
+      patterns.push({
+        name: 'Three White Soldiers',
+        type: 'bullish',
+        strength: 'strong',
+        description: 'Three long bullish candles after a decline - sustained buying'
+      });
+    }
+    if (trendInto3 === 'up' && c1.bearish && c1.body >= avgBody && crow(c2, c1) && crow(c3, c2)) {
+      patterns.push({
+        name: 'Three Black Crows',
+        type: 'bearish',
+        strength: 'strong',
+        description: 'Three long bearish candles after a rally - sustained selling'
+      });
+    }
+
+    // Harami / Harami Cross: a small body (or doji) inside the previous long body
+    const inside = (c, prev) => c.bodyHigh <= prev.bodyHigh && c.bodyLow >= prev.bodyLow &&
+      c.body < prev.body * params.haramiBodyRatio;
+
+    if (c2.body >= avgBody && inside(c3, c2)) {
+      const cross = isDoji(c3);
+      if (trendInto2 === 'down' && c2.bearish && (cross || c3.bullish)) {
+        patterns.push({
+          name: cross ? 'Bullish Harami Cross' : 'Bullish Harami',
+          type: 'bullish',
+          strength: cross ? 'medium' : 'weak',
+          description: 'Selling stalled inside the previous bearish candle - possible reversal up'
+        });
+      }
+      if (trendInto2 === 'up' && c2.bullish && (cross || c3.bearish)) {
+        patterns.push({
+          name: cross ? 'Bearish Harami Cross' : 'Bearish Harami',
+          type: 'bearish',
+          strength: cross ? 'medium' : 'weak',
+          description: 'Buying stalled inside the previous bullish candle - possible reversal down'
+        });
+      }
+    }
+
+    // Piercing Line / Dark Cloud Cover: opens beyond the previous close and
+    // recovers past the middle of its body without engulfing it
+    if (trendInto2 === 'down' && c2.bearish && c2.body >= avgBody && c3.bullish &&
+        c3.o <= c2.c && c3.c > c2.mid && c3.c < c2.o) {
+      patterns.push({
+        name: 'Piercing Line',
+        type: 'bullish',
+        strength: 'medium',
+        description: 'Buyers recovered over half of the previous bearish candle'
+      });
+    }
+    if (trendInto2 === 'up' && c2.bullish && c2.body >= avgBody && c3.bearish &&
+        c3.o >= c2.c && c3.c < c2.mid && c3.c > c2.o) {
+      patterns.push({
+        name: 'Dark Cloud Cover',
+        type: 'bearish',
+        strength: 'medium',
+        description: 'Sellers erased over half of the previous bullish candle'
+      });
+    }
+
+    // Tweezer Bottoms / Tops: matching lows (highs) on a bearish then bullish
+    // candle (or the reverse)
+    const tolerance = avgRange * params.tweezerTolerance;
+    if (trendInto2 === 'down' && c2.bearish && c3.bullish && Math.abs(c2.l - c3.l) <= tolerance) {
+      patterns.push({
+        name: 'Tweezer Bottom',
+        type: 'bullish',
+        strength: 'medium',
+        description: `Matching lows at $${Math.min(c2.l, c3.l).toFixed(2)} - support held twice`
+      });
+    }
+    if (trendInto2 === 'up' && c2.bullish && c3.bearish && Math.abs(c2.h - c3.h) <= tolerance) {
+      patterns.push({
+        name: 'Tweezer Top',
+        type: 'bearish',
+        strength: 'medium',
+        description: `Matching highs at $${Math.max(c2.h, c3.h).toFixed(2)} - resistance held twice`
+      });
+    }
+
+    // Three Inside Up / Down: a harami confirmed by a close beyond the first candle's open
+    if (c1.body >= avgBody && inside(c2, c1)) {
+      if (trendInto3 === 'down' && c1.bearish && c2.bullish && c3.bullish && c3.c > c1.o) {
+        patterns.push({
+          name: 'Three Inside Up',
+          type: 'bullish',
+          strength: 'strong',
+          description: 'Bullish harami confirmed by a close above the bearish candle'
+        });
+      }
+      if (trendInto3 === 'up' && c1.bullish && c2.bearish && c3.bearish && c3.c < c1.o) {
+        patterns.push({
+          name: 'Three Inside Down',
+          type: 'bearish',
+          strength: 'strong',
+          description: 'Bearish harami confirmed by a close below the bullish candle'
+        });
+      }
+    }
+
+    // Three Outside Up / Down: an engulfing candle followed through by a third
+    if (trendInto3 === 'down' && c1.bearish && c2.bullish && c2.o <= c1.c && c2.c >= c1.o && c2.body > c1.body * params.engulfingBodyRatio &&
+        c3.bullish && c3.c > c2.c) {
+      patterns.push({
+        name: 'Three Outside Up',
+        type: 'bullish',
+        strength: 'strong',
+        description: 'Bullish engulfing followed through by a higher close'
+      });
+    }
+    if (trendInto3 === 'up' && c1.bullish && c2.bearish && c2.o >= c1.c && c2.c <= c1.o && c2.body > c1.body * params.engulfingBodyRatio &&
+        c3.bearish && c3.c < c2.c) {
+      patterns.push({
+        name: 'Three Outside Down',
+        type: 'bearish',
+        strength: 'strong',
+        description: 'Bearish engulfing followed through by a lower close'
+      });
+    }
+
+    // Kicker: the candle opens beyond the previous candle's open and runs the
+    // other way with a long body, never trading back into the previous body
+    if (c2.bearish && c3.bullish && c3.body >= avgBody && c3.o >= c2.o && c3.l >= c2.bodyHigh) {
+      patterns.push({
+        name: 'Bullish Kicker',
+        type: 'bullish',
+        strength: 'strong',
+        description: 'Gap above the previous open and a strong close - sentiment flipped to buyers'
+      });
+    }
+    if (c2.bullish && c3.bearish && c3.body >= avgBody && c3.o <= c2.o && c3.h <= c2.bodyLow) {
+      patterns.push({
+        name: 'Bearish Kicker',
+        type: 'bearish',
+        strength: 'strong',
+        description: 'Gap below the previous open and a weak close - sentiment flipped to sellers'
+      });
+    }
+
+    // Abandoned Baby: a doji gapping away from both neighbours
+    if (isDoji(c2)) {
+      if (trendInto3 === 'down' && c1.bearish && c1.body >= avgBody && c3.bullish && c2.h < c1.l && c2.h < c3.l) {
+        patterns.push({
+          name: 'Bullish Abandoned Baby',
+          type: 'bullish',
+          strength: 'strong',
+          description: 'Doji isolated below gaps on both sides - capitulation low'
+        });
+      }
+      if (trendInto3 === 'up' && c1.bullish && c1.body >= avgBody && c3.bearish && c2.l > c1.h && c2.l > c3.h) {
+        patterns.push({
+          name: 'Bearish Abandoned Baby',
+          type: 'bearish',
+          strength: 'strong',
+          description: 'Doji isolated above gaps on both sides - exhaustion high'
+        });
+      }
+    }
+
+    return patterns;
+  }
+
+  // 'up' / 'down' from the 5 closes before `index` - the last of them against
+  // their average - so a formation starting at `index` is judged on the move into it
+  static trendBefore(allCandles, index, bars = 5) {
+    if (index < bars) return null;
+    const closes = allCandles.slice(index - bars, index).map(c => parseFloat(c.c));
+    const average = closes.reduce((a, b) => a + b, 0) / bars;
+    const lastClose = closes[bars - 1];
+    if (lastClose > average) return 'up';
+    if (lastClose < average) return 'down';
+    return null;
+  }
+
+  // ===========================================================================
+  // DOUBLE TOP DETECTION
+  // Looks for two peaks at similar price levels with a trough between them
+  // ===========================================================================
+  static detectDoubleTop(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 15) return null; // Need at least 15 candles
+
+    const lookback = Math.min(30, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const highs = candles.map(c => parseFloat(c.h));
+    const closes = candles.map(c => parseFloat(c.c));
+
+    // Find local peaks (highs that are higher than neighbors)
+    const peaks = [];
+    for (let i = 2; i < highs.length - 2; i++) {
+      if (highs[i] > highs[i - 1] && highs[i] > highs[i - 2] &&
+          highs[i] > highs[i + 1] && highs[i] > highs[i + 2]) {
+        peaks.push({ index: i, value: highs[i] });
+      }
+    }
+
+    if (peaks.length < 2) return null;
+
+    // Check last two peaks for double top
+    const peak1 = peaks[peaks.length - 2];
+    const peak2 = peaks[peaks.length - 1];
+    const priceTolerance = peak1.value * params.doubleTopTolerance;
+
+    // Peaks should be at similar levels
+    if (Math.abs(peak1.value - peak2.value) > priceTolerance) return null;
+
+    // Peaks should be separated by at least 5 candles
+    if (peak2.index - peak1.index < 5) return null;
+
+    // Find the trough between peaks
+    const troughCandles = highs.slice(peak1.index, peak2.index + 1);
+    const troughValue = Math.min(...troughCandles);
+    const neckline = troughValue;
+    const troughIndex = peak1.index + troughCandles.indexOf(troughValue);
+
+    // Measured move: the pattern height projected below the neckline
+    const height = (peak1.value + peak2.value) / 2 - neckline;
+    const first = anchor('Top 1', candles[peak1.index], peak1.value);
+    const geometry = {
+      points: [first, anchor('Neckline', candles[troughIndex], neckline), anchor('Top 2', candles[peak2.index], peak2.value)],
+      lines: [level('Neckline', first, candles[candles.length - 1], neckline)],
+      direction: 'down',
+      breakout: neckline,
+      target: neckline - height
+    };
+
+    // Current price should be breaking below neckline
+    const currentClose = closes[closes.length - 1];
+    if (currentClose < neckline) {
+      return {
+        name: 'Double Top',
+        type: 'bearish',
+        strength: 'strong',
+        description: `Double top at $${peak1.value.toFixed(2)} - neckline break confirms reversal`,
+        geometry
+      };
+    }
+
+    // If price is near neckline, warn of potential breakdown
+    if (currentClose < neckline * 1.02) {
+      return {
+        name: 'Double Top Forming',
+        type: 'bearish',
+        strength: 'medium',
+        description: `Double top forming - watch for neckline break at $${neckline.toFixed(2)}`,
+        geometry
+      };
+    }
+
+    return null;
+  }
+
+  // ===========================================================================
+  // DOUBLE BOTTOM DETECTION
+  // Looks for two troughs at similar price levels with a peak between them
+  // ===========================================================================
+  static detectDoubleBottom(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 15) return null;
+
+    const lookback = Math.min(30, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const lows = candles.map(c => parseFloat(c.l));
+    const closes = candles.map(c => parseFloat(c.c));
+
+    // Find local troughs
+    const troughs = [];
+    for (let i = 2; i < lows.length - 2; i++) {
+      if (lows[i] < lows[i - 1] && lows[i] < lows[i - 2] &&
+          lows[i] < lows[i + 1] && lows[i] < lows[i + 2]) {
+        troughs.push({ index: i, value: lows[i] });
+      }
+    }
+
+    if (troughs.length < 2) return null;
+
+    const trough1 = troughs[troughs.length - 2];
+    const trough2 = troughs[troughs.length - 1];
+    const priceTolerance = trough1.value * params.doubleTopTolerance;
+
+    if (Math.abs(trough1.value - trough2.value) > priceTolerance) return null;
+    if (trough2.index - trough1.index < 5) return null;
+
+    // Find peak between troughs (neckline)
+    const peakHighs = candles.slice(trough1.index, trough2.index + 1).map(c => parseFloat(c.h));
+    const neckline = Math.max(...peakHighs);
+    const peakIndex = trough1.index + peakHighs.indexOf(neckline);
+
+    // Measured move: the pattern height projected above the neckline
+    const height = neckline - (trough1.value + trough2.value) / 2;
+    const first = anchor('Bottom 1', candles[trough1.index], trough1.value);
+    const geometry = {
+      points: [first, anchor('Neckline', candles[peakIndex], neckline), anchor('Bottom 2', candles[trough2.index], trough2.value)],
+      lines: [level('Neckline', first, candles[candles.length - 1], neckline)],
+      direction: 'up',
+      breakout: neckline,
+      target: neckline + height
+    };
+
+    const currentClose = closes[closes.length - 1];
+    if (currentClose > neckline) {
+      return {
+        name: 'Double Bottom',
+        type: 'bullish',
+        strength: 'strong',
+        description: `Double bottom at $${trough1.value.toFixed(2)} - neckline break confirms reversal`,
+        geometry
+      };
+    }
+
+    if (currentClose > neckline * 0.98) {
+      return {
+        name: 'Double Bottom Forming',
+        type: 'bullish',
+        strength: 'medium',
+        description: `Double bottom forming - watch for neckline break at $${neckline.toFixed(2)}`,
+        geometry
+      };
+    }
+
+    return null;
+  }
+
+  // ===========================================================================
+  // HEAD AND SHOULDERS DETECTION
+  // Classic bearish reversal: left shoulder, head (higher), right shoulder
+  // ===========================================================================
+  static detectHeadAndShoulders(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 20) return null;
+
+    const lookback = Math.min(40, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const highs = candles.map(c => parseFloat(c.h));
+    const closes = candles.map(c => parseFloat(c.c));
+
+    // Find peaks
+    const peaks = [];
+    for (let i = 3; i < highs.length - 3; i++) {
+      if (highs[i] >= Math.max(...highs.slice(i - 3, i)) &&
+          highs[i] >= Math.max(...highs.slice(i + 1, i + 4))) {
+        peaks.push({ index: i, value: highs[i] });
+      }
+    }
+
+    if (peaks.length < 3) return null;
+
+    // Check last 3 peaks for H&S pattern
+    for (let i = peaks.length - 3; i >= 0; i--) {
+      const leftShoulder = peaks[i];
+      const head = peaks[i + 1];
+      const rightShoulder = peaks[i + 2];
+
+      // Head must be higher than both shoulders
+      if (head.value <= leftShoulder.value || head.value <= rightShoulder.value) continue;
+
+      // Shoulders should be at similar levels (within 5%)
+      const shoulderTolerance = leftShoulder.value * params.shoulderTolerance;
+      if (Math.abs(leftShoulder.value - rightShoulder.value) > shoulderTolerance) continue;
+
+      // Find neckline (connect the lows between shoulders and head)
+      const lowsLS_H = candles.slice(leftShoulder.index, head.index + 1).map(c => parseFloat(c.l));
+      const lowsH_RS = candles.slice(head.index, rightShoulder.index + 1).map(c => parseFloat(c.l));
+      const lowBetweenLS_H = Math.min(...lowsLS_H);
+      const lowBetweenH_RS = Math.min(...lowsH_RS);
+      const neckline = Math.max(lowBetweenLS_H, lowBetweenH_RS);
+
+      const currentClose = closes[closes.length - 1];
+      const geometry = this.headAndShouldersGeometry(candles, [leftShoulder, head, rightShoulder], [
+        { index: leftShoulder.index + lowsLS_H.indexOf(lowBetweenLS_H), value: lowBetweenLS_H },
+        { index: head.index + lowsH_RS.indexOf(lowBetweenH_RS), value: lowBetweenH_RS }
+      ], neckline);
+
+      if (currentClose < neckline) {
+        return {
+          name: 'Head & Shoulders',
+          type: 'bearish',
+          strength: 'strong',
+          description: `H&S pattern confirmed - neckline broken at $${neckline.toFixed(2)}`,
+          geometry
+        };
+      }
+
+      if (currentClose < neckline * 1.02 && rightShoulder.index > peaks.length - 5) {
+        return {
+          name: 'Head & Shoulders Forming',
+          type: 'bearish',
+          strength: 'medium',
+          description: `H&S forming - neckline at $${neckline.toFixed(2)}`,
+          geometry
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // ===========================================================================
+  // INVERSE HEAD AND SHOULDERS DETECTION
+  // Bullish reversal pattern
+  // ===========================================================================
+  static detectInverseHeadAndShoulders(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 20) return null;
+
+    const lookback = Math.min(40, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const lows = candles.map(c => parseFloat(c.l));
+    const closes = candles.map(c => parseFloat(c.c));
+
+    // Find troughs
+    const troughs = [];
+    for (let i = 3; i < lows.length - 3; i++) {
+      if (lows[i] <= Math.min(...lows.slice(i - 3, i)) &&
+          lows[i] <= Math.min(...lows.slice(i + 1, i + 4))) {
+        troughs.push({ index: i, value: lows[i] });
+      }
+    }
+
+    if (troughs.length < 3) return null;
+
+    for (let i = troughs.length - 3; i >= 0; i--) {
+      const leftShoulder = troughs[i];
+      const head = troughs[i + 1];
+      const rightShoulder = troughs[i + 2];
+
+      // Head must be lower than both shoulders
+      if (head.value >= leftShoulder.value || head.value >= rightShoulder.value) continue;
+
+      // Shoulders at similar levels
+      const shoulderTolerance = leftShoulder.value * params.shoulderTolerance;
+      if (Math.abs(leftShoulder.value - rightShoulder.value) > shoulderTolerance) continue;
+
+      // Find neckline
+      const highsLS_H = candles.slice(leftShoulder.index, head.index + 1).map(c => parseFloat(c.h));
+      const highsH_RS = candles.slice(head.index, rightShoulder.index + 1).map(c => parseFloat(c.h));
+      const highBetweenLS_H = Math.max(...highsLS_H);
+      const highBetweenH_RS = Math.max(...highsH_RS);
+      const neckline = Math.min(highBetweenLS_H, highBetweenH_RS);
+
+      const currentClose = closes[closes.length - 1];
+      const geometry = this.headAndShouldersGeometry(candles, [leftShoulder, head, rightShoulder], [
+        { index: leftShoulder.index + highsLS_H.indexOf(highBetweenLS_H), value: highBetweenLS_H },
+        { index: head.index + highsH_RS.indexOf(highBetweenH_RS), value: highBetweenH_RS }
+      ], neckline);
+
+      if (currentClose > neckline) {
+        return {
+          name: 'Inverse H&S',
+          type: 'bullish',
+          strength: 'strong',
+          description: `Inverse H&S confirmed - neckline broken at $${neckline.toFixed(2)}`,
+          geometry
+        };
+      }
+
+      if (currentClose > neckline * 0.98 && rightShoulder.index > troughs.length - 5) {
+        return {
+          name: 'Inverse H&S Forming',
+          type: 'bullish',
+          strength: 'medium',
+          description: `Inverse H&S forming - neckline at $${neckline.toFixed(2)}`,
+          geometry
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Shoulders, head and the two neckline reactions; the neckline is the level
+  // detection tests against and the target is the head's height beyond it
+  static headAndShouldersGeometry(candles, [leftShoulder, head, rightShoulder], reactions, neckline) {
+    const first = anchor('Neckline', candles[reactions[0].index], reactions[0].value);
+    return {
+      points: [
+        anchor('LS', candles[leftShoulder.index], leftShoulder.value),
+        first,
+        anchor('Head', candles[head.index], head.value),
+        anchor('Neckline', candles[reactions[1].index], reactions[1].value),
+        anchor('RS', candles[rightShoulder.index], rightShoulder.value)
+      ],
+      lines: [level('Neckline', first, candles[candles.length - 1], neckline)],
+      direction: head.value > neckline ? 'down' : 'up',
+      breakout: neckline,
+      target: neckline - (head.value - neckline)
+    };
+  }
+
+  // Regression trendlines through the highs and lows of a wedge window. Rising
+  // wedges break down through the lower line and target the wedge's base;
+  // falling wedges break up through the upper line and target its top.
+  static wedgeGeometry(candles, highs, lows, bearish) {
+    const fit = (values) => {
+      const slope = this.calculateSlope(values);
+      const intercept = values.reduce((a, b) => a + b, 0) / values.length - slope * (values.length - 1) / 2;
+      return [intercept, intercept + slope * (values.length - 1)];
+    };
+    const first = candles[0];
+    const last = candles[candles.length - 1];
+    const [upperStart, upperEnd] = fit(highs);
+    const [lowerStart, lowerEnd] = fit(lows);
+
+    return {
+      points: [],
+      lines: [
+        trendline('Upper', anchor('Upper', first, upperStart), anchor('Upper', last, upperEnd)),
+        trendline('Lower', anchor('Lower', first, lowerStart), anchor('Lower', last, lowerEnd))
+      ],
+      direction: bearish ? 'down' : 'up',
+      breakout: bearish ? lowerEnd : upperEnd,
+      target: bearish ? lowerStart : upperStart
+    };
+  }
+
+  // ===========================================================================
+  // RISING WEDGE DETECTION
+  // Bearish pattern: converging trendlines with upward slope
+  // ===========================================================================
+  static detectRisingWedge(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 12) return null;
+
+    const lookback = Math.min(20, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+
+    // Calculate trendlines using linear regression
+    const highSlope = this.calculateSlope(highs);
+    const lowSlope = this.calculateSlope(lows);
+
+    // Rising wedge: both slopes positive, but lows rising faster than highs (converging)
+    if (highSlope > 0 && lowSlope > 0 && lowSlope > highSlope * 0.5) {
+      // Check for convergence
+      const firstRange = highs[0] - lows[0];
+      const lastRange = highs[highs.length - 1] - lows[lows.length - 1];
+
+      if (lastRange < firstRange * params.wedgeConvergence) {
+        // Check if price is near upper trendline (potential breakdown)
+        const currentHigh = highs[highs.length - 1];
+        const projectedHigh = highs[0] + highSlope * (highs.length - 1);
+
+        if (Math.abs(currentHigh - projectedHigh) / projectedHigh < params.wedgeTouchTolerance) {
+          return {
+            name: 'Rising Wedge',
+            type: 'bearish',
+            strength: 'strong',
+            description: 'Rising wedge pattern - expect breakdown to the downside',
+            geometry: this.wedgeGeometry(candles, highs, lows, true)
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // ===========================================================================
+  // FALLING WEDGE DETECTION
+  // Bullish pattern: converging trendlines with downward slope
+  // ===========================================================================
+  static detectFallingWedge(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 12) return null;
+
+    const lookback = Math.min(20, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+
+    const highSlope = this.calculateSlope(highs);
+    const lowSlope = this.calculateSlope(lows);
+
+    // Falling wedge: both slopes negative, but highs falling faster than lows (converging)
+    if (highSlope < 0 && lowSlope < 0 && highSlope < lowSlope * 0.5) {
+      const firstRange = highs[0] - lows[0];
+      const lastRange = highs[highs.length - 1] - lows[lows.length - 1];
+
+      if (lastRange < firstRange * params.wedgeConvergence) {
+        const currentLow = lows[lows.length - 1];
+        const projectedLow = lows[0] + lowSlope * (lows.length - 1);
+
+        if (Math.abs(currentLow - projectedLow) / projectedLow < params.wedgeTouchTolerance) {
+          return {
+            name: 'Falling Wedge',
+            type: 'bullish',
+            strength: 'strong',
+            description: 'Falling wedge pattern - expect breakout to the upside',
+            geometry: this.wedgeGeometry(candles, highs, lows, false)
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // ===========================================================================
+  // V-SHAPED REVERSAL DETECTION
+  // Sharp reversal with high momentum (common in crypto due to liquidations)
+  // ===========================================================================
+  static detectVReversal(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 10) return null;
+
+    const lookback = Math.min(15, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const closes = candles.map(c => parseFloat(c.c));
+    const volumes = candles.map(c => parseFloat(c.v));
+
+    // Find the pivot point (lowest or highest point)
+    const minIndex = closes.indexOf(Math.min(...closes));
+    const maxIndex = closes.indexOf(Math.max(...closes));
+
+    // V-Bottom (bullish): sharp drop followed by sharp recovery
+    if (minIndex > 2 && minIndex < closes.length - 3) {
+      const dropBefore = closes.slice(0, minIndex + 1);
+      const recoveryAfter = closes.slice(minIndex);
+
+      const dropPercent = (dropBefore[0] - dropBefore[dropBefore.length - 1]) / dropBefore[0] * 100;
+      const recoveryPercent = (recoveryAfter[recoveryAfter.length - 1] - recoveryAfter[0]) / recoveryAfter[0] * 100;
+
+      // Sharp drop followed by strong recovery (by default >5% and >70% of the drop)
+      if (dropPercent > params.vReversalMovePercent && recoveryPercent > dropPercent * params.vReversalRecovery) {
+        // Check for volume spike at pivot
+        const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+        const pivotVolume = volumes[minIndex];
+
+        if (pivotVolume > avgVolume * params.vReversalVolumeSpike) {
+          return {
+            name: 'V-Bottom Reversal',
+            type: 'bullish',
+            strength: 'strong',
+            description: `Sharp V-reversal from $${closes[minIndex].toFixed(2)} - momentum buying`,
+            geometry: this.vReversalGeometry(candles, closes, minIndex)
+          };
+        }
+      }
+    }
+
+    // Inverted V-Top (bearish): sharp rally followed by sharp selloff
+    if (maxIndex > 2 && maxIndex < closes.length - 3) {
+      const rallyBefore = closes.slice(0, maxIndex + 1);
+      const selloffAfter = closes.slice(maxIndex);
+
+      const rallyPercent = (rallyBefore[rallyBefore.length - 1] - rallyBefore[0]) / rallyBefore[0] * 100;
+      const selloffPercent = (selloffAfter[0] - selloffAfter[selloffAfter.length - 1]) / selloffAfter[0] * 100;
+
+      if (rallyPercent > params.vReversalMovePercent && selloffPercent > rallyPercent * params.vReversalRecovery) {
+        const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+        const pivotVolume = volumes[maxIndex];
+
+        if (pivotVolume > avgVolume * params.vReversalVolumeSpike) {
+          return {
+            name: 'V-Top Reversal',
+            type: 'bearish',
+            strength: 'strong',
+            description: `Sharp V-top reversal from $${closes[maxIndex].toFixed(2)} - momentum selling`,
+            geometry: this.vReversalGeometry(candles, closes, maxIndex)
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // The two legs of a V on closes; the target is a full retrace to where the move began
+  static vReversalGeometry(candles, closes, pivotIndex) {
+    const last = closes.length - 1;
+    const start = anchor('Start', candles[0], closes[0]);
+    const pivot = anchor('Pivot', candles[pivotIndex], closes[pivotIndex]);
+    const end = anchor('Now', candles[last], closes[last]);
+
+    return {
+      points: [start, pivot, end],
+      lines: [trendline('Leg 1', start, pivot), trendline('Leg 2', pivot, end)],
+      direction: closes[pivotIndex] < closes[0] ? 'up' : 'down',
+      breakout: null,
+      target: closes[0]
+    };
+  }
+
+  // ===========================================================================
+  // CONSOLIDATION BOUNDS
+  // Trendlines through the last swing highs and lows before the current
+  // candle. Triangles and channels differ only in how the two lines relate;
+  // null unless each line rests on two or more swings and the lines contain
+  // most of the closes since the first of them
+  // ===========================================================================
+  static consolidationBounds(index, allCandles, lookback = 40) {
+    if (index < 20) return null;
+
+    const candles = allCandles.slice(Math.max(0, index - lookback), index + 1);
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+    const closes = candles.map(c => parseFloat(c.c));
+    const last = candles.length - 1;
+
+    // The current candle is the one that may break out, so it is not a swing
+    const pivots = TechnicalIndicators.findPivots(highs.slice(0, last), lows.slice(0, last), closes.slice(0, last), 2);
+    const swingHighs = pivots.filter(p => p.type === 'high').slice(-3);
+    const swingLows = pivots.filter(p => p.type === 'low').slice(-3);
+    if (swingHighs.length < 2 || swingLows.length < 2) return null;
+
+    const start = Math.min(swingHighs[0].index, swingLows[0].index);
+    if (last - start < 10) return null;
+
+    const upper = fitLine(swingHighs);
+    const lower = fitLine(swingLows);
+    const startWidth = valueAt(upper, start) - valueAt(lower, start);
+    const endWidth = valueAt(upper, last) - valueAt(lower, last);
+    if (startWidth <= 0 || endWidth <= 0) return null;
+
+    // Closes may poke through a line by a quarter of the average range
+    let rangeSum = 0;
+    for (let i = start; i < last; i++) rangeSum += highs[i] - lows[i];
+    const slack = rangeSum / (last - start) * 0.25;
+    let inside = 0;
+    for (let i = start; i < last; i++) {
+      if (closes[i] <= valueAt(upper, i) + slack && closes[i] >= valueAt(lower, i) - slack) inside++;
+    }
+    if (inside < (last - start) * 0.85) return null;
+
+    // A line is flat when it moves less than a fifth of the starting width
+    const flat = startWidth * 0.2;
+    const upperMove = upper.slope * (last - start);
+    const lowerMove = lower.slope * (last - start);
+
+    return {
+      candles, closes, start, last, upper, lower, startWidth, endWidth, swingHighs, swingLows,
+      offset: index - last,
+      upperSlope: Math.abs(upperMove) < flat ? 0 : Math.sign(upperMove),
+      lowerSlope: Math.abs(lowerMove) < flat ? 0 : Math.sign(lowerMove)
+    };
+  }
+
+  // 'up' / 'down' when the current close has just crossed a line, 'inside'
+  // while it is between them, null once price broke out on an earlier candle
+  static breakoutState({ closes, last, upper, lower }) {
+    const close = closes[last];
+    const previous = closes[last - 1];
+    if (close > valueAt(upper, last) && previous <= valueAt(upper, last - 1)) return 'up';
+    if (close < valueAt(lower, last) && previous >= valueAt(lower, last - 1)) return 'down';
+    if (close <= valueAt(upper, last) && close >= valueAt(lower, last)) return 'inside';
+    return null;
+  }
+
+  // Direction of the move into a consolidation, for patterns with no bias of their own
+  static priorTrend(allCandles, index, bars = 10) {
+    const from = parseFloat(allCandles[Math.max(0, index - bars)].c);
+    return parseFloat(allCandles[index].c) >= from ? 'up' : 'down';
+  }
+
+  // Both trendlines from the first swing to the current candle; the breakout is
+  // the line on the `direction` side and the target is `height` beyond it
+  static consolidationGeometry({ candles, start, last, upper, lower, swingHighs, swingLows }, direction, height) {
+    const line = (label, fit) => trendline(label,
+      { t: candles[start].t, price: valueAt(fit, start) },
+      { t: candles[last].t, price: valueAt(fit, last) }
+    );
+    const breakout = valueAt(direction === 'up' ? upper : lower, last);
+
+    return {
+      points: [
+        ...swingHighs.map(p => anchor('High', candles[p.index], p.value)),
+        ...swingLows.map(p => anchor('Low', candles[p.index], p.value))
+      ].sort((a, b) => a.t - b.t),
+      lines: [line('Upper', upper), line('Lower', lower)],
+      direction,
+      breakout,
+      target: direction === 'up' ? breakout + height : breakout - height
+    };
+  }
+
+  // ===========================================================================
+  // TRIANGLE DETECTION
+  // Converging trendlines: ascending (flat top, rising lows) breaks up,
+  // descending (flat bottom, falling highs) breaks down, symmetrical follows
+  // the breakout - or the prior trend while it is still forming. The measured
+  // move is the triangle's widest height from the breakout
+  // ===========================================================================
+  static detectTriangle(index, allCandles) {
+    const bounds = this.consolidationBounds(index, allCandles);
+    if (!bounds || bounds.endWidth > bounds.startWidth * 0.6) return null;
+
+    let kind, bias;
+    if (bounds.upperSlope === 0 && bounds.lowerSlope > 0) {
+      kind = 'Ascending';
+      bias = 'up';
+    } else if (bounds.lowerSlope === 0 && bounds.upperSlope < 0) {
+      kind = 'Descending';
+      bias = 'down';
+    } else if (bounds.upperSlope < 0 && bounds.lowerSlope > 0) {
+      kind = 'Symmetrical';
+      bias = null;
+    } else {
+      return null; // Both lines sloping the same way is a wedge
+    }
+
+    const state = this.breakoutState(bounds);
+    if (!state) return null;
+    const direction = state === 'inside' ? bias || this.priorTrend(allCandles, bounds.offset + bounds.start) : state;
+    if (bias && direction !== bias) return null; // Broke against the triangle - failed pattern
+
+    const geometry = this.consolidationGeometry(bounds, direction, bounds.startWidth);
+    const bullish = direction === 'up';
+    const name = `${kind} Triangle`;
+
+    if (state === 'inside') {
+      return {
+        name: `${name} Forming`,
+        type: bullish ? 'bullish' : 'bearish',
+        strength: 'medium',
+        description: `${name} - watch for a break ${bullish ? 'above' : 'below'} $${geometry.breakout.toFixed(2)}`,
+        geometry
+      };
+    }
+
+    return {
+      name,
+      type: bullish ? 'bullish' : 'bearish',
+      strength: 'strong',
+      description: `${name} ${bullish ? 'breakout above' : 'breakdown below'} $${geometry.breakout.toFixed(2)} - measured move to $${geometry.target.toFixed(2)}`,
+      geometry
+    };
+  }
+
+  // ===========================================================================
+  // RECTANGLE / CHANNEL DETECTION
+  // Parallel trendlines: flat (rectangle), rising or falling (channel). A
+  // close through either line is a breakout targeting the channel's height
+  // beyond it; while price is still inside, the pattern leans with the
+  // channel's slope (rectangles with the prior trend)
+  // ===========================================================================
+  static detectChannel(index, allCandles) {
+    const bounds = this.consolidationBounds(index, allCandles);
+    if (!bounds || Math.abs(bounds.endWidth - bounds.startWidth) > bounds.startWidth * 0.25) return null;
+
+    let kind;
+    if (bounds.upperSlope === 0 && bounds.lowerSlope === 0) kind = 'Rectangle';
+    else if (bounds.upperSlope > 0 && bounds.lowerSlope > 0) kind = 'Ascending Channel';
+    else if (bounds.upperSlope < 0 && bounds.lowerSlope < 0) kind = 'Descending Channel';
+    else return null;
+
+    const state = this.breakoutState(bounds);
+    if (!state) return null;
+
+    const lean = kind === 'Rectangle'
+      ? this.priorTrend(allCandles, bounds.offset + bounds.start)
+      : kind === 'Ascending Channel' ? 'up' : 'down';
+    const direction = state === 'inside' ? lean : state;
+    const geometry = this.consolidationGeometry(bounds, direction, (bounds.startWidth + bounds.endWidth) / 2);
+    const bullish = direction === 'up';
+
+    if (state === 'inside') {
+      return {
+        name: kind,
+        type: bullish ? 'bullish' : 'bearish',
+        strength: 'weak',
+        description: `Price inside ${kind.toLowerCase()} - a close ${bullish ? 'above' : 'below'} $${geometry.breakout.toFixed(2)} confirms`,
+        geometry
+      };
+    }
+
+    return {
+      name: `${kind} ${bullish ? 'Breakout' : 'Breakdown'}`,
+      type: bullish ? 'bullish' : 'bearish',
+      strength: 'strong',
+      description: `Close ${bullish ? 'above' : 'below'} ${kind.toLowerCase()} at $${geometry.breakout.toFixed(2)} - measured move to $${geometry.target.toFixed(2)}`,
+      geometry
+    };
+  }
+
+  // ===========================================================================
+  // FLAG / PENNANT DETECTION
+  // A sharp pole (by default 4+ ATRs) followed by 5-12 bars of consolidation
+  // that retrace no more than half of it: a parallel channel drifting against
+  // the pole is a flag, converging lines a pennant. The breakout targets the
+  // pole's height beyond the consolidation
+  // ===========================================================================
+  static detectFlag(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 30) return null;
+
+    const candles = allCandles.slice(index - 30, index + 1);
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+    const closes = candles.map(c => parseFloat(c.c));
+    const last = candles.length - 1;
+
+    const atr = TechnicalIndicators.ATR(highs.slice(0, last), lows.slice(0, last), closes.slice(0, last))?.atr;
+    if (!atr) return null;
+
+    return this.flagSetup(candles, highs, lows, closes, atr, params, true) ||
+      this.flagSetup(candles, highs, lows, closes, atr, params, false);
+  }
+
+  static flagSetup(candles, highs, lows, closes, atr, params, bullish) {
+    const last = candles.length - 1;
+    const extreme = bullish ? highs : lows;
+    const opposite = bullish ? lows : highs;
+    const better = (a, b) => (bullish ? a > b : a < b);
+
+    // Pole tip: the consolidation's extreme, 5-12 bars before the current candle
+    let tip = last - 12;
+    for (let i = tip; i < last; i++) if (better(extreme[i], extreme[tip])) tip = i;
+    if (last - tip < 5) return null;
+
+    // Pole base: the opposite extreme of the 15 bars into the tip
+    let base = Math.max(0, tip - 15);
+    for (let i = base; i < tip; i++) if (better(opposite[base], opposite[i])) base = i;
+    const poleHeight = Math.abs(extreme[tip] - opposite[base]);
+    if (poleHeight < atr * params.flagPoleAtr) return null;
+
+    // The consolidation may give back at most half the pole
+    const flagOpposite = opposite.slice(tip + 1, last);
+    const deepest = bullish ? Math.min(...flagOpposite) : Math.max(...flagOpposite);
+    if (Math.abs(extreme[tip] - deepest) > poleHeight * 0.5) return null;
+
+    const upper = this.regressionLine(highs.slice(tip, last), tip);
+    const lower = this.regressionLine(lows.slice(tip, last), tip);
+    const startWidth = valueAt(upper, tip) - valueAt(lower, tip);
+    const endWidth = valueAt(upper, last - 1) - valueAt(lower, last - 1);
+    if (startWidth <= 0 || endWidth <= 0) return null;
+
+    let kind;
+    if (upper.slope < 0 && lower.slope > 0 && endWidth < startWidth * 0.6) {
+      kind = 'Pennant';
+    } else if (Math.abs(endWidth - startWidth) <= startWidth * 0.3 &&
+               (bullish ? upper.slope <= 0 && lower.slope <= 0 : upper.slope >= 0 && lower.slope >= 0)) {
+      kind = 'Flag';
+    } else {
+      return null;
+    }
+
+    const state = this.breakoutState({ closes, last, upper, lower });
+    const direction = bullish ? 'up' : 'down';
+    if (state !== 'inside' && state !== direction) return null;
+
+    const line = (label, fit) => trendline(label,
+      { t: candles[tip].t, price: valueAt(fit, tip) },
+      { t: candles[last].t, price: valueAt(fit, last) }
+    );
+    const poleBase = anchor('Pole', candles[base], opposite[base]);
+    const poleTip = anchor(bullish ? 'Pole top' : 'Pole bottom', candles[tip], extreme[tip]);
+    const breakout = valueAt(bullish ? upper : lower, last);
+    const geometry = {
+      points: [poleBase, poleTip],
+      lines: [trendline('Pole', poleBase, poleTip), line('Upper', upper), line('Lower', lower)],
+      direction,
+      breakout,
+      target: bullish ? breakout + poleHeight : breakout - poleHeight
+    };
+    const name = `${bullish ? 'Bull' : 'Bear'} ${kind}`;
+
+    if (state === 'inside') {
+      return {
+        name: `${name} Forming`,
+        type: bullish ? 'bullish' : 'bearish',
+        strength: 'medium',
+        description: `${name} after a ${(poleHeight / atr).toFixed(1)} ATR pole - watch for a break ${bullish ? 'above' : 'below'} $${breakout.toFixed(2)}`,
+        geometry
+      };
+    }
+
+    return {
+      name,
+      type: bullish ? 'bullish' : 'bearish',
+      strength: 'strong',
+      description: `${name} ${bullish ? 'breakout' : 'breakdown'} - continuation to $${geometry.target.toFixed(2)}`,
+      geometry
+    };
+  }
+
+  // ===========================================================================
+  // CUP AND HANDLE DETECTION
+  // Bullish continuation: a rounded base between two rims at a similar level,
+  // then a shallow handle (holding the upper half of the cup) just below the
+  // right rim. The breakout is the right rim; the target is the cup's depth
+  // above it
+  // ===========================================================================
+  static detectCupAndHandle(index, allCandles, params = PATTERN_PARAMS) {
+    if (index < 30) return null;
+
+    const lookback = Math.min(60, index);
+    const candles = allCandles.slice(index - lookback, index + 1);
+    const highs = candles.map(c => parseFloat(c.h));
+    const lows = candles.map(c => parseFloat(c.l));
+    const closes = candles.map(c => parseFloat(c.c));
+    const last = candles.length - 1;
+
+    // Right rim: the highest high of the last 12 bars, with a handle of 2+ bars after it
+    let right = last - 12;
+    for (let i = right; i < last; i++) if (highs[i] > highs[right]) right = i;
+    if (last - right < 2) return null;
+
+    let bottom = 0;
+    for (let i = 0; i < right; i++) if (lows[i] < lows[bottom]) bottom = i;
+    let left = 0;
+    for (let i = 0; i < bottom; i++) if (highs[i] > highs[left]) left = i;
+    if (bottom - left < 5 || right - bottom < 5) return null;
+
+    const depth = Math.min(highs[left], highs[right]) - lows[bottom];
+    if (depth <= 0 || Math.abs(highs[left] - highs[right]) > depth * params.cupRimTolerance) return null;
+
+    // Rounded rather than V-shaped: the middle third of the cup stays in its lower half
+    const third = Math.floor((right - left) / 3);
+    const floor = lows[bottom] + depth * 0.5;
+    if (closes.slice(left + third, right - third + 1).some(c => c > floor)) return null;
+
+    const handle = lows.slice(right + 1);
+    const handleLow = Math.min(...handle);
+    if (handleLow < highs[right] - depth * 0.5) return null;
+
+    const rim = highs[right];
+    const close = closes[last];
+    const broke = close > rim && closes[last - 1] <= rim;
+    if (!broke && close > rim) return null;
+
+    const leftRim = anchor('Left rim', candles[left], highs[left]);
+    const geometry = {
+      points: [
+        leftRim,
+        anchor('Bottom', candles[bottom], lows[bottom]),
+        anchor('Right rim', candles[right], rim),
+        anchor('Handle', candles[right + 1 + handle.indexOf(handleLow)], handleLow)
+      ],
+      lines: [level('Rim', leftRim, candles[last], rim)],
+      direction: 'up',
+      breakout: rim,
+      target: rim + depth
+    };
+
+    if (broke) {
+      return {
+        name: 'Cup and Handle',
+        type: 'bullish',
+        strength: 'strong',
+        description: `Cup and handle breakout above $${rim.toFixed(2)} - measured move to $${geometry.target.toFixed(2)}`,
+        geometry
+      };
+    }
+
+    return {
+      name: 'Cup and Handle Forming',
+      type: 'bullish',
+      strength: 'medium',
+      description: `Cup and handle forming - watch for a break above $${rim.toFixed(2)}`,
+      geometry
+    };
+  }
+
+  // Helper: Calculate slope using simple linear regression
+  static calculateSlope(values) {
+    const n = values.length;
+    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+
+    for (let i = 0; i < n; i++) {
+      sumX += i;
+      sumY += values[i];
+      sumXY += i * values[i];
+      sumX2 += i * i;
+    }
+
+    return (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+  }
+
+  // Regression line through consecutive values starting at bar `offset`
+  static regressionLine(values, offset = 0) {
+    const slope = this.calculateSlope(values);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    return { slope, intercept: mean - slope * (offset + (values.length - 1) / 2) };
+  }
+
+  // Context carries live data that is not derived from candles (e.g. { futures }),
+  // may supply precomputed { indicators } and support/resistance { levels } so
+  // they are not recalculated here, selects the { strategy } that turns
+  // patterns + indicators into a decision and may override that strategy's
+  // { params } (which also reach SupportResistance.adjustDecision and
+  // PatternCalibration.scoreDecision)
+  static generateDecision(patterns, candle, allCandles, context = {}) {
+    const strategy = context.strategy || defaultStrategy;
+    const params = { ...strategy.params, ...context.params };
+
+    // Calculate technical indicators for enhanced decision making
+    const indicators = context.indicators !== undefined
+      ? context.indicators
+      : allCandles.length >= 30 ? TechnicalIndicators.calculateAll(allCandles) : null;
+
+    const result = strategy.decide({ patterns: patterns || [], candle, candles: allCandles, indicators, params });
+    if (!result || !DECISION_ACTIONS.includes(result.action)) {
+      throw new Error(`Strategy ${strategy.name} returned an invalid action: ${result?.action}`);
+    }
+
+    const decision = {
+      ...EMPTY_DECISION,
+      ...result,
+      reasoning: [...(result.reasoning || [])],
+      strategy: strategy.name,
+      indicatorSignals: indicators ? this.getIndicatorSignals(indicators) : null
+    };
+
+    // Stops snap beyond the nearest support/resistance; targets past a major level are flagged
+    const levels = context.levels !== undefined
+      ? context.levels
+      : decision.action !== 'WAIT' ? SupportResistance.calculate(allCandles) : null;
+    this.insertReasoning(decision, SupportResistance.adjustDecision(decision, levels, params));
+
+    // Chart patterns pointing the trade's way add their measured-move target
+    this.insertReasoning(decision, this.applyMeasuredMove(decision, patterns || []));
+
+    // Patterns annotated with their historical hit rates set a calibrated confidence
+    this.insertReasoning(decision, PatternCalibration.scoreDecision(decision, patterns || [], params));
+
+    // Futures positioning adds context to the reasoning but never flips the action
+    if (context.futures) {
+      this.insertReasoning(decision, this.getFuturesReasoning(context.futures, decision.action));
+      decision.futuresSignals = this.getFuturesSignals(context.futures);
+    }
+
+    return decision;
+  }
+
+  // The strongest chart pattern whose geometry points the trade's way with a
+  // target beyond the entry sets decision.measuredMove ({ pattern, breakout,
+  // target, r }, r in multiples of the final risk). Returns the reasoning line
+  static applyMeasuredMove(decision, patterns) {
+    if (decision.action === 'WAIT' || decision.entry === null) return [];
+
+    const side = decision.action === 'LONG' ? 1 : -1;
+    const direction = side === 1 ? 'up' : 'down';
+    const rank = { strong: 0, medium: 1, weak: 2 };
+    const pattern = patterns
+      .filter(p => p.geometry?.direction === direction && (p.geometry.target - decision.entry) * side > 0)
+      .sort((a, b) => (rank[a.strength] ?? 3) - (rank[b.strength] ?? 3))[0];
+    if (!pattern) return [];
+
+    const { breakout, target } = pattern.geometry;
+    const risk = decision.stopLoss !== null ? (decision.entry - decision.stopLoss) * side : 0;
+    const r = risk > 0 ? parseFloat(((target - decision.entry) * side / risk).toFixed(2)) : null;
+
+    decision.measuredMove = {
+      pattern: pattern.name,
+      breakout: breakout === null ? null : parseFloat(breakout.toPrecision(8)),
+      target: parseFloat(target.toPrecision(8)),
+      r
+    };
+    return [`Measured move (${pattern.name}): $${parseFloat(target.toPrecision(6))}${r !== null ? ` (${r}R)` : ''}`];
+  }
+
+  // Context lines go ahead of the closing 'Entry: ...' / 'Risk: ...' lines
+  static insertReasoning(decision, lines) {
+    const entryIndex = decision.reasoning.findIndex(r => r.startsWith('Entry:'));
+    if (entryIndex >= 0) decision.reasoning.splice(entryIndex, 0, ...lines);
+    else decision.reasoning.push(...lines);
+  }
+
+  // Helper to extract key indicator signals for the decision
+  static getIndicatorSignals(indicators) {
+    if (!indicators) return null;
+
+    return {
+      rsi: indicators.rsi !== null ? {
+        value: parseFloat(indicators.rsi.toFixed(1)),
+        signal: indicators.rsi < 30 ? 'oversold' : indicators.rsi > 70 ? 'overbought' : 'neutral'
+      } : null,
+      macd: indicators.macd ? {
+        trend: indicators.macd.trend,
+        histogram: indicators.macd.histogram
+      } : null,
+      stochastic: indicators.stochastic ? {
+        k: indicators.stochastic.k,
+        d: indicators.stochastic.d,
+        signal: indicators.stochastic.signal
+      } : null,
+      adx: indicators.adx ? {
+        value: indicators.adx.adx,
+        trend: indicators.adx.trend,
+        direction: indicators.adx.direction
+      } : null,
+      bollingerBands: indicators.bollingerBands ? {
+        signal: indicators.bollingerBands.signal,
+        percentB: indicators.bollingerBands.percentB
+      } : null,
+      obv: indicators.obv ? {
+        trend: indicators.obv.trend
+      } : null,
+      vwap: indicators.vwap ? {
+        position: indicators.vwap.position,
+        deviation: indicators.vwap.deviation
+      } : null,
+      ichimoku: indicators.ichimoku ? {
+        position: indicators.ichimoku.position,
+        tkCross: indicators.ichimoku.tkCross,
+        signal: indicators.ichimoku.signal
+      } : null,
+      supertrend: indicators.supertrend ? {
+        direction: indicators.supertrend.direction,
+        flipped: indicators.supertrend.flipped
+      } : null,
+      keltner: indicators.keltner ? {
+        position: indicators.keltner.position
+      } : null,
+      parabolicSar: indicators.parabolicSar ? {
+        trend: indicators.parabolicSar.trend,
+        flipped: indicators.parabolicSar.flipped
+      } : null,
+      cci: indicators.cci,
+      mfi: indicators.mfi,
+      williamsR: indicators.williamsR,
+      elliottWave: indicators.elliottWave ? {
+        pattern: indicators.elliottWave.pattern,
+        wave: indicators.elliottWave.wave,
+        projection: indicators.elliottWave.projection
+      } : null,
+      summary: indicators.summary
+    };
+  }
+
+  // ===========================================================================
+  // FUTURES CONTEXT (funding, open interest, liquidations)
+  // ===========================================================================
+  static getFuturesSignals(futures) {
+    if (!futures) return null;
+
+    const since = Date.now() - FUTURES_THRESHOLDS.LIQUIDATION_WINDOW_MS;
+    const recent = (futures.liquidations || []).filter(l => l.time >= since);
+    const longLiquidations = recent.filter(l => l.side === 'long').reduce((sum, l) => sum + l.value, 0);
+    const shortLiquidations = recent.filter(l => l.side === 'short').reduce((sum, l) => sum + l.value, 0);
+
+    return {
+      fundingRate: futures.fundingRate ?? null,
+      markPrice: futures.markPrice ?? null,
+      openInterest: futures.openInterest ?? null,
+      openInterestChange: futures.openInterestChange ?? null,
+      longLiquidations5m: Math.round(longLiquidations),
+      shortLiquidations5m: Math.round(shortLiquidations)
+    };
+  }
+
+  static getFuturesReasoning(futures, action) {
+    const signals = this.getFuturesSignals(futures);
+    const reasoning = [];
+    const isLong = action === 'LONG';
+    const isShort = action === 'SHORT';
+    const formatUsd = (value) => value >= 1e6 ? `$${(value / 1e6).toFixed(1)}M` : `$${(value / 1e3).toFixed(0)}K`;
+
+    // Funding rate: extreme readings mean one side is paying heavily to stay in
+    if (signals.fundingRate !== null) {
+      const funding = `${(signals.fundingRate * 100).toFixed(4)}%`;
+
+      if (signals.fundingRate >= FUTURES_THRESHOLDS.FUNDING_EXTREME_POSITIVE) {
+        if (isLong) reasoning.push(`⚠ Funding extremely positive (${funding}) - crowded longs`);
+        else if (isShort) reasoning.push(`✓ Funding extremely positive (${funding}) - crowded longs, squeeze fuel`);
+        else reasoning.push(`Funding extremely positive (${funding}) - crowded longs`);
+      } else if (signals.fundingRate <= FUTURES_THRESHOLDS.FUNDING_EXTREME_NEGATIVE) {
+        if (isShort) reasoning.push(`⚠ Funding extremely negative (${funding}) - crowded shorts`);
+        else if (isLong) reasoning.push(`✓ Funding extremely negative (${funding}) - crowded shorts, squeeze fuel`);
+        else reasoning.push(`Funding extremely negative (${funding}) - crowded shorts`);
+      }
+    }
+
+    // Open interest: rising OI means new positions are backing the move
+    if (signals.openInterestChange !== null &&
+        Math.abs(signals.openInterestChange) >= FUTURES_THRESHOLDS.OI_CHANGE_PERCENT) {
+      const change = `${signals.openInterestChange > 0 ? '+' : ''}${signals.openInterestChange.toFixed(1)}%`;
+      const priceRising = (futures.priceChange ?? 0) >= 0;
+
+      if (signals.openInterestChange < 0) {
+        reasoning.push(`${isLong || isShort ? '⚠ ' : ''}Open interest ${change} (1h) - move driven by positions closing`);
+      } else if (priceRising) {
+        reasoning.push(`${isLong ? '✓ ' : isShort ? '⚠ ' : ''}Open interest ${change} (1h) with rising price - new longs backing the rally`);
+      } else {
+        reasoning.push(`${isShort ? '✓ ' : isLong ? '⚠ ' : ''}Open interest ${change} (1h) with falling price - new shorts pressing the decline`);
+      }
+    }
+
+    // Liquidations: heavy forced selling/buying often marks exhaustion
+    if (signals.longLiquidations5m >= FUTURES_THRESHOLDS.LIQUIDATION_NOTABLE_USD) {
+      const prefix = isLong ? '✓ ' : isShort ? '⚠ ' : '';
+      reasoning.push(`${prefix}Long liquidations ${formatUsd(signals.longLiquidations5m)} in 5m - forced selling may be exhausting`);
+    }
+    if (signals.shortLiquidations5m >= FUTURES_THRESHOLDS.LIQUIDATION_NOTABLE_USD) {
+      const prefix = isShort ? '✓ ' : isLong ? '⚠ ' : '';
+      reasoning.push(`${prefix}Short liquidations ${formatUsd(signals.shortLiquidations5m)} in 5m - short squeeze may be exhausting`);
+    }
+
+    return reasoning;
+  }
+}
+
+module.exports = { PatternRecognizer, PATTERN_PARAMS, DECISION_ACTIONS, EMPTY_DECISION };
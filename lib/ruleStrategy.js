@@ -0,0 +1,701 @@
+/**
+ * Rule-Based Strategies
+ *
+ * Compiles declarative rule files (YAML or JSON) into strategy modules, so
+ * entry conditions can be written without JavaScript:
+ *
+ *   name: rsiReversal
+ *   label: RSI Reversal
+ *   long:
+ *     when:                          # a list is ANDed; a single string also works
+ *       - RSI < 30
+ *       - pattern in [Hammer, Bullish Engulfing]
+ *       - adx.trend != weak
+ *     confidence:                    # or a fixed level: confidence: medium
+ *       high: summary.sentiment == BULLISH
+ *   short:
+ *     when: RSI > 70 AND pattern in [Shooting Star, Bearish Engulfing]
+ *   entry: breakout                  # breakout (beyond the candle) or close
+ *   stop: { atr: 1.5, range: 0.15 }  # ATR multiple; range fraction without ATR; or percent
+ *   targets: [1.5, 2.5, 4]           # R multiples
+ *
+ * Conditions are evaluated against TechnicalIndicators.calculateAll output
+ * (rsi, macd.trend, adx.trend, bollingerBands.percentB, summary.sentiment ...),
+ * the PatternRecognizer.analyzeCandle patterns (pattern, pattern.type,
+ * pattern.strength) and the candle (candle.close, candle.change ...).
+ *
+ *   expr       := term (OR term)*
+ *   term       := factor (AND factor)*
+ *   factor     := NOT factor | '(' expr ')' | comparison
+ *   comparison := value [op value | [NOT] IN '[' item, ... ']']
+ *   op         := < <= > >= == = !=
+ *
+ * Keywords and field names are case-insensitive; string comparisons too. A
+ * bare word that is not a field is a string (`adx.trend != weak`); quote
+ * values with spaces outside lists. `pattern` is the list of patterns on the
+ * candle: `==` / `in` match any of them, `!=` / `not in` match none. A clause
+ * on an indicator that is not available yet (null) does not match.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const YAML = require('yaml');
+
+// Fields an expression can reference: root -> sub-fields (null for plain values)
+const FIELDS = {
+  rsi: null,
+  macd: ['macd', 'signal', 'histogram', 'trend'],
+  stochastic: ['k', 'd', 'signal'],
+  ema20: null,
+  ema50: null,
+  sma20: null,
+  adx: ['adx', 'plusDI', 'minusDI', 'trend', 'direction'],
+  bollingerBands: ['upper', 'middle', 'lower', 'percentB', 'bandwidth', 'signal'],
+  atr: ['atr', 'atrPercent', 'volatility'],
+  obv: ['obv', 'trend', 'slope'],
+  vwap: ['vwap', 'upper', 'lower', 'deviation', 'position'],
+  ichimoku: ['tenkan', 'kijun', 'senkouA', 'senkouB', 'cloudTop', 'cloudBottom', 'cloudColor', 'position', 'tkCross', 'chikou', 'signal'],
+  supertrend: ['value', 'direction', 'flipped', 'distance'],
+  keltner: ['upper', 'middle', 'lower', 'width', 'position'],
+  parabolicSar: ['sar', 'trend', 'flipped', 'accelerationFactor'],
+  cci: ['value', 'signal'],
+  mfi: ['value', 'signal'],
+  williamsR: ['value', 'signal'],
+  volumeProfile: ['poc', 'valueAreaHigh', 'valueAreaLow', 'position'],
+  elliottWave: ['pattern', 'wave', 'projection', 'confidence'],
+  summary: ['sentiment', 'bullishSignals', 'bearishSignals', 'strength', 'recommendation'],
+  pattern: ['name', 'type', 'strength'],
+  candle: ['open', 'high', 'low', 'close', 'volume', 'change']
+};
+
+// Roots that can be used without a sub-field
+const SCALAR_ROOTS = ['pattern'];
+
+const RULE_KEYS = ['name', 'label', 'description', 'long', 'short', 'entry', 'stop', 'targets'];
+const SIDE_KEYS = ['when', 'confidence'];
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const STOP_KEYS = ['atr', 'range', 'percent'];
+
+const DEFAULT_RULE = {
+  entry: 'breakout',
+  stop: { atr: 1.5, range: 0.15 },
+  targets: [1.5, 2.5, 4],
+  confidence: 'medium'
+};
+
+const RULE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Carries one { line, message } per problem found in a rule file
+class RuleError extends Error {
+  constructor(errors) {
+    super(errors.map(e => (e.line ? `line ${e.line}: ${e.message}` : e.message)).join('; '));
+    this.errors = errors;
+  }
+}
+
+// =============================================================================
+// EXPRESSIONS
+// =============================================================================
+
+const KEYWORDS = { and: 'and', or: 'or', not: 'not', in: 'in' };
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (ch === '[') {
+      const close = source.indexOf(']', i);
+      if (close < 0) throw expressionError("Missing ']'", i);
+      const items = source.slice(i + 1, close).split(',').map(s => s.trim());
+      if (items.some(item => item === '')) throw expressionError('Empty list item', i);
+      tokens.push({ type: 'list', value: items.map(parseLiteral), pos: i, end: close + 1 });
+      i = close + 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const close = source.indexOf(ch, i + 1);
+      if (close < 0) throw expressionError('Unterminated string', i);
+      tokens.push({ type: 'literal', value: source.slice(i + 1, close), pos: i, end: close + 1 });
+      i = close + 1;
+      continue;
+    }
+
+    const op = /^(<=|>=|==|!=|<|>|=)/.exec(rest);
+    if (op) {
+      tokens.push({ type: 'op', value: op[1] === '=' ? '==' : op[1], pos: i, end: i + op[1].length });
+      i += op[1].length;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(rest);
+    if (number) {
+      tokens.push({ type: 'literal', value: parseFloat(number[0]), pos: i, end: i + number[0].length });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][\w.]*/.exec(rest);
+    if (word) {
+      const keyword = KEYWORDS[word[0].toLowerCase()];
+      tokens.push({ type: keyword || 'word', value: word[0], pos: i, end: i + word[0].length });
+      i += word[0].length;
+      continue;
+    }
+
+    throw expressionError(`Unexpected character '${ch}'`, i);
+  }
+
+  return tokens;
+}
+
+function parseLiteral(text) {
+  const quoted = /^(["'])(.*)\1$/.exec(text);
+  if (quoted) return quoted[2];
+  return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : text;
+}
+
+function expressionError(message, pos) {
+  const err = new Error(`${message} at column ${pos + 1}`);
+  err.column = pos + 1;
+  return err;
+}
+
+class ExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) throw expressionError('Empty condition', 0);
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra?.type === 'word') {
+      throw expressionError(`Unexpected '${extra.value}' (quote values with spaces, or join conditions with AND / OR)`, extra.pos);
+    }
+    if (extra) throw expressionError(`Unexpected '${this.text(extra)}'`, extra.pos);
+    return node;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  text(token) {
+    return this.source.slice(token.pos, token.end);
+  }
+
+  span(node, start, end) {
+    node.source = this.source.slice(start, end).trim();
+    node.pos = start;
+    node.end = end;
+    return node;
+  }
+
+  parseBinary(type, parseOperand) {
+    const first = parseOperand();
+    const children = [first];
+    while (this.peek()?.type === type) {
+      this.next();
+      children.push(parseOperand());
+    }
+    if (children.length === 1) return first;
+    return this.span({ type, children }, first.pos, children[children.length - 1].end);
+  }
+
+  parseOr() {
+    return this.parseBinary('or', () => this.parseAnd());
+  }
+
+  parseAnd() {
+    return this.parseBinary('and', () => this.parseNot());
+  }
+
+  parseNot() {
+    const token = this.peek();
+    if (token?.type === 'not') {
+      this.next();
+      const child = this.parseNot();
+      return this.span({ type: 'not', child }, token.pos, child.end);
+    }
+    if (token?.type === '(') {
+      this.next();
+      const node = this.parseOr();
+      const close = this.next();
+      if (close?.type !== ')') throw expressionError("Missing ')'", close ? close.pos : this.source.length);
+      return this.span({ ...node }, token.pos, close.end);
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseValue('left');
+    const token = this.peek();
+
+    if (token?.type === 'op') {
+      this.next();
+      const right = this.parseValue('right');
+      if (left.type !== 'field' && right.type !== 'field') {
+        throw expressionError('A comparison needs a field on one side', left.pos);
+      }
+      this.requireScalar(left);
+      this.requireScalar(right);
+      return this.span({ type: 'compare', op: token.value, left, right }, left.pos, right.end);
+    }
+
+    const negate = token?.type === 'not' && this.peek(1)?.type === 'in';
+    if (token?.type === 'in' || negate) {
+      if (negate) this.next();
+      this.next();
+      const list = this.next();
+      if (list?.type !== 'list') {
+        throw expressionError("Expected a list like [a, b] after 'in'", list ? list.pos : this.source.length);
+      }
+      if (left.type !== 'field') throw expressionError("'in' needs a field on the left", left.pos);
+      this.requireScalar(left);
+      return this.span({ type: 'in', negate, left, items: list.value }, left.pos, list.end);
+    }
+
+    if (left.type !== 'field') {
+      throw expressionError(`Expected a comparison after '${left.source}'`, left.pos);
+    }
+    return this.span({ type: 'truthy', left }, left.pos, left.end);
+  }
+
+  parseValue(side) {
+    const token = this.next();
+    if (!token) throw expressionError('Expected a field or value', this.source.length);
+
+    if (token.type === 'literal') {
+      return this.span({ type: 'literal', value: token.value }, token.pos, token.end);
+    }
+    if (token.type === 'word') {
+      const field = resolveField(token.value);
+      if (field) return this.span({ type: 'field', path: field }, token.pos, token.end);
+      if (side === 'left' || token.value.includes('.')) {
+        throw expressionError(unknownFieldMessage(token.value), token.pos);
+      }
+      return this.span({ type: 'literal', value: token.value }, token.pos, token.end);
+    }
+    if (token.type === 'list') throw expressionError("Lists are only allowed after 'in'", token.pos);
+    throw expressionError(`Unexpected '${this.text(token)}'`, token.pos);
+  }
+
+  // Object-valued indicators need a sub-field to compare (adx.trend, not adx)
+  requireScalar(node) {
+    if (node.type !== 'field' || node.path.length > 1) return;
+    const [root] = node.path;
+    if (FIELDS[root] && !SCALAR_ROOTS.includes(root)) {
+      throw expressionError(`${root} needs a field: ${FIELDS[root].map(f => `${root}.${f}`).join(', ')}`, node.pos);
+    }
+  }
+}
+
+// 'ADX.Trend' -> ['adx', 'trend']; null if not a known field
+function resolveField(name) {
+  const [rootName, subName, ...rest] = name.split('.');
+  if (rest.length > 0) return null;
+
+  const root = Object.keys(FIELDS).find(f => f.toLowerCase() === rootName.toLowerCase());
+  if (!root) return null;
+  if (subName === undefined) return [root];
+
+  const sub = (FIELDS[root] || []).find(f => f.toLowerCase() === subName.toLowerCase());
+  return sub ? [root, sub] : null;
+}
+
+function unknownFieldMessage(name) {
+  const root = Object.keys(FIELDS).find(f => f.toLowerCase() === name.split('.')[0].toLowerCase());
+  if (root && FIELDS[root]) return `Unknown field '${name}' (${root} has: ${FIELDS[root].join(', ')})`;
+  if (root) return `Unknown field '${name}' (${root} has no sub-fields)`;
+  return `Unknown field '${name}'`;
+}
+
+function parseExpression(source) {
+  return new ExpressionParser(String(source)).parse();
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+function buildContext({ patterns, candle, indicators }) {
+  const open = parseFloat(candle.o);
+  const close = parseFloat(candle.c);
+  return {
+    ...(indicators || {}),
+    pattern: patterns || [],
+    candle: {
+      open,
+      high: parseFloat(candle.h),
+      low: parseFloat(candle.l),
+      close,
+      volume: parseFloat(candle.v),
+      change: open ? (close - open) / open * 100 : 0
+    }
+  };
+}
+
+function lookup(context, [root, sub]) {
+  if (root === 'pattern') return context.pattern.map(p => p[sub || 'name']);
+  const value = context[root];
+  if (value === null || value === undefined) return null;
+  return sub === undefined ? value : (value[sub] ?? null);
+}
+
+function operandValue(node, context) {
+  return node.type === 'field' ? lookup(context, node.path) : node.value;
+}
+
+function equals(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a === b;
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function compareScalar(op, a, b) {
+  if (op === '==') return equals(a, b);
+  const x = typeof a === 'number' ? a : parseFloat(a);
+  const y = typeof b === 'number' ? b : parseFloat(b);
+  if (Number.isNaN(x) || Number.isNaN(y)) return false;
+  if (op === '<') return x < y;
+  if (op === '<=') return x <= y;
+  if (op === '>') return x > y;
+  return x >= y;
+}
+
+function evaluate(node, context) {
+  switch (node.type) {
+    case 'and':
+      return node.children.every(child => evaluate(child, context));
+    case 'or':
+      return node.children.some(child => evaluate(child, context));
+    case 'not':
+      return !evaluate(node.child, context);
+    case 'truthy': {
+      const value = operandValue(node.left, context);
+      return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== false;
+    }
+    case 'compare': {
+      const a = operandValue(node.left, context);
+      const b = operandValue(node.right, context);
+      const op = node.op === '!=' ? '==' : node.op;
+      if (Array.isArray(a)) {
+        const any = a.some(x => x !== null && b !== null && compareScalar(op, x, b));
+        return node.op === '!=' ? !any : any;
+      }
+      if (a === null || a === undefined || b === null || b === undefined) return false;
+      return node.op === '!=' ? !equals(a, b) : compareScalar(op, a, b);
+    }
+    case 'in': {
+      const value = operandValue(node.left, context);
+      const inList = (x) => x !== null && node.items.some(item => equals(x, item));
+      if (Array.isArray(value)) {
+        const any = value.some(inList);
+        return node.negate ? !any : any;
+      }
+      if (value === null || value === undefined) return false;
+      return node.negate ? !inList(value) : inList(value);
+    }
+    default:
+      return false;
+  }
+}
+
+// "rsi 27.41, adx.trend moderate" - the values a clause looked at
+function describe(node, context) {
+  const fields = new Map();
+  const collect = (n) => {
+    if (n.type === 'field') fields.set(n.path.join('.'), n.path);
+    (n.children || []).forEach(collect);
+    [n.child, n.left, n.right].filter(Boolean).forEach(collect);
+  };
+  collect(node);
+
+  return [...fields].map(([name, fieldPath]) => `${name} ${formatValue(lookup(context, fieldPath))}`).join(', ');
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  if (typeof value === 'number') return String(parseFloat(value.toFixed(2)));
+  if (value === null || value === undefined) return 'n/a';
+  return String(value);
+}
+
+// =============================================================================
+// RULE FILES
+// =============================================================================
+
+function loadRuleFile(filePath) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  return compileRules(source, path.basename(filePath, path.extname(filePath)));
+}
+
+// Parse and validate a rule file's text; throws RuleError listing every problem with its line
+function compileRules(source, defaultName = 'rules') {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(source, { lineCounter });
+
+  // Errors after the first YAML syntax error are mostly fallout from it
+  if (doc.errors.length > 0) {
+    const [err] = doc.errors;
+    throw new RuleError([{
+      line: err.linePos?.[0]?.line ?? null,
+      message: err.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+    }]);
+  }
+
+  const errors = [];
+  const lineOf = (keyPath) => {
+    const node = keyPath.length > 0 ? doc.getIn(keyPath, true) : doc.contents;
+    const offset = node?.range?.[0];
+    return offset === undefined ? null : lineCounter.linePos(offset).line;
+  };
+  const fail = (keyPath, message) => errors.push({ line: lineOf(keyPath), message });
+
+  const rule = doc.toJS();
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new RuleError([{ line: 1, message: 'A rule file must be a mapping with long and/or short rules' }]);
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) fail([key], `Unknown key '${key}' (expected ${RULE_KEYS.join(', ')})`);
+  }
+  if (rule.name !== undefined && !/^[A-Za-z0-9_-]+$/.test(String(rule.name))) {
+    fail(['name'], 'name must be letters, digits, - or _');
+  }
+  if (!rule.long && !rule.short) fail([], 'Define long and/or short rules');
+
+  // Expressions: report the line of the string they came from
+  const compileExpression = (keyPath, text) => {
+    if (typeof text !== 'string' && typeof text !== 'number' && typeof text !== 'boolean') {
+      fail(keyPath, 'Condition must be a string');
+      return null;
+    }
+    try {
+      return parseExpression(text);
+    } catch (err) {
+      fail(keyPath, `${err.message} in "${text}"`);
+      return null;
+    }
+  };
+
+  const sides = {};
+  for (const side of ['long', 'short']) {
+    const spec = rule[side];
+    if (spec === undefined || spec === null) continue;
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      fail([side], `${side} must be a mapping with 'when'`);
+      continue;
+    }
+    for (const key of Object.keys(spec)) {
+      if (!SIDE_KEYS.includes(key)) fail([side, key], `Unknown key '${side}.${key}' (expected ${SIDE_KEYS.join(', ')})`);
+    }
+
+    // A single expression string is split on its top-level ANDs so each clause is reported
+    const when = Array.isArray(spec.when) ? spec.when : spec.when === undefined ? [] : [spec.when];
+    if (when.length === 0) fail([side], `${side}.when needs at least one condition`);
+    const clauses = Array.isArray(spec.when)
+      ? when.map((text, i) => compileExpression([side, 'when', i], text))
+      : when.map(text => compileExpression([side, 'when'], text)).flatMap(node => (node?.type === 'and' ? node.children : [node]));
+
+    sides[side] = {
+      clauses,
+      confidence: compileConfidence(spec.confidence ?? DEFAULT_RULE.confidence, [side, 'confidence'], fail, compileExpression)
+    };
+  }
+
+  const entry = rule.entry ?? DEFAULT_RULE.entry;
+  if (!['breakout', 'close'].includes(entry)) fail(['entry'], "entry must be 'breakout' or 'close'");
+
+  const stop = rule.stop ?? DEFAULT_RULE.stop;
+  if (!stop || typeof stop !== 'object' || Array.isArray(stop) || !STOP_KEYS.some(k => stop[k] !== undefined)) {
+    fail(['stop'], `stop needs at least one of ${STOP_KEYS.join(', ')}`);
+  } else {
+    for (const [key, value] of Object.entries(stop)) {
+      if (!STOP_KEYS.includes(key)) fail(['stop', key], `Unknown stop '${key}' (expected ${STOP_KEYS.join(', ')})`);
+      else if (!(typeof value === 'number' && value > 0)) fail(['stop', key], `stop.${key} must be a positive number`);
+    }
+  }
+
+  const targets = rule.targets ?? DEFAULT_RULE.targets;
+  if (!Array.isArray(targets) || targets.length !== 3 ||
+      !targets.every((t, i) => typeof t === 'number' && t > 0 && (i === 0 || t > targets[i - 1]))) {
+    fail(['targets'], 'targets must be three increasing R multiples, e.g. [1.5, 2.5, 4]');
+  }
+
+  if (errors.length > 0) throw new RuleError(errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)));
+
+  return createRuleStrategy({
+    name: String(rule.name ?? defaultName),
+    label: rule.label,
+    description: rule.description,
+    sides,
+    entry,
+    stop,
+    targets
+  });
+}
+
+function compileConfidence(spec, keyPath, fail, compileExpression) {
+  if (typeof spec === 'string') {
+    if (!CONFIDENCE_LEVELS.includes(spec)) fail(keyPath, `confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+    return { base: spec, upgrades: [] };
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    fail(keyPath, 'confidence must be a level or a mapping of high/medium conditions');
+    return { base: 'low', upgrades: [] };
+  }
+
+  // { high: expr, medium: expr } - the highest level whose condition matches, else low
+  const upgrades = [];
+  for (const [level, text] of Object.entries(spec)) {
+    if (level !== 'high' && level !== 'medium') {
+      fail([...keyPath, level], `Unknown confidence level '${level}' (expected high, medium)`);
+      continue;
+    }
+    upgrades.push({ level, node: compileExpression([...keyPath, level], text) });
+  }
+  upgrades.sort((a, b) => CONFIDENCE_LEVELS.indexOf(b.level) - CONFIDENCE_LEVELS.indexOf(a.level));
+  return { base: 'low', upgrades };
+}
+
+// =============================================================================
+// STRATEGY
+// =============================================================================
+
+function createRuleStrategy({ name, label, description, sides, entry, stop, targets }) {
+  // Stop and targets are exposed as params so backtests and the optimizer can override them
+  const params = { atrStopMultiple: stop.atr ?? null, targetsR: targets };
+
+  const decide = (input) => {
+    const context = buildContext(input);
+
+    const results = Object.entries(sides).map(([side, spec]) => ({
+      side,
+      spec,
+      matches: spec.clauses.map(clause => evaluate(clause, context))
+    }));
+    const matched = results.filter(r => r.matches.every(Boolean));
+
+    if (matched.length > 1) {
+      return {
+        action: 'WAIT',
+        confidence: 'none',
+        reasoning: ['⚠ Long and short rules both matched', 'Wait for a clearer setup']
+      };
+    }
+
+    if (matched.length === 0) {
+      const reasoning = ['No rule matched'];
+      for (const { side, spec, matches } of results) {
+        const missing = spec.clauses.findIndex((_, i) => !matches[i]);
+        const clause = spec.clauses[missing];
+        reasoning.push(
+          `${side === 'long' ? 'Long' : 'Short'} ${matches.filter(Boolean).length}/${matches.length}, needs: ${clause.source} (${describe(clause, context)})`
+        );
+      }
+      return { action: 'WAIT', confidence: 'none', reasoning };
+    }
+
+    const [{ side, spec }] = matched;
+    const reasoning = spec.clauses.map(clause => `✓ ${clause.source} (${describe(clause, context)})`);
+
+    const upgrade = spec.confidence.upgrades.find(u => evaluate(u.node, context));
+    if (upgrade) reasoning.push(`✓ ${upgrade.level} confidence: ${upgrade.node.source}`);
+
+    const { atrStopMultiple, targetsR } = { ...params, ...input.params };
+    const levels = { entry, stop: { ...stop, atr: atrStopMultiple }, targets: targetsR };
+
+    return {
+      ...buildLevels(side === 'long', input.candle, input.indicators, levels, reasoning),
+      confidence: upgrade ? upgrade.level : spec.confidence.base
+    };
+  };
+
+  return {
+    name,
+    label: label || name,
+    description: description || describeRules(sides),
+    type: 'rules',
+    params,
+    decide
+  };
+}
+
+function buildLevels(isLong, candle, indicators, { entry: entryType, stop, targets }, reasoning) {
+  const side = isLong ? 1 : -1;
+  const high = parseFloat(candle.h);
+  const low = parseFloat(candle.l);
+  const close = parseFloat(candle.c);
+
+  const entry = entryType === 'close' ? close : isLong ? high : low;
+
+  // First available stop distance: ATR multiple, then range fraction, then percent of entry
+  let stopDistance = null;
+  if (stop.atr && indicators?.atr) stopDistance = indicators.atr.atr * stop.atr;
+  else if (stop.range && high > low) stopDistance = (high - low) * stop.range;
+  else if (stop.percent) stopDistance = entry * stop.percent / 100;
+  if (!stopDistance) stopDistance = (high - low) * DEFAULT_RULE.stop.range || entry * 0.01;
+
+  const stopLoss = isLong ? low - stopDistance : high + stopDistance;
+  const risk = (entry - stopLoss) * side;
+  const [target1, target2, target3] = targets.map(r => entry + side * risk * r);
+
+  reasoning.push(entryType === 'close'
+    ? `Entry: ${isLong ? 'Break above' : 'Break below'} candle close`
+    : isLong ? 'Entry: Break above candle high' : 'Entry: Break below candle low');
+  reasoning.push(`Risk: ${((risk / entry) * 100).toFixed(2)}% to stop loss`);
+
+  return {
+    action: isLong ? 'LONG' : 'SHORT',
+    entry: round(entry),
+    stopLoss: round(stopLoss),
+    target1: round(target1),
+    target2: round(target2),
+    target3: round(target3),
+    riskReward: `1:${targets[1]}`,
+    reasoning
+  };
+}
+
+// Significant digits rather than decimals, so sub-dollar pairs keep their precision
+function round(value) {
+  return parseFloat(value.toPrecision(8));
+}
+
+function describeRules(sides) {
+  return Object.entries(sides)
+    .map(([side, spec]) => `${side.toUpperCase()} when ${spec.clauses.map(c => c.source).join(' AND ')}`)
+    .join('; ');
+}
+
+module.exports = {
+  compileRules,
+  loadRuleFile,
+  parseExpression,
+  evaluate,
+  RuleError,
+  FIELDS,
+  RULE_EXTENSIONS
+};
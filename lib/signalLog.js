@@ -0,0 +1,270 @@
+/**
+ * Signal Log & Outcome Tracker
+ *
+ * Every confirmed LONG/SHORT decision is logged with its instrument, timeframe,
+ * patterns, confidence and levels, and persisted to a JSON file. Subsequent
+ * closed candles of the same series advance each signal:
+ *
+ *   pending  -> open           entry (stop-entry) triggered
+ *   pending  -> not_triggered  entry not reached within `entryExpiry` bars
+ *   open     -> stopped        stop loss hit (checked before targets on the same bar)
+ *   open     -> target3        all three targets hit
+ *   open     -> expired        still open after `maxBars` bars
+ *
+ * A decision that repeats an unresolved signal of the same series (same action
+ * and entry) is not logged again. Writes are batched: changes reach the file
+ * at most every `saveDelay` ms, or on flush().
+ *
+ * targetsHit records how far a signal got (target1/2/3) even if it was later
+ * stopped. Stats group signals by pattern name and by confidence so pattern
+ * strength labels can be checked against what they actually deliver.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Backtester } = require('./backtest');
+
+const DEFAULT_SIGNAL_OPTIONS = {
+  entryExpiry: 3,     // Bars a signal waits for its entry to trigger
+  maxBars: 50,        // Bars an open signal is tracked before it expires
+  maxSignals: 5000,   // Oldest signals are dropped beyond this
+  saveDelay: 1000     // Changes are written to the file at most this often (ms)
+};
+
+const RESOLVED = ['stopped', 'target3', 'expired', 'not_triggered'];
+
+class SignalLog {
+  constructor(logFile, options = {}) {
+    this.logFile = logFile;
+    this.options = { ...DEFAULT_SIGNAL_OPTIONS, ...options };
+    this.signals = [];  // Oldest first
+    this.nextId = 1;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  // ===========================================================================
+  // PERSISTENCE
+  // ===========================================================================
+  load() {
+    try {
+      if (fs.existsSync(this.logFile)) {
+        this.signals = JSON.parse(fs.readFileSync(this.logFile, 'utf8'));
+        this.nextId = this.signals.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+      }
+    } catch (err) {
+      console.error('Signal log load error:', err.message);
+      this.signals = [];
+    }
+  }
+
+  // Coalesces the changes of one burst of closes into a single write
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.options.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+      fs.writeFileSync(this.logFile, JSON.stringify(this.signals));
+    } catch (err) {
+      console.error('Signal log save error:', err.message);
+    }
+  }
+
+  // ===========================================================================
+  // LOGGING
+  // ===========================================================================
+  record({ instrument, timeframe, candleTime, patterns, decision }, time = Date.now()) {
+    if (decision?.action !== 'LONG' && decision?.action !== 'SHORT') return null;
+
+    // The same decision persisting across bars is one signal
+    const duplicate = this.signals.some(s =>
+      s.instrument === instrument && s.timeframe === timeframe && !RESOLVED.includes(s.status) &&
+      s.action === decision.action && s.entry === decision.entry
+    );
+    if (duplicate) return null;
+
+    const signal = {
+      id: this.nextId++,
+      time,
+      candleTime,
+      instrument,
+      timeframe,
+      action: decision.action,
+      confidence: decision.confidence,
+      strategy: decision.strategy || null,
+      patterns: patterns.map(({ name, type, strength }) => ({ name, type, strength })),
+      entry: decision.entry,
+      stopLoss: decision.stopLoss,
+      targets: [decision.target1, decision.target2, decision.target3],
+      status: 'pending',
+      targetsHit: 0,
+      hits: {},             // level -> candle time: entry, target1..3, stop
+      barsTracked: 0,
+      lastCandleTime: candleTime,
+      resolvedAt: null,
+      rMultiple: null
+    };
+
+    this.signals.push(signal);
+    if (this.signals.length > this.options.maxSignals) {
+      this.signals.splice(0, this.signals.length - this.options.maxSignals);
+    }
+    this.save();
+    return signal;
+  }
+
+  // ===========================================================================
+  // OUTCOME TRACKING
+  // candles: closed candles of the series, oldest first (the live window)
+  // ===========================================================================
+  track(instrument, timeframe, candles) {
+    const active = this.signals.filter(s =>
+      s.instrument === instrument && s.timeframe === timeframe && !RESOLVED.includes(s.status)
+    );
+    if (active.length === 0) return [];
+
+    const changed = [];
+    for (const signal of active) {
+      const before = `${signal.status}:${signal.targetsHit}`;
+
+      for (const candle of candles) {
+        if (candle.t <= signal.lastCandleTime) continue;
+        this.advance(signal, candle);
+        signal.lastCandleTime = candle.t;
+        if (RESOLVED.includes(signal.status)) break;
+      }
+
+      if (`${signal.status}:${signal.targetsHit}` !== before) changed.push(signal);
+    }
+
+    if (changed.length > 0) this.save();
+    return changed;
+  }
+
+  advance(signal, candle) {
+    const bar = Backtester.parseBar(candle);
+    const isLong = signal.action === 'LONG';
+    signal.barsTracked++;
+
+    if (signal.status === 'pending') {
+      const fill = Backtester.getStopEntryFill({ direction: signal.action, entry: signal.entry }, bar);
+      if (fill === null) {
+        if (signal.barsTracked >= this.options.entryExpiry) this.resolve(signal, 'not_triggered', candle.t);
+        return;
+      }
+      signal.status = 'open';
+      signal.hits.entry = candle.t;
+      signal.barsTracked = 0;
+      // Price action after the fill is all we know about the rest of this bar
+      bar.o = fill;
+    }
+
+    const stopHit = isLong ? bar.l <= signal.stopLoss : bar.h >= signal.stopLoss;
+    if (stopHit) {
+      signal.hits.stop = candle.t;
+      this.resolve(signal, 'stopped', candle.t);
+      return;
+    }
+
+    while (signal.targetsHit < signal.targets.length) {
+      const target = signal.targets[signal.targetsHit];
+      if (!(isLong ? bar.h >= target : bar.l <= target)) break;
+      signal.targetsHit++;
+      signal.hits[`target${signal.targetsHit}`] = candle.t;
+    }
+
+    if (signal.targetsHit === signal.targets.length) {
+      this.resolve(signal, 'target3', candle.t);
+    } else if (signal.barsTracked >= this.options.maxBars) {
+      this.resolve(signal, 'expired', candle.t);
+    }
+  }
+
+  resolve(signal, status, time) {
+    signal.status = status;
+    signal.resolvedAt = time;
+    if (status !== 'not_triggered') signal.rMultiple = SignalLog.rMultiple(signal);
+  }
+
+  // Highest target reached in R (risk = entry to stop); -1 if stopped before any target
+  static rMultiple(signal) {
+    const risk = Math.abs(signal.entry - signal.stopLoss);
+    if (signal.targetsHit === 0) return signal.status === 'stopped' ? -1 : 0;
+    if (risk === 0) return 0;
+    const target = signal.targets[signal.targetsHit - 1];
+    return parseFloat((Math.abs(target - signal.entry) / risk).toFixed(2));
+  }
+
+  // ===========================================================================
+  // QUERIES
+  // filters: { instrument, timeframe, strategy, action, confidence, pattern, status, from, to }
+  // ===========================================================================
+  query(filters = {}) {
+    const pattern = filters.pattern?.toLowerCase();
+    return this.signals.filter(s =>
+      (!filters.instrument || s.instrument === filters.instrument) &&
+      (!filters.timeframe || s.timeframe === filters.timeframe) &&
+      (!filters.strategy || s.strategy === filters.strategy) &&
+      (!filters.action || s.action === filters.action) &&
+      (!filters.confidence || s.confidence === filters.confidence) &&
+      (!filters.status || s.status === filters.status) &&
+      (!pattern || s.patterns.some(p => p.name.toLowerCase() === pattern)) &&
+      (filters.from === undefined || s.time >= filters.from) &&
+      (filters.to === undefined || s.time <= filters.to)
+    );
+  }
+
+  getStats(filters = {}) {
+    const signals = this.query(filters);
+    const byPattern = {};
+    const byConfidence = {};
+
+    for (const signal of signals) {
+      for (const pattern of signal.patterns) {
+        if (!byPattern[pattern.name]) byPattern[pattern.name] = { type: pattern.type, strengths: {}, signals: [] };
+        const group = byPattern[pattern.name];
+        group.strengths[pattern.strength] = (group.strengths[pattern.strength] || 0) + 1;
+        group.signals.push(signal);
+      }
+      (byConfidence[signal.confidence] || (byConfidence[signal.confidence] = [])).push(signal);
+    }
+
+    return {
+      overall: SignalLog.summarize(signals),
+      byPattern: Object.fromEntries(Object.entries(byPattern).map(([name, { type, strengths, signals: group }]) =>
+        [name, { type, strengths, ...SignalLog.summarize(group) }]
+      )),
+      byConfidence: Object.fromEntries(Object.entries(byConfidence).map(([confidence, group]) =>
+        [confidence, SignalLog.summarize(group)]
+      ))
+    };
+  }
+
+  // Hit rates are over triggered signals that have finished tracking
+  static summarize(signals) {
+    const finished = signals.filter(s => ['stopped', 'target3', 'expired'].includes(s.status));
+    const rate = (count) => finished.length > 0 ? parseFloat((count / finished.length * 100).toFixed(1)) : null;
+    const totalR = finished.reduce((sum, s) => sum + (s.rMultiple || 0), 0);
+
+    return {
+      signals: signals.length,
+      pending: signals.filter(s => s.status === 'pending').length,
+      open: signals.filter(s => s.status === 'open').length,
+      notTriggered: signals.filter(s => s.status === 'not_triggered').length,
+      finished: finished.length,
+      target1Rate: rate(finished.filter(s => s.targetsHit >= 1).length),
+      target2Rate: rate(finished.filter(s => s.targetsHit >= 2).length),
+      target3Rate: rate(finished.filter(s => s.targetsHit >= 3).length),
+      stopRate: rate(finished.filter(s => s.status === 'stopped' && s.targetsHit === 0).length),
+      avgR: finished.length > 0 ? parseFloat((totalR / finished.length).toFixed(2)) : null
+    };
+  }
+}
+
+module.exports = { SignalLog, DEFAULT_SIGNAL_OPTIONS };
@@ -0,0 +1,133 @@
+/**
+ * Cross-Exchange Spread Monitor
+ *
+ * Samples the spread between every pair of venues from the aggregated ticker
+ * (USDT-normalised venue prices), keeps a rolling mean / standard deviation
+ * per pair and emits:
+ *   'sample' - { instrument, pair, sample } on every recorded sample
+ *   'alert'  - when a spread exceeds the round-trip taker fees plus a minimum edge
+ *
+ * Spread sign: positive bps means the first venue of the pair is richer, so
+ * the arbitrage is buy on the second venue and sell on the first.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_SPREAD_OPTIONS = {
+  feesBps: { binance: 10, coinbase: 60, kraken: 40 },  // Taker fee per venue
+  minEdgeBps: 5,            // Net edge after fees needed to alert
+  sampleIntervalMs: 5000,   // At most one sample per pair per interval
+  historySize: 720,         // Samples kept per pair (1h at 5s)
+  statsWindow: 120,         // Samples in the rolling mean / z-score
+  alertCooldownMs: 60000
+};
+
+class SpreadMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_SPREAD_OPTIONS, ...options };
+    this.history = {};      // instrument -> { 'binance/coinbase': [samples] }
+    this.lastSample = {};   // `${instrument}:${pair}` -> time
+    this.lastAlert = {};    // `${instrument}:${pair}:${direction}` -> time
+    this.alerts = [];
+  }
+
+  // venues: ticker.venues from PriceAggregator.aggregate
+  onQuotes(instrument, venues, now = Date.now()) {
+    const names = Object.keys(venues).filter(v => !venues[v].stale && venues[v].price > 0).sort();
+
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        this.recordSpread(instrument, names[i], names[j], venues[names[i]].price, venues[names[j]].price, now);
+      }
+    }
+  }
+
+  recordSpread(instrument, venueA, venueB, priceA, priceB, now) {
+    const pair = `${venueA}/${venueB}`;
+    const sampleKey = `${instrument}:${pair}`;
+    if (now - (this.lastSample[sampleKey] || 0) < this.options.sampleIntervalMs) return;
+    this.lastSample[sampleKey] = now;
+
+    const mid = (priceA + priceB) / 2;
+    const bps = (priceA - priceB) / mid * 10000;
+
+    if (!this.history[instrument]) this.history[instrument] = {};
+    const series = this.history[instrument][pair] || (this.history[instrument][pair] = []);
+
+    const { mean, std } = this.getStats(series.slice(-(this.options.statsWindow - 1)).map(s => s.bps).concat(bps));
+    const sample = {
+      t: now,
+      bps: round(bps),
+      mean: round(mean),
+      z: std > 0 ? round((bps - mean) / std) : 0
+    };
+
+    series.push(sample);
+    if (series.length > this.options.historySize) series.shift();
+
+    this.emit('sample', { instrument, pair, sample });
+    this.checkThreshold(instrument, venueA, venueB, priceA, priceB, sample);
+  }
+
+  checkThreshold(instrument, venueA, venueB, priceA, priceB, sample) {
+    const feesBps = (this.options.feesBps[venueA] ?? 0) + (this.options.feesBps[venueB] ?? 0);
+    const thresholdBps = feesBps + this.options.minEdgeBps;
+    if (Math.abs(sample.bps) < thresholdBps) return;
+
+    const [buyVenue, sellVenue] = sample.bps > 0 ? [venueB, venueA] : [venueA, venueB];
+    const alertKey = `${instrument}:${buyVenue}->${sellVenue}`;
+    if (sample.t - (this.lastAlert[alertKey] || 0) < this.options.alertCooldownMs) return;
+    this.lastAlert[alertKey] = sample.t;
+
+    const alert = {
+      instrument,
+      pair: `${venueA}/${venueB}`,
+      buyVenue,
+      sellVenue,
+      buyPrice: sample.bps > 0 ? priceB : priceA,
+      sellPrice: sample.bps > 0 ? priceA : priceB,
+      spreadBps: sample.bps,
+      feesBps,
+      netBps: round(Math.abs(sample.bps) - feesBps),
+      mean: sample.mean,
+      zScore: sample.z,
+      time: sample.t
+    };
+
+    this.alerts.unshift(alert);
+    if (this.alerts.length > 100) this.alerts.length = 100;
+    this.emit('alert', alert);
+  }
+
+  getStats(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return { mean, std: Math.sqrt(variance) };
+  }
+
+  getHistory(instrument, limit = this.options.historySize) {
+    const pairs = this.history[instrument] || {};
+    return Object.fromEntries(Object.entries(pairs).map(([pair, series]) => [pair, series.slice(-limit)]));
+  }
+
+  // Recent history for every instrument (kept short for the client init message)
+  getSnapshot(limit = 120) {
+    return {
+      history: Object.fromEntries(Object.keys(this.history).map(i => [i, this.getHistory(i, limit)])),
+      alerts: this.alerts.slice(0, 20),
+      feesBps: this.options.feesBps,
+      minEdgeBps: this.options.minEdgeBps
+    };
+  }
+
+  removeInstrument(instrument) {
+    delete this.history[instrument];
+  }
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+module.exports = { SpreadMonitor, DEFAULT_SPREAD_OPTIONS };
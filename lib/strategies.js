@@ -0,0 +1,161 @@
+/**
+ * Strategy Registry
+ *
+ * Loads decision strategies from a directory of CommonJS modules. A strategy
+ * module exports:
+ *
+ *   {
+ *     name: 'default',             // unique id, used in the API and the client
+ *     label: 'Patterns + Indicators',
+ *     description: '...',
+ *     params: { atrStopMultiple: 1.5 },  // optional tunables (see lib/optimizer.js)
+ *     decide({ patterns, candle, candles, indicators, params }) {
+ *       return { action: 'LONG' | 'SHORT' | 'WAIT', confidence, entry, stopLoss,
+ *                target1, target2, target3, riskReward, reasoning: [] };
+ *     }
+ *   }
+ *
+ * `indicators` is the TechnicalIndicators.calculateAll shape (null with fewer
+ * than 30 candles). `params` is the module's params with any overrides from a
+ * backtest or optimization run. PatternRecognizer.generateDecision fills in
+ * missing fields, snaps the stop beyond the nearest support/resistance
+ * (lib/levels.js) and adds indicator signals and futures reasoning, so every
+ * strategy's output has the same shape and can be compared side by side.
+ *
+ * YAML / JSON rule files in the same directory are compiled into strategies
+ * by lib/ruleStrategy.js. With watch() the directory is reloaded whenever a
+ * file changes; every load emits 'reload'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { PatternRecognizer, EMPTY_DECISION } = require('./patterns');
+const { loadRuleFile, RULE_EXTENSIONS } = require('./ruleStrategy');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class StrategyRegistry extends EventEmitter {
+  constructor(directory) {
+    super();
+    this.directory = path.resolve(directory);
+    this.strategies = new Map();  // name -> strategy module
+    this.errors = [];             // { file, line, error } for files that failed to load
+    this.reported = new Set();    // Runtime errors already logged, so a failing strategy logs once
+    this.load();
+  }
+
+  load() {
+    const files = fs.existsSync(this.directory)
+      ? fs.readdirSync(this.directory).filter(f => ['.js', ...RULE_EXTENSIONS].includes(path.extname(f))).sort()
+      : [];
+
+    this.strategies.clear();
+    this.errors = [];
+    this.reported.clear();
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const strategy = path.extname(file) === '.js' ? StrategyRegistry.requireFresh(filePath) : loadRuleFile(filePath);
+
+        const errors = StrategyRegistry.validate(strategy);
+        if (this.strategies.has(strategy?.name)) errors.push(`duplicate name ${strategy.name}`);
+        if (errors.length > 0) throw new Error(errors.join(', '));
+
+        this.strategies.set(strategy.name, strategy);
+      } catch (err) {
+        console.error(`Strategy ${file} not loaded:`, err.message);
+        // Rule files report each problem with its line number
+        (err.errors || [{ line: null, message: err.message }]).forEach(({ line, message }) => {
+          this.errors.push({ file, line, error: message });
+        });
+      }
+    }
+
+    this.emit('reload', this.list());
+  }
+
+  // Drop any cached copy so edited modules are picked up on reload
+  static requireFresh(filePath) {
+    delete require.cache[require.resolve(filePath)];
+    return require(filePath);
+  }
+
+  // Reload whenever a file in the directory changes (debounced - editors write in bursts)
+  watch(delay = 250) {
+    if (this.watcher || !fs.existsSync(this.directory)) return;
+    let timer = null;
+    this.watcher = fs.watch(this.directory, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => this.load(), delay);
+    });
+  }
+
+  unwatch() {
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+  }
+
+  static validate(strategy) {
+    const errors = [];
+    if (!strategy || !NAME_PATTERN.test(strategy.name || '')) {
+      errors.push('name must be letters, digits, - or _');
+    }
+    if (typeof strategy?.decide !== 'function') errors.push('decide must be a function');
+    return errors;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  get(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  names() {
+    return [...this.strategies.keys()];
+  }
+
+  list() {
+    return [...this.strategies.values()].map(({ name, label, description, type }) => ({
+      name,
+      label: label || name,
+      description: description || '',
+      type: type || 'module'
+    }));
+  }
+
+  // ===========================================================================
+  // DECISIONS
+  // A strategy that throws yields a WAIT carrying the error instead of
+  // breaking analysis for every other strategy
+  // ===========================================================================
+  decide(strategy, patterns, candle, candles, context = {}) {
+    try {
+      return PatternRecognizer.generateDecision(patterns, candle, candles, { ...context, strategy });
+    } catch (err) {
+      const report = `${strategy.name}: ${err.message}`;
+      if (!this.reported.has(report)) {
+        this.reported.add(report);
+        console.error(`Strategy ${strategy.name} error:`, err.message);
+      }
+      return {
+        ...EMPTY_DECISION,
+        reasoning: [`Strategy error: ${err.message}`],
+        strategy: strategy.name,
+        error: err.message
+      };
+    }
+  }
+
+  // { [name]: decision } for every loaded strategy
+  decideAll(patterns, candle, candles, context = {}) {
+    return Object.fromEntries([...this.strategies.values()].map(strategy =>
+      [strategy.name, this.decide(strategy, patterns, candle, candles, context)]
+    ));
+  }
+}
+
+module.exports = { StrategyRegistry };
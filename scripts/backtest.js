@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Backtest CLI
+ *
+ * Usage:
+ *   npm run backtest -- --instrument BTC_USDT --timeframe 1h [--limit 1000]
+ *   npm run backtest -- --file candles.json [--min-confidence medium] [--json]
+ *   npm run backtest -- --file candles.json --strategy trendPullback
+ *
+ * Options map onto Backtester options: --lookback, --warmup, --entry-expiry,
+ * --min-confidence, --capital, --risk, --fee, --no-breakeven, --strategy
+ * (a module name from strategies/, default `default`)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Backtester } = require('../lib/backtest');
+const { fetchKlineHistory } = require('../lib/klines');
+const { StrategyRegistry } = require('../lib/strategies');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function buildOptions(args) {
+  const options = {};
+  if (args.lookback) options.lookback = parseInt(args.lookback, 10);
+  if (args.warmup) options.warmup = parseInt(args.warmup, 10);
+  if (args['entry-expiry']) options.entryExpiry = parseInt(args['entry-expiry'], 10);
+  if (args['min-confidence']) options.minConfidence = args['min-confidence'];
+  if (args.capital) options.initialCapital = parseFloat(args.capital);
+  if (args.risk) options.riskPercent = parseFloat(args.risk);
+  if (args.fee) options.feeRate = parseFloat(args.fee);
+  if (args['no-breakeven']) options.breakevenAfterTP1 = false;
+  if (args.strategy) {
+    const strategies = new StrategyRegistry(process.env.STRATEGIES_DIR || path.join(__dirname, '..', 'strategies'));
+    options.strategy = strategies.get(args.strategy);
+    if (!options.strategy) {
+      throw new Error(`Unknown strategy: ${args.strategy} (available: ${strategies.names().join(', ')})`);
+    }
+  }
+  return options;
+}
+
+async function loadCandles(args) {
+  if (args.file) {
+    const data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    return Array.isArray(data) ? data : data.candles;
+  }
+
+  if (!args.instrument || !args.timeframe) {
+    throw new Error('Provide --instrument and --timeframe, or --file');
+  }
+
+  const symbol = args.instrument.replace('_', '').toUpperCase();
+  const limit = parseInt(args.limit || '1000', 10);
+  if (!(limit > 0)) throw new Error('--limit must be a positive number of candles');
+  return fetchKlineHistory(symbol, args.timeframe, { limit });
+}
+
+function printReport(label, result) {
+  const { stats, trades } = result;
+  const fmtTime = t => new Date(t).toISOString().replace('T', ' ').slice(0, 16);
+
+  console.log(`\n📈 Backtest: ${label}`);
+  console.log(`   ${result.candles} candles, ${fmtTime(result.from)} → ${fmtTime(result.to)}\n`);
+
+  trades.forEach((t, i) => {
+    console.log(
+      `${String(i + 1).padStart(4)}  ${fmtTime(t.entryTime)}  ${t.direction.padEnd(5)} ` +
+      `${t.confidence.padEnd(6)} entry ${t.entry.toFixed(4).padStart(12)}  ` +
+      `${t.exitReason.padEnd(11)} ${(t.rMultiple >= 0 ? '+' : '') + t.rMultiple.toFixed(2)}R  ` +
+      `${t.patterns.join(', ')}`
+    );
+  });
+
+  console.log(`
+  Trades:         ${stats.totalTrades} (${stats.wins} wins / ${stats.losses} losses)
+  Win rate:       ${stats.winRate}%
+  Expectancy:     ${stats.expectancy}R per trade
+  Profit factor:  ${stats.profitFactor ?? '∞'}
+  Net profit:     $${stats.netProfit} (${stats.returnPercent}%)
+  Max drawdown:   $${stats.maxDrawdown} (${stats.maxDrawdownPercent}%)
+  Final equity:   $${stats.finalEquity}
+`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const candles = await loadCandles(args);
+
+  if (!candles || candles.length < 50) {
+    throw new Error('Insufficient data for backtest (need 50+ candles)');
+  }
+
+  const result = Backtester.run(candles, buildOptions(args));
+  const strategy = result.options.strategy?.name || 'default';
+
+  if (args.json) {
+    console.log(JSON.stringify({ ...result, options: { ...result.options, strategy } }, null, 2));
+  } else {
+    printReport(`${args.file || `${args.instrument} ${args.timeframe}`} (${strategy})`, result);
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Backtest failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Mock Binance USDⓈ-M Futures Server
+ *
+ * Serves the futures streams and REST endpoint the server consumes so the
+ * futures connector can be exercised offline:
+ *   WS   /stream?streams=<symbol>@markPrice@1s/<symbol>@forceOrder/...
+ *        (plus SUBSCRIBE / UNSUBSCRIBE requests on an open connection)
+ *   GET  /fapi/v1/openInterest?symbol=<SYMBOL>
+ *
+ * Usage:
+ *   npm run mock:futures                     # listens on port 9444
+ *   BINANCE_FUTURES_WS_URL=ws://localhost:9444 \
+ *   BINANCE_FUTURES_REST_URL=http://localhost:9444 npm start
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+const PORT = parseInt(process.env.MOCK_FUTURES_PORT || '9444', 10);
+
+// Rough starting prices; unknown symbols start at 1
+const BASE_PRICES = {
+  BTCUSDT: 95000, ETHUSDT: 3400, BNBUSDT: 650, XRPUSDT: 2.3, ADAUSDT: 0.9,
+  SOLUSDT: 190, DOGEUSDT: 0.32, DOTUSDT: 6.5, POLUSDT: 0.45, LTCUSDT: 105, SUIUSDT: 4.2
+};
+
+const markets = {};
+
+function getMarket(symbol) {
+  if (!markets[symbol]) {
+    const price = BASE_PRICES[symbol] || 1;
+    markets[symbol] = {
+      price,
+      fundingRate: 0.0001,
+      openInterest: (1e9 / price) * (0.5 + Math.random())
+    };
+  }
+  return markets[symbol];
+}
+
+// Random walk each market once per second
+function stepMarkets() {
+  Object.values(markets).forEach(m => {
+    m.price *= 1 + (Math.random() - 0.5) * 0.002;
+    m.fundingRate = Math.max(-0.001, Math.min(0.001, m.fundingRate + (Math.random() - 0.5) * 0.0001));
+    m.openInterest *= 1 + (Math.random() - 0.48) * 0.01;
+  });
+}
+
+function nextFundingTime() {
+  const eightHours = 8 * 60 * 60 * 1000;
+  return Math.ceil(Date.now() / eightHours) * eightHours;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (url.pathname === '/fapi/v1/openInterest') {
+    const symbol = url.searchParams.get('symbol');
+    const market = getMarket(symbol);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      symbol,
+      openInterest: market.openInterest.toFixed(3),
+      time: Date.now()
+    }));
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ code: -1121, msg: 'Invalid endpoint.' }));
+});
+
+const wss = new WebSocket.Server({ server });
+
+wss.on('connection', (ws, req) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const streams = new Set((url.searchParams.get('streams') || '').split('/').filter(Boolean));
+
+  console.log(`👤 Client subscribed to ${streams.size} streams`);
+
+  // Live SUBSCRIBE / UNSUBSCRIBE requests, answered like Binance does
+  ws.on('message', (raw) => {
+    try {
+      const { method, params = [], id } = JSON.parse(raw.toString());
+      if (method === 'SUBSCRIBE') params.forEach(p => streams.add(p));
+      else if (method === 'UNSUBSCRIBE') params.forEach(p => streams.delete(p));
+      else return;
+      ws.send(JSON.stringify({ result: null, id }));
+    } catch (err) {
+      console.error('Mock message error:', err.message);
+    }
+  });
+
+  const interval = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    const now = Date.now();
+    const markStreams = [...streams].filter(s => s.endsWith('@markPrice@1s'));
+    const liquidationStreams = [...streams].filter(s => s.endsWith('@forceOrder'));
+
+    markStreams.forEach(stream => {
+      const symbol = stream.split('@')[0].toUpperCase();
+      const market = getMarket(symbol);
+      ws.send(JSON.stringify({
+        stream,
+        data: {
+          e: 'markPriceUpdate',
+          E: now,
+          s: symbol,
+          p: market.price.toFixed(8),
+          i: (market.price * 0.9998).toFixed(8),
+          P: market.price.toFixed(8),
+          r: market.fundingRate.toFixed(8),
+          T: nextFundingTime()
+        }
+      }));
+    });
+
+    // Occasional liquidation on a random subscribed symbol
+    if (liquidationStreams.length > 0 && Math.random() < 0.3) {
+      const stream = liquidationStreams[Math.floor(Math.random() * liquidationStreams.length)];
+      const symbol = stream.split('@')[0].toUpperCase();
+      const market = getMarket(symbol);
+      const quantity = (50000 + Math.random() * 500000) / market.price;
+      ws.send(JSON.stringify({
+        stream,
+        data: {
+          e: 'forceOrder',
+          E: now,
+          o: {
+            s: symbol,
+            S: Math.random() < 0.5 ? 'SELL' : 'BUY',
+            o: 'LIMIT',
+            f: 'IOC',
+            q: quantity.toFixed(3),
+            p: market.price.toFixed(8),
+            ap: market.price.toFixed(8),
+            X: 'FILLED',
+            l: quantity.toFixed(3),
+            z: quantity.toFixed(3),
+            T: now
+          }
+        }
+      }));
+    }
+  }, 1000);
+
+  ws.on('close', () => {
+    clearInterval(interval);
+    console.log('👤 Client disconnected');
+  });
+});
+
+const marketInterval = setInterval(stepMarkets, 1000);
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock Binance Futures server on ws://localhost:${PORT} and http://localhost:${PORT}`);
+});
+
+process.on('SIGINT', () => {
+  clearInterval(marketInterval);
+  wss.close();
+  server.close();
+  process.exit(0);
+});
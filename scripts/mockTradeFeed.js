@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Mock Coinbase + Kraken Spot Feeds
+ *
+ * Serves the ticker and trade channels the server consumes so the
+ * trade-built candles (and the Binance fallback) can be exercised offline:
+ *   WS /coinbase - Coinbase Exchange feed: `ticker` and `matches` channels
+ *   WS /kraken   - Kraken v1 feed: `ticker` and `trade` subscriptions
+ *
+ * Usage:
+ *   npm run mock:trades                      # listens on port 9555
+ *   COINBASE_WS_URL=ws://localhost:9555/coinbase \
+ *   KRAKEN_WS_URL=ws://localhost:9555/kraken npm start
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+const PORT = parseInt(process.env.MOCK_TRADES_PORT || '9555', 10);
+
+// Rough starting USD prices by base asset; unknown assets start at 1
+const BASE_PRICES = {
+  BTC: 95000, ETH: 3400, XRP: 2.3, ADA: 0.9, SOL: 190, DOGE: 0.32,
+  DOT: 6.5, POL: 0.45, LTC: 105, SUI: 4.2, USDT: 1.0002
+};
+
+const markets = {};
+
+// 'BTC-USD' / 'XBT/USD' -> shared market state keyed by base asset
+function getMarket(symbol) {
+  const base = symbol.split(/[-/]/)[0].replace('XBT', 'BTC');
+  if (!markets[base]) {
+    const price = BASE_PRICES[base] || 1;
+    markets[base] = { price, volume: (5e7 / price) * (0.5 + Math.random()) };
+  }
+  return markets[base];
+}
+
+// Random walk; USDT stays pinned near 1
+function nextTrade(symbol) {
+  const market = getMarket(symbol);
+  const drift = symbol.startsWith('USDT') ? 0.00002 : 0.0008;
+  market.price *= 1 + (Math.random() - 0.5) * drift;
+  const size = (500 + Math.random() * 20000) / market.price;
+  market.volume += size;
+  return { price: market.price, size, side: Math.random() < 0.5 ? 'buy' : 'sell' };
+}
+
+function formatPrice(price) {
+  return price.toFixed(price < 10 ? 5 : 2);
+}
+
+// =============================================================================
+// COINBASE
+// =============================================================================
+function handleCoinbase(ws) {
+  const tickers = new Set();
+  const matches = new Set();
+  let sequence = 1;
+
+  ws.on('message', (raw) => {
+    try {
+      const message = JSON.parse(raw.toString());
+      const products = message.product_ids || [];
+      const channels = (message.channels || []).map(c => (typeof c === 'string' ? c : c.name));
+      const add = message.type === 'subscribe';
+
+      channels.forEach(channel => {
+        const set = channel === 'ticker' ? tickers : channel === 'matches' ? matches : null;
+        if (set) products.forEach(p => (add ? set.add(p) : set.delete(p)));
+      });
+
+      ws.send(JSON.stringify({
+        type: 'subscriptions',
+        channels: [
+          { name: 'ticker', product_ids: [...tickers] },
+          { name: 'matches', product_ids: [...matches] }
+        ]
+      }));
+    } catch (err) {
+      console.error('Mock Coinbase message error:', err.message);
+    }
+  });
+
+  const tradeInterval = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    matches.forEach(product => {
+      if (Math.random() < 0.5) return;
+      const trade = nextTrade(product);
+      ws.send(JSON.stringify({
+        type: 'match',
+        trade_id: sequence,
+        sequence: sequence++,
+        product_id: product,
+        price: formatPrice(trade.price),
+        size: trade.size.toFixed(8),
+        side: trade.side,
+        time: new Date().toISOString()
+      }));
+    });
+  }, 250);
+
+  const tickerInterval = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    tickers.forEach(product => {
+      const market = getMarket(product);
+      ws.send(JSON.stringify({
+        type: 'ticker',
+        product_id: product,
+        price: formatPrice(market.price),
+        volume_24h: market.volume.toFixed(8),
+        time: new Date().toISOString()
+      }));
+    });
+  }, 1000);
+
+  return () => {
+    clearInterval(tradeInterval);
+    clearInterval(tickerInterval);
+  };
+}
+
+// =============================================================================
+// KRAKEN
+// =============================================================================
+function handleKraken(ws) {
+  const subscriptions = { ticker: new Set(), trade: new Set() };
+  const channelIds = {};
+  let nextChannelId = 100;
+
+  const channelId = (name, pair) => {
+    const key = `${name}:${pair}`;
+    if (!channelIds[key]) channelIds[key] = nextChannelId++;
+    return channelIds[key];
+  };
+
+  ws.send(JSON.stringify({ event: 'systemStatus', status: 'online', version: 'mock' }));
+
+  ws.on('message', (raw) => {
+    try {
+      const { event, pair = [], subscription = {} } = JSON.parse(raw.toString());
+      const set = subscriptions[subscription.name];
+      if (!set || (event !== 'subscribe' && event !== 'unsubscribe')) return;
+
+      pair.forEach(p => {
+        if (event === 'subscribe') set.add(p);
+        else set.delete(p);
+        ws.send(JSON.stringify({
+          event: 'subscriptionStatus',
+          channelID: channelId(subscription.name, p),
+          channelName: subscription.name,
+          pair: p,
+          status: event === 'subscribe' ? 'subscribed' : 'unsubscribed',
+          subscription
+        }));
+      });
+    } catch (err) {
+      console.error('Mock Kraken message error:', err.message);
+    }
+  });
+
+  const tradeInterval = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    subscriptions.trade.forEach(pair => {
+      if (Math.random() < 0.5) return;
+      const trade = nextTrade(pair);
+      ws.send(JSON.stringify([
+        channelId('trade', pair),
+        [[formatPrice(trade.price), trade.size.toFixed(8), (Date.now() / 1000).toFixed(6), trade.side[0], 'l', '']],
+        'trade',
+        pair
+      ]));
+    });
+  }, 250);
+
+  const tickerInterval = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    subscriptions.ticker.forEach(pair => {
+      const market = getMarket(pair);
+      const price = formatPrice(market.price);
+      ws.send(JSON.stringify([
+        channelId('ticker', pair),
+        { c: [price, '0.1'], v: [market.volume.toFixed(8), market.volume.toFixed(8)] },
+        'ticker',
+        pair
+      ]));
+    });
+  }, 1000);
+
+  return () => {
+    clearInterval(tradeInterval);
+    clearInterval(tickerInterval);
+  };
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+const server = http.createServer((req, res) => {
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'WebSocket only: /coinbase or /kraken' }));
+});
+
+const wss = new WebSocket.Server({ server });
+
+wss.on('connection', (ws, req) => {
+  const venue = req.url.startsWith('/kraken') ? 'kraken' : 'coinbase';
+  console.log(`👤 ${venue} client connected`);
+
+  const cleanup = venue === 'kraken' ? handleKraken(ws) : handleCoinbase(ws);
+
+  ws.on('close', () => {
+    cleanup();
+    console.log(`👤 ${venue} client disconnected`);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock Coinbase/Kraken feeds on ws://localhost:${PORT}/coinbase and ws://localhost:${PORT}/kraken`);
+});
+
+process.on('SIGINT', () => {
+  wss.close();
+  server.close();
+  process.exit(0);
+});
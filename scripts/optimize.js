@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Parameter Optimizer CLI
+ *
+ * Usage:
+ *   npm run optimize -- --file candles.json
+ *   npm run optimize -- --instrument BTC_USDT --timeframe 1h --limit 1500 --method random --samples 100
+ *   npm run optimize -- --file candles.json --space space.json --strategy trendPullback
+ *
+ * --space is a JSON file (or inline JSON) mapping parameter names to a list of
+ * values or { min, max, step }; without it the thresholds in DEFAULT_SPACE are
+ * searched. Optimizer options: --method grid|random, --samples, --seed,
+ * --folds, --in-sample (ratio), --metric expectancy|totalR|profitFactor|winRate,
+ * --min-trades, --top, --json. Backtest options: --lookback, --warmup,
+ * --entry-expiry, --min-confidence, --fee, --strategy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Optimizer } = require('../lib/optimizer');
+const { fetchKlineHistory } = require('../lib/klines');
+const { StrategyRegistry } = require('../lib/strategies');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function buildBacktestOptions(args) {
+  const options = {};
+  if (args.lookback) options.lookback = parseInt(args.lookback, 10);
+  if (args.warmup) options.warmup = parseInt(args.warmup, 10);
+  if (args['entry-expiry']) options.entryExpiry = parseInt(args['entry-expiry'], 10);
+  if (args['min-confidence']) options.minConfidence = args['min-confidence'];
+  if (args.fee) options.feeRate = parseFloat(args.fee);
+  if (args.strategy) {
+    const strategies = new StrategyRegistry(process.env.STRATEGIES_DIR || path.join(__dirname, '..', 'strategies'));
+    options.strategy = strategies.get(args.strategy);
+    if (!options.strategy) {
+      throw new Error(`Unknown strategy: ${args.strategy} (available: ${strategies.names().join(', ')})`);
+    }
+  }
+  return options;
+}
+
+function buildOptions(args) {
+  const options = { backtest: buildBacktestOptions(args) };
+  if (args.method) options.method = args.method;
+  if (args.samples) options.samples = parseInt(args.samples, 10);
+  if (args.seed) options.seed = parseInt(args.seed, 10);
+  if (args.folds) options.folds = parseInt(args.folds, 10);
+  if (args['in-sample']) options.inSampleRatio = parseFloat(args['in-sample']);
+  if (args.metric) options.metric = args.metric;
+  if (args['min-trades']) options.minTrades = parseInt(args['min-trades'], 10);
+  if (args.top) options.top = parseInt(args.top, 10);
+  return options;
+}
+
+function loadSpace(args, strategy) {
+  if (!args.space) return Optimizer.defaultSpace(strategy);
+  const text = args.space.trim().startsWith('{') ? args.space : fs.readFileSync(args.space, 'utf8');
+  return JSON.parse(text);
+}
+
+async function loadCandles(args) {
+  if (args.file) {
+    const data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    return Array.isArray(data) ? data : data.candles;
+  }
+
+  if (!args.instrument || !args.timeframe) {
+    throw new Error('Provide --instrument and --timeframe, or --file');
+  }
+
+  const symbol = args.instrument.replace('_', '').toUpperCase();
+  const limit = parseInt(args.limit || '1000', 10);
+  if (!(limit > 0)) throw new Error('--limit must be a positive number of candles');
+  return fetchKlineHistory(symbol, args.timeframe, { limit });
+}
+
+function printReport(label, report) {
+  const fmtTime = t => new Date(t).toISOString().replace('T', ' ').slice(0, 16);
+  const fmtParams = params => Object.entries(params).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(' ') || '(defaults)';
+  const fmtScore = s => (s === null ? '—' : s.toFixed(3)).padStart(8);
+
+  console.log(`\n🔧 Optimization: ${label}`);
+  console.log(`   ${report.candles} candles, ${fmtTime(report.from)} → ${fmtTime(report.to)}`);
+  console.log(`   ${report.method} search, ${report.tested} parameter sets, scored by ${report.metric}\n`);
+
+  report.windows.forEach(w => {
+    console.log(
+      `   Window ${w.fold}: in-sample ${fmtTime(w.inSample.from)} → ${fmtTime(w.inSample.to)}, ` +
+      `out-of-sample ${fmtTime(w.outOfSample.from)} → ${fmtTime(w.outOfSample.to)}`
+    );
+  });
+
+  console.log(`\n     #   IS score  OOS score  OOS trades  OOS +folds  Eff.   Params`);
+  const row = (tag, c) => console.log(
+    `  ${tag.padStart(4)} ${fmtScore(c.inSample.score)}  ${fmtScore(c.outOfSample.score)}   ` +
+    `${String(c.outOfSample.trades).padStart(8)}  ${`${c.positiveFolds}/${report.windows.length}`.padStart(10)}  ` +
+    `${(c.efficiency ?? '—').toString().padStart(5)}  ${c.robust ? '✓ ' : '  '}${fmtParams(c.params)}`
+  );
+  report.results.forEach((c, i) => row(String(i + 1), c));
+  row('base', report.baseline);
+
+  const wf = report.walkForward;
+  console.log(`\n  Walk-forward (re-optimized each window):`);
+  wf.folds.forEach(f => {
+    console.log(
+      `    Window ${f.fold}: IS ${fmtScore(f.inSample.score).trim()} → OOS ${fmtScore(f.outOfSample.score).trim()} ` +
+      `(${f.outOfSample.trades} trades, ${f.outOfSample.totalR}R)  ${fmtParams(f.params)}`
+    );
+  });
+  console.log(`
+  Out-of-sample:  ${wf.outOfSample.trades} trades, ${wf.outOfSample.totalR}R (${wf.outOfSample.expectancy}R per trade, ${wf.outOfSample.winRate}% wins)
+  Efficiency:     ${wf.efficiency ?? '—'} (out-of-sample vs in-sample ${report.metric})
+  Stable params:  ${wf.stableParams ? 'yes - same winner in every window' : 'no - the winner changes between windows'}
+  Robust sets:    ${report.robustCount} (✓ above)
+`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const candles = await loadCandles(args);
+  const options = buildOptions(args);
+  const space = loadSpace(args, options.backtest.strategy);
+
+  if (!args.json) {
+    options.onProgress = (done, total) => process.stderr.write(`\r   Testing ${done}/${total}...`);
+  }
+
+  const report = Optimizer.run(candles, space, options);
+  if (!args.json) process.stderr.write('\n');
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(`${args.file || `${args.instrument} ${args.timeframe}`} (${report.strategy})`, report);
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Optimization failed:', err.message);
+  process.exit(1);
+});
@@ -12,8 +12,28 @@ const express = require('express');
 const WebSocket = require('ws');
 const cors = require('cors');
 const http = require('http');
-const https = require('https');
+const path = require('path');
 const Redis = require('ioredis');
+const { PatternRecognizer } = require('./lib/patterns');
+const { Backtester } = require('./lib/backtest');
+const { fetchKlines, fetchKlineHistory, TIMEFRAME_MS } = require('./lib/klines');
+const { httpsGet } = require('./lib/http');
+const { CandleStore } = require('./lib/candleStore');
+const { PaperTradingAccount } = require('./lib/paperTrading');
+const { ConfluenceAnalyzer } = require('./lib/confluence');
+const { AlertEngine } = require('./lib/alerts');
+const { createWebhookSink, createEmailSink, createBrowserSink } = require('./lib/alertSinks');
+const { InstrumentRegistry } = require('./lib/instruments');
+const { PriceAggregator } = require('./lib/aggregation');
+const { SpreadMonitor } = require('./lib/spreads');
+const { CandleBuilder, COMPOSITE } = require('./lib/candleBuilder');
+const { OrderBookManager } = require('./lib/orderBook');
+const { IndicatorState, calculateSeries } = require('./lib/incrementalIndicators');
+const { SignalLog } = require('./lib/signalLog');
+const { StrategyRegistry } = require('./lib/strategies');
+const { compileRules } = require('./lib/ruleStrategy');
+const { SupportResistance } = require('./lib/levels');
+const { PatternCalibration } = require('./lib/calibration');
 
 const app = express();
 
@@ -100,26 +120,16 @@ async function loadAllFromCache() {
   console.log('📦 Loading data from Redis cache...');
   let loadedCount = 0;
 
-  for (const instrument of CONFIG.INSTRUMENTS) {
-    const displayName = CONFIG.INSTRUMENT_DISPLAY[instrument];
-
+  for (const { name: displayName, binance: instrument } of instruments.list()) {
     for (const tf of CONFIG.TIMEFRAMES) {
       const cached = await getCachedCandles(instrument, tf);
       if (cached && cached.length > 0) {
         const key = `${displayName}_${tf}`;
         dataStore.candles[key] = cached;
 
-        // Recalculate patterns for cached data
-        if (cached.length >= 3) {
-          const latestCandle = cached[cached.length - 1];
-          const patterns = PatternRecognizer.analyzeCandle(latestCandle, cached.length - 1, cached);
-          dataStore.patterns[key] = patterns;
-          dataStore.decisions[key] = PatternRecognizer.generateDecision(patterns, latestCandle, cached);
-        }
-        // Calculate technical indicators
-        if (cached.length >= 30) {
-          dataStore.indicators[key] = TechnicalIndicators.calculateAll(cached);
-        }
+        // Reseed the streaming indicators and recalculate signals for cached data
+        delete dataStore.indicatorStates[key];
+        refreshSignals(key, displayName, tf);
         loadedCount++;
       }
     }
@@ -135,7 +145,7 @@ async function loadAllFromCache() {
 }
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Backtests may post large candle arrays
 app.use(express.static('client/dist'));
 
 const server = http.createServer(app);
@@ -145,80 +155,144 @@ const wss = new WebSocket.Server({ server });
 
 // Configuration
 const CONFIG = {
-  // Top 10 crypto trading pairs
-  INSTRUMENTS: [
-    'BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'XRPUSDT', 'ADAUSDT',
-    'SOLUSDT', 'DOGEUSDT', 'DOTUSDT', 'POLUSDT', 'LTCUSDT','SUIUSDT'
-  ],
-  // Display names mapping (POL was formerly MATIC - rebranded Sept 2024)
-  INSTRUMENT_DISPLAY: {
-    'BTCUSDT': 'BTC_USDT',
-    'ETHUSDT': 'ETH_USDT',
-    'BNBUSDT': 'BNB_USDT',
-    'XRPUSDT': 'XRP_USDT',
-    'ADAUSDT': 'ADA_USDT',
-    'SOLUSDT': 'SOL_USDT',
-    'DOGEUSDT': 'DOGE_USDT',
-    'DOTUSDT': 'DOT_USDT',
-    'POLUSDT': 'POL_USDT',
-    'LTCUSDT': 'LTC_USDT',
-    'SUIUSDT': 'SUI_USDT'
-  },
-  // Symbol mappings for each exchange
-  COINBASE_SYMBOLS: {
-    'BTC_USDT': 'BTC-USD',
-    'ETH_USDT': 'ETH-USD',
-    'SOL_USDT': 'SOL-USD',
-    'DOGE_USDT': 'DOGE-USD',
-    'DOT_USDT': 'DOT-USD',
-    'POL_USDT': 'POL-USD',
-    'LTC_USDT': 'LTC-USD',
-    'XRP_USDT': 'XRP-USD',
-    'ADA_USDT': 'ADA-USD',
-    'SUI_USDT': 'SUI-USD'
-    // Note: BNB not available on Coinbase
-  },
-  KRAKEN_SYMBOLS: {
-    'BTC_USDT': 'XBT/USD',
-    'ETH_USDT': 'ETH/USD',
-    'SOL_USDT': 'SOL/USD',
-    'DOGE_USDT': 'DOGE/USD',
-    'DOT_USDT': 'DOT/USD',
-    'POL_USDT': 'POL/USD',
-    'LTC_USDT': 'LTC/USD',
-    'XRP_USDT': 'XRP/USD',
-    'ADA_USDT': 'ADA/USD',
-    'SUI_USDT': 'SUI/USD'
-    // Note: BNB not available on Kraken
-  },
   TIMEFRAMES: ['1m', '5m', '15m', '1h', '4h'],
+  MAX_CANDLES: 200,        // In-memory window used for live pattern/indicator analysis
   RECONNECT_DELAY: 5000,
   MAX_RECONNECT_ATTEMPTS: 10,
+  // Binance USDⓈ-M futures (override with a local mock server for offline testing)
+  FUTURES_WS_URL: process.env.BINANCE_FUTURES_WS_URL || 'wss://fstream.binance.com',
+  FUTURES_REST_URL: process.env.BINANCE_FUTURES_REST_URL || 'https://fapi.binance.com',
+  OPEN_INTEREST_POLL_MS: 60000,
+  MAX_LIQUIDATIONS: 100,   // Recent liquidation events kept per instrument
+  // Cross-venue price aggregation (see lib/aggregation.js)
+  AGGREGATION: {
+    weighting: process.env.AGG_WEIGHTING || 'volume',
+    venueWeights: parseVenueMap(process.env.AGG_VENUE_WEIGHTS || 'binance:1,coinbase:1,kraken:1'),
+    maxQuoteAgeMs: parseInt(process.env.AGG_MAX_QUOTE_AGE_MS || '10000', 10),
+    maxDeviationPct: parseFloat(process.env.AGG_MAX_DEVIATION_PCT || '0.5'),
+    convertUsd: process.env.AGG_CONVERT_USD !== 'false'
+  },
+  // USDT/USD markets used to convert Coinbase/Kraken USD quotes to USDT
+  USDT_RATE_SYMBOLS: { coinbase: 'USDT-USD', kraken: 'USDT/USD' },
+  // Spot feeds (override with `npm run mock:trades` for offline testing)
+  COINBASE_WS_URL: process.env.COINBASE_WS_URL || 'wss://ws-feed.exchange.coinbase.com',
+  KRAKEN_WS_URL: process.env.KRAKEN_WS_URL || 'wss://ws.kraken.com',
+  // Switch an instrument to trade-built candles when Binance klines stop for this long
+  CANDLE_FALLBACK_MS: parseInt(process.env.CANDLE_FALLBACK_MS || '15000', 10),
+  SIGNAL_HISTORY_SIZE: 100,  // Confirmed signals kept per instrument/timeframe
+  MAX_BACKTEST_CANDLES: 50000,  // Largest `limit` POST /api/backtest pages in from Binance
+  // Minimum gap between intrabar previews of one series; ticks in between reuse the last preview
+  PREVIEW_INTERVAL_MS: parseInt(process.env.PREVIEW_INTERVAL_MS || '1000', 10),
+  // Local order books from the Binance @depth diff stream
+  DEPTH_SNAPSHOT_URL: process.env.BINANCE_DEPTH_URL || 'https://api.binance.com/api/v3/depth',
+  ORDER_BOOK_BROADCAST_MS: parseInt(process.env.ORDER_BOOK_BROADCAST_MS || '2000', 10),
+  // Strategy whose decisions drive paper trading, alerts, confluence and the signal log
+  STRATEGY: process.env.STRATEGY || 'default',
 };
 
+// "binance:2,coinbase:1,kraken:1" -> { binance: 2, coinbase: 1, kraken: 1 }
+function parseVenueMap(value) {
+  return Object.fromEntries(value.split(',').map(pair => {
+    const [venue, weight] = pair.split(':');
+    return [venue.trim(), parseFloat(weight)];
+  }));
+}
+
+// Tradable instruments and their per-exchange symbols (editable at runtime)
+const instruments = new InstrumentRegistry(
+  process.env.INSTRUMENTS_FILE || path.join(__dirname, 'config', 'instruments.json')
+);
+
+// Persistent candle history on local disk (survives restarts)
+const candleStore = new CandleStore(
+  process.env.CANDLE_STORE_DIR || path.join(__dirname, 'data', 'candles'),
+  { backfillCandles: parseInt(process.env.CANDLE_BACKFILL || '1000', 10) }
+);
+
+// Paper trading account that auto-executes live decisions
+const paperAccount = new PaperTradingAccount({
+  initialCapital: parseFloat(process.env.PAPER_CAPITAL || '10000'),
+  riskPercent: parseFloat(process.env.PAPER_RISK_PERCENT || '1'),
+  timeframes: (process.env.PAPER_TIMEFRAMES || '1h,4h').split(','),
+  minConfidence: process.env.PAPER_MIN_CONFIDENCE || 'medium'
+});
+
+// OHLCV bars built from Coinbase/Kraken trades (fallback when Binance is down)
+const candleBuilder = new CandleBuilder({ timeframes: CONFIG.TIMEFRAMES, maxBars: CONFIG.MAX_CANDLES });
+
+// Cross-exchange spread tracking with fee-adjusted arbitrage alerts
+const spreadMonitor = new SpreadMonitor({
+  feesBps: parseVenueMap(process.env.SPREAD_FEES_BPS || 'binance:10,coinbase:60,kraken:40'),
+  minEdgeBps: parseFloat(process.env.SPREAD_MIN_EDGE_BPS || '5')
+});
+
+// Local Binance order books for imbalance, walls and slippage
+const orderBooks = new OrderBookManager({
+  depthUrl: CONFIG.DEPTH_SNAPSHOT_URL,
+  slippageSizes: (process.env.SLIPPAGE_SIZES || '10000,50000,250000').split(',').map(Number),
+  wallMultiple: parseFloat(process.env.WALL_MULTIPLE || '5')
+});
+
+// Persistent log of confirmed LONG/SHORT signals and their outcomes
+const signalLog = new SignalLog(
+  process.env.SIGNAL_LOG_FILE || path.join(__dirname, 'data', 'signals.json'),
+  { maxBars: parseInt(process.env.SIGNAL_TRACK_BARS || '50', 10) }
+);
+
+// Historical hit rate of each pattern per instrument/timeframe, replayed from the candle store
+const calibration = new PatternCalibration({
+  atrMultiple: parseFloat(process.env.CALIBRATION_ATR || '1'),
+  maxBars: parseInt(process.env.CALIBRATION_BARS || '20', 10)
+});
+
+// Decision strategies loaded from strategies/ - every one runs on every candle
+const strategies = new StrategyRegistry(
+  process.env.STRATEGIES_DIR || path.join(__dirname, 'strategies')
+);
+if (!strategies.has(CONFIG.STRATEGY)) {
+  console.warn(`⚠️ Strategy ${CONFIG.STRATEGY} not found, using default`);
+  CONFIG.STRATEGY = 'default';
+}
+
+// Alert rules evaluated on every candle update and ticker
+const alertEngine = new AlertEngine(
+  process.env.ALERT_RULES_FILE || path.join(__dirname, 'data', 'alerts.json')
+);
+
 // Store for candle data, patterns, and multi-exchange prices
 const dataStore = {
   candles: {},
   patterns: {},
-  decisions: {},
+  decisions: {},   // Primary strategy (CONFIG.STRATEGY)
+  strategyDecisions: {},  // { [strategy]: decision } per instrument/timeframe
   indicators: {},  // Technical indicators per instrument/timeframe
+  indicatorStates: {},  // Streaming indicator state per instrument/timeframe
+  levels: {},      // Support/resistance zones per instrument/timeframe
+  // patterns/decisions above are confirmed (last closed candle); this holds
+  // { confirmedAt, provisional, history } per instrument/timeframe
+  signals: {},
   tickers: {},
-  // Per-exchange prices for aggregation
-  exchangePrices: {
+  futures: {},     // Mark price, funding, open interest and liquidations per instrument
+  confluence: {},  // Multi-timeframe verdict per instrument
+  // Per-exchange quotes for aggregation: { price, volume, time }
+  exchangeQuotes: {
     binance: {},
     coinbase: {},
     kraken: {}
-  }
+  },
+  usdtRate: null,  // { rate, time, source } - price of 1 USDT in USD
+  lastBinanceKline: {},  // Last Binance kline per instrument
+  candleSources: {}      // 'binance' or 'composite' per instrument
 };
 
-// Initialize data store
-CONFIG.INSTRUMENTS.forEach(instrument => {
-  const displayName = CONFIG.INSTRUMENT_DISPLAY[instrument];
+// Initialize data store entries for one instrument
+function initInstrumentState(displayName) {
   CONFIG.TIMEFRAMES.forEach(tf => {
     const key = `${displayName}_${tf}`;
     dataStore.candles[key] = [];
     dataStore.patterns[key] = [];
     dataStore.decisions[key] = null;
+    dataStore.strategyDecisions[key] = {};
     dataStore.indicators[key] = null;
   });
   dataStore.tickers[displayName] = {
@@ -230,52 +304,119 @@ CONFIG.INSTRUMENTS.forEach(instrument => {
     high24h: 0,
     low24h: 0,
     volume: 0,
-    sources: []
+    sources: [],
+    venues: {},
+    basis: null,
+    spreadPct: 0,
+    reliable: false
   };
-  dataStore.exchangePrices.binance[displayName] = 0;
-  dataStore.exchangePrices.coinbase[displayName] = 0;
-  dataStore.exchangePrices.kraken[displayName] = 0;
-});
+  dataStore.exchangeQuotes.binance[displayName] = null;
+  dataStore.exchangeQuotes.coinbase[displayName] = null;
+  dataStore.exchangeQuotes.kraken[displayName] = null;
+  dataStore.futures[displayName] = {
+    markPrice: null,
+    indexPrice: null,
+    fundingRate: null,
+    nextFundingTime: null,
+    openInterest: null,
+    openInterestValue: null,
+    openInterestChange: null,
+    priceChange: null,
+    openInterestHistory: [],
+    liquidations: [],
+    updatedAt: null
+  };
+  dataStore.confluence[displayName] = null;
+  dataStore.candleSources[displayName] = 'binance';
+  dataStore.lastBinanceKline[displayName] = Date.now();  // Grace period before falling back
+}
+
+function removeInstrumentState(displayName) {
+  CONFIG.TIMEFRAMES.forEach(tf => {
+    const key = `${displayName}_${tf}`;
+    delete dataStore.candles[key];
+    delete dataStore.patterns[key];
+    delete dataStore.decisions[key];
+    delete dataStore.strategyDecisions[key];
+    delete dataStore.indicators[key];
+    delete dataStore.indicatorStates[key];
+    delete dataStore.levels[key];
+    delete dataStore.signals[key];
+    calibration.delete(key);
+  });
+  delete dataStore.tickers[displayName];
+  delete dataStore.exchangeQuotes.binance[displayName];
+  delete dataStore.exchangeQuotes.coinbase[displayName];
+  delete dataStore.exchangeQuotes.kraken[displayName];
+  delete dataStore.futures[displayName];
+  delete dataStore.confluence[displayName];
+  delete dataStore.lastBinanceKline[displayName];
+  delete dataStore.candleSources[displayName];
+}
+
+instruments.names().forEach(initInstrumentState);
+
+// Map a display name (BTC_USDT) back to its Binance symbol (BTCUSDT)
+function getBinanceSymbol(displayName) {
+  return instruments.get(displayName)?.binance || displayName.replace('_', '');
+}
 
 // =============================================================================
-// PRICE AGGREGATION
+// MULTI-TIMEFRAME CONFLUENCE
 // =============================================================================
 
-function calculateAggregatedPrice(displayName) {
-  const binancePrice = dataStore.exchangePrices.binance[displayName] || 0;
-  const coinbasePrice = dataStore.exchangePrices.coinbase[displayName] || 0;
-  const krakenPrice = dataStore.exchangePrices.kraken[displayName] || 0;
-
-  const prices = [];
-  const sources = [];
+function updateConfluence(displayName) {
+  const frames = {};
+  CONFIG.TIMEFRAMES.forEach(tf => {
+    const key = `${displayName}_${tf}`;
+    const decision = dataStore.decisions[key];
+    frames[tf] = {
+      decision,
+      patterns: dataStore.patterns[key],
+      summary: decision?.indicatorSignals?.summary || dataStore.indicators[key]?.summary || null
+    };
+  });
 
-  if (binancePrice > 0) {
-    prices.push(binancePrice);
-    sources.push('Binance');
-  }
-  if (coinbasePrice > 0) {
-    prices.push(coinbasePrice);
-    sources.push('Coinbase');
-  }
-  if (krakenPrice > 0) {
-    prices.push(krakenPrice);
-    sources.push('Kraken');
+  const previous = dataStore.confluence[displayName];
+  const confluence = ConfluenceAnalyzer.analyze(displayName, frames, CONFIG.TIMEFRAMES);
+  dataStore.confluence[displayName] = confluence;
+
+  // Only push when the verdict or a signal's status actually changes
+  const signature = c => c && JSON.stringify([
+    c.verdict, c.confidence, c.bias, c.score.toFixed(2),
+    c.signals.map(s => `${s.timeframe}:${s.action}:${s.status}`)
+  ]);
+  if (signature(previous) !== signature(confluence)) {
+    broadcastToClients('confluence', confluence);
   }
 
-  if (prices.length === 0) return { price: 0, sources: [] };
+  return confluence;
+}
 
-  // Calculate weighted average (equal weights for now)
-  const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+// =============================================================================
+// PRICE AGGREGATION
+// =============================================================================
+
+function calculateAggregatedPrice(displayName) {
+  const quotes = {
+    binance: dataStore.exchangeQuotes.binance[displayName],
+    coinbase: dataStore.exchangeQuotes.coinbase[displayName],
+    kraken: dataStore.exchangeQuotes.kraken[displayName]
+  };
 
   return {
-    price: parseFloat(avgPrice.toFixed(8)),
-    sources,
-    binancePrice,
-    coinbasePrice,
-    krakenPrice
+    ...PriceAggregator.aggregate(quotes, dataStore.usdtRate, CONFIG.AGGREGATION),
+    binancePrice: quotes.binance?.price || 0,
+    coinbasePrice: quotes.coinbase?.price || 0,
+    krakenPrice: quotes.kraken?.price || 0
   };
 }
 
+function recordQuote(venue, displayName, price, volume) {
+  dataStore.exchangeQuotes[venue][displayName] = { price, volume, time: Date.now() };
+  updateAggregatedTicker(displayName);
+}
+
 function updateAggregatedTicker(displayName) {
   const aggregated = calculateAggregatedPrice(displayName);
   const ticker = dataStore.tickers[displayName];
@@ -286,1884 +427,767 @@ function updateAggregatedTicker(displayName) {
     ticker.coinbasePrice = aggregated.coinbasePrice;
     ticker.krakenPrice = aggregated.krakenPrice;
     ticker.sources = aggregated.sources;
+    ticker.venues = aggregated.venues;
+    ticker.basis = aggregated.basis;
+    ticker.spreadPct = aggregated.spreadPct;
+    ticker.reliable = aggregated.reliable;
 
     broadcastToClients('ticker', {
       instrument: displayName,
       ...ticker
     });
-  }
-}
-
-// =============================================================================
-// TECHNICAL INDICATORS ENGINE
-// =============================================================================
-
-class TechnicalIndicators {
-  // ===========================================================================
-  // MOVING AVERAGES
-  // ===========================================================================
-
-  // Simple Moving Average
-  static SMA(data, period) {
-    if (data.length < period) return null;
-    const slice = data.slice(-period);
-    return slice.reduce((a, b) => a + b, 0) / period;
-  }
-
-  // Exponential Moving Average
-  static EMA(data, period) {
-    if (data.length < period) return null;
-
-    const multiplier = 2 / (period + 1);
-    let ema = this.SMA(data.slice(0, period), period);
-
-    for (let i = period; i < data.length; i++) {
-      ema = (data[i] - ema) * multiplier + ema;
-    }
-    return ema;
-  }
-
-  // Calculate EMA array for all data points
-  static EMAArray(data, period) {
-    if (data.length < period) return [];
-
-    const multiplier = 2 / (period + 1);
-    const emaArray = [];
 
-    // First EMA is SMA
-    let ema = data.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    emaArray.push(ema);
-
-    for (let i = period; i < data.length; i++) {
-      ema = (data[i] - ema) * multiplier + ema;
-      emaArray.push(ema);
-    }
-    return emaArray;
+    paperAccount.onTick(displayName, ticker.price);
+    spreadMonitor.onQuotes(displayName, ticker.venues);
+    alertEngine.evaluateTicker({ instrument: displayName, price: ticker.price });
   }
+}
 
-  // ===========================================================================
-  // RSI - Relative Strength Index
-  // ===========================================================================
-  static RSI(closes, period = 14) {
-    if (closes.length < period + 1) return null;
-
-    let gains = 0;
-    let losses = 0;
-
-    // Calculate initial average gain/loss
-    for (let i = 1; i <= period; i++) {
-      const change = closes[i] - closes[i - 1];
-      if (change >= 0) {
-        gains += change;
-      } else {
-        losses += Math.abs(change);
-      }
-    }
-
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-
-    // Smooth using Wilder's method
-    for (let i = period + 1; i < closes.length; i++) {
-      const change = closes[i] - closes[i - 1];
-      if (change >= 0) {
-        avgGain = (avgGain * (period - 1) + change) / period;
-        avgLoss = (avgLoss * (period - 1)) / period;
-      } else {
-        avgGain = (avgGain * (period - 1)) / period;
-        avgLoss = (avgLoss * (period - 1) + Math.abs(change)) / period;
-      }
-    }
-
-    if (avgLoss === 0) return 100;
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-  }
-
-  // ===========================================================================
-  // MACD - Moving Average Convergence Divergence
-  // ===========================================================================
-  static MACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    if (closes.length < slowPeriod + signalPeriod) return null;
-
-    const fastEMA = this.EMAArray(closes, fastPeriod);
-    const slowEMA = this.EMAArray(closes, slowPeriod);
-
-    // MACD Line = Fast EMA - Slow EMA
-    const macdLine = [];
-    const startIndex = slowPeriod - fastPeriod;
-
-    for (let i = 0; i < slowEMA.length; i++) {
-      macdLine.push(fastEMA[i + startIndex] - slowEMA[i]);
-    }
-
-    // Signal Line = 9-period EMA of MACD Line
-    const signalLine = this.EMAArray(macdLine, signalPeriod);
-
-    const macd = macdLine[macdLine.length - 1];
-    const signal = signalLine[signalLine.length - 1];
-    const histogram = macd - signal;
-
-    // Determine signal
-    let trend = 'neutral';
-    if (macd > signal && macd > 0) trend = 'bullish';
-    else if (macd < signal && macd < 0) trend = 'bearish';
-    else if (macd > signal) trend = 'bullish_crossover';
-    else if (macd < signal) trend = 'bearish_crossover';
-
-    return {
-      macd: parseFloat(macd.toFixed(4)),
-      signal: parseFloat(signal.toFixed(4)),
-      histogram: parseFloat(histogram.toFixed(4)),
-      trend
-    };
-  }
+// Latest USDT/USD print from either USD venue
+function updateUsdtRate(rate, source) {
+  if (!(rate > 0)) return;
+  dataStore.usdtRate = { rate, time: Date.now(), source };
+}
 
-  // ===========================================================================
-  // STOCHASTIC OSCILLATOR
-  // ===========================================================================
-  static Stochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
-    if (closes.length < kPeriod + dPeriod) return null;
+// Convert a USD venue price to USDT (unchanged until a USDT/USD rate is known)
+function toUsdt(usdPrice) {
+  return dataStore.usdtRate ? usdPrice / dataStore.usdtRate.rate : usdPrice;
+}
 
-    const kValues = [];
+// =============================================================================
+// BINANCE WEBSOCKET CONNECTION
+// =============================================================================
 
-    for (let i = kPeriod - 1; i < closes.length; i++) {
-      const highSlice = highs.slice(i - kPeriod + 1, i + 1);
-      const lowSlice = lows.slice(i - kPeriod + 1, i + 1);
+let binanceWs = null;
+let binanceReconnectTimeout = null;
 
-      const highestHigh = Math.max(...highSlice);
-      const lowestLow = Math.min(...lowSlice);
+function connectToBinance() {
+  console.log('🔌 Connecting to Binance WebSocket...');
 
-      const k = highestHigh === lowestLow ? 50 :
-        ((closes[i] - lowestLow) / (highestHigh - lowestLow)) * 100;
-      kValues.push(k);
-    }
+  const streams = instruments.list().flatMap(getBinanceStreams);
+  const streamUrl = `wss://stream.binance.com:9443/stream?streams=${streams.join('/')}`;
+  binanceWs = new WebSocket(streamUrl);
 
-    // %D is SMA of %K
-    const dValue = kValues.slice(-dPeriod).reduce((a, b) => a + b, 0) / dPeriod;
-    const kValue = kValues[kValues.length - 1];
-
-    let signal = 'neutral';
-    if (kValue > 80 && kValue < dValue) signal = 'overbought_reversal';
-    else if (kValue < 20 && kValue > dValue) signal = 'oversold_reversal';
-    else if (kValue > 80) signal = 'overbought';
-    else if (kValue < 20) signal = 'oversold';
-    else if (kValue > dValue) signal = 'bullish';
-    else signal = 'bearish';
-
-    return {
-      k: parseFloat(kValue.toFixed(2)),
-      d: parseFloat(dValue.toFixed(2)),
-      signal
-    };
-  }
+  binanceWs.on('open', () => {
+    console.log('✅ Binance connected');
+    orderBooks.resetAll();  // Depth update ids restart with the new connection
+    fetchAllHistoricalData();
+  });
 
-  // ===========================================================================
-  // ADX - Average Directional Index (Trend Strength)
-  // ===========================================================================
-  static ADX(highs, lows, closes, period = 14) {
-    if (closes.length < period * 2) return null;
-
-    const trueRanges = [];
-    const plusDM = [];
-    const minusDM = [];
-
-    for (let i = 1; i < closes.length; i++) {
-      // True Range
-      const tr = Math.max(
-        highs[i] - lows[i],
-        Math.abs(highs[i] - closes[i - 1]),
-        Math.abs(lows[i] - closes[i - 1])
-      );
-      trueRanges.push(tr);
-
-      // Directional Movement
-      const upMove = highs[i] - highs[i - 1];
-      const downMove = lows[i - 1] - lows[i];
-
-      plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
-      minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+  binanceWs.on('message', (data) => {
+    try {
+      const message = JSON.parse(data.toString());
+      handleBinanceMessage(message);
+    } catch (err) {
+      console.error('Binance parse error:', err.message);
     }
+  });
 
-    // Smooth with Wilder's method
-    const smoothTR = this.wilderSmooth(trueRanges, period);
-    const smoothPlusDM = this.wilderSmooth(plusDM, period);
-    const smoothMinusDM = this.wilderSmooth(minusDM, period);
-
-    // Calculate +DI and -DI
-    const plusDI = (smoothPlusDM / smoothTR) * 100;
-    const minusDI = (smoothMinusDM / smoothTR) * 100;
-
-    // Calculate DX
-    const dx = Math.abs(plusDI - minusDI) / (plusDI + minusDI) * 100;
+  binanceWs.on('error', (error) => {
+    console.error('❌ Binance error:', error.message);
+  });
 
-    // ADX is smoothed DX (simplified - using recent DX)
-    const adx = dx;
+  binanceWs.on('close', () => {
+    console.log('🔌 Binance disconnected. Reconnecting...');
+    if (binanceReconnectTimeout) clearTimeout(binanceReconnectTimeout);
+    binanceReconnectTimeout = setTimeout(connectToBinance, CONFIG.RECONNECT_DELAY);
+  });
+}
 
-    let trend = 'weak';
-    if (adx > 50) trend = 'very_strong';
-    else if (adx > 25) trend = 'strong';
-    else if (adx > 20) trend = 'moderate';
+function getBinanceStreams(instrument) {
+  const symbol = instrument.binance.toLowerCase();
+  return [`${symbol}@ticker`, `${symbol}@depth`, ...CONFIG.TIMEFRAMES.map(tf => `${symbol}@kline_${tf}`)];
+}
 
-    let direction = 'neutral';
-    if (plusDI > minusDI) direction = 'bullish';
-    else if (minusDI > plusDI) direction = 'bearish';
+function handleBinanceMessage(message) {
+  if (!message.stream || !message.data) return;
 
-    return {
-      adx: parseFloat(adx.toFixed(2)),
-      plusDI: parseFloat(plusDI.toFixed(2)),
-      minusDI: parseFloat(minusDI.toFixed(2)),
-      trend,
-      direction
-    };
-  }
+  const stream = message.stream;
+  const data = message.data;
 
-  // Wilder's smoothing method
-  static wilderSmooth(data, period) {
-    if (data.length < period) return 0;
+  if (stream.endsWith('@ticker')) {
+    const displayName = instruments.findBySymbol('binance', data.s)?.name;
 
-    let sum = data.slice(0, period).reduce((a, b) => a + b, 0);
+    if (displayName) {
+      // Store additional data from Binance (it has the most complete data)
+      const ticker = dataStore.tickers[displayName];
+      ticker.high24h = parseFloat(data.h) || 0;
+      ticker.low24h = parseFloat(data.l) || 0;
+      ticker.volume = parseFloat(data.v) || 0;
+      ticker.change = parseFloat(data.P) || 0;
 
-    for (let i = period; i < data.length; i++) {
-      sum = sum - (sum / period) + data[i];
+      recordQuote('binance', displayName, parseFloat(data.c) || 0, ticker.volume);
     }
-    return sum;
   }
 
-  // ===========================================================================
-  // BOLLINGER BANDS
-  // ===========================================================================
-  static BollingerBands(closes, period = 20, stdDev = 2) {
-    if (closes.length < period) return null;
-
-    const sma = this.SMA(closes, period);
-    const slice = closes.slice(-period);
-
-    // Calculate standard deviation
-    const squaredDiffs = slice.map(val => Math.pow(val - sma, 2));
-    const variance = squaredDiffs.reduce((a, b) => a + b, 0) / period;
-    const sd = Math.sqrt(variance);
-
-    const upper = sma + (sd * stdDev);
-    const lower = sma - (sd * stdDev);
-    const currentPrice = closes[closes.length - 1];
-
-    // Calculate %B (where price is relative to bands)
-    const percentB = (currentPrice - lower) / (upper - lower);
-
-    // Bandwidth (volatility measure)
-    const bandwidth = ((upper - lower) / sma) * 100;
-
-    let signal = 'neutral';
-    if (percentB > 1) signal = 'overbought';
-    else if (percentB < 0) signal = 'oversold';
-    else if (percentB > 0.8) signal = 'upper_zone';
-    else if (percentB < 0.2) signal = 'lower_zone';
-
-    return {
-      upper: parseFloat(upper.toFixed(2)),
-      middle: parseFloat(sma.toFixed(2)),
-      lower: parseFloat(lower.toFixed(2)),
-      percentB: parseFloat(percentB.toFixed(3)),
-      bandwidth: parseFloat(bandwidth.toFixed(2)),
-      signal
-    };
+  if (stream.endsWith('@depth')) {
+    const displayName = instruments.findBySymbol('binance', data.s)?.name;
+    if (displayName) orderBooks.onDepthEvent(displayName, data.s, data);
   }
 
-  // ===========================================================================
-  // OBV - On-Balance Volume
-  // ===========================================================================
-  static OBV(closes, volumes) {
-    if (closes.length < 2) return null;
+  if (stream.includes('@kline_')) {
+    const symbol = data.s;
+    const displayName = instruments.findBySymbol('binance', symbol)?.name;
+    const kline = data.k;
+    const timeframe = kline.i;
+    const key = `${displayName}_${timeframe}`;
 
-    let obv = 0;
-    const obvArray = [0];
+    if (displayName && dataStore.candles[key] !== undefined) {
+      const candle = {
+        t: kline.t,
+        o: kline.o,
+        h: kline.h,
+        l: kline.l,
+        c: kline.c,
+        v: kline.v,
+        T: kline.T,
+        isClosed: kline.x
+      };
 
-    for (let i = 1; i < closes.length; i++) {
-      if (closes[i] > closes[i - 1]) {
-        obv += volumes[i];
-      } else if (closes[i] < closes[i - 1]) {
-        obv -= volumes[i];
+      dataStore.lastBinanceKline[displayName] = Date.now();
+      if (dataStore.candleSources[displayName] !== 'binance') {
+        console.log(`✅ ${displayName}: Binance klines resumed`);
+        dataStore.candleSources[displayName] = 'binance';
       }
-      obvArray.push(obv);
-    }
-
-    // Calculate OBV trend using simple linear regression
-    const recentOBV = obvArray.slice(-10);
-    const slope = this.calculateOBVSlope(recentOBV);
-
-    let trend = 'neutral';
-    if (slope > 0.1) trend = 'accumulation';
-    else if (slope < -0.1) trend = 'distribution';
-
-    return {
-      obv: Math.round(obv),
-      trend,
-      slope: parseFloat(slope.toFixed(4))
-    };
-  }
-
-  static calculateOBVSlope(values) {
-    const n = values.length;
-    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
 
-    // Normalize values to prevent huge numbers
-    const maxVal = Math.max(...values.map(Math.abs)) || 1;
-    const normalizedValues = values.map(v => v / maxVal);
+      // Persist closed klines to the history store
+      if (candle.isClosed) {
+        try {
+          candleStore.append(symbol, timeframe, [candle]);
+        } catch (err) {
+          console.error(`Candle store write error (${key}):`, err.message);
+        }
+      }
 
-    for (let i = 0; i < n; i++) {
-      sumX += i;
-      sumY += normalizedValues[i];
-      sumXY += i * normalizedValues[i];
-      sumX2 += i * i;
+      applyCandle(displayName, timeframe, candle, 'binance');
     }
-
-    return (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
   }
+}
 
-  // ===========================================================================
-  // VOLUME PROFILE (Simplified - Volume by price zones)
-  // ===========================================================================
-  static VolumeProfile(candles, zones = 10) {
-    if (candles.length < 10) return null;
-
-    const highs = candles.map(c => parseFloat(c.h));
-    const lows = candles.map(c => parseFloat(c.l));
-    const volumes = candles.map(c => parseFloat(c.v));
-    const closes = candles.map(c => parseFloat(c.c));
-
-    const maxHigh = Math.max(...highs);
-    const minLow = Math.min(...lows);
-    const range = maxHigh - minLow;
-    const zoneSize = range / zones;
-
-    // Initialize volume zones
-    const volumeZones = Array(zones).fill(0);
-
-    // Distribute volume across price zones
-    for (let i = 0; i < candles.length; i++) {
-      const avgPrice = (highs[i] + lows[i]) / 2;
-      const zoneIndex = Math.min(zones - 1, Math.floor((avgPrice - minLow) / zoneSize));
-      volumeZones[zoneIndex] += volumes[i];
-    }
-
-    // Find POC (Point of Control) - highest volume zone
-    const maxVolume = Math.max(...volumeZones);
-    const pocIndex = volumeZones.indexOf(maxVolume);
-    const pocPrice = minLow + (pocIndex + 0.5) * zoneSize;
-
-    // Value Area (70% of volume)
-    const totalVolume = volumeZones.reduce((a, b) => a + b, 0);
-    const targetVolume = totalVolume * 0.7;
-
-    let vaVolume = volumeZones[pocIndex];
-    let vaHigh = pocIndex;
-    let vaLow = pocIndex;
-
-    while (vaVolume < targetVolume && (vaHigh < zones - 1 || vaLow > 0)) {
-      const highVol = vaHigh < zones - 1 ? volumeZones[vaHigh + 1] : 0;
-      const lowVol = vaLow > 0 ? volumeZones[vaLow - 1] : 0;
-
-      if (highVol >= lowVol && vaHigh < zones - 1) {
-        vaHigh++;
-        vaVolume += highVol;
-      } else if (vaLow > 0) {
-        vaLow--;
-        vaVolume += lowVol;
-      }
-    }
+// Advance the streaming indicators for a series: O(1) per closed candle,
+// provisional values for the forming one
+function updateIndicators(key, candles) {
+  if (!dataStore.indicatorStates[key]) dataStore.indicatorStates[key] = new IndicatorState();
+  return dataStore.indicatorStates[key].sync(candles);
+}
 
-    const currentPrice = closes[closes.length - 1];
-    let position = 'neutral';
-    if (currentPrice > minLow + (vaHigh + 1) * zoneSize) position = 'above_value_area';
-    else if (currentPrice < minLow + vaLow * zoneSize) position = 'below_value_area';
-    else position = 'in_value_area';
-
-    return {
-      poc: parseFloat(pocPrice.toFixed(2)),
-      valueAreaHigh: parseFloat((minLow + (vaHigh + 1) * zoneSize).toFixed(2)),
-      valueAreaLow: parseFloat((minLow + vaLow * zoneSize).toFixed(2)),
-      position,
-      volumeZones: volumeZones.map(v => Math.round(v))
-    };
+// Previous UTC day's high/low/close for the daily pivots, from the first
+// timeframe whose window covers it (the 1m and 5m windows are shorter than a day)
+function previousSession(displayName) {
+  for (const tf of ['1h', '4h', '15m']) {
+    const session = SupportResistance.previousSession(dataStore.candles[`${displayName}_${tf}`]);
+    if (session) return session;
   }
+  return null;
+}
 
-  // ===========================================================================
-  // ATR - Average True Range (Volatility)
-  // ===========================================================================
-  static ATR(highs, lows, closes, period = 14) {
-    if (closes.length < period + 1) return null;
-
-    const trueRanges = [];
-
-    for (let i = 1; i < closes.length; i++) {
-      const tr = Math.max(
-        highs[i] - lows[i],
-        Math.abs(highs[i] - closes[i - 1]),
-        Math.abs(lows[i] - closes[i - 1])
-      );
-      trueRanges.push(tr);
-    }
-
-    // Use Wilder's smoothing
-    let atr = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
-
-    for (let i = period; i < trueRanges.length; i++) {
-      atr = ((atr * (period - 1)) + trueRanges[i]) / period;
-    }
-
-    const currentPrice = closes[closes.length - 1];
-    const atrPercent = (atr / currentPrice) * 100;
+// Patterns (with their hit rates), indicators, levels and decision for a
+// window whose last candle is the one analysed
+function analyzeWindow(key, displayName, candles) {
+  const latestCandle = candles[candles.length - 1];
+  const patterns = calibration.annotate(key, PatternRecognizer.analyzeCandle(latestCandle, candles.length - 1, candles));
+  const indicators = updateIndicators(key, candles);
+  const levels = SupportResistance.calculate(candles, { session: previousSession(displayName) });
+  const strategyDecisions = strategies.decideAll(patterns, latestCandle, candles, {
+    futures: dataStore.futures[displayName],
+    indicators,
+    levels
+  });
+  const decision = strategyDecisions[CONFIG.STRATEGY] || PatternRecognizer.generateDecision(patterns, latestCandle, candles, {
+    futures: dataStore.futures[displayName],
+    indicators,
+    levels
+  });
+  return { candleTime: latestCandle.t, patterns, decision, strategyDecisions, indicators, levels };
+}
 
-    let volatility = 'low';
-    if (atrPercent > 5) volatility = 'very_high';
-    else if (atrPercent > 3) volatility = 'high';
-    else if (atrPercent > 1.5) volatility = 'moderate';
+function getSignalState(key) {
+  if (!dataStore.signals[key]) dataStore.signals[key] = { confirmedAt: null, provisional: null, previewedAt: 0, history: [] };
+  return dataStore.signals[key];
+}
 
-    return {
-      atr: parseFloat(atr.toFixed(4)),
-      atrPercent: parseFloat(atrPercent.toFixed(2)),
-      volatility
-    };
+// Confirmed analysis of the closed candles, plus an intrabar preview when the
+// last candle is still forming. Only the confirmed result is acted on.
+function refreshSignals(key, displayName, timeframe) {
+  const candles = dataStore.candles[key];
+  const state = getSignalState(key);
+  const formingIndex = candles[candles.length - 1]?.isClosed ? candles.length : candles.length - 1;
+
+  // Catch logged signals up on any bars that closed while we were not watching
+  signalLog.track(displayName, timeframe, candles.slice(0, formingIndex));
+
+  if (formingIndex >= 3) {
+    const confirmed = analyzeWindow(key, displayName, candles.slice(0, formingIndex));
+    dataStore.patterns[key] = confirmed.patterns;
+    dataStore.decisions[key] = confirmed.decision;
+    dataStore.strategyDecisions[key] = confirmed.strategyDecisions;
+    dataStore.indicators[key] = confirmed.indicators;
+    dataStore.levels[key] = confirmed.levels;
+    state.confirmedAt = confirmed.candleTime;
   }
 
-  // ===========================================================================
-  // ELLIOTT WAVE DETECTION (Simplified)
-  // Identifies potential wave patterns: Impulse (5-wave) and Corrective (3-wave)
-  // ===========================================================================
-  static detectElliottWave(candles) {
-    if (candles.length < 30) return null;
-
-    const closes = candles.map(c => parseFloat(c.c));
-    const highs = candles.map(c => parseFloat(c.h));
-    const lows = candles.map(c => parseFloat(c.l));
-
-    // Find significant pivots (swing highs and lows)
-    const pivots = this.findPivots(highs, lows, closes, 5);
-
-    if (pivots.length < 5) return null;
+  state.provisional = formingIndex < candles.length && candles.length >= 3
+    ? previewSignal(key, displayName, candles)
+    : null;
+}
 
-    // Try to identify impulse wave (5-wave pattern)
-    const impulseWave = this.identifyImpulseWave(pivots, closes);
-    if (impulseWave) return impulseWave;
+function previewSignal(key, displayName, candles) {
+  const { candleTime, patterns, decision, strategyDecisions, indicators, levels } = analyzeWindow(key, displayName, candles);
+  dataStore.indicators[key] = indicators;
+  dataStore.levels[key] = levels;
+  getSignalState(key).previewedAt = Date.now();
+  return { candleTime, patterns, decision, strategyDecisions };
+}
 
-    // Try to identify corrective wave (ABC pattern)
-    const correctiveWave = this.identifyCorrectiveWave(pivots, closes);
-    if (correctiveWave) return correctiveWave;
+// A new forming candle is previewed straight away, later ticks of it at most
+// every PREVIEW_INTERVAL_MS
+function previewDue(state, candle) {
+  return state.provisional?.candleTime !== candle.t ||
+    Date.now() - state.previewedAt >= CONFIG.PREVIEW_INTERVAL_MS;
+}
 
-    return {
-      pattern: 'indeterminate',
-      description: 'No clear wave pattern detected',
-      confidence: 'low'
-    };
-  }
+// A candle closed: confirm its signals and log them if there is anything to act on
+function confirmSignals(key, displayName, timeframe, candles) {
+  // Resolve earlier patterns' outcomes on this bar and start tracking its own
+  calibration.update(key, candles);
+  const confirmed = analyzeWindow(key, displayName, candles);
+  const state = getSignalState(key);
+
+  dataStore.patterns[key] = confirmed.patterns;
+  dataStore.decisions[key] = confirmed.decision;
+  dataStore.strategyDecisions[key] = confirmed.strategyDecisions;
+  dataStore.indicators[key] = confirmed.indicators;
+  dataStore.levels[key] = confirmed.levels;
+  state.confirmedAt = confirmed.candleTime;
+
+  // Advance earlier signals on this bar before logging the new one
+  signalLog.track(displayName, timeframe, candles);
+  signalLog.record({ instrument: displayName, timeframe, ...confirmed });
+
+  paperAccount.onDecision(key, displayName, timeframe, confirmed.decision);
+  updateConfluence(displayName);
+
+  // Candle alerts fire on confirmed signals only, never on the intrabar preview
+  alertEngine.evaluateCandleUpdate({
+    instrument: displayName,
+    timeframe,
+    candle: candles[candles.length - 1],
+    patterns: confirmed.patterns,
+    decision: confirmed.decision
+  });
 
-  static findPivots(highs, lows, closes, strength = 5) {
-    const pivots = [];
+  if (confirmed.patterns.length === 0 && confirmed.decision.action === 'WAIT') return null;
+
+  const { decision } = confirmed;
+  const signal = {
+    candleTime: confirmed.candleTime,
+    confirmedAt: Date.now(),
+    // Divergences keep their swing points so the chart can draw them after the bar
+    patterns: confirmed.patterns.map(({ name, type, strength, divergence }) => ({
+      name, type, strength, ...(divergence && { divergence })
+    })),
+    action: decision.action,
+    confidence: decision.confidence,
+    entry: decision.entry,
+    stopLoss: decision.stopLoss,
+    target1: decision.target1
+  };
+  state.history.unshift(signal);
+  if (state.history.length > CONFIG.SIGNAL_HISTORY_SIZE) state.history.length = CONFIG.SIGNAL_HISTORY_SIZE;
+  return signal;
+}
 
-    for (let i = strength; i < closes.length - strength; i++) {
-      // Check for swing high
-      const isSwingHigh = highs.slice(i - strength, i).every(h => highs[i] > h) &&
-                          highs.slice(i + 1, i + strength + 1).every(h => highs[i] > h);
+// Merge a live candle into the in-memory window, re-run analysis and broadcast.
+// Closed candles confirm signals; forming candles only refresh the intrabar preview.
+function applyCandle(displayName, timeframe, candle, source) {
+  const key = `${displayName}_${timeframe}`;
+  if (dataStore.candles[key] === undefined) return;
 
-      // Check for swing low
-      const isSwingLow = lows.slice(i - strength, i).every(l => lows[i] < l) &&
-                         lows.slice(i + 1, i + strength + 1).every(l => lows[i] < l);
+  const existingIndex = dataStore.candles[key].findIndex(c => c.t === candle.t);
 
-      if (isSwingHigh) {
-        pivots.push({ index: i, type: 'high', value: highs[i] });
-      } else if (isSwingLow) {
-        pivots.push({ index: i, type: 'low', value: lows[i] });
-      }
+  if (existingIndex >= 0) {
+    dataStore.candles[key][existingIndex] = candle;
+  } else {
+    dataStore.candles[key].push(candle);
+    if (dataStore.candles[key].length > CONFIG.MAX_CANDLES) {
+      dataStore.candles[key].shift();
     }
-
-    return pivots;
   }
 
-  static identifyImpulseWave(pivots, closes) {
-    // Look for 5-wave impulse pattern in the last pivots
-    const recentPivots = pivots.slice(-6);
-    if (recentPivots.length < 5) return null;
-
-    // Bullish impulse: low-high-low-high-low-high (5 waves up)
-    // Wave 1: low to high, Wave 2: high to low (< Wave 1 start)
-    // Wave 3: low to high (> Wave 1 high), Wave 4: high to low (> Wave 1 low)
-    // Wave 5: low to high (may or may not exceed Wave 3)
-
-    for (let i = 0; i <= recentPivots.length - 5; i++) {
-      const p0 = recentPivots[i];
-      const p1 = recentPivots[i + 1];
-      const p2 = recentPivots[i + 2];
-      const p3 = recentPivots[i + 3];
-      const p4 = recentPivots[i + 4];
-
-      // Check for bullish impulse
-      if (p0.type === 'low' && p1.type === 'high' && p2.type === 'low' &&
-          p3.type === 'high' && p4.type === 'low') {
-
-        // Wave 2 cannot retrace more than 100% of Wave 1
-        if (p2.value > p0.value) {
-          // Wave 3 must exceed Wave 1 high
-          if (p3.value > p1.value) {
-            // Wave 4 cannot overlap Wave 1 territory
-            if (p4.value > p1.value) {
-              const currentPrice = closes[closes.length - 1];
-              const wave5Progress = (currentPrice - p4.value) / (p3.value - p4.value);
-
-              return {
-                pattern: 'bullish_impulse',
-                wave: wave5Progress > 0 ? 'Wave 5 in progress' : 'Wave 5 starting',
-                points: {
-                  wave1: { start: p0.value, end: p1.value },
-                  wave2: { start: p1.value, end: p2.value },
-                  wave3: { start: p2.value, end: p3.value },
-                  wave4: { start: p3.value, end: p4.value }
-                },
-                projection: p4.value + (p3.value - p2.value), // Wave 5 = Wave 3 (common)
-                confidence: 'medium',
-                description: 'Bullish 5-wave impulse detected - Wave 5 may target ' +
-                             (p4.value + (p3.value - p2.value)).toFixed(2)
-              };
-            }
-          }
-        }
-      }
+  dataStore.candles[key].sort((a, b) => a.t - b.t);
 
-      // Check for bearish impulse
-      if (p0.type === 'high' && p1.type === 'low' && p2.type === 'high' &&
-          p3.type === 'low' && p4.type === 'high') {
-
-        if (p2.value < p0.value && p3.value < p1.value && p4.value < p1.value) {
-          const currentPrice = closes[closes.length - 1];
-          const wave5Progress = (p4.value - currentPrice) / (p4.value - p3.value);
-
-          return {
-            pattern: 'bearish_impulse',
-            wave: wave5Progress > 0 ? 'Wave 5 in progress' : 'Wave 5 starting',
-            points: {
-              wave1: { start: p0.value, end: p1.value },
-              wave2: { start: p1.value, end: p2.value },
-              wave3: { start: p2.value, end: p3.value },
-              wave4: { start: p3.value, end: p4.value }
-            },
-            projection: p4.value - (p2.value - p3.value),
-            confidence: 'medium',
-            description: 'Bearish 5-wave impulse detected - Wave 5 may target ' +
-                         (p4.value - (p2.value - p3.value)).toFixed(2)
-          };
-        }
-      }
-    }
-
-    return null;
-  }
+  const allCandles = dataStore.candles[key];
+  if (allCandles.length < 3) return;
 
-  static identifyCorrectiveWave(pivots, closes) {
-    // Look for ABC correction pattern
-    const recentPivots = pivots.slice(-4);
-    if (recentPivots.length < 3) return null;
-
-    for (let i = 0; i <= recentPivots.length - 3; i++) {
-      const a = recentPivots[i];
-      const b = recentPivots[i + 1];
-      const c = recentPivots[i + 2];
-
-      // Bullish ABC correction (downward correction in uptrend)
-      if (a.type === 'high' && b.type === 'low' && c.type === 'high') {
-        // B wave should not exceed A
-        if (c.value < a.value && c.value > b.value) {
-          const currentPrice = closes[closes.length - 1];
-
-          return {
-            pattern: 'bullish_abc_correction',
-            wave: currentPrice < c.value ? 'C wave in progress' : 'Correction complete',
-            points: {
-              waveA: { start: a.value, end: b.value },
-              waveB: { start: b.value, end: c.value }
-            },
-            projection: c.value - (a.value - b.value), // C often equals A
-            confidence: 'medium',
-            description: 'ABC correction in uptrend - May resume bullish after ' +
-                         (c.value - (a.value - b.value)).toFixed(2)
-          };
-        }
-      }
+  const latestCandle = allCandles[allCandles.length - 1];
+  const state = getSignalState(key);
+  let signal = null;
 
-      // Bearish ABC correction (upward correction in downtrend)
-      if (a.type === 'low' && b.type === 'high' && c.type === 'low') {
-        if (c.value > a.value && c.value < b.value) {
-          const currentPrice = closes[closes.length - 1];
-
-          return {
-            pattern: 'bearish_abc_correction',
-            wave: currentPrice > c.value ? 'C wave in progress' : 'Correction complete',
-            points: {
-              waveA: { start: a.value, end: b.value },
-              waveB: { start: b.value, end: c.value }
-            },
-            projection: c.value + (b.value - a.value),
-            confidence: 'medium',
-            description: 'ABC correction in downtrend - May resume bearish after ' +
-                         (c.value + (b.value - a.value)).toFixed(2)
-          };
-        }
-      }
+  if (candle.isClosed) {
+    const closedIndex = allCandles.findIndex(c => c.t === candle.t);
+    if (closedIndex >= 2) {
+      signal = confirmSignals(key, displayName, timeframe, allCandles.slice(0, closedIndex + 1));
     }
-
-    return null;
   }
 
-  // ===========================================================================
-  // CALCULATE ALL INDICATORS FOR A CANDLE SET
-  // ===========================================================================
-  static calculateAll(candles) {
-    if (!candles || candles.length < 30) {
-      return null;
-    }
-
-    const closes = candles.map(c => parseFloat(c.c));
-    const highs = candles.map(c => parseFloat(c.h));
-    const lows = candles.map(c => parseFloat(c.l));
-    const volumes = candles.map(c => parseFloat(c.v));
-
-    return {
-      // Momentum
-      rsi: this.RSI(closes, 14),
-      macd: this.MACD(closes),
-      stochastic: this.Stochastic(highs, lows, closes),
-
-      // Trend
-      ema20: this.EMA(closes, 20),
-      ema50: this.EMA(closes, 50),
-      sma20: this.SMA(closes, 20),
-      adx: this.ADX(highs, lows, closes),
-
-      // Volatility
-      bollingerBands: this.BollingerBands(closes),
-      atr: this.ATR(highs, lows, closes),
-
-      // Volume
-      obv: this.OBV(closes, volumes),
-      volumeProfile: this.VolumeProfile(candles),
-
-      // Elliott Wave
-      elliottWave: this.detectElliottWave(candles),
-
-      // Summary
-      summary: this.generateSummary(closes, highs, lows)
-    };
+  if (latestCandle.isClosed) {
+    state.provisional = null;
+  } else if (candle.isClosed || previewDue(state, latestCandle)) {
+    state.provisional = previewSignal(key, displayName, allCandles);
   }
 
-  static generateSummary(closes, highs, lows) {
-    const rsi = this.RSI(closes, 14);
-    const macd = this.MACD(closes);
-    const stoch = this.Stochastic(highs, lows, closes);
-    const adx = this.ADX(highs, lows, closes);
-    const bb = this.BollingerBands(closes);
-
-    let bullishSignals = 0;
-    let bearishSignals = 0;
-
-    // RSI signals
-    if (rsi < 30) bullishSignals++;
-    else if (rsi > 70) bearishSignals++;
-
-    // MACD signals
-    if (macd?.trend === 'bullish' || macd?.trend === 'bullish_crossover') bullishSignals++;
-    else if (macd?.trend === 'bearish' || macd?.trend === 'bearish_crossover') bearishSignals++;
-
-    // Stochastic signals
-    if (stoch?.signal === 'oversold_reversal') bullishSignals++;
-    else if (stoch?.signal === 'overbought_reversal') bearishSignals++;
-
-    // ADX trend direction
-    if (adx?.direction === 'bullish' && adx?.trend !== 'weak') bullishSignals++;
-    else if (adx?.direction === 'bearish' && adx?.trend !== 'weak') bearishSignals++;
-
-    // Bollinger Bands
-    if (bb?.signal === 'oversold') bullishSignals++;
-    else if (bb?.signal === 'overbought') bearishSignals++;
-
-    // EMA crossover
-    const ema20 = this.EMA(closes, 20);
-    const ema50 = this.EMA(closes, 50);
-    if (ema20 > ema50) bullishSignals++;
-    else if (ema20 < ema50) bearishSignals++;
-
-    const total = bullishSignals + bearishSignals;
-    let sentiment = 'NEUTRAL';
-    let strength = 0;
-
-    if (total > 0) {
-      const ratio = bullishSignals / total;
-      if (ratio > 0.7) { sentiment = 'BULLISH'; strength = bullishSignals; }
-      else if (ratio < 0.3) { sentiment = 'BEARISH'; strength = bearishSignals; }
-      else { sentiment = 'MIXED'; strength = Math.max(bullishSignals, bearishSignals); }
-    }
-
-    return {
-      sentiment,
-      bullishSignals,
-      bearishSignals,
-      strength: `${strength}/${total || 1}`,
-      recommendation: sentiment === 'BULLISH' ? 'Consider LONG' :
-                      sentiment === 'BEARISH' ? 'Consider SHORT' : 'Wait for clarity'
-    };
-  }
+  broadcastToClients('candle_update', {
+    instrument: displayName,
+    timeframe,
+    source,
+    candle: latestCandle,
+    patterns: dataStore.patterns[key] || [],
+    decision: dataStore.decisions[key] || null,
+    strategyDecisions: dataStore.strategyDecisions[key] || {},
+    confirmedAt: state.confirmedAt,
+    provisional: state.provisional,
+    signal,
+    allCandles: allCandles.slice(-50)
+  });
 }
 
 // =============================================================================
-// PATTERN RECOGNITION ENGINE
+// COINBASE WEBSOCKET CONNECTION
 // =============================================================================
 
-class PatternRecognizer {
-  static analyzeCandle(candle, index, allCandles) {
-    const patterns = [];
-
-    const open = parseFloat(candle.o);
-    const high = parseFloat(candle.h);
-    const low = parseFloat(candle.l);
-    const close = parseFloat(candle.c);
-    const volume = parseFloat(candle.v);
-
-    const bodySize = Math.abs(close - open);
-    const upperWick = high - Math.max(open, close);
-    const lowerWick = Math.min(open, close) - low;
-    const totalRange = high - low;
-    const isBullish = close > open;
-
-    if (totalRange === 0) return patterns;
-
-    // Doji patterns
-    if (bodySize < totalRange * 0.1) {
-      if (upperWick > lowerWick * 2.5) {
-        patterns.push({
-          name: 'Gravestone Doji',
-          type: 'bearish',
-          strength: 'medium',
-          description: 'Strong rejection from highs - bearish reversal signal'
-        });
-      } else if (lowerWick > upperWick * 2.5) {
-        patterns.push({
-          name: 'Dragonfly Doji',
-          type: 'bullish',
-          strength: 'medium',
-          description: 'Strong rejection from lows - bullish reversal signal'
-        });
-      } else {
-        patterns.push({
-          name: 'Doji',
-          type: 'neutral',
-          strength: 'weak',
-          description: 'Market indecision - wait for confirmation'
-        });
-      }
-    }
-
-    // Hammer / Hanging Man
-    if (lowerWick > bodySize * 2 && upperWick < bodySize * 0.5 && bodySize > totalRange * 0.1) {
-      if (index >= 3) {
-        const prevCandles = allCandles.slice(Math.max(0, index - 3), index);
-        const avgClose = prevCandles.reduce((sum, c) => sum + parseFloat(c.c), 0) / prevCandles.length;
-        const isDowntrend = close < avgClose;
-
-        if (isDowntrend) {
-          patterns.push({
-            name: 'Hammer',
-            type: 'bullish',
-            strength: 'strong',
-            description: 'Bullish reversal - buyers defended the low aggressively'
-          });
-        } else {
-          patterns.push({
-            name: 'Hanging Man',
-            type: 'bearish',
-            strength: 'medium',
-            description: 'Warning signal after uptrend - potential reversal'
-          });
-        }
-      }
-    }
-
-    // Shooting Star / Inverted Hammer
-    if (upperWick > bodySize * 2 && lowerWick < bodySize * 0.5 && bodySize > totalRange * 0.1) {
-      if (index >= 3) {
-        const prevCandles = allCandles.slice(Math.max(0, index - 3), index);
-        const avgClose = prevCandles.reduce((sum, c) => sum + parseFloat(c.c), 0) / prevCandles.length;
-        const isUptrend = close > avgClose;
-
-        if (isUptrend) {
-          patterns.push({
-            name: 'Shooting Star',
-            type: 'bearish',
-            strength: 'strong',
-            description: 'Bearish reversal - sellers rejected the high aggressively'
-          });
-        } else {
-          patterns.push({
-            name: 'Inverted Hammer',
-            type: 'bullish',
-            strength: 'medium',
-            description: 'Potential bullish reversal after downtrend'
-          });
-        }
-      }
-    }
-
-    // Marubozu (strong momentum)
-    if (upperWick < totalRange * 0.05 && lowerWick < totalRange * 0.05 && bodySize > totalRange * 0.9) {
-      patterns.push({
-        name: isBullish ? 'Bullish Marubozu' : 'Bearish Marubozu',
-        type: isBullish ? 'bullish' : 'bearish',
-        strength: 'strong',
-        description: isBullish
-          ? 'Strong buying pressure - bulls in full control'
-          : 'Strong selling pressure - bears in full control'
-      });
-    }
-
-    // Engulfing patterns
-    if (index > 0) {
-      const prev = allCandles[index - 1];
-      const prevOpen = parseFloat(prev.o);
-      const prevClose = parseFloat(prev.c);
-      const prevBody = Math.abs(prevClose - prevOpen);
-      const prevBullish = prevClose > prevOpen;
-
-      if (bodySize > prevBody * 1.3) {
-        if (isBullish && !prevBullish && open <= prevClose && close >= prevOpen) {
-          patterns.push({
-            name: 'Bullish Engulfing',
-            type: 'bullish',
-            strength: 'strong',
-            description: 'Strong reversal signal - buyers overwhelmed sellers'
-          });
-        }
-        if (!isBullish && prevBullish && open >= prevClose && close <= prevOpen) {
-          patterns.push({
-            name: 'Bearish Engulfing',
-            type: 'bearish',
-            strength: 'strong',
-            description: 'Strong reversal signal - sellers overwhelmed buyers'
-          });
-        }
-      }
-    }
-
-    // Morning Star (3-candle bullish reversal)
-    if (index >= 2) {
-      const candle1 = allCandles[index - 2];
-      const candle2 = allCandles[index - 1];
-
-      const c1Body = Math.abs(parseFloat(candle1.c) - parseFloat(candle1.o));
-      const c2Body = Math.abs(parseFloat(candle2.c) - parseFloat(candle2.o));
-      const c3Body = bodySize;
-
-      const c1Bearish = parseFloat(candle1.c) < parseFloat(candle1.o);
-      const c3Bullish = isBullish;
-
-      if (c1Bearish && c2Body < c1Body * 0.3 && c3Bullish && c3Body > c1Body * 0.5) {
-        patterns.push({
-          name: 'Morning Star',
-          type: 'bullish',
-          strength: 'strong',
-          description: '3-candle bullish reversal - high probability setup'
-        });
-      }
-    }
-
-    // Evening Star (3-candle bearish reversal)
-    if (index >= 2) {
-      const candle1 = allCandles[index - 2];
-      const candle2 = allCandles[index - 1];
-
-      const c1Body = Math.abs(parseFloat(candle1.c) - parseFloat(candle1.o));
-      const c2Body = Math.abs(parseFloat(candle2.c) - parseFloat(candle2.o));
-      const c3Body = bodySize;
-
-      const c1Bullish = parseFloat(candle1.c) > parseFloat(candle1.o);
-      const c3Bearish = !isBullish;
-
-      if (c1Bullish && c2Body < c1Body * 0.3 && c3Bearish && c3Body > c1Body * 0.5) {
-        patterns.push({
-          name: 'Evening Star',
-          type: 'bearish',
-          strength: 'strong',
-          description: '3-candle bearish reversal - high probability setup'
-        });
-      }
-    }
-
-    // Volume analysis
-    if (index >= 5) {
-      const recentVolumes = allCandles.slice(index - 5, index).map(c => parseFloat(c.v));
-      const avgVolume = recentVolumes.reduce((a, b) => a + b, 0) / 5;
-
-      if (volume > avgVolume * 2) {
-        patterns.push({
-          name: 'High Volume',
-          type: 'confirmation',
-          strength: 'strong',
-          description: `Volume ${(volume / avgVolume).toFixed(1)}x average - confirms the move`
-        });
-      }
-    }
-
-    // =========================================================================
-    // ADVANCED CHART PATTERNS (Multi-bar patterns)
-    // =========================================================================
-
-    // Double Top Detection (bearish reversal)
-    const doubleTop = this.detectDoubleTop(index, allCandles);
-    if (doubleTop) patterns.push(doubleTop);
-
-    // Double Bottom Detection (bullish reversal)
-    const doubleBottom = this.detectDoubleBottom(index, allCandles);
-    if (doubleBottom) patterns.push(doubleBottom);
-
-    // Head and Shoulders Detection (bearish reversal)
-    const headShoulders = this.detectHeadAndShoulders(index, allCandles);
-    if (headShoulders) patterns.push(headShoulders);
-
-    // Inverse Head and Shoulders Detection (bullish reversal)
-    const inverseHS = this.detectInverseHeadAndShoulders(index, allCandles);
-    if (inverseHS) patterns.push(inverseHS);
+let coinbaseWs = null;
+let coinbaseReconnectTimeout = null;
 
-    // Rising Wedge Detection (bearish reversal)
-    const risingWedge = this.detectRisingWedge(index, allCandles);
-    if (risingWedge) patterns.push(risingWedge);
+function connectToCoinbase() {
+  console.log('🔌 Connecting to Coinbase WebSocket...');
 
-    // Falling Wedge Detection (bullish reversal)
-    const fallingWedge = this.detectFallingWedge(index, allCandles);
-    if (fallingWedge) patterns.push(fallingWedge);
+  coinbaseWs = new WebSocket(CONFIG.COINBASE_WS_URL);
 
-    // V-shaped Reversal Detection
-    const vReversal = this.detectVReversal(index, allCandles);
-    if (vReversal) patterns.push(vReversal);
+  coinbaseWs.on('open', () => {
+    console.log('✅ Coinbase connected');
 
-    return patterns;
-  }
+    // Ticker channel for prices, matches channel for trade-built candles
+    const productIds = instruments.list().map(i => i.coinbase).filter(Boolean);
+    coinbaseWs.send(JSON.stringify({
+      type: 'subscribe',
+      product_ids: [...productIds, CONFIG.USDT_RATE_SYMBOLS.coinbase],
+      channels: ['ticker']
+    }));
+    coinbaseWs.send(JSON.stringify({
+      type: 'subscribe',
+      product_ids: productIds,
+      channels: ['matches']
+    }));
+  });
 
-  // ===========================================================================
-  // DOUBLE TOP DETECTION
-  // Looks for two peaks at similar price levels with a trough between them
-  // ===========================================================================
-  static detectDoubleTop(index, allCandles) {
-    if (index < 15) return null; // Need at least 15 candles
-
-    const lookback = Math.min(30, index);
-    const candles = allCandles.slice(index - lookback, index + 1);
-    const highs = candles.map(c => parseFloat(c.h));
-    const closes = candles.map(c => parseFloat(c.c));
-
-    // Find local peaks (highs that are higher than neighbors)
-    const peaks = [];
-    for (let i = 2; i < highs.length - 2; i++) {
-      if (highs[i] > highs[i - 1] && highs[i] > highs[i - 2] &&
-          highs[i] > highs[i + 1] && highs[i] > highs[i + 2]) {
-        peaks.push({ index: i, value: highs[i] });
-      }
+  coinbaseWs.on('message', (data) => {
+    try {
+      const message = JSON.parse(data.toString());
+      handleCoinbaseMessage(message);
+    } catch (err) {
+      console.error('Coinbase parse error:', err.message);
     }
+  });
 
-    if (peaks.length < 2) return null;
-
-    // Check last two peaks for double top
-    const peak1 = peaks[peaks.length - 2];
-    const peak2 = peaks[peaks.length - 1];
-    const priceTolerance = peak1.value * 0.02; // 2% tolerance
-
-    // Peaks should be at similar levels
-    if (Math.abs(peak1.value - peak2.value) > priceTolerance) return null;
-
-    // Peaks should be separated by at least 5 candles
-    if (peak2.index - peak1.index < 5) return null;
-
-    // Find the trough between peaks
-    const troughCandles = highs.slice(peak1.index, peak2.index + 1);
-    const troughValue = Math.min(...troughCandles);
-    const neckline = troughValue;
+  coinbaseWs.on('error', (error) => {
+    console.error('❌ Coinbase error:', error.message);
+  });
 
-    // Current price should be breaking below neckline
-    const currentClose = closes[closes.length - 1];
-    if (currentClose < neckline) {
-      return {
-        name: 'Double Top',
-        type: 'bearish',
-        strength: 'strong',
-        description: `Double top at $${peak1.value.toFixed(2)} - neckline break confirms reversal`
-      };
-    }
+  coinbaseWs.on('close', () => {
+    console.log('🔌 Coinbase disconnected. Reconnecting...');
+    if (coinbaseReconnectTimeout) clearTimeout(coinbaseReconnectTimeout);
+    coinbaseReconnectTimeout = setTimeout(connectToCoinbase, CONFIG.RECONNECT_DELAY);
+  });
+}
 
-    // If price is near neckline, warn of potential breakdown
-    if (currentClose < neckline * 1.02) {
-      return {
-        name: 'Double Top Forming',
-        type: 'bearish',
-        strength: 'medium',
-        description: `Double top forming - watch for neckline break at $${neckline.toFixed(2)}`
-      };
+function handleCoinbaseMessage(message) {
+  if (message.type === 'match') {
+    const displayName = instruments.findBySymbol('coinbase', message.product_id)?.name;
+    if (displayName) {
+      candleBuilder.addTrade('coinbase', displayName, {
+        price: toUsdt(parseFloat(message.price)),
+        size: parseFloat(message.size),
+        time: Date.parse(message.time)
+      });
     }
-
-    return null;
+    return;
   }
 
-  // ===========================================================================
-  // DOUBLE BOTTOM DETECTION
-  // Looks for two troughs at similar price levels with a peak between them
-  // ===========================================================================
-  static detectDoubleBottom(index, allCandles) {
-    if (index < 15) return null;
-
-    const lookback = Math.min(30, index);
-    const candles = allCandles.slice(index - lookback, index + 1);
-    const lows = candles.map(c => parseFloat(c.l));
-    const closes = candles.map(c => parseFloat(c.c));
-
-    // Find local troughs
-    const troughs = [];
-    for (let i = 2; i < lows.length - 2; i++) {
-      if (lows[i] < lows[i - 1] && lows[i] < lows[i - 2] &&
-          lows[i] < lows[i + 1] && lows[i] < lows[i + 2]) {
-        troughs.push({ index: i, value: lows[i] });
-      }
-    }
-
-    if (troughs.length < 2) return null;
-
-    const trough1 = troughs[troughs.length - 2];
-    const trough2 = troughs[troughs.length - 1];
-    const priceTolerance = trough1.value * 0.02;
-
-    if (Math.abs(trough1.value - trough2.value) > priceTolerance) return null;
-    if (trough2.index - trough1.index < 5) return null;
-
-    // Find peak between troughs (neckline)
-    const neckline = Math.max(...candles.slice(trough1.index, trough2.index + 1).map(c => parseFloat(c.h)));
-
-    const currentClose = closes[closes.length - 1];
-    if (currentClose > neckline) {
-      return {
-        name: 'Double Bottom',
-        type: 'bullish',
-        strength: 'strong',
-        description: `Double bottom at $${trough1.value.toFixed(2)} - neckline break confirms reversal`
-      };
-    }
-
-    if (currentClose > neckline * 0.98) {
-      return {
-        name: 'Double Bottom Forming',
-        type: 'bullish',
-        strength: 'medium',
-        description: `Double bottom forming - watch for neckline break at $${neckline.toFixed(2)}`
-      };
-    }
+  if (message.type !== 'ticker') return;
 
-    return null;
+  if (message.product_id === CONFIG.USDT_RATE_SYMBOLS.coinbase) {
+    updateUsdtRate(parseFloat(message.price), 'Coinbase');
+    return;
   }
 
-  // ===========================================================================
-  // HEAD AND SHOULDERS DETECTION
-  // Classic bearish reversal: left shoulder, head (higher), right shoulder
-  // ===========================================================================
-  static detectHeadAndShoulders(index, allCandles) {
-    if (index < 20) return null;
-
-    const lookback = Math.min(40, index);
-    const candles = allCandles.slice(index - lookback, index + 1);
-    const highs = candles.map(c => parseFloat(c.h));
-    const closes = candles.map(c => parseFloat(c.c));
-
-    // Find peaks
-    const peaks = [];
-    for (let i = 3; i < highs.length - 3; i++) {
-      if (highs[i] >= Math.max(...highs.slice(i - 3, i)) &&
-          highs[i] >= Math.max(...highs.slice(i + 1, i + 4))) {
-        peaks.push({ index: i, value: highs[i] });
-      }
-    }
-
-    if (peaks.length < 3) return null;
-
-    // Check last 3 peaks for H&S pattern
-    for (let i = peaks.length - 3; i >= 0; i--) {
-      const leftShoulder = peaks[i];
-      const head = peaks[i + 1];
-      const rightShoulder = peaks[i + 2];
-
-      // Head must be higher than both shoulders
-      if (head.value <= leftShoulder.value || head.value <= rightShoulder.value) continue;
-
-      // Shoulders should be at similar levels (within 5%)
-      const shoulderTolerance = leftShoulder.value * 0.05;
-      if (Math.abs(leftShoulder.value - rightShoulder.value) > shoulderTolerance) continue;
-
-      // Find neckline (connect the lows between shoulders and head)
-      const lowBetweenLS_H = Math.min(...candles.slice(leftShoulder.index, head.index + 1).map(c => parseFloat(c.l)));
-      const lowBetweenH_RS = Math.min(...candles.slice(head.index, rightShoulder.index + 1).map(c => parseFloat(c.l)));
-      const neckline = Math.max(lowBetweenLS_H, lowBetweenH_RS);
+  const displayName = instruments.findBySymbol('coinbase', message.product_id)?.name;
 
-      const currentClose = closes[closes.length - 1];
-
-      if (currentClose < neckline) {
-        return {
-          name: 'Head & Shoulders',
-          type: 'bearish',
-          strength: 'strong',
-          description: `H&S pattern confirmed - neckline broken at $${neckline.toFixed(2)}`
-        };
-      }
-
-      if (currentClose < neckline * 1.02 && rightShoulder.index > peaks.length - 5) {
-        return {
-          name: 'Head & Shoulders Forming',
-          type: 'bearish',
-          strength: 'medium',
-          description: `H&S forming - neckline at $${neckline.toFixed(2)}`
-        };
-      }
-    }
-
-    return null;
+  if (displayName && message.price) {
+    recordQuote('coinbase', displayName, parseFloat(message.price) || 0, parseFloat(message.volume_24h) || null);
   }
+}
 
-  // ===========================================================================
-  // INVERSE HEAD AND SHOULDERS DETECTION
-  // Bullish reversal pattern
-  // ===========================================================================
-  static detectInverseHeadAndShoulders(index, allCandles) {
-    if (index < 20) return null;
-
-    const lookback = Math.min(40, index);
-    const candles = allCandles.slice(index - lookback, index + 1);
-    const lows = candles.map(c => parseFloat(c.l));
-    const closes = candles.map(c => parseFloat(c.c));
-
-    // Find troughs
-    const troughs = [];
-    for (let i = 3; i < lows.length - 3; i++) {
-      if (lows[i] <= Math.min(...lows.slice(i - 3, i)) &&
-          lows[i] <= Math.min(...lows.slice(i + 1, i + 4))) {
-        troughs.push({ index: i, value: lows[i] });
-      }
-    }
-
-    if (troughs.length < 3) return null;
-
-    for (let i = troughs.length - 3; i >= 0; i--) {
-      const leftShoulder = troughs[i];
-      const head = troughs[i + 1];
-      const rightShoulder = troughs[i + 2];
+// =============================================================================
+// KRAKEN WEBSOCKET CONNECTION
+// =============================================================================
 
-      // Head must be lower than both shoulders
-      if (head.value >= leftShoulder.value || head.value >= rightShoulder.value) continue;
+let krakenWs = null;
+let krakenReconnectTimeout = null;
 
-      // Shoulders at similar levels
-      const shoulderTolerance = leftShoulder.value * 0.05;
-      if (Math.abs(leftShoulder.value - rightShoulder.value) > shoulderTolerance) continue;
+function connectToKraken() {
+  console.log('🔌 Connecting to Kraken WebSocket...');
 
-      // Find neckline
-      const highBetweenLS_H = Math.max(...candles.slice(leftShoulder.index, head.index + 1).map(c => parseFloat(c.h)));
-      const highBetweenH_RS = Math.max(...candles.slice(head.index, rightShoulder.index + 1).map(c => parseFloat(c.h)));
-      const neckline = Math.min(highBetweenLS_H, highBetweenH_RS);
+  krakenWs = new WebSocket(CONFIG.KRAKEN_WS_URL);
 
-      const currentClose = closes[closes.length - 1];
+  krakenWs.on('open', () => {
+    console.log('✅ Kraken connected');
 
-      if (currentClose > neckline) {
-        return {
-          name: 'Inverse H&S',
-          type: 'bullish',
-          strength: 'strong',
-          description: `Inverse H&S confirmed - neckline broken at $${neckline.toFixed(2)}`
-        };
-      }
+    // Ticker channel for prices, trade channel for trade-built candles
+    const pairs = instruments.list().map(i => i.kraken).filter(Boolean);
+    krakenWs.send(JSON.stringify({
+      event: 'subscribe',
+      pair: [...pairs, CONFIG.USDT_RATE_SYMBOLS.kraken],
+      subscription: { name: 'ticker' }
+    }));
+    krakenWs.send(JSON.stringify({
+      event: 'subscribe',
+      pair: pairs,
+      subscription: { name: 'trade' }
+    }));
+  });
 
-      if (currentClose > neckline * 0.98 && rightShoulder.index > troughs.length - 5) {
-        return {
-          name: 'Inverse H&S Forming',
-          type: 'bullish',
-          strength: 'medium',
-          description: `Inverse H&S forming - neckline at $${neckline.toFixed(2)}`
-        };
-      }
+  krakenWs.on('message', (data) => {
+    try {
+      const message = JSON.parse(data.toString());
+      handleKrakenMessage(message);
+    } catch (err) {
+      console.error('Kraken parse error:', err.message);
     }
+  });
 
-    return null;
-  }
-
-  // ===========================================================================
-  // RISING WEDGE DETECTION
-  // Bearish pattern: converging trendlines with upward slope
-  // ===========================================================================
-  static detectRisingWedge(index, allCandles) {
-    if (index < 12) return null;
-
-    const lookback = Math.min(20, index);
-    const candles = allCandles.slice(index - lookback, index + 1);
-    const highs = candles.map(c => parseFloat(c.h));
-    const lows = candles.map(c => parseFloat(c.l));
-
-    // Calculate trendlines using linear regression
-    const highSlope = this.calculateSlope(highs);
-    const lowSlope = this.calculateSlope(lows);
-
-    // Rising wedge: both slopes positive, but lows rising faster than highs (converging)
-    if (highSlope > 0 && lowSlope > 0 && lowSlope > highSlope * 0.5) {
-      // Check for convergence
-      const firstRange = highs[0] - lows[0];
-      const lastRange = highs[highs.length - 1] - lows[lows.length - 1];
-
-      if (lastRange < firstRange * 0.7) {
-        // Check if price is near upper trendline (potential breakdown)
-        const currentHigh = highs[highs.length - 1];
-        const projectedHigh = highs[0] + highSlope * (highs.length - 1);
-
-        if (Math.abs(currentHigh - projectedHigh) / projectedHigh < 0.02) {
-          return {
-            name: 'Rising Wedge',
-            type: 'bearish',
-            strength: 'strong',
-            description: 'Rising wedge pattern - expect breakdown to the downside'
-          };
-        }
-      }
-    }
+  krakenWs.on('error', (error) => {
+    console.error('❌ Kraken error:', error.message);
+  });
 
-    return null;
-  }
+  krakenWs.on('close', () => {
+    console.log('🔌 Kraken disconnected. Reconnecting...');
+    if (krakenReconnectTimeout) clearTimeout(krakenReconnectTimeout);
+    krakenReconnectTimeout = setTimeout(connectToKraken, CONFIG.RECONNECT_DELAY);
+  });
+}
 
-  // ===========================================================================
-  // FALLING WEDGE DETECTION
-  // Bullish pattern: converging trendlines with downward slope
-  // ===========================================================================
-  static detectFallingWedge(index, allCandles) {
-    if (index < 12) return null;
-
-    const lookback = Math.min(20, index);
-    const candles = allCandles.slice(index - lookback, index + 1);
-    const highs = candles.map(c => parseFloat(c.h));
-    const lows = candles.map(c => parseFloat(c.l));
-
-    const highSlope = this.calculateSlope(highs);
-    const lowSlope = this.calculateSlope(lows);
-
-    // Falling wedge: both slopes negative, but highs falling faster than lows (converging)
-    if (highSlope < 0 && lowSlope < 0 && highSlope < lowSlope * 0.5) {
-      const firstRange = highs[0] - lows[0];
-      const lastRange = highs[highs.length - 1] - lows[lows.length - 1];
-
-      if (lastRange < firstRange * 0.7) {
-        const currentLow = lows[lows.length - 1];
-        const projectedLow = lows[0] + lowSlope * (lows.length - 1);
-
-        if (Math.abs(currentLow - projectedLow) / projectedLow < 0.02) {
-          return {
-            name: 'Falling Wedge',
-            type: 'bullish',
-            strength: 'strong',
-            description: 'Falling wedge pattern - expect breakout to the upside'
-          };
-        }
-      }
-    }
+function handleKrakenMessage(message) {
+  // Kraken sends arrays for channel data: [channelID, data, channelName, pair]
+  if (!Array.isArray(message) || message.length < 4) return;
 
-    return null;
-  }
+  const tickerData = message[1];
+  const channelName = message[2];
+  const pair = message[3];
 
-  // ===========================================================================
-  // V-SHAPED REVERSAL DETECTION
-  // Sharp reversal with high momentum (common in crypto due to liquidations)
-  // ===========================================================================
-  static detectVReversal(index, allCandles) {
-    if (index < 10) return null;
-
-    const lookback = Math.min(15, index);
-    const candles = allCandles.slice(index - lookback, index + 1);
-    const closes = candles.map(c => parseFloat(c.c));
-    const volumes = candles.map(c => parseFloat(c.v));
-
-    // Find the pivot point (lowest or highest point)
-    const minIndex = closes.indexOf(Math.min(...closes));
-    const maxIndex = closes.indexOf(Math.max(...closes));
-
-    // V-Bottom (bullish): sharp drop followed by sharp recovery
-    if (minIndex > 2 && minIndex < closes.length - 3) {
-      const dropBefore = closes.slice(0, minIndex + 1);
-      const recoveryAfter = closes.slice(minIndex);
-
-      const dropPercent = (dropBefore[0] - dropBefore[dropBefore.length - 1]) / dropBefore[0] * 100;
-      const recoveryPercent = (recoveryAfter[recoveryAfter.length - 1] - recoveryAfter[0]) / recoveryAfter[0] * 100;
-
-      // Sharp drop (>5%) followed by strong recovery (>70% of the drop)
-      if (dropPercent > 5 && recoveryPercent > dropPercent * 0.7) {
-        // Check for volume spike at pivot
-        const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-        const pivotVolume = volumes[minIndex];
-
-        if (pivotVolume > avgVolume * 1.5) {
-          return {
-            name: 'V-Bottom Reversal',
-            type: 'bullish',
-            strength: 'strong',
-            description: `Sharp V-reversal from $${closes[minIndex].toFixed(2)} - momentum buying`
-          };
-        }
-      }
-    }
+  // Trade format: [[price, volume, time (seconds), side, orderType, misc], ...]
+  if (channelName === 'trade') {
+    const displayName = instruments.findBySymbol('kraken', pair)?.name;
+    if (!displayName || !Array.isArray(tickerData)) return;
 
-    // Inverted V-Top (bearish): sharp rally followed by sharp selloff
-    if (maxIndex > 2 && maxIndex < closes.length - 3) {
-      const rallyBefore = closes.slice(0, maxIndex + 1);
-      const selloffAfter = closes.slice(maxIndex);
-
-      const rallyPercent = (rallyBefore[rallyBefore.length - 1] - rallyBefore[0]) / rallyBefore[0] * 100;
-      const selloffPercent = (selloffAfter[0] - selloffAfter[selloffAfter.length - 1]) / selloffAfter[0] * 100;
-
-      if (rallyPercent > 5 && selloffPercent > rallyPercent * 0.7) {
-        const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-        const pivotVolume = volumes[maxIndex];
-
-        if (pivotVolume > avgVolume * 1.5) {
-          return {
-            name: 'V-Top Reversal',
-            type: 'bearish',
-            strength: 'strong',
-            description: `Sharp V-top reversal from $${closes[maxIndex].toFixed(2)} - momentum selling`
-          };
-        }
-      }
+    for (const [price, volume, time] of tickerData) {
+      candleBuilder.addTrade('kraken', displayName, {
+        price: toUsdt(parseFloat(price)),
+        size: parseFloat(volume),
+        time: Math.round(parseFloat(time) * 1000)
+      });
     }
-
-    return null;
+    return;
   }
 
-  // Helper: Calculate slope using simple linear regression
-  static calculateSlope(values) {
-    const n = values.length;
-    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-
-    for (let i = 0; i < n; i++) {
-      sumX += i;
-      sumY += values[i];
-      sumXY += i * values[i];
-      sumX2 += i * i;
-    }
+  if (!tickerData || !tickerData.c) return;
 
-    return (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+  if (pair === CONFIG.USDT_RATE_SYMBOLS.kraken) {
+    updateUsdtRate(parseFloat(tickerData.c[0]), 'Kraken');
+    return;
   }
 
-  static generateDecision(patterns, candle, allCandles) {
-    // Calculate technical indicators for enhanced decision making
-    const indicators = allCandles.length >= 30 ? TechnicalIndicators.calculateAll(allCandles) : null;
-
-    if (!patterns || patterns.length === 0) {
-      // Even without patterns, check indicator signals
-      if (indicators?.summary) {
-        const summary = indicators.summary;
-        if (summary.sentiment !== 'NEUTRAL' && summary.sentiment !== 'MIXED') {
-          return {
-            action: 'WAIT',
-            confidence: 'low',
-            entry: null,
-            stopLoss: null,
-            target1: null,
-            target2: null,
-            riskReward: null,
-            reasoning: [
-              'No clear candlestick pattern',
-              `Indicators suggest ${summary.sentiment} bias (${summary.strength})`,
-              summary.recommendation
-            ],
-            indicatorSignals: this.getIndicatorSignals(indicators)
-          };
-        }
-      }
-      return {
-        action: 'WAIT',
-        confidence: 'none',
-        entry: null,
-        stopLoss: null,
-        target1: null,
-        target2: null,
-        riskReward: null,
-        reasoning: ['No clear pattern detected', 'Wait for setup'],
-        indicatorSignals: indicators ? this.getIndicatorSignals(indicators) : null
-      };
-    }
-
-    const high = parseFloat(candle.h);
-    const low = parseFloat(candle.l);
-    const range = high - low;
-
-    const strongBullish = patterns.some(p => p.type === 'bullish' && p.strength === 'strong');
-    const strongBearish = patterns.some(p => p.type === 'bearish' && p.strength === 'strong');
-    const hasVolumeConfirm = patterns.some(p => p.name === 'High Volume');
-    const mediumBullish = patterns.some(p => p.type === 'bullish' && p.strength === 'medium');
-    const mediumBearish = patterns.some(p => p.type === 'bearish' && p.strength === 'medium');
-
-    // Check if indicators align with patterns
-    let indicatorBoost = false;
-    let indicatorConflict = false;
-
-    if (indicators?.summary) {
-      const sentiment = indicators.summary.sentiment;
-      if ((strongBullish || mediumBullish) && sentiment === 'BULLISH') {
-        indicatorBoost = true;
-      } else if ((strongBearish || mediumBearish) && sentiment === 'BEARISH') {
-        indicatorBoost = true;
-      } else if ((strongBullish || mediumBullish) && sentiment === 'BEARISH') {
-        indicatorConflict = true;
-      } else if ((strongBearish || mediumBearish) && sentiment === 'BULLISH') {
-        indicatorConflict = true;
-      }
-    }
-
-    let decision = {
-      action: 'WAIT',
-      confidence: 'low',
-      entry: null,
-      stopLoss: null,
-      target1: null,
-      target2: null,
-      target3: null,
-      riskReward: null,
-      reasoning: [],
-      indicatorSignals: indicators ? this.getIndicatorSignals(indicators) : null
-    };
-
-    if (strongBullish || (mediumBullish && hasVolumeConfirm) || (mediumBullish && indicatorBoost)) {
-      const entry = high + (range * 0.01);
-
-      // Use ATR for dynamic stop loss if available
-      let stopLoss;
-      if (indicators?.atr) {
-        stopLoss = low - (indicators.atr.atr * 1.5);
-      } else {
-        stopLoss = low - (range * 0.15);
-      }
-
-      const risk = entry - stopLoss;
-      const target1 = entry + risk * 1.5;
-      const target2 = entry + risk * 2.5;
-      const target3 = entry + risk * 4;
-
-      // Determine confidence level
-      let confidence = 'low';
-      if (strongBullish && hasVolumeConfirm && indicatorBoost) confidence = 'high';
-      else if (strongBullish && (hasVolumeConfirm || indicatorBoost)) confidence = 'high';
-      else if (strongBullish) confidence = 'medium';
-      else if (mediumBullish && (hasVolumeConfirm || indicatorBoost)) confidence = 'medium';
-
-      // Reduce confidence if indicators conflict
-      if (indicatorConflict) {
-        confidence = confidence === 'high' ? 'medium' : 'low';
-      }
-
-      const reasoning = [
-        patterns.find(p => p.type === 'bullish')?.description || 'Bullish pattern detected',
-        hasVolumeConfirm ? '✓ Volume confirms the move' : '⚠ Wait for volume confirmation',
-      ];
-
-      // Add indicator reasoning
-      if (indicators) {
-        if (indicatorBoost) reasoning.push('✓ Indicators align with bullish signal');
-        if (indicatorConflict) reasoning.push('⚠ Indicators show conflicting bearish signals');
-        if (indicators.rsi !== null) {
-          if (indicators.rsi < 30) reasoning.push(`✓ RSI oversold (${indicators.rsi.toFixed(1)}) - good entry`);
-          else if (indicators.rsi > 70) reasoning.push(`⚠ RSI overbought (${indicators.rsi.toFixed(1)}) - caution`);
-        }
-        if (indicators.macd?.trend === 'bullish_crossover') {
-          reasoning.push('✓ MACD bullish crossover');
-        }
-      }
-
-      reasoning.push('Entry: Break above candle high');
-      reasoning.push(`Risk: ${((risk / entry) * 100).toFixed(2)}% to stop loss`);
-
-      decision = {
-        action: 'LONG',
-        confidence,
-        entry: parseFloat(entry.toFixed(2)),
-        stopLoss: parseFloat(stopLoss.toFixed(2)),
-        target1: parseFloat(target1.toFixed(2)),
-        target2: parseFloat(target2.toFixed(2)),
-        target3: parseFloat(target3.toFixed(2)),
-        riskReward: '1:2.5',
-        reasoning,
-        indicatorSignals: indicators ? this.getIndicatorSignals(indicators) : null
-      };
-    } else if (strongBearish || (mediumBearish && hasVolumeConfirm) || (mediumBearish && indicatorBoost)) {
-      const entry = low - (range * 0.01);
-
-      // Use ATR for dynamic stop loss if available
-      let stopLoss;
-      if (indicators?.atr) {
-        stopLoss = high + (indicators.atr.atr * 1.5);
-      } else {
-        stopLoss = high + (range * 0.15);
-      }
-
-      const risk = stopLoss - entry;
-      const target1 = entry - risk * 1.5;
-      const target2 = entry - risk * 2.5;
-      const target3 = entry - risk * 4;
-
-      // Determine confidence level
-      let confidence = 'low';
-      if (strongBearish && hasVolumeConfirm && indicatorBoost) confidence = 'high';
-      else if (strongBearish && (hasVolumeConfirm || indicatorBoost)) confidence = 'high';
-      else if (strongBearish) confidence = 'medium';
-      else if (mediumBearish && (hasVolumeConfirm || indicatorBoost)) confidence = 'medium';
-
-      // Reduce confidence if indicators conflict
-      if (indicatorConflict) {
-        confidence = confidence === 'high' ? 'medium' : 'low';
-      }
-
-      const reasoning = [
-        patterns.find(p => p.type === 'bearish')?.description || 'Bearish pattern detected',
-        hasVolumeConfirm ? '✓ Volume confirms the move' : '⚠ Wait for volume confirmation',
-      ];
-
-      // Add indicator reasoning
-      if (indicators) {
-        if (indicatorBoost) reasoning.push('✓ Indicators align with bearish signal');
-        if (indicatorConflict) reasoning.push('⚠ Indicators show conflicting bullish signals');
-        if (indicators.rsi !== null) {
-          if (indicators.rsi > 70) reasoning.push(`✓ RSI overbought (${indicators.rsi.toFixed(1)}) - good entry`);
-          else if (indicators.rsi < 30) reasoning.push(`⚠ RSI oversold (${indicators.rsi.toFixed(1)}) - caution`);
-        }
-        if (indicators.macd?.trend === 'bearish_crossover') {
-          reasoning.push('✓ MACD bearish crossover');
-        }
-      }
-
-      reasoning.push('Entry: Break below candle low');
-      reasoning.push(`Risk: ${((risk / entry) * 100).toFixed(2)}% to stop loss`);
-
-      decision = {
-        action: 'SHORT',
-        confidence,
-        entry: parseFloat(entry.toFixed(2)),
-        stopLoss: parseFloat(stopLoss.toFixed(2)),
-        target1: parseFloat(target1.toFixed(2)),
-        target2: parseFloat(target2.toFixed(2)),
-        target3: parseFloat(target3.toFixed(2)),
-        riskReward: '1:2.5',
-        reasoning,
-        indicatorSignals: indicators ? this.getIndicatorSignals(indicators) : null
-      };
-    } else {
-      decision.reasoning = [
-        'Pattern detected but not strong enough',
-        'Wait for confirmation or stronger setup'
-      ];
-      if (indicators?.summary) {
-        decision.reasoning.push(`Indicator sentiment: ${indicators.summary.sentiment} (${indicators.summary.strength})`);
-      }
-    }
-
-    return decision;
-  }
+  const displayName = instruments.findBySymbol('kraken', pair)?.name;
 
-  // Helper to extract key indicator signals for the decision
-  static getIndicatorSignals(indicators) {
-    if (!indicators) return null;
-
-    return {
-      rsi: indicators.rsi !== null ? {
-        value: parseFloat(indicators.rsi.toFixed(1)),
-        signal: indicators.rsi < 30 ? 'oversold' : indicators.rsi > 70 ? 'overbought' : 'neutral'
-      } : null,
-      macd: indicators.macd ? {
-        trend: indicators.macd.trend,
-        histogram: indicators.macd.histogram
-      } : null,
-      stochastic: indicators.stochastic ? {
-        k: indicators.stochastic.k,
-        d: indicators.stochastic.d,
-        signal: indicators.stochastic.signal
-      } : null,
-      adx: indicators.adx ? {
-        value: indicators.adx.adx,
-        trend: indicators.adx.trend,
-        direction: indicators.adx.direction
-      } : null,
-      bollingerBands: indicators.bollingerBands ? {
-        signal: indicators.bollingerBands.signal,
-        percentB: indicators.bollingerBands.percentB
-      } : null,
-      obv: indicators.obv ? {
-        trend: indicators.obv.trend
-      } : null,
-      elliottWave: indicators.elliottWave ? {
-        pattern: indicators.elliottWave.pattern,
-        wave: indicators.elliottWave.wave,
-        projection: indicators.elliottWave.projection
-      } : null,
-      summary: indicators.summary
-    };
+  if (displayName) {
+    // Kraken ticker format: c = close [price, lot volume], v = volume [today, last 24h]
+    const price = parseFloat(tickerData.c[0]) || 0;
+    const volume = tickerData.v ? parseFloat(tickerData.v[1]) || null : null;
+    recordQuote('kraken', displayName, price, volume);
   }
 }
 
 // =============================================================================
-// BINANCE WEBSOCKET CONNECTION
+// BINANCE USDⓈ-M FUTURES CONNECTION
+// Mark price + funding, liquidations and open interest
 // =============================================================================
 
-let binanceWs = null;
-let binanceReconnectTimeout = null;
-
-function connectToBinance() {
-  console.log('🔌 Connecting to Binance WebSocket...');
+let futuresWs = null;
+let futuresReconnectTimeout = null;
+let openInterestInterval = null;
+const lastFuturesBroadcast = {};
 
-  const streams = [];
-  CONFIG.INSTRUMENTS.forEach(instrument => {
-    const symbol = instrument.toLowerCase();
-    streams.push(`${symbol}@ticker`);
-    CONFIG.TIMEFRAMES.forEach(tf => {
-      streams.push(`${symbol}@kline_${tf}`);
-    });
-  });
+function connectToBinanceFutures() {
+  console.log('🔌 Connecting to Binance Futures WebSocket...');
 
-  const streamUrl = `wss://stream.binance.com:9443/stream?streams=${streams.join('/')}`;
-  binanceWs = new WebSocket(streamUrl);
+  const streams = instruments.list().flatMap(getFuturesStreams);
+  futuresWs = new WebSocket(`${CONFIG.FUTURES_WS_URL}/stream?streams=${streams.join('/')}`);
 
-  binanceWs.on('open', () => {
-    console.log('✅ Binance connected');
-    fetchAllHistoricalData();
+  futuresWs.on('open', () => {
+    console.log('✅ Binance Futures connected');
+    pollOpenInterest();
+    if (!openInterestInterval) {
+      openInterestInterval = setInterval(pollOpenInterest, CONFIG.OPEN_INTEREST_POLL_MS);
+    }
   });
 
-  binanceWs.on('message', (data) => {
+  futuresWs.on('message', (data) => {
     try {
       const message = JSON.parse(data.toString());
-      handleBinanceMessage(message);
+      handleBinanceFuturesMessage(message);
     } catch (err) {
-      console.error('Binance parse error:', err.message);
+      console.error('Binance Futures parse error:', err.message);
     }
   });
 
-  binanceWs.on('error', (error) => {
-    console.error('❌ Binance error:', error.message);
+  futuresWs.on('error', (error) => {
+    console.error('❌ Binance Futures error:', error.message);
   });
 
-  binanceWs.on('close', () => {
-    console.log('🔌 Binance disconnected. Reconnecting...');
-    if (binanceReconnectTimeout) clearTimeout(binanceReconnectTimeout);
-    binanceReconnectTimeout = setTimeout(connectToBinance, CONFIG.RECONNECT_DELAY);
+  futuresWs.on('close', () => {
+    console.log('🔌 Binance Futures disconnected. Reconnecting...');
+    if (futuresReconnectTimeout) clearTimeout(futuresReconnectTimeout);
+    futuresReconnectTimeout = setTimeout(connectToBinanceFutures, CONFIG.RECONNECT_DELAY);
   });
 }
 
-function handleBinanceMessage(message) {
+function getFuturesStreams(instrument) {
+  const symbol = instrument.binance.toLowerCase();
+  return [`${symbol}@markPrice@1s`, `${symbol}@forceOrder`];
+}
+
+function handleBinanceFuturesMessage(message) {
   if (!message.stream || !message.data) return;
 
-  const stream = message.stream;
   const data = message.data;
 
-  if (stream.endsWith('@ticker')) {
-    const symbol = data.s;
-    const displayName = CONFIG.INSTRUMENT_DISPLAY[symbol];
+  if (data.e === 'markPriceUpdate') {
+    const displayName = instruments.findBySymbol('binance', data.s)?.name;
+    if (!displayName) return;
 
-    if (displayName) {
-      const price = parseFloat(data.c) || 0;
-      dataStore.exchangePrices.binance[displayName] = price;
+    const futures = dataStore.futures[displayName];
+    futures.markPrice = parseFloat(data.p) || null;
+    futures.indexPrice = parseFloat(data.i) || null;
+    futures.fundingRate = data.r !== '' ? parseFloat(data.r) : null;
+    futures.nextFundingTime = data.T || null;
+    futures.updatedAt = data.E;
 
-      // Store additional data from Binance (it has the most complete data)
-      const ticker = dataStore.tickers[displayName];
-      ticker.high24h = parseFloat(data.h) || 0;
-      ticker.low24h = parseFloat(data.l) || 0;
-      ticker.volume = parseFloat(data.v) || 0;
-      ticker.change = parseFloat(data.P) || 0;
+    broadcastFutures(displayName, false);
+  }
 
-      updateAggregatedTicker(displayName);
+  if (data.e === 'forceOrder') {
+    const order = data.o;
+    const displayName = instruments.findBySymbol('binance', order.s)?.name;
+    if (!displayName) return;
+
+    const price = parseFloat(order.ap) || parseFloat(order.p);
+    const quantity = parseFloat(order.z) || parseFloat(order.q);
+    const futures = dataStore.futures[displayName];
+
+    // A liquidation SELL order closes a long position, a BUY closes a short
+    futures.liquidations.push({
+      side: order.S === 'SELL' ? 'long' : 'short',
+      price,
+      quantity,
+      value: price * quantity,
+      time: order.T
+    });
+    if (futures.liquidations.length > CONFIG.MAX_LIQUIDATIONS) {
+      futures.liquidations.shift();
     }
-  }
 
-  if (stream.includes('@kline_')) {
-    const symbol = data.s;
-    const displayName = CONFIG.INSTRUMENT_DISPLAY[symbol];
-    const kline = data.k;
-    const timeframe = kline.i;
-    const key = `${displayName}_${timeframe}`;
+    broadcastFutures(displayName, true);
+  }
+}
 
-    if (displayName && dataStore.candles[key] !== undefined) {
-      const candle = {
-        t: kline.t,
-        o: kline.o,
-        h: kline.h,
-        l: kline.l,
-        c: kline.c,
-        v: kline.v,
-        T: kline.T,
-        isClosed: kline.x
-      };
+async function pollOpenInterest() {
+  for (const { name: displayName, binance: instrument } of instruments.list()) {
+    try {
+      const data = await httpsGet(`${CONFIG.FUTURES_REST_URL}/fapi/v1/openInterest?symbol=${instrument}`);
+      const futures = dataStore.futures[displayName];
+      if (!data || data.openInterest === undefined || !futures) continue;
 
-      const existingIndex = dataStore.candles[key].findIndex(c => c.t === candle.t);
+      const openInterest = parseFloat(data.openInterest);
+      const now = data.time || Date.now();
 
-      if (existingIndex >= 0) {
-        dataStore.candles[key][existingIndex] = candle;
-      } else {
-        dataStore.candles[key].push(candle);
-        if (dataStore.candles[key].length > 100) {
-          dataStore.candles[key].shift();
-        }
-      }
+      futures.openInterest = openInterest;
+      futures.openInterestValue = futures.markPrice ? openInterest * futures.markPrice : null;
 
-      dataStore.candles[key].sort((a, b) => a.t - b.t);
+      // Keep an hour of samples to measure OI and price change
+      futures.openInterestHistory.push({ t: now, oi: openInterest, price: futures.markPrice });
+      futures.openInterestHistory = futures.openInterestHistory.filter(s => s.t >= now - 60 * 60 * 1000);
 
-      const allCandles = dataStore.candles[key];
-      if (allCandles.length >= 3) {
-        const latestCandle = allCandles[allCandles.length - 1];
-        const patterns = PatternRecognizer.analyzeCandle(latestCandle, allCandles.length - 1, allCandles);
-        dataStore.patterns[key] = patterns;
-        dataStore.decisions[key] = PatternRecognizer.generateDecision(patterns, latestCandle, allCandles);
+      const oldest = futures.openInterestHistory[0];
+      futures.openInterestChange = oldest.oi > 0 ? ((openInterest - oldest.oi) / oldest.oi) * 100 : null;
+      futures.priceChange = oldest.price && futures.markPrice
+        ? ((futures.markPrice - oldest.price) / oldest.price) * 100
+        : null;
 
-        broadcastToClients('candle_update', {
-          instrument: displayName,
-          timeframe,
-          candle: latestCandle,
-          patterns,
-          decision: dataStore.decisions[key],
-          allCandles: allCandles.slice(-50)
-        });
-      }
+      broadcastFutures(displayName, true);
+    } catch (err) {
+      console.error(`Open interest error (${instrument}):`, err.message);
     }
   }
 }
 
+// Mark price ticks every second, so routine updates are throttled per instrument
+function broadcastFutures(displayName, force) {
+  const now = Date.now();
+  if (!force && now - (lastFuturesBroadcast[displayName] || 0) < 5000) return;
+  lastFuturesBroadcast[displayName] = now;
+
+  const { openInterestHistory, ...futures } = dataStore.futures[displayName];
+  broadcastToClients('futures', {
+    instrument: displayName,
+    ...futures,
+    liquidations: futures.liquidations.slice(-20)
+  });
+}
+
 // =============================================================================
-// COINBASE WEBSOCKET CONNECTION
+// TRADE-BUILT CANDLE FALLBACK
+// When an instrument's Binance klines go quiet, the composite Coinbase/Kraken
+// candles take over the live window until Binance resumes.
 // =============================================================================
 
-let coinbaseWs = null;
-let coinbaseReconnectTimeout = null;
+let candleFallbackInterval = null;
+const lastFallbackPush = {};
 
-function connectToCoinbase() {
-  console.log('🔌 Connecting to Coinbase WebSocket...');
+function isBinanceCandleStale(displayName) {
+  return Date.now() - (dataStore.lastBinanceKline[displayName] || 0) > CONFIG.CANDLE_FALLBACK_MS;
+}
 
-  coinbaseWs = new WebSocket('wss://ws-feed.exchange.coinbase.com');
+candleBuilder.on('candle', ({ source, instrument, timeframe, candle }) => {
+  if (source !== COMPOSITE || !isBinanceCandleStale(instrument)) return;
+  applyCandle(instrument, timeframe, candle, COMPOSITE);
+});
 
-  coinbaseWs.on('open', () => {
-    console.log('✅ Coinbase connected');
+function startCandleFallback() {
+  candleFallbackInterval = setInterval(() => {
+    candleBuilder.flush();
 
-    // Subscribe to ticker channel
-    const productIds = Object.values(CONFIG.COINBASE_SYMBOLS);
-    coinbaseWs.send(JSON.stringify({
-      type: 'subscribe',
-      product_ids: productIds,
-      channels: ['ticker']
-    }));
-  });
+    for (const displayName of instruments.names()) {
+      if (!isBinanceCandleStale(displayName) || !candleBuilder.hasTrades(COMPOSITE, displayName)) continue;
 
-  coinbaseWs.on('message', (data) => {
-    try {
-      const message = JSON.parse(data.toString());
-      handleCoinbaseMessage(message);
-    } catch (err) {
-      console.error('Coinbase parse error:', err.message);
-    }
-  });
+      if (dataStore.candleSources[displayName] !== COMPOSITE) {
+        console.log(`⚠️ ${displayName}: no Binance klines for ${CONFIG.CANDLE_FALLBACK_MS / 1000}s - using Coinbase/Kraken trade candles`);
+        dataStore.candleSources[displayName] = COMPOSITE;
+      }
 
-  coinbaseWs.on('error', (error) => {
-    console.error('❌ Coinbase error:', error.message);
-  });
+      // Push forming bars once a second, like the Binance kline stream
+      for (const tf of CONFIG.TIMEFRAMES) {
+        const forming = candleBuilder.getForming(COMPOSITE, displayName, tf);
+        const pushKey = `${displayName}_${tf}`;
+        if (!forming || lastFallbackPush[pushKey] === `${forming.t}:${forming.c}:${forming.v}`) continue;
 
-  coinbaseWs.on('close', () => {
-    console.log('🔌 Coinbase disconnected. Reconnecting...');
-    if (coinbaseReconnectTimeout) clearTimeout(coinbaseReconnectTimeout);
-    coinbaseReconnectTimeout = setTimeout(connectToCoinbase, CONFIG.RECONNECT_DELAY);
-  });
+        lastFallbackPush[pushKey] = `${forming.t}:${forming.c}:${forming.v}`;
+        applyCandle(displayName, tf, forming, COMPOSITE);
+      }
+    }
+  }, 1000);
 }
 
-function handleCoinbaseMessage(message) {
-  if (message.type !== 'ticker') return;
+// =============================================================================
+// ORDER BOOK LIQUIDITY
+// Imbalance, slippage and walls near each timeframe's decision entry/stop,
+// broadcast on a timer rather than on every depth update.
+// =============================================================================
 
-  const productId = message.product_id;
+let orderBookInterval = null;
 
-  // Find the display name for this product
-  let displayName = null;
-  for (const [display, coinbaseSymbol] of Object.entries(CONFIG.COINBASE_SYMBOLS)) {
-    if (coinbaseSymbol === productId) {
-      displayName = display;
-      break;
-    }
+function getLiquidity(displayName) {
+  const levels = {};
+  for (const tf of CONFIG.TIMEFRAMES) {
+    const decision = dataStore.decisions[`${displayName}_${tf}`];
+    if (decision?.entry) levels[tf] = { entry: decision.entry, stopLoss: decision.stopLoss };
   }
+  return orderBooks.getLiquidity(displayName, levels);
+}
 
-  if (displayName && message.price) {
-    const price = parseFloat(message.price) || 0;
-    dataStore.exchangePrices.coinbase[displayName] = price;
-    updateAggregatedTicker(displayName);
-  }
+function startOrderBookBroadcast() {
+  orderBookInterval = setInterval(() => {
+    for (const displayName of instruments.names()) {
+      const liquidity = getLiquidity(displayName);
+      if (liquidity) broadcastToClients('orderbook', liquidity);
+    }
+  }, CONFIG.ORDER_BOOK_BROADCAST_MS);
 }
 
 // =============================================================================
-// KRAKEN WEBSOCKET CONNECTION
+// RUNTIME INSTRUMENT CHANGES
+// Live connections are updated with subscribe/unsubscribe messages; a
+// connection that is down picks the change up when it reconnects.
 // =============================================================================
 
-let krakenWs = null;
-let krakenReconnectTimeout = null;
-
-function connectToKraken() {
-  console.log('🔌 Connecting to Kraken WebSocket...');
-
-  krakenWs = new WebSocket('wss://ws.kraken.com');
-
-  krakenWs.on('open', () => {
-    console.log('✅ Kraken connected');
-
-    // Subscribe to ticker channel
-    const pairs = Object.values(CONFIG.KRAKEN_SYMBOLS);
-    krakenWs.send(JSON.stringify({
-      event: 'subscribe',
-      pair: pairs,
-      subscription: { name: 'ticker' }
-    }));
-  });
+let subscriptionId = 0;
 
-  krakenWs.on('message', (data) => {
-    try {
-      const message = JSON.parse(data.toString());
-      handleKrakenMessage(message);
-    } catch (err) {
-      console.error('Kraken parse error:', err.message);
-    }
-  });
+function sendIfOpen(ws, payload) {
+  if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+}
 
-  krakenWs.on('error', (error) => {
-    console.error('❌ Kraken error:', error.message);
+function updateSubscriptions(instrument, subscribe) {
+  sendIfOpen(binanceWs, {
+    method: subscribe ? 'SUBSCRIBE' : 'UNSUBSCRIBE',
+    params: getBinanceStreams(instrument),
+    id: ++subscriptionId
   });
-
-  krakenWs.on('close', () => {
-    console.log('🔌 Kraken disconnected. Reconnecting...');
-    if (krakenReconnectTimeout) clearTimeout(krakenReconnectTimeout);
-    krakenReconnectTimeout = setTimeout(connectToKraken, CONFIG.RECONNECT_DELAY);
+  sendIfOpen(futuresWs, {
+    method: subscribe ? 'SUBSCRIBE' : 'UNSUBSCRIBE',
+    params: getFuturesStreams(instrument),
+    id: ++subscriptionId
   });
+  if (instrument.coinbase) {
+    sendIfOpen(coinbaseWs, {
+      type: subscribe ? 'subscribe' : 'unsubscribe',
+      product_ids: [instrument.coinbase],
+      channels: ['ticker', 'matches']
+    });
+  }
+  if (instrument.kraken) {
+    ['ticker', 'trade'].forEach(name => {
+      sendIfOpen(krakenWs, {
+        event: subscribe ? 'subscribe' : 'unsubscribe',
+        pair: [instrument.kraken],
+        subscription: { name }
+      });
+    });
+  }
 }
 
-function handleKrakenMessage(message) {
-  // Kraken sends arrays for ticker data: [channelID, data, channelName, pair]
-  if (!Array.isArray(message) || message.length < 4) return;
+instruments.on('added', async (instrument) => {
+  console.log(`➕ Instrument added: ${instrument.name}`);
+  initInstrumentState(instrument.name);
+  updateSubscriptions(instrument, true);
+  broadcastToClients('instruments', instruments.list());
 
-  const tickerData = message[1];
-  const pair = message[3];
+  for (const tf of CONFIG.TIMEFRAMES) {
+    await fetchHistoricalCandles(instrument.binance, tf);
+  }
+});
 
-  if (!tickerData || !tickerData.c) return;
+instruments.on('removed', (instrument) => {
+  console.log(`➖ Instrument removed: ${instrument.name}`);
+  updateSubscriptions(instrument, false);
 
-  // Find the display name for this pair
-  let displayName = null;
-  for (const [display, krakenSymbol] of Object.entries(CONFIG.KRAKEN_SYMBOLS)) {
-    if (krakenSymbol === pair) {
-      displayName = display;
-      break;
-    }
+  for (const key of [...paperAccount.orders.keys()]) {
+    if (key.startsWith(`${instrument.name}_`)) paperAccount.cancelOrder(key, 'instrument_removed');
   }
 
-  if (displayName) {
-    // Kraken ticker format: c = close [price, lot volume]
-    const price = parseFloat(tickerData.c[0]) || 0;
-    dataStore.exchangePrices.kraken[displayName] = price;
-    updateAggregatedTicker(displayName);
-  }
-}
+  removeInstrumentState(instrument.name);
+  spreadMonitor.removeInstrument(instrument.name);
+  candleBuilder.removeInstrument(instrument.name);
+  orderBooks.resetBook(instrument.name);
+  broadcastToClients('instruments', instruments.list());
+});
 
 // =============================================================================
 // CLIENT WEBSOCKET HANDLING
@@ -2181,7 +1205,17 @@ wss.on('connection', (ws) => {
       tickers: dataStore.tickers,
       candles: dataStore.candles,
       patterns: dataStore.patterns,
-      decisions: dataStore.decisions
+      decisions: dataStore.decisions,
+      strategies: getStrategyInfo(),
+      strategyDecisions: dataStore.strategyDecisions,
+      signals: dataStore.signals,
+      instruments: instruments.list(),
+      futures: dataStore.futures,
+      confluence: dataStore.confluence,
+      paperTrading: paperAccount.getSnapshot(),
+      spreads: spreadMonitor.getSnapshot(),
+      orderBooks: Object.fromEntries(instruments.names().map(name => [name, getLiquidity(name)]).filter(([, l]) => l)),
+      alerts: { rules: alertEngine.rules, history: alertEngine.history.slice(0, 50) }
     }
   }));
 
@@ -2211,7 +1245,10 @@ function handleClientMessage(ws, data) {
           timeframe: data.timeframe,
           allCandles: dataStore.candles[key] || [],
           patterns: dataStore.patterns[key] || [],
-          decision: dataStore.decisions[key]
+          decision: dataStore.decisions[key],
+          strategyDecisions: dataStore.strategyDecisions[key] || {},
+          confirmedAt: dataStore.signals[key]?.confirmedAt ?? null,
+          provisional: dataStore.signals[key]?.provisional ?? null
         }
       }));
       break;
@@ -2227,26 +1264,50 @@ function broadcastToClients(type, data) {
   });
 }
 
+// Strategy files changed: recompute every chart's decisions and push the new set
+strategies.on('reload', () => {
+  console.log(`🧠 Strategies reloaded: ${strategies.names().join(', ') || 'none'}`);
+  if (!strategies.has(CONFIG.STRATEGY)) console.warn(`⚠️ Live strategy ${CONFIG.STRATEGY} is not loaded, using built-in default rules`);
+
+  for (const { name } of instruments.list()) {
+    for (const tf of CONFIG.TIMEFRAMES) {
+      const key = `${name}_${tf}`;
+      if (dataStore.candles[key]?.length > 0) refreshSignals(key, name, tf);
+    }
+  }
+
+  broadcastToClients('strategies', { ...getStrategyInfo(), strategyDecisions: dataStore.strategyDecisions });
+});
+
+// Push paper trading positions, fills and P&L as they change
+paperAccount.on('update', snapshot => broadcastToClients('paper_trading', snapshot));
+
+// Stream spread samples for the dashboard chart and arbitrage alerts
+spreadMonitor.on('sample', update => broadcastToClients('spread_update', update));
+spreadMonitor.on('alert', alert => {
+  console.log(`💱 ${alert.instrument} spread ${alert.spreadBps}bps: buy ${alert.buyVenue}, sell ${alert.sellVenue} (net ${alert.netBps}bps)`);
+  broadcastToClients('spread_alert', alert);
+});
+
+// Alert delivery channels
+alertEngine.registerSink('browser', createBrowserSink(broadcastToClients));
+alertEngine.registerSink('webhook', createWebhookSink(process.env.ALERT_WEBHOOK_URL));
+if (process.env.SMTP_HOST) {
+  alertEngine.registerSink('email', createEmailSink({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+    to: process.env.ALERT_EMAIL_TO
+  }));
+}
+
 // =============================================================================
 // REST API FOR HISTORICAL DATA
 // =============================================================================
 
-function httpsGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(e);
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
 async function fetchAllHistoricalData() {
   const startTime = Date.now();
 
@@ -2264,9 +1325,10 @@ async function fetchAllHistoricalData() {
   console.log('📥 Fetching historical candle data from API...');
 
   // Fetch all instruments in parallel (5 at a time to avoid rate limits)
+  const symbols = instruments.list().map(i => i.binance);
   const batchSize = 5;
-  for (let i = 0; i < CONFIG.INSTRUMENTS.length; i += batchSize) {
-    const batch = CONFIG.INSTRUMENTS.slice(i, i + batchSize);
+  for (let i = 0; i < symbols.length; i += batchSize) {
+    const batch = symbols.slice(i, i + batchSize);
     const promises = [];
 
     for (const instrument of batch) {
@@ -2277,7 +1339,7 @@ async function fetchAllHistoricalData() {
 
     await Promise.all(promises);
     // Small delay between batches to respect rate limits
-    if (i + batchSize < CONFIG.INSTRUMENTS.length) {
+    if (i + batchSize < symbols.length) {
       await new Promise(resolve => setTimeout(resolve, 200));
     }
   }
@@ -2288,7 +1350,7 @@ async function fetchAllHistoricalData() {
 
 async function fetchFreshDataInBackground() {
   // Fetch fresh data in background without blocking
-  for (const instrument of CONFIG.INSTRUMENTS) {
+  for (const { binance: instrument } of instruments.list()) {
     for (const tf of CONFIG.TIMEFRAMES) {
       fetchHistoricalCandles(instrument, tf).catch(() => {});
     }
@@ -2300,38 +1362,30 @@ async function fetchFreshDataInBackground() {
 
 async function fetchHistoricalCandles(instrument, timeframe) {
   try {
-    const displayName = CONFIG.INSTRUMENT_DISPLAY[instrument];
+    const displayName = instruments.findBySymbol('binance', instrument)?.name;
     const key = `${displayName}_${timeframe}`;
 
-    const url = `https://api.binance.com/api/v3/klines?symbol=${instrument}&interval=${timeframe}&limit=100`;
-    const data = await httpsGet(url);
-
-    if (Array.isArray(data)) {
-      const candles = data.map(k => ({
-        t: k[0],
-        o: k[1],
-        h: k[2],
-        l: k[3],
-        c: k[4],
-        v: k[5],
-        T: k[6],
-        isClosed: true
-      }));
+    // Page any missing history into the store, then seed the live window from it
+    const { forming } = await candleStore.backfill(instrument, timeframe);
+    const candles = candleStore.query(instrument, timeframe, {
+      limit: forming ? CONFIG.MAX_CANDLES - 1 : CONFIG.MAX_CANDLES
+    });
+    if (forming) candles.push(forming);
 
+    if (candles.length > 0) {
       if (dataStore.candles[key] !== undefined) {
         dataStore.candles[key] = candles;
 
-        if (candles.length >= 3) {
-          const latestCandle = candles[candles.length - 1];
-          const patterns = PatternRecognizer.analyzeCandle(latestCandle, candles.length - 1, candles);
-          dataStore.patterns[key] = patterns;
-          dataStore.decisions[key] = PatternRecognizer.generateDecision(patterns, latestCandle, candles);
-        }
+        // Replay the stored history so patterns carry hit rates from the first signal.
+        // The replay yields between chunks, so other series keep streaming meanwhile
+        await calibration.replay(key, candleStore.query(instrument, timeframe, { limit: calibration.options.historyCandles }));
+        if (dataStore.candles[key] === undefined) return candles;  // Removed while replaying
 
-        // Calculate technical indicators
-        if (candles.length >= 30) {
-          dataStore.indicators[key] = TechnicalIndicators.calculateAll(candles);
-        }
+        // Reseed the streaming indicators and recompute confirmed/provisional signals
+        delete dataStore.indicatorStates[key];
+        refreshSignals(key, displayName, timeframe);
+
+        updateConfluence(displayName);
 
         // Cache to Redis
         setCachedCandles(instrument, timeframe, candles);
@@ -2346,15 +1400,89 @@ async function fetchHistoricalCandles(instrument, timeframe) {
   }
 }
 
+// Accepts a millisecond timestamp or an ISO date string
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+}
+
 // REST endpoints
 app.get('/api/instruments', (req, res) => {
-  res.json(Object.values(CONFIG.INSTRUMENT_DISPLAY));
+  res.json(instruments.list());
+});
+
+// Add an instrument at runtime: { name, binance?, coinbase?, kraken?, tickSize?, pricePrecision? }
+app.post('/api/instruments', async (req, res) => {
+  const entry = req.body || {};
+  const errors = InstrumentRegistry.validate(entry);
+  if (errors.length > 0) return res.status(400).json({ errors });
+  if (instruments.get(entry.name)) {
+    return res.status(409).json({ errors: [`${entry.name} is already configured`] });
+  }
+
+  // Reject symbols Binance does not list before touching any subscription
+  const { binance } = InstrumentRegistry.normalize(entry);
+  try {
+    await fetchKlines(binance, '1d', { limit: 1 });
+  } catch (err) {
+    return res.status(400).json({ errors: [`Binance symbol ${binance} is not available: ${err.message}`] });
+  }
+
+  const { instrument, errors: addErrors } = instruments.add(entry);
+  if (addErrors) return res.status(409).json({ errors: addErrors });
+  res.status(201).json(instrument);
+});
+
+app.delete('/api/instruments/:name', (req, res) => {
+  const removed = instruments.remove(req.params.name);
+  if (!removed) {
+    return res.status(404).json({ error: `Unknown instrument: ${req.params.name}` });
+  }
+  res.json({ deleted: removed.name });
 });
 
 app.get('/api/candles/:instrument/:timeframe', async (req, res) => {
   const { instrument, timeframe } = req.params;
   const key = `${instrument}_${timeframe}`;
 
+  // Trade-built bars from one venue, or the merged composite: ?source=coinbase|kraken|composite
+  if (req.query.source !== undefined) {
+    if (!['coinbase', 'kraken', COMPOSITE].includes(req.query.source)) {
+      return res.status(400).json({ error: 'source must be coinbase, kraken or composite' });
+    }
+    const candles = candleBuilder.getCandles(req.query.source, instrument, timeframe);
+    return res.json({ instrument, timeframe, source: req.query.source, count: candles.length, candles });
+  }
+
+  // Everything below reads or backfills the store, whose paths come from these
+  if (!instruments.get(instrument)) {
+    return res.status(404).json({ error: `Unknown instrument: ${instrument}` });
+  }
+  if (!TIMEFRAME_MS[timeframe]) {
+    return res.status(400).json({ error: `timeframe must be one of ${Object.keys(TIMEFRAME_MS).join(', ')}` });
+  }
+
+  // Arbitrary ranges come from the persistent store: ?from=&to= (ms timestamps or ISO dates)
+  if (req.query.from !== undefined || req.query.to !== undefined) {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    const limit = Math.min(parseInt(req.query.limit || '5000', 10), 50000);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from/to must be millisecond timestamps or ISO dates' });
+    }
+
+    try {
+      const symbol = getBinanceSymbol(instrument);
+      await candleStore.ensureRange(symbol, timeframe, from, to);
+      const candles = candleStore.query(symbol, timeframe, { from, to, limit });
+      return res.json({ instrument, timeframe, from, to, count: candles.length, candles });
+    } catch (err) {
+      console.error(`Candle query error (${key}):`, err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
   if (dataStore.candles[key] && dataStore.candles[key].length > 0) {
     res.json({
       candles: dataStore.candles[key],
@@ -2363,20 +1491,29 @@ app.get('/api/candles/:instrument/:timeframe', async (req, res) => {
       indicators: dataStore.indicators[key]
     });
   } else {
-    const candles = await fetchHistoricalCandles(instrument, timeframe);
+    const candles = await fetchHistoricalCandles(getBinanceSymbol(instrument), timeframe);
     res.json({ candles, patterns: [], decision: null, indicators: null });
   }
 });
 
 // Get indicators only (lighter endpoint)
+// ?series=true returns aligned per-candle arrays for chart overlays instead of the latest values
 app.get('/api/indicators/:instrument/:timeframe', async (req, res) => {
   const { instrument, timeframe } = req.params;
   const key = `${instrument}_${timeframe}`;
 
+  if (req.query.series === 'true') {
+    const candles = dataStore.candles[key];
+    if (!candles || candles.length === 0) {
+      return res.status(404).json({ error: `No candles for ${instrument} ${timeframe}` });
+    }
+    return res.json({ instrument, timeframe, series: calculateSeries(candles) });
+  }
+
   if (dataStore.indicators[key]) {
     res.json(dataStore.indicators[key]);
   } else if (dataStore.candles[key] && dataStore.candles[key].length >= 30) {
-    const indicators = TechnicalIndicators.calculateAll(dataStore.candles[key]);
+    const indicators = updateIndicators(key, dataStore.candles[key]);
     dataStore.indicators[key] = indicators;
     res.json(indicators);
   } else {
@@ -2384,6 +1521,249 @@ app.get('/api/indicators/:instrument/:timeframe', async (req, res) => {
   }
 });
 
+// Support/resistance zones with the daily pivots behind them
+app.get('/api/levels/:instrument/:timeframe', (req, res) => {
+  const { instrument, timeframe } = req.params;
+  const key = `${instrument}_${timeframe}`;
+  const levels = dataStore.levels[key] ||
+    SupportResistance.calculate(dataStore.candles[key], { session: previousSession(instrument) });
+
+  if (!levels) {
+    return res.status(404).json({ error: `Insufficient data for levels on ${instrument} ${timeframe} (need 30+ candles)` });
+  }
+  res.json({ instrument, timeframe, ...levels });
+});
+
+// Per-pattern hit rates: how often price moved CALIBRATION_ATR ATRs the
+// predicted way before moving that far against it
+app.get('/api/calibration/:instrument/:timeframe', (req, res) => {
+  const { instrument, timeframe } = req.params;
+  const key = `${instrument}_${timeframe}`;
+
+  if (!calibration.has(key)) {
+    return res.status(404).json({ error: `No calibration for ${instrument} ${timeframe} yet` });
+  }
+  const { atrMultiple, maxBars, minSamples } = calibration.options;
+  res.json({ instrument, timeframe, atrMultiple, maxBars, minSamples, patterns: calibration.getStats(key) });
+});
+
+// Backtest the decision engine over historical candles
+// Body: { instrument, timeframe, limit?, candles?, strategy?, ...backtest options }
+app.post('/api/backtest', async (req, res) => {
+  const { instrument, timeframe, limit = 1000, candles, strategy = CONFIG.STRATEGY, ...options } = req.body || {};
+
+  if (!Array.isArray(candles) && (!instrument || !timeframe)) {
+    return res.status(400).json({ error: 'Provide instrument and timeframe, or a candles array' });
+  }
+  if (!strategies.has(strategy)) {
+    return res.status(400).json({ error: `Unknown strategy: ${strategy}` });
+  }
+  if (!Array.isArray(candles) && !(Number.isInteger(limit) && limit > 0 && limit <= CONFIG.MAX_BACKTEST_CANDLES)) {
+    return res.status(400).json({ error: `limit must be an integer from 1 to ${CONFIG.MAX_BACKTEST_CANDLES}` });
+  }
+
+  try {
+    // Paged from Binance 1000 candles per request
+    const series = Array.isArray(candles)
+      ? candles
+      : await fetchKlineHistory(getBinanceSymbol(instrument), timeframe, { limit });
+
+    if (series.length < 50) {
+      return res.status(400).json({ error: 'Insufficient data for backtest (need 50+ candles)' });
+    }
+
+    const result = Backtester.run(series, { ...options, strategy: strategies.get(strategy) });
+    res.json({
+      instrument: instrument || null,
+      timeframe: timeframe || null,
+      ...result,
+      options: { ...result.options, strategy }
+    });
+  } catch (err) {
+    console.error('Backtest error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// STRATEGIES
+// =============================================================================
+
+function getStrategyInfo() {
+  return { primary: CONFIG.STRATEGY, strategies: strategies.list(), errors: strategies.errors };
+}
+
+// Loaded strategies; `primary` drives paper trading, alerts and the signal log
+app.get('/api/strategies', (req, res) => {
+  res.json(getStrategyInfo());
+});
+
+// Re-read strategies/ (file changes are picked up automatically as well)
+app.post('/api/strategies/reload', (req, res) => {
+  strategies.load();
+  res.json(getStrategyInfo());
+});
+
+// Check a rule file before saving it: YAML/JSON as text, or { source } JSON
+app.post('/api/strategies/validate', express.text({ type: ['text/*', 'application/yaml', 'application/x-yaml'] }), (req, res) => {
+  const source = typeof req.body === 'string' ? req.body : req.body?.source;
+  if (typeof source !== 'string' || source.trim() === '') {
+    return res.status(400).json({ error: 'Send the rule file as text, or JSON { source }' });
+  }
+
+  try {
+    const strategy = compileRules(source);
+    res.json({ valid: true, errors: [], strategy: { name: strategy.name, label: strategy.label, description: strategy.description } });
+  } catch (err) {
+    res.json({ valid: false, errors: err.errors || [{ line: null, message: err.message }] });
+  }
+});
+
+// Every strategy's decision for one chart, confirmed and intrabar
+app.get('/api/strategies/compare/:instrument/:timeframe', (req, res) => {
+  const { instrument, timeframe } = req.params;
+  const key = `${instrument}_${timeframe}`;
+  if (!dataStore.strategyDecisions[key]) {
+    return res.status(404).json({ error: `Unknown instrument/timeframe: ${instrument} ${timeframe}` });
+  }
+
+  const state = getSignalState(key);
+  res.json({
+    instrument,
+    timeframe,
+    primary: CONFIG.STRATEGY,
+    confirmedAt: state.confirmedAt,
+    decisions: dataStore.strategyDecisions[key],
+    provisional: state.provisional?.strategyDecisions || null
+  });
+});
+
+// Multi-timeframe confluence verdict
+app.get('/api/confluence/:instrument', (req, res) => {
+  const { instrument } = req.params;
+  if (!dataStore.tickers[instrument]) {
+    return res.status(404).json({ error: `Unknown instrument: ${instrument}` });
+  }
+  res.json(dataStore.confluence[instrument] || updateConfluence(instrument));
+});
+
+// Alert rules and history
+app.get('/api/alerts/rules', (req, res) => {
+  res.json(alertEngine.rules);
+});
+
+app.post('/api/alerts/rules', (req, res) => {
+  const { rule, errors } = alertEngine.addRule(req.body || {});
+  if (errors) return res.status(400).json({ errors });
+  res.status(201).json(rule);
+});
+
+app.put('/api/alerts/rules/:id', (req, res) => {
+  const { rule, errors, notFound } = alertEngine.updateRule(req.params.id, req.body || {});
+  if (notFound) return res.status(404).json({ error: 'Rule not found' });
+  if (errors) return res.status(400).json({ errors });
+  res.json(rule);
+});
+
+app.delete('/api/alerts/rules/:id', (req, res) => {
+  if (!alertEngine.removeRule(req.params.id)) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  res.json({ deleted: req.params.id });
+});
+
+app.get('/api/alerts/history', (req, res) => {
+  res.json(alertEngine.history);
+});
+
+// Logged signals, newest first
+// Query: instrument, timeframe, strategy, action, confidence, pattern, status, from, to, limit
+function parseSignalFilters(query) {
+  const { instrument, timeframe, strategy, action, confidence, pattern, status } = query;
+  return {
+    instrument, timeframe, strategy, action, confidence, pattern, status,
+    from: parseTimeParam(query.from),
+    to: parseTimeParam(query.to)
+  };
+}
+
+app.get('/api/signals', (req, res) => {
+  const filters = parseSignalFilters(req.query);
+  if (Number.isNaN(filters.from) || Number.isNaN(filters.to)) {
+    return res.status(400).json({ error: 'from/to must be millisecond timestamps or ISO dates' });
+  }
+  const limit = parseInt(req.query.limit || '200', 10);
+  if (!(limit > 0)) {
+    return res.status(400).json({ error: 'limit must be a positive number of signals' });
+  }
+  const signals = signalLog.query(filters);
+  res.json({ total: signals.length, signals: signals.slice(-limit).reverse() });
+});
+
+// Hit rates and average R per pattern name and per confidence level
+app.get('/api/signals/stats', (req, res) => {
+  const filters = parseSignalFilters(req.query);
+  if (Number.isNaN(filters.from) || Number.isNaN(filters.to)) {
+    return res.status(400).json({ error: 'from/to must be millisecond timestamps or ISO dates' });
+  }
+  res.json(signalLog.getStats(filters));
+});
+
+// Cross-exchange spreads
+app.get('/api/spreads', (req, res) => {
+  const { alerts, feesBps, minEdgeBps } = spreadMonitor.getSnapshot();
+  res.json({ feesBps, minEdgeBps, alerts });
+});
+
+app.get('/api/spreads/:instrument', (req, res) => {
+  const { instrument } = req.params;
+  if (!dataStore.tickers[instrument]) {
+    return res.status(404).json({ error: `Unknown instrument: ${instrument}` });
+  }
+  const limit = parseInt(req.query.limit || '720', 10);
+  res.json({
+    instrument,
+    pairs: spreadMonitor.getHistory(instrument, limit),
+    alerts: spreadMonitor.alerts.filter(a => a.instrument === instrument)
+  });
+});
+
+// Order book liquidity: imbalance, walls near decision levels, slippage
+app.get('/api/orderbook/:instrument', (req, res) => {
+  const { instrument } = req.params;
+  if (!dataStore.tickers[instrument]) {
+    return res.status(404).json({ error: `Unknown instrument: ${instrument}` });
+  }
+  const liquidity = getLiquidity(instrument);
+  if (!liquidity) {
+    return res.status(503).json({ error: `Order book for ${instrument} is not synced yet` });
+  }
+  res.json(liquidity);
+});
+
+// Paper trading account
+app.get('/api/paper', (req, res) => {
+  res.json(paperAccount.getSnapshot());
+});
+
+app.post('/api/paper/reset', (req, res) => {
+  paperAccount.reset();
+  res.json(paperAccount.getSnapshot());
+});
+
+// Futures data: mark price, funding, open interest and liquidations
+app.get('/api/futures', (req, res) => {
+  res.json(dataStore.futures);
+});
+
+app.get('/api/futures/:instrument', (req, res) => {
+  const futures = dataStore.futures[req.params.instrument];
+  if (!futures) {
+    return res.status(404).json({ error: `Unknown instrument: ${req.params.instrument}` });
+  }
+  res.json({ ...futures, signals: PatternRecognizer.getFuturesSignals(futures) });
+});
+
 app.get('/api/tickers', (req, res) => {
   res.json(dataStore.tickers);
 });
@@ -2394,9 +1774,11 @@ app.get('/health', (req, res) => {
     status: 'ok',
     exchanges: {
       binance: binanceWs?.readyState === WebSocket.OPEN,
+      binanceFutures: futuresWs?.readyState === WebSocket.OPEN,
       coinbase: coinbaseWs?.readyState === WebSocket.OPEN,
       kraken: krakenWs?.readyState === WebSocket.OPEN
     },
+    candleFallback: Object.keys(dataStore.candleSources).filter(i => dataStore.candleSources[i] === COMPOSITE),
     clients: clients.size
   });
 });
@@ -2416,9 +1798,9 @@ server.listen(PORT, () => {
 ║  WebSocket:    ws://localhost:${PORT}                            ║
 ║  Health:       http://localhost:${PORT}/health                   ║
 ╠═══════════════════════════════════════════════════════════════╣
-║  Instruments:  Top 10 Pairs (USDT)                            ║
-║  BTC, ETH, BNB, XRP, ADA, SOL, DOGE, DOT, MATIC, LTC          ║
+║  Instruments:  ${`${instruments.names().length} pairs (see /api/instruments)`.padEnd(47)}║
 ║  Timeframes:   1m, 5m, 15m, 1h, 4h                            ║
+║  Strategies:   ${`${strategies.names().join(', ')} (live: ${CONFIG.STRATEGY})`.padEnd(47)}║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  Data Sources: Binance + Coinbase + Kraken (Aggregated)       ║
 ╚═══════════════════════════════════════════════════════════════╝
@@ -2426,16 +1808,26 @@ server.listen(PORT, () => {
 
   // Connect to all exchanges
   connectToBinance();
+  connectToBinanceFutures();
   connectToCoinbase();
   connectToKraken();
+  startCandleFallback();
+  startOrderBookBroadcast();
+  strategies.watch();
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down...');
   if (binanceWs) binanceWs.close();
+  if (futuresWs) futuresWs.close();
+  if (openInterestInterval) clearInterval(openInterestInterval);
   if (coinbaseWs) coinbaseWs.close();
   if (krakenWs) krakenWs.close();
+  if (candleFallbackInterval) clearInterval(candleFallbackInterval);
+  if (orderBookInterval) clearInterval(orderBookInterval);
+  strategies.unwatch();
+  signalLog.flush();
   if (USE_REDIS && redisConnected && redis) redis.quit();
   wss.close();
   server.close();
@@ -0,0 +1,159 @@
+/**
+ * Default Strategy - Patterns + Indicators
+ *
+ * The original decision rules: trade strong candlestick patterns, or medium
+ * ones confirmed by volume or by the indicator summary. Entry is a stop order
+ * 1% of the candle range beyond the candle, the stop sits 1.5x ATR beyond the
+ * opposite extreme (15% of the range without ATR), and targets are at
+ * 1.5R / 2.5R / 4R. Indicators that disagree with the pattern lower confidence.
+ */
+
+const PARAMS = {
+  entryBuffer: 0.01,       // Fraction of the candle range beyond the high/low
+  atrStopMultiple: 1.5,
+  rangeStopFraction: 0.15, // Stop distance when ATR is unavailable
+  targetsR: [1.5, 2.5, 4]
+};
+
+// params: PARAMS with any overrides (backtests and scripts/optimize.js pass them)
+function decide({ patterns, candle, indicators, params = PARAMS }) {
+  if (!patterns || patterns.length === 0) {
+    // Even without patterns, check indicator signals
+    const summary = indicators?.summary;
+    if (summary && summary.sentiment !== 'NEUTRAL' && summary.sentiment !== 'MIXED') {
+      return {
+        action: 'WAIT',
+        confidence: 'low',
+        reasoning: [
+          'No clear candlestick pattern',
+          `Indicators suggest ${summary.sentiment} bias (${summary.strength})`,
+          summary.recommendation
+        ]
+      };
+    }
+    return {
+      action: 'WAIT',
+      confidence: 'none',
+      reasoning: ['No clear pattern detected', 'Wait for setup']
+    };
+  }
+
+  const strongBullish = patterns.some(p => p.type === 'bullish' && p.strength === 'strong');
+  const strongBearish = patterns.some(p => p.type === 'bearish' && p.strength === 'strong');
+  const hasVolumeConfirm = patterns.some(p => p.name === 'High Volume');
+  const mediumBullish = patterns.some(p => p.type === 'bullish' && p.strength === 'medium');
+  const mediumBearish = patterns.some(p => p.type === 'bearish' && p.strength === 'medium');
+
+  // Check if indicators align with patterns
+  let indicatorBoost = false;
+  let indicatorConflict = false;
+
+  if (indicators?.summary) {
+    const sentiment = indicators.summary.sentiment;
+    if ((strongBullish || mediumBullish) && sentiment === 'BULLISH') {
+      indicatorBoost = true;
+    } else if ((strongBearish || mediumBearish) && sentiment === 'BEARISH') {
+      indicatorBoost = true;
+    } else if ((strongBullish || mediumBullish) && sentiment === 'BEARISH') {
+      indicatorConflict = true;
+    } else if ((strongBearish || mediumBearish) && sentiment === 'BULLISH') {
+      indicatorConflict = true;
+    }
+  }
+
+  const signals = { hasVolumeConfirm, indicatorBoost, indicatorConflict };
+
+  if (strongBullish || (mediumBullish && hasVolumeConfirm) || (mediumBullish && indicatorBoost)) {
+    return buildTrade('LONG', strongBullish, patterns, candle, indicators, signals, params);
+  }
+  if (strongBearish || (mediumBearish && hasVolumeConfirm) || (mediumBearish && indicatorBoost)) {
+    return buildTrade('SHORT', strongBearish, patterns, candle, indicators, signals, params);
+  }
+
+  const reasoning = [
+    'Pattern detected but not strong enough',
+    'Wait for confirmation or stronger setup'
+  ];
+  if (indicators?.summary) {
+    reasoning.push(`Indicator sentiment: ${indicators.summary.sentiment} (${indicators.summary.strength})`);
+  }
+  return { action: 'WAIT', confidence: 'low', reasoning };
+}
+
+function buildTrade(action, strong, patterns, candle, indicators, { hasVolumeConfirm, indicatorBoost, indicatorConflict }, params) {
+  const isLong = action === 'LONG';
+  const side = isLong ? 1 : -1;
+  const high = parseFloat(candle.h);
+  const low = parseFloat(candle.l);
+  const range = high - low;
+
+  const entry = isLong ? high + (range * params.entryBuffer) : low - (range * params.entryBuffer);
+
+  // Use ATR for dynamic stop loss if available
+  const stopDistance = indicators?.atr
+    ? indicators.atr.atr * params.atrStopMultiple
+    : range * params.rangeStopFraction;
+  const stopLoss = isLong ? low - stopDistance : high + stopDistance;
+
+  const risk = (entry - stopLoss) * side;
+  const [target1, target2, target3] = params.targetsR.map(r => entry + side * risk * r);
+
+  // Determine confidence level
+  let confidence = 'low';
+  if (strong && hasVolumeConfirm && indicatorBoost) confidence = 'high';
+  else if (strong && (hasVolumeConfirm || indicatorBoost)) confidence = 'high';
+  else if (strong) confidence = 'medium';
+  else if (hasVolumeConfirm || indicatorBoost) confidence = 'medium';
+
+  // Reduce confidence if indicators conflict
+  if (indicatorConflict) {
+    confidence = confidence === 'high' ? 'medium' : 'low';
+  }
+
+  const type = isLong ? 'bullish' : 'bearish';
+  const opposite = isLong ? 'bearish' : 'bullish';
+  const reasoning = [
+    patterns.find(p => p.type === type)?.description || `${isLong ? 'Bullish' : 'Bearish'} pattern detected`,
+    hasVolumeConfirm ? '✓ Volume confirms the move' : '⚠ Wait for volume confirmation',
+  ];
+
+  // Add indicator reasoning
+  if (indicators) {
+    if (indicatorBoost) reasoning.push(`✓ Indicators align with ${type} signal`);
+    if (indicatorConflict) reasoning.push(`⚠ Indicators show conflicting ${opposite} signals`);
+    if (indicators.rsi !== null) {
+      const rsi = indicators.rsi.toFixed(1);
+      if (isLong ? indicators.rsi < 30 : indicators.rsi > 70) {
+        reasoning.push(`✓ RSI ${isLong ? 'oversold' : 'overbought'} (${rsi}) - good entry`);
+      } else if (isLong ? indicators.rsi > 70 : indicators.rsi < 30) {
+        reasoning.push(`⚠ RSI ${isLong ? 'overbought' : 'oversold'} (${rsi}) - caution`);
+      }
+    }
+    if (indicators.macd?.trend === `${type}_crossover`) {
+      reasoning.push(`✓ MACD ${type} crossover`);
+    }
+  }
+
+  reasoning.push(isLong ? 'Entry: Break above candle high' : 'Entry: Break below candle low');
+  reasoning.push(`Risk: ${((risk / entry) * 100).toFixed(2)}% to stop loss`);
+
+  return {
+    action,
+    confidence,
+    entry: parseFloat(entry.toFixed(2)),
+    stopLoss: parseFloat(stopLoss.toFixed(2)),
+    target1: parseFloat(target1.toFixed(2)),
+    target2: parseFloat(target2.toFixed(2)),
+    target3: parseFloat(target3.toFixed(2)),
+    riskReward: `1:${params.targetsR[1]}`,
+    reasoning
+  };
+}
+
+module.exports = {
+  name: 'default',
+  label: 'Patterns + Indicators',
+  description: 'Strong candlestick patterns, or medium ones confirmed by volume or indicators. ATR x1.5 stop, targets at 1.5R / 2.5R / 4R.',
+  params: PARAMS,
+  decide
+};
@@ -0,0 +1,92 @@
+/**
+ * Trend Pullback Strategy
+ *
+ * Only trades with the trend: EMA20 above EMA50 with ADX at least moderate
+ * and +DI leading is an uptrend (mirrored for downtrends). A pullback is a
+ * bullish pattern or RSI under 45 in an uptrend (bearish pattern or RSI over
+ * 55 in a downtrend). The stop sits 2x ATR beyond the candle, and targets are
+ * at 1R / 2R / 3R.
+ */
+
+const PARAMS = {
+  atrStopMultiple: 2,
+  targetsR: [1, 2, 3],
+  pullbackRsi: { long: 45, short: 55 }
+};
+
+const TRENDING = ['moderate', 'strong', 'very_strong'];
+
+// Significant digits rather than decimals, so sub-dollar pairs keep their precision
+function round(value) {
+  return parseFloat(value.toPrecision(8));
+}
+
+function decide({ patterns, candle, indicators, params = PARAMS }) {
+  const { ema20, ema50, adx, atr, rsi } = indicators || {};
+  if (!ema20 || !ema50 || !adx || !atr) {
+    return { action: 'WAIT', confidence: 'none', reasoning: ['Needs 50+ candles for EMA50, ADX and ATR'] };
+  }
+
+  const uptrend = ema20 > ema50 && adx.direction === 'bullish';
+  const downtrend = ema20 < ema50 && adx.direction === 'bearish';
+  if (!TRENDING.includes(adx.trend) || (!uptrend && !downtrend)) {
+    return {
+      action: 'WAIT',
+      confidence: 'none',
+      reasoning: [`No trend to follow (ADX ${adx.adx}, ${adx.trend})`, 'Wait for EMA20/EMA50 and DI to agree']
+    };
+  }
+
+  const isLong = uptrend;
+  const type = isLong ? 'bullish' : 'bearish';
+  const pattern = patterns.find(p => p.type === type);
+  const rsiPullback = rsi !== null && (isLong ? rsi < params.pullbackRsi.long : rsi > params.pullbackRsi.short);
+
+  if (!pattern && !rsiPullback) {
+    return {
+      action: 'WAIT',
+      confidence: 'low',
+      reasoning: [`${isLong ? 'Uptrend' : 'Downtrend'} in place (ADX ${adx.adx})`, 'Wait for a pullback or a reversal candle']
+    };
+  }
+
+  const high = parseFloat(candle.h);
+  const low = parseFloat(candle.l);
+  const side = isLong ? 1 : -1;
+  const entry = isLong ? high : low;
+  const stopLoss = isLong ? low - atr.atr * params.atrStopMultiple : high + atr.atr * params.atrStopMultiple;
+  const risk = (entry - stopLoss) * side;
+  const [target1, target2, target3] = params.targetsR.map(r => entry + side * risk * r);
+
+  let confidence = 'low';
+  if (pattern && rsiPullback) confidence = 'high';
+  else if (pattern?.strength === 'strong' || adx.trend !== 'moderate') confidence = 'medium';
+
+  const reasoning = [
+    `✓ ${isLong ? 'Uptrend' : 'Downtrend'}: EMA20 ${isLong ? 'above' : 'below'} EMA50, ADX ${adx.adx} (${adx.trend})`
+  ];
+  if (pattern) reasoning.push(`✓ ${pattern.name} with the trend`);
+  if (rsiPullback) reasoning.push(`✓ RSI pulled back to ${rsi.toFixed(1)}`);
+  reasoning.push(isLong ? 'Entry: Break above candle high' : 'Entry: Break below candle low');
+  reasoning.push(`Risk: ${((risk / entry) * 100).toFixed(2)}% to stop loss`);
+
+  return {
+    action: isLong ? 'LONG' : 'SHORT',
+    confidence,
+    entry: round(entry),
+    stopLoss: round(stopLoss),
+    target1: round(target1),
+    target2: round(target2),
+    target3: round(target3),
+    riskReward: `1:${params.targetsR[1]}`,
+    reasoning
+  };
+}
+
+module.exports = {
+  name: 'trendPullback',
+  label: 'Trend Pullback',
+  description: 'Reversal candles or RSI pullbacks in the direction of the EMA20/EMA50 trend when ADX confirms it. ATR x2 stop, targets at 1R / 2R / 3R.',
+  params: PARAMS,
+  decide
+};
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlertEngine } = require('../lib/alerts');
+
+function rulesFile(rules) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-')), 'alerts.json');
+  if (rules) fs.writeFileSync(file, JSON.stringify(rules));
+  return file;
+}
+
+// Collects console.warn output while fn runs
+function warnings(fn) {
+  const messages = [];
+  const warn = console.warn;
+  console.warn = (message) => messages.push(message);
+  try {
+    fn();
+  } finally {
+    console.warn = warn;
+  }
+  return messages;
+}
+
+test('load() skips and reports rules that fail validation', () => {
+  const file = rulesFile([
+    { id: 'ok', name: 'Any LONG', condition: { type: 'decision', action: 'LONG' }, sinks: ['browser'] },
+    { id: 'bad-condition', condition: { type: 'volume' } },
+    { id: 'bad-sink', condition: { type: 'pattern', name: 'Hammer' }, sinks: ['sms'] }
+  ]);
+
+  let engine;
+  const messages = warnings(() => { engine = new AlertEngine(file); });
+
+  assert.deepEqual(engine.rules.map(r => r.id), ['ok']);
+  assert.equal(messages.length, 2);
+  assert.match(messages[0], /bad-condition/);
+  assert.match(messages[1], /bad-sink.*unknown sinks: sms/);
+});
+
+test('rules naming an unknown sink are rejected by the API', () => {
+  const engine = new AlertEngine(rulesFile());
+  const { errors } = engine.addRule({ condition: { type: 'decision', action: 'ANY' }, sinks: ['browser', 'sms'] });
+  assert.deepEqual(errors, ['unknown sinks: sms (expected browser, webhook, email)']);
+});
+
+test('a sink that is not registered is reported once', () => {
+  const engine = new AlertEngine(rulesFile());
+  const delivered = [];
+  engine.registerSink('browser', alert => delivered.push(alert));
+  const { rule } = engine.addRule({
+    condition: { type: 'price_cross', level: 100 },
+    instrument: 'BTC_USDT',
+    sinks: ['browser', 'email'],
+    cooldownMinutes: 0
+  });
+
+  const messages = warnings(() => {
+    engine.evaluateTicker({ instrument: 'BTC_USDT', price: 99 });
+    engine.evaluateTicker({ instrument: 'BTC_USDT', price: 101 });
+    engine.evaluateTicker({ instrument: 'BTC_USDT', price: 99 });
+  });
+
+  assert.equal(engine.history.length, 2);
+  assert.equal(messages.length, 1);
+  assert.match(messages[0], new RegExp(`"email" is not configured - rule "${rule.name}"`));
+});
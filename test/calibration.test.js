@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PatternCalibration } = require('../lib/calibration');
+const { randomCandles } = require('./helpers');
+
+test('replay() yields between chunks and ends with the same stats as update()', async () => {
+  const candles = randomCandles(300, 7);
+  const expected = new PatternCalibration().update('BTC_1m', candles);
+
+  const calibration = new PatternCalibration({ replayChunk: 20 });
+  let yields = 0;
+  const counter = setInterval(() => yields++, 0);
+  const stats = await calibration.replay('BTC_1m', candles);
+  clearInterval(counter);
+
+  assert.deepEqual(stats, expected);
+  assert.ok(yields > 0, 'replay never yielded to the event loop');
+});
+
+test('update() waits for a running replay, then catches up from where it stopped', async () => {
+  const candles = randomCandles(300, 7);
+  const expected = new PatternCalibration().update('BTC_1m', candles);
+
+  const calibration = new PatternCalibration({ replayChunk: 20 });
+  const replaying = calibration.replay('BTC_1m', candles.slice(0, 250));
+
+  // A live window arriving mid-replay must not interleave with it
+  assert.deepEqual(calibration.update('BTC_1m', candles.slice(100)), calibration.getStats('BTC_1m'));
+  await replaying;
+
+  assert.deepEqual(calibration.update('BTC_1m', candles.slice(100)), expected);
+});
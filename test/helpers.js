@@ -0,0 +1,30 @@
+// Shared fixtures for the test files
+
+// Seeded random walk with string prices, as the exchanges send them
+function randomCandles(count, seed = 42) {
+  let x = seed;
+  let price = 100;
+  const random = () => (x = (x * 16807) % 2147483647) / 2147483647;
+  const candles = [];
+
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    const close = open * (1 + (random() - 0.5) * 0.04);
+    const high = Math.max(open, close) * (1 + random() * 0.01);
+    const low = Math.min(open, close) * (1 - random() * 0.01);
+    candles.push({
+      t: i * 60000,
+      o: open.toFixed(4),
+      h: high.toFixed(4),
+      l: low.toFixed(4),
+      c: close.toFixed(4),
+      v: (random() * 1000).toFixed(2),
+      T: i * 60000 + 59999,
+      isClosed: true
+    });
+    price = close;
+  }
+  return candles;
+}
+
+module.exports = { randomCandles };
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TechnicalIndicators } = require('../lib/indicators');
+const { IndicatorState } = require('../lib/incrementalIndicators');
+const { randomCandles } = require('./helpers');
+
+const STREAMED = ['rsi', 'macd', 'ema20', 'ema50', 'atr', 'adx', 'obv'];
+const WINDOWED = ['ichimoku', 'supertrend', 'parabolicSar', 'keltner', 'vwap', 'volumeProfile', 'elliottWave'];
+const TAIL = ['stochastic', 'cci', 'williamsR', 'sma20', 'bollingerBands', 'mfi'];
+
+function assertParity(streamed, batch, label, keys = STREAMED) {
+  for (const key of keys) {
+    assert.deepEqual(streamed[key], batch[key], `${key} differs ${label}`);
+  }
+}
+
+test('growing history matches calculateAll bar by bar', () => {
+  const candles = randomCandles(300);
+  const state = new IndicatorState();
+
+  for (let i = 30; i <= candles.length; i++) {
+    const window = candles.slice(0, i);
+    assertParity(state.sync(window), TechnicalIndicators.calculateAll(window), `at bar ${i}`, [...STREAMED, ...WINDOWED, ...TAIL]);
+  }
+});
+
+test('sliding 200-bar window streams from the seed without reseeding', (t) => {
+  const candles = randomCandles(600, 7);
+  const state = new IndicatorState();
+  const seed = t.mock.method(state, 'seed');
+
+  for (let i = 200; i <= candles.length; i++) {
+    const window = candles.slice(i - 200, i);
+    const result = state.sync(window);
+
+    // Streamed values cover all history since the seed, the rest the window
+    assertParity(result, TechnicalIndicators.calculateAll(candles.slice(0, i)), `at bar ${i}`);
+    assertParity(result, TechnicalIndicators.calculateAll(window), `at bar ${i}`, [...WINDOWED, ...TAIL]);
+  }
+  assert.equal(seed.mock.callCount(), 1);
+});
+
+test('forming candle is provisional and never committed', () => {
+  const candles = randomCandles(120, 99);
+  const closed = candles.slice(0, 100);
+  const forming = { ...candles[100], isClosed: false };
+  const state = new IndicatorState();
+
+  state.sync(closed);
+  const provisional = state.sync([...closed, forming]);
+  assertParity(provisional, TechnicalIndicators.calculateAll([...closed, forming]), 'with a forming candle', [...STREAMED, ...TAIL]);
+  assert.equal(state.last.t, closed[closed.length - 1].t);
+
+  // Whole-window indicators are not recomputed for the forming candle
+  assertParity(provisional, TechnicalIndicators.calculateAll(closed), 'with a forming candle', WINDOWED);
+
+  // Once it closes with different prices the committed state still matches
+  const final = { ...candles[100], c: (parseFloat(forming.c) * 1.01).toFixed(4), isClosed: true };
+  assertParity(state.sync([...closed, final]), TechnicalIndicators.calculateAll([...closed, final]), 'after the close');
+});
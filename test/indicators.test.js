@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TechnicalIndicators } = require('../lib/indicators');
+
+// Worked examples on small fixed series, computed by hand from each
+// indicator's published definition (Wilder for ATR/Parabolic SAR, Lambert for
+// CCI, Quong & Soudack for MFI, Williams for %R, Hosoda for Ichimoku, Chester
+// Keltner as revised by Linda Raschke). The arithmetic is in the comments so
+// the expected values can be re-derived without running the code.
+
+function assertClose(actual, expected, label, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `${label}: expected ${expected}, got ${actual}`);
+}
+
+// h = l = c, so each bar's typical price is its close
+function flatBars(prices) {
+  return { highs: [...prices], lows: [...prices], closes: [...prices] };
+}
+
+test('Williams %R is the close\'s distance below the highest high of the period', () => {
+  // HH = 12, LL = 7: (12 - 10) / (12 - 7) * -100 = -40
+  const result = TechnicalIndicators.WilliamsR([10, 12, 11], [8, 9, 7], [9, 11, 10], 3);
+  assert.deepEqual(result, { value: -40, signal: 'neutral' });
+
+  // Close at 11.5 of a 7-12 range: (12 - 11.5) / 5 * -100 = -10
+  assert.deepEqual(
+    TechnicalIndicators.WilliamsR([10, 12, 11], [8, 9, 7], [9, 11, 11.5], 3),
+    { value: -10, signal: 'overbought' }
+  );
+
+  // Close on the lowest low: -100
+  assert.deepEqual(
+    TechnicalIndicators.WilliamsR([10, 12, 11], [8, 9, 7], [9, 11, 7], 3),
+    { value: -100, signal: 'oversold' }
+  );
+});
+
+test('CCI divides the typical price\'s distance from its mean by 0.015 mean deviations', () => {
+  // TP = 10, 11, 12, 17: mean 12.5, mean deviation (2.5 + 1.5 + 0.5 + 4.5) / 4 = 2.25
+  // (17 - 12.5) / (0.015 * 2.25) = 133.33
+  const { highs, lows, closes } = flatBars([10, 11, 12, 17]);
+  assert.deepEqual(TechnicalIndicators.CCI(highs, lows, closes, 4), { value: 133.33, signal: 'overbought' });
+
+  // Typical price from distinct H/L/C: (11 + 9 + 10) / 3 = 10, (13 + 9 + 11) / 3 = 11,
+  // (10 + 7 + 7) / 3 = 8, (9 + 6 + 6) / 3 = 7: mean 9, mean deviation 1.5
+  // (7 - 9) / (0.015 * 1.5) = -88.89
+  assert.deepEqual(
+    TechnicalIndicators.CCI([11, 13, 10, 9], [9, 9, 7, 6], [10, 11, 7, 6], 4),
+    { value: -88.89, signal: 'neutral' }
+  );
+});
+
+test('MFI is an RSI of typical price x volume', () => {
+  // TP 10 -> 11 up: +11 * 200 = 2200; 11 -> 10.5 down: -10.5 * 100 = 1050;
+  // 10.5 -> 12 up: +12 * 300 = 3600. Ratio 5800 / 1050, MFI = 100 * 5800 / 6850 = 84.67
+  const { highs, lows, closes } = flatBars([10, 11, 10.5, 12]);
+  assert.deepEqual(
+    TechnicalIndicators.MFI(highs, lows, closes, [100, 200, 100, 300], 3),
+    { value: 84.67, signal: 'overbought' }
+  );
+
+  // Unchanged typical prices count on neither side; only outflow gives 0
+  const falling = flatBars([12, 12, 11, 10]);
+  assert.deepEqual(
+    TechnicalIndicators.MFI(falling.highs, falling.lows, falling.closes, [100, 100, 100, 100], 3),
+    { value: 0, signal: 'oversold' }
+  );
+});
+
+test('Keltner channels sit multiplier ATRs either side of the EMA', () => {
+  // Closes 10..13 with a 2-point range: EMA(3) seeds at SMA 11, then (13 - 11) * 0.5 + 11 = 12
+  // Every true range is 2, so ATR(2) = 2: bands 12 +/- 4, width 8 / 12 = 66.67%
+  const closes = [10, 11, 12, 13];
+  const result = TechnicalIndicators.Keltner(closes.map(c => c + 1), closes.map(c => c - 1), closes, 3, 2, 2);
+  assert.deepEqual(result, { upper: 16, middle: 12, lower: 8, width: 66.67, position: 'inside' });
+});
+
+test('VWAP weights typical prices by volume from the session open', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const bar = (t, h, l, c, v) => ({ t, o: String(c), h: String(h), l: String(l), c: String(c), v: String(v) });
+  const candles = [
+    bar(day - 3600000, 50, 40, 45, 1000),  // Previous session, ignored
+    bar(day, 11, 9, 10, 100),              // TP 10
+    bar(day + 3600000, 14, 12, 13, 200)    // TP 13
+  ];
+
+  // (10 * 100 + 13 * 200) / 300 = 12; variance (100 * 100 + 169 * 200) / 300 - 144 = 2
+  const result = TechnicalIndicators.VWAP(candles);
+  assertClose(result.vwap, 12, 'vwap');
+  assertClose(result.upper, 12 + Math.SQRT2, 'upper');
+  assertClose(result.lower, 12 - Math.SQRT2, 'lower');
+  assert.equal(result.anchor, day);
+  assert.equal(result.bars, 2);
+  assert.equal(result.position, 'above');
+  assert.equal(result.deviation, 8.333);
+
+  // Anchored to the first bar, all three count: (45000 + 1000 + 2600) / 1300
+  const anchored = TechnicalIndicators.VWAP(candles, day - 3600000);
+  assertClose(anchored.vwap, 48600 / 1300, 'anchored vwap');
+  assert.equal(anchored.bars, 3);
+});
+
+test('Ichimoku lines are range midpoints, the cloud projected displacement bars ahead', () => {
+  // Bar i has high i + 1, low i, close i + 0.5. Periods 2/3/4, displacement 2, last bar 5
+  const highs = [1, 2, 3, 4, 5, 6];
+  const lows = [0, 1, 2, 3, 4, 5];
+  const closes = lows.map(l => l + 0.5);
+  const result = TechnicalIndicators.Ichimoku(highs, lows, closes, 2, 3, 4, 2);
+
+  // Tenkan: bars 4-5 (6 + 4) / 2 = 5; kijun: bars 3-5 (6 + 3) / 2 = 4.5
+  // Spans drawn at bar 3: A = ((4 + 2) / 2 + (4 + 1) / 2) / 2 = 2.75, B = bars 0-3 (4 + 0) / 2 = 2
+  assert.deepEqual(result, {
+    tenkan: 5,
+    kijun: 4.5,
+    senkouA: 2.75,
+    senkouB: 2,
+    cloudTop: 2.75,
+    cloudBottom: 2,
+    cloudColor: 'bullish',   // Future A (5 + 4.5) / 2 = 4.75 over future B (6 + 2) / 2 = 4
+    position: 'above_cloud',
+    tkCross: 'bullish',
+    chikou: 'bullish',       // 5.5 over the close two bars back, 3.5
+    signal: 'bullish'
+  });
+
+  assert.equal(TechnicalIndicators.Ichimoku(highs.slice(1), lows.slice(1), closes.slice(1), 2, 3, 4, 2), null);
+});
+
+test('Parabolic SAR accelerates on new extremes and reverses to the extreme point', () => {
+  const highs = [10, 11, 12, 13];
+  const lows = [9, 10, 11, 12];
+
+  // Up from bar 0 (SAR 9, EP 10, AF 0.02):
+  //   bar 1: 9 + 0.02 * (10 - 9) = 9.02, capped at the prior lows -> 9; EP 11, AF 0.04
+  //   bar 2: 9 + 0.04 * (11 - 9) = 9.08, capped -> 9; EP 12, AF 0.06
+  //   bar 3: 9 + 0.06 * (12 - 9) = 9.18; EP 13, AF 0.08
+  //   bar 4: 9.18 + 0.08 * (13 - 9.18) = 9.4856; high 14 is a new EP, AF 0.10
+  const rising = TechnicalIndicators.ParabolicSAR([...highs, 14], [...lows, 13]);
+  assertClose(rising.sar, 9.4856, 'sar');
+  assert.equal(rising.trend, 'up');
+  assert.equal(rising.flipped, false);
+  assert.equal(rising.accelerationFactor, 0.1);
+
+  // Same bar 4 SAR, but a low of 9 breaks it: reverse to the EP (13), AF resets
+  assert.deepEqual(
+    TechnicalIndicators.ParabolicSAR([...highs, 12.5], [...lows, 9]),
+    { sar: 13, trend: 'down', flipped: true, accelerationFactor: 0.02 }
+  );
+});
+
+test('Supertrend ratchets its ATR bands and flips on a close through the active band', () => {
+  // True ranges 2, 2, 2, 4 -> ATR(2) of 2 at bars 2 and 3, (2 + 4) / 2 = 3 at bar 4
+  const highs = [11, 12, 13, 14, 13];
+  const lows = [9, 10, 11, 12, 9];
+  const closes = [10, 11, 12, 13, 9.5];
+
+  // Bar 2: mid 12, bands 14 / 10. Bar 3: mid 13, basic 15 / 11 -> upper holds 14, lower rises to 11
+  const up = TechnicalIndicators.Supertrend(highs.slice(0, 4), lows.slice(0, 4), closes.slice(0, 4), 2, 1);
+  assert.deepEqual(up, { value: 11, direction: 'up', flipped: false, distance: 15.385 });
+
+  // Bar 4: mid 11, basic 14 / 8 -> lower holds 11; the close at 9.5 breaks it, upper 14 takes over
+  const down = TechnicalIndicators.Supertrend(highs, lows, closes, 2, 1);
+  assert.deepEqual(down, { value: 14, direction: 'down', flipped: true, distance: 47.368 });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { OrderBookManager } = require('../lib/orderBook');
+
+// Local depth endpoint serving a fixed snapshot; counts the fetches
+async function depthServer(snapshot) {
+  const server = http.createServer((req, res) => {
+    server.fetches++;
+    res.end(JSON.stringify(snapshot));
+  });
+  server.fetches = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.url = `http://127.0.0.1:${server.address().port}/depth`;
+  return server;
+}
+
+const depth = (U, u, bids = [], asks = []) => ({ U, u, b: bids, a: asks });
+
+async function synced(manager, instrument) {
+  while (manager.books[instrument]?.syncing !== false) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('the first live event may straddle the snapshot when every buffered one was older', async (t) => {
+  const server = await depthServer({ lastUpdateId: 150, bids: [['100', '1']], asks: [['101', '1']] });
+  t.after(() => server.close());
+
+  const manager = new OrderBookManager({ depthUrl: server.url });
+  const logged = [];
+  t.mock.method(console, 'log', message => logged.push(message));
+
+  // Buffered while the snapshot is fetched, and entirely before it
+  manager.onDepthEvent('BTC_USDT', 'BTCUSDT', depth(100, 140));
+  await synced(manager, 'BTC_USDT');
+  assert.ok(manager.getBook('BTC_USDT'));
+
+  manager.onDepthEvent('BTC_USDT', 'BTCUSDT', depth(141, 149));                    // Still older: dropped
+  manager.onDepthEvent('BTC_USDT', 'BTCUSDT', depth(121, 160, [['100', '3']]));    // Spans 151
+  manager.onDepthEvent('BTC_USDT', 'BTCUSDT', depth(161, 170, [], [['101', '0']]));
+
+  const book = manager.getBook('BTC_USDT');
+  assert.equal(book.lastUpdateId, 170);
+  assert.deepEqual(book.getLevels('bids'), [[100, 3]]);
+  assert.deepEqual(book.getLevels('asks'), []);
+  assert.equal(server.fetches, 1);
+  assert.deepEqual(logged, []);
+
+  // After the first event the sequence is strict again
+  manager.onDepthEvent('BTC_USDT', 'BTCUSDT', depth(175, 180));
+  await synced(manager, 'BTC_USDT');
+  assert.equal(server.fetches, 2);
+  assert.match(logged[0], /gap \(170 -> 175\)/);
+});
+
+test('a first live event that starts past the snapshot resyncs', async (t) => {
+  const server = await depthServer({ lastUpdateId: 150, bids: [['100', '1']], asks: [['101', '1']] });
+  t.after(() => server.close());
+
+  const manager = new OrderBookManager({ depthUrl: server.url });
+  t.mock.method(console, 'log', () => {});
+
+  manager.onDepthEvent('BTC_USDT', 'BTCUSDT', depth(100, 140));
+  await synced(manager, 'BTC_USDT');
+
+  manager.onDepthEvent('BTC_USDT', 'BTCUSDT', depth(155, 160));
+  await synced(manager, 'BTC_USDT');
+  assert.equal(server.fetches, 2);
+});
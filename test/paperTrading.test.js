@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PaperTradingAccount } = require('../lib/paperTrading');
+
+const HOUR = 60 * 60 * 1000;
+
+// One LONG per round: filled at 100, then either stopped at 95 or run through TP3
+function tradeRound(account, round, win) {
+  const key = 'BTC_USDT_1h';
+  const time = round * 10 * HOUR;
+  account.onDecision(key, 'BTC_USDT', '1h', {
+    action: 'LONG', confidence: 'high', entry: 100, stopLoss: 95, target1: 105, target2: 110, target3: 115
+  }, time);
+  account.onTick('BTC_USDT', 101, time + 1);
+  account.onTick('BTC_USDT', win ? 116 : 94, time + 2);
+}
+
+test('closed trades are capped while the stats keep counting', () => {
+  const account = new PaperTradingAccount({ maxClosedTrades: 3, timeframes: ['1h'] });
+  const outcomes = [true, false, true, true, false, true];
+  outcomes.forEach((win, round) => tradeRound(account, round, win));
+
+  assert.equal(account.closedTrades.length, 3);
+  assert.deepEqual(account.closedTrades.map(t => t.rMultiple > 0), [true, false, true]);
+
+  const { stats } = account.getSnapshot();
+  assert.deepEqual(stats, { closedTrades: 6, wins: 4, winRate: 66.67 });
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules } = require('../lib/ruleStrategy');
+
+test('rule levels keep their precision on sub-dollar instruments', () => {
+  const strategy = compileRules(`
+name: cheapBreakout
+long:
+  when:
+    - RSI < 30
+entry: breakout
+stop: { atr: 1 }
+targets: [1, 2, 3]
+`);
+
+  // A DOGE-sized bar: entry and stop would both round to 0.12 with two decimals
+  const decision = strategy.decide({
+    patterns: [],
+    candle: { o: '0.12210', h: '0.12345', l: '0.12180', c: '0.12300' },
+    indicators: { rsi: 25, atr: { atr: 0.00050 } }
+  });
+
+  assert.equal(decision.action, 'LONG');
+  assert.equal(decision.entry, 0.12345);
+  assert.equal(decision.stopLoss, 0.1213);
+  assert.equal(decision.target1, 0.1256);
+  assert.equal(decision.target2, 0.12775);
+  assert.equal(decision.target3, 0.1299);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SignalLog } = require('../lib/signalLog');
+
+function tempLog(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signal-log-'));
+  return new SignalLog(path.join(dir, 'signals.json'), options);
+}
+
+function confirmed(action, entry, candleTime = 0) {
+  return {
+    instrument: 'BTC_USDT',
+    timeframe: '1h',
+    candleTime,
+    patterns: [{ name: 'Hammer', type: 'bullish', strength: 'medium' }],
+    decision: { action, confidence: 'medium', entry, stopLoss: entry - 10, target1: entry + 10, target2: entry + 20, target3: entry + 30 }
+  };
+}
+
+test('record() skips a decision that repeats an unresolved signal', () => {
+  const log = tempLog();
+
+  assert.ok(log.record(confirmed('LONG', 100, 0)));
+  assert.equal(log.record(confirmed('LONG', 100, 3600000)), null);
+  assert.ok(log.record(confirmed('LONG', 101, 3600000)), 'a different entry is a new signal');
+  assert.ok(log.record(confirmed('SHORT', 100, 3600000)), 'a different action is a new signal');
+  assert.equal(log.signals.length, 3);
+
+  // Once the first signal resolves, the same decision may be logged again
+  log.signals[0].status = 'not_triggered';
+  assert.ok(log.record(confirmed('LONG', 100, 7200000)));
+  log.flush();
+});
+
+test('changes are written once per saveDelay, and immediately on flush()', async () => {
+  const log = tempLog({ saveDelay: 20 });
+
+  log.record(confirmed('LONG', 100));
+  log.record(confirmed('SHORT', 100));
+  assert.equal(fs.existsSync(log.logFile), false);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(JSON.parse(fs.readFileSync(log.logFile, 'utf8')).length, 2);
+
+  log.record(confirmed('LONG', 105));
+  log.flush();
+  assert.equal(JSON.parse(fs.readFileSync(log.logFile, 'utf8')).length, 3);
+});
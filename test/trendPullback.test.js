@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const trendPullback = require('../strategies/trendPullback');
+
+const uptrend = {
+  ema20: 2,
+  ema50: 1,
+  adx: { adx: 30, trend: 'strong', direction: 'bullish' },
+  atr: { atr: 0.0001 },
+  rsi: 40
+};
+
+test('levels keep their precision on sub-dollar instruments', () => {
+  const decision = trendPullback.decide({
+    patterns: [],
+    candle: { h: '0.012345', l: '0.012100' },
+    indicators: uptrend
+  });
+
+  // Stop 2 ATR under the low, targets 1R / 2R / 3R above the high
+  assert.equal(decision.action, 'LONG');
+  assert.equal(decision.entry, 0.012345);
+  assert.equal(decision.stopLoss, 0.0119);
+  assert.equal(decision.target1, 0.01279);
+  assert.equal(decision.target2, 0.013235);
+  assert.equal(decision.target3, 0.01368);
+});